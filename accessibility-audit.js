@@ -0,0 +1,712 @@
+/**
+ * Binary Ring Accessibility Audit
+ * Checks generated pages against a set of rules and fixes what can be fixed without guessing.
+ * A rule is:
+ *
+ *   {
+ *       id: 'image-alt',
+ *       category: 'alt text',          // landmarks, alt text, contrast, headings, focus, aria, ...
+ *       severity: 'error',             // or 'warning'
+ *       check(page, options) => [{ node, message, fix: [{ at, text }] }]
+ *   }
+ *
+ * page holds the markup and its parsed elements ({ tag, attributes, parent, children } plus
+ * source offsets). A fix is a list of insertions into the markup, so fixing a page leaves
+ * everything the rules did not touch as it was. options.theme and options.variant name the
+ * theme the contrast rule checks; options.themes is the ThemeEngine.
+ */
+
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title'];
+const MARKUP = /<!--[^]*?-->|<![^>]*>|<\/([a-zA-Z][\w:-]*)[^>]*>|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+const SEVERITIES = ['error', 'warning'];
+
+const ROLES = [
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell', 'checkbox',
+    'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion', 'dialog', 'document',
+    'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img', 'insertion', 'link',
+    'list', 'listbox', 'listitem', 'log', 'main', 'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox',
+    'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option', 'paragraph', 'presentation', 'progressbar', 'radio',
+    'radiogroup', 'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider',
+    'spinbutton', 'status', 'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term',
+    'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+];
+const ARIA_ATTRIBUTES = [
+    'activedescendant', 'atomic', 'autocomplete', 'braillelabel', 'brailleroledescription', 'busy', 'checked', 'colcount',
+    'colindex', 'colspan', 'controls', 'current', 'describedby', 'description', 'details', 'disabled', 'errormessage',
+    'expanded', 'flowto', 'haspopup', 'hidden', 'invalid', 'keyshortcuts', 'label', 'labelledby', 'level', 'live',
+    'modal', 'multiline', 'multiselectable', 'orientation', 'owns', 'placeholder', 'posinset', 'pressed', 'readonly',
+    'relevant', 'required', 'roledescription', 'rowcount', 'rowindex', 'rowspan', 'selected', 'setsize', 'sort',
+    'valuemax', 'valuemin', 'valuenow', 'valuetext'
+].map(name => `aria-${name}`);
+const ID_REFERENCES = ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'aria-activedescendant', 'aria-errormessage'];
+// Roles whose elements must contain elements with one of the listed roles
+const REQUIRED_CHILDREN = {
+    table: ['row'],
+    grid: ['row'],
+    row: ['cell', 'gridcell', 'rowheader', 'columnheader'],
+    list: ['listitem'],
+    tablist: ['tab'],
+    menu: ['menuitem', 'menuitemcheckbox', 'menuitemradio']
+};
+const IMPLICIT_ROLES = { table: 'table', tr: 'row', td: 'cell', th: 'columnheader', ul: 'list', ol: 'list', li: 'listitem' };
+const NAMED_CONTROLS = ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'option'];
+const DIALOG_NAMES = ['lightbox', 'modal', 'dialog'];
+const KEYBOARD_CLICK = "if (event.key === 'Enter' || event.key === ' ') { event.preventDefault(); this.click(); }";
+
+// Theme colors checked by the contrast rule: text, background, minimum ratio (3:1 for large text)
+const CONTRAST_PAIRS = [
+    ['Body text', '--color-text', '--color-background', 4.5],
+    ['Muted text', '--color-text-muted', '--color-background', 4.5],
+    ['Subtle text', '--color-text-subtle', '--color-background', 4.5],
+    ['Links', '--color-link', '--color-background', 4.5],
+    ['Headings', '--color-heading', '--color-background', 3],
+    ['Primary buttons', '--color-on-primary', '--color-primary', 4.5],
+    ['Secondary buttons', '--color-on-secondary', '--color-secondary', 4.5]
+];
+
+function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos|nbsp);/gi, (match, entity) => {
+        if (entity[0] !== '#') return named[entity.toLowerCase()];
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return String.fromCodePoint(code);
+    });
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    const pattern = new RegExp(ATTRIBUTE.source, 'g');
+    let match;
+    while ((match = pattern.exec(source))) {
+        const [, name, double, single, unquoted] = match;
+        const value = double !== undefined ? double : single !== undefined ? single : unquoted;
+        if (!(name.toLowerCase() in attributes)) attributes[name.toLowerCase()] = value === undefined ? '' : decodeEntities(value);
+    }
+    return attributes;
+}
+
+/**
+ * Elements of a page with their offsets: start, attributesEnd (where new attributes go),
+ * openEnd, closeStart and end. Generated markup is well-formed, so unclosed elements
+ * simply end where their parent does.
+ */
+function parseHTML(html) {
+    const root = { tag: '#document', attributes: {}, parent: null, children: [], start: 0, openEnd: 0, closeStart: html.length, end: html.length };
+    const elements = [];
+    const open = [root];
+    const lower = html.toLowerCase();
+    const markup = new RegExp(MARKUP.source, 'g');
+    let match;
+
+    while ((match = markup.exec(html))) {
+        const [source, closing, opening, attributeSource = ''] = match;
+        if (closing) {
+            const index = open.map(node => node.tag).lastIndexOf(closing.toLowerCase());
+            if (index > 0) {
+                open.splice(index).forEach((node, i) => {
+                    node.closeStart = match.index;
+                    node.end = i === 0 ? match.index + source.length : match.index;
+                });
+            }
+            continue;
+        }
+        if (!opening) continue; // Comments and doctypes
+
+        const tag = opening.toLowerCase();
+        const selfClosing = /\/\s*$/.test(attributeSource);
+        const tagBody = source.slice(0, -1).replace(selfClosing ? /\s*\/\s*$/ : /\s+$/, '');
+        const node = {
+            tag,
+            attributes: parseAttributes(attributeSource.replace(/\/\s*$/, '')),
+            parent: open[open.length - 1],
+            children: [],
+            start: match.index,
+            attributesEnd: match.index + tagBody.length,
+            openEnd: match.index + source.length
+        };
+        node.parent.children.push(node);
+        elements.push(node);
+
+        if (VOID_ELEMENTS.includes(tag) || selfClosing) {
+            node.closeStart = node.end = node.openEnd;
+        } else if (RAW_TEXT_ELEMENTS.includes(tag)) {
+            const close = lower.indexOf(`</${tag}`, node.openEnd);
+            node.closeStart = close === -1 ? html.length : close;
+            node.end = close === -1 ? html.length : html.indexOf('>', close) + 1;
+            markup.lastIndex = node.end;
+        } else {
+            open.push(node);
+        }
+    }
+    open.slice(1).forEach(node => {
+        node.closeStart = node.end = html.length;
+    });
+
+    return { root, elements };
+}
+
+function textContent(page, node) {
+    return decodeEntities(page.html.slice(node.openEnd, node.closeStart)
+        .replace(/<!--[^]*?-->/g, '')
+        .replace(/<(script|style)\b[^]*?<\/\1>/gi, '')
+        .replace(/<[^>]*>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function descendants(node) {
+    return node.children.flatMap(child => [child, ...descendants(child)]);
+}
+
+function roleOf(node) {
+    return node.attributes.role || IMPLICIT_ROLES[node.tag] || null;
+}
+
+/**
+ * The accessible name of an element, roughly as browsers compute it
+ */
+function accessibleName(page, node) {
+    const { attributes } = node;
+    if (attributes['aria-labelledby']) {
+        return attributes['aria-labelledby'].split(/\s+/)
+            .map(id => page.byId.get(id))
+            .filter(Boolean)
+            .map(label => textContent(page, label))
+            .join(' ')
+            .trim();
+    }
+    if (attributes['aria-label'] && attributes['aria-label'].trim()) return attributes['aria-label'].trim();
+    if (['img', 'area'].includes(node.tag) || (node.tag === 'input' && attributes.type === 'image')) return attributes.alt || '';
+    if (['input', 'select', 'textarea'].includes(node.tag)) {
+        const label = (attributes.id && page.labels.get(attributes.id)) || findAncestor(node, parent => parent.tag === 'label');
+        if (label) return textContent(page, label);
+        if (['submit', 'button', 'reset'].includes(attributes.type)) return attributes.value || '';
+        return attributes.title || '';
+    }
+
+    const imageNames = descendants(node).filter(child => child.tag === 'img').map(img => img.attributes.alt || '');
+    return [textContent(page, node), ...imageNames].join(' ').trim() || attributes.title || '';
+}
+
+// Symbols such as "×" or "▶" are not a name a screen reader can announce usefully
+function isMeaningful(name) {
+    return /[\p{L}\p{N}]/u.test(name);
+}
+
+function findAncestor(node, predicate) {
+    for (let parent = node.parent; parent; parent = parent.parent) {
+        if (predicate(parent)) return parent;
+    }
+    return null;
+}
+
+function isFocusable(node) {
+    const { tag, attributes } = node;
+    if (attributes.tabindex !== undefined) return true;
+    if (['a', 'area'].includes(tag)) return attributes.href !== undefined;
+    return ['button', 'input', 'select', 'textarea', 'summary', 'iframe', 'video', 'audio'].includes(tag);
+}
+
+/**
+ * Widen a range over the section markers around it (see page-sections.js), so a wrapper
+ * goes around generated sections rather than inside them
+ */
+function outsideSectionMarkers(html, start, end) {
+    const opening = html.slice(0, start).match(/<!-- br:section [^>]*-->\s*$/);
+    const closing = html.slice(end).match(/^\s*<!-- \/br:section [^>]*-->/);
+    return [opening ? start - opening[0].length : start, closing ? end + closing[0].length : end];
+}
+
+/**
+ * A fix that adds attributes at the end of an element's start tag
+ */
+function addAttributes(node, attributes) {
+    const text = Object.entries(attributes)
+        .filter(([name]) => node.attributes[name] === undefined)
+        .map(([name, value]) => ` ${name}="${String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`)
+        .join('');
+    return text ? [{ at: node.attributesEnd, text }] : [];
+}
+
+// ----- Colors -----
+
+function parseColor(source) {
+    const value = source.toLowerCase();
+    if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+    if (value === 'white') return { r: 255, g: 255, b: 255, a: 1 };
+    if (value === 'black') return { r: 0, g: 0, b: 0, a: 1 };
+
+    const hex = value.match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+        let digits = hex[1];
+        if (digits.length <= 4) digits = digits.split('').map(d => d + d).join('');
+        const channel = i => parseInt(digits.slice(i * 2, i * 2 + 2), 16);
+        return { r: channel(0), g: channel(1), b: channel(2), a: digits.length === 8 ? channel(3) / 255 : 1 };
+    }
+
+    const rgb = value.match(/^rgba?\(([^)]*)\)$/);
+    if (rgb) {
+        const [r, g, b, a = '1'] = rgb[1].split(/[\s,/]+/).filter(Boolean);
+        const alpha = a.endsWith('%') ? parseFloat(a) / 100 : parseFloat(a);
+        return { r: parseFloat(r), g: parseFloat(g), b: parseFloat(b), a: alpha };
+    }
+    return null;
+}
+
+/**
+ * Every color in a token value (a gradient has several), with var() references resolved
+ */
+function tokenColors(tokens, name, depth = 0) {
+    const value = tokens[name];
+    if (value === undefined || depth > 10) return [];
+    return (value.match(/var\(--[\w-]+\)|#[0-9a-f]{3,8}\b|rgba?\([^)]*\)|\b(?:transparent|white|black)\b/gi) || [])
+        .flatMap(part => (part.startsWith('var(') ? tokenColors(tokens, part.slice(4, -1), depth + 1) : [parseColor(part)]))
+        .filter(Boolean);
+}
+
+function composite(top, bottom) {
+    const mix = channel => top[channel] * top.a + bottom[channel] * (1 - top.a);
+    return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
+
+function luminance({ r, g, b }) {
+    const linear = channel => {
+        const c = channel / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+function contrastRatio(a, b) {
+    const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+}
+
+function formatColor({ r, g, b }) {
+    return `#${[r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// ----- Rules -----
+
+const BUILT_IN_RULES = [
+    {
+        id: 'document-lang',
+        category: 'landmarks',
+        severity: 'error',
+        check(page) {
+            return page.elements
+                .filter(node => node.tag === 'html' && !(node.attributes.lang || '').trim())
+                .map(node => ({ node, message: 'The page has no lang attribute', fix: addAttributes(node, { lang: 'en' }) }));
+        }
+    },
+    {
+        id: 'landmark-main',
+        category: 'landmarks',
+        severity: 'error',
+        check(page) {
+            const mains = page.elements.filter(node => node.tag === 'main' || node.attributes.role === 'main');
+            if (mains.length > 1) return mains.slice(1).map(node => ({ node, message: 'The page has more than one main landmark' }));
+            const body = page.elements.find(node => node.tag === 'body');
+            if (mains.length === 1 || !body) return [];
+
+            // Wrap everything between the page header and footer, when there is anything
+            const content = [];
+            for (const node of body.children) {
+                if (node.tag === 'footer' || node.attributes.role === 'contentinfo') break;
+                if (!['header', 'nav', 'script', 'template'].includes(node.tag) && !['banner', 'navigation'].includes(node.attributes.role)) {
+                    content.push(node);
+                }
+            }
+            if (content.length === 0) return [{ node: body, message: 'The page has no main landmark' }];
+            const [start, end] = outsideSectionMarkers(page.html, content[0].start, content[content.length - 1].end);
+            const fix = [{ at: start, text: '<main>\n    ' }, { at: end, text: '\n    </main>' }];
+            return [{ node: body, message: 'The page has no main landmark', fix }];
+        }
+    },
+    {
+        id: 'image-alt',
+        category: 'alt text',
+        severity: 'error',
+        check(page) {
+            return page.elements
+                .filter(node => node.tag === 'img' && node.attributes.alt === undefined)
+                .map(node => {
+                    const decorative = ['presentation', 'none'].includes(node.attributes.role) || node.attributes['aria-hidden'] === 'true';
+                    return decorative
+                        ? { node, message: 'Decorative image has no empty alt attribute', fix: addAttributes(node, { alt: '' }) }
+                        : { node, message: 'Image has no alt text' };
+                });
+        }
+    },
+    {
+        id: 'color-contrast',
+        category: 'contrast',
+        severity: 'error',
+        check(page, { theme, variant, themes }) {
+            if (!themes || !theme || !themes.has(theme)) return [];
+            const resolved = themes.resolve(theme);
+            const variants = variant === 'auto' ? [null, ...Object.keys(resolved.variants)] : [variant || null];
+
+            return variants.flatMap(name => {
+                const tokens = themes.tokens(theme, { variant: name || undefined });
+                const label = name ? `${theme}, ${name}` : theme;
+                // Transparent backgrounds show the browser canvas of the theme's color scheme
+                const mode = (name && resolved.variants[name].mode) || resolved.mode;
+                const canvas = mode === 'dark' ? { r: 0, g: 0, b: 0, a: 1 } : { r: 255, g: 255, b: 255, a: 1 };
+                const pageBackground = tokenColors(tokens, '--color-background').map(color => composite(color, canvas));
+
+                return CONTRAST_PAIRS.flatMap(([what, foreground, background, minimum]) => {
+                    const backgrounds = background === '--color-background'
+                        ? pageBackground
+                        : tokenColors(tokens, background).flatMap(color => pageBackground.map(under => composite(color, under)));
+                    const pairs = tokenColors(tokens, foreground).flatMap(color => backgrounds.map(under => [composite(color, under), under]));
+                    if (pairs.length === 0) return [];
+
+                    const [text, under] = pairs.reduce((worst, pair) => (contrastRatio(...pair) < contrastRatio(...worst) ? pair : worst));
+                    const ratio = contrastRatio(text, under);
+                    return ratio < minimum
+                        ? [{ message: `${what} (${formatColor(text)} on ${formatColor(under)}) has a contrast of ${ratio.toFixed(2)}:1, below ${minimum}:1 (${label})` }]
+                        : [];
+                });
+            });
+        }
+    },
+    {
+        id: 'heading-order',
+        category: 'headings',
+        severity: 'warning',
+        check(page) {
+            const headings = page.elements.filter(node => /^h[1-6]$/.test(node.tag) && !node.attributes.role);
+            const issues = [];
+            if (headings.length > 0 && !headings.some(node => node.tag === 'h1')) {
+                issues.push({ node: headings[0], message: 'The page has no h1 heading' });
+            }
+
+            let previous = 0;
+            headings.forEach(node => {
+                const level = Number(node.attributes['aria-level'] || node.tag[1]);
+                if (previous > 0 && level > previous + 1) {
+                    issues.push({
+                        node,
+                        message: `Heading level ${level} follows level ${previous}`,
+                        fix: addAttributes(node, { 'aria-level': previous + 1 })
+                    });
+                    previous += 1;
+                } else {
+                    previous = level;
+                }
+            });
+            return issues;
+        }
+    },
+    {
+        id: 'keyboard-access',
+        category: 'focus',
+        severity: 'error',
+        check(page) {
+            return page.elements
+                .filter(node => node.attributes.onclick !== undefined && !isFocusable(node))
+                .filter(node => !['dialog', 'alertdialog', 'presentation', 'none'].includes(node.attributes.role))
+                .map(node => ({
+                    node,
+                    message: 'Clickable element can not be reached or used with the keyboard',
+                    fix: addAttributes(node, { role: 'button', tabindex: '0', onkeydown: KEYBOARD_CLICK })
+                }));
+        }
+    },
+    {
+        id: 'focus-visible',
+        category: 'focus',
+        severity: 'error',
+        check(page) {
+            const styles = page.elements.filter(node => node.tag === 'style');
+            const css = styles.map(node => page.html.slice(node.openEnd, node.closeStart)).join('\n');
+            if (!/outline\s*:\s*(none|0)\b/.test(css) || /:focus-visible/.test(css)) return [];
+            const last = styles[styles.length - 1];
+            return [{
+                node: last,
+                message: 'Focus outlines are removed and no :focus-visible style replaces them',
+                fix: [{ at: last.closeStart, text: '\n        :focus-visible { outline: 2px solid currentColor; outline-offset: 2px; }\n    ' }]
+            }];
+        }
+    },
+    {
+        id: 'tabindex',
+        category: 'focus',
+        severity: 'warning',
+        check(page) {
+            return page.elements
+                .filter(node => Number(node.attributes.tabindex) > 0)
+                .map(node => ({ node, message: 'A positive tabindex changes the focus order' }));
+        }
+    },
+    {
+        id: 'dialog',
+        category: 'focus',
+        severity: 'error',
+        check(page) {
+            return page.elements.flatMap(node => {
+                const names = [...(node.attributes.class || '').split(/\s+/), node.attributes.id];
+                const isDialog = ['dialog', 'alertdialog'].includes(node.attributes.role);
+                if (!isDialog && (node.tag === 'dialog' || !names.some(name => DIALOG_NAMES.includes(name)))) return [];
+
+                const issues = [];
+                if (!isDialog || node.attributes['aria-modal'] === undefined) {
+                    issues.push({
+                        node,
+                        message: 'Overlay is not marked as a modal dialog',
+                        fix: addAttributes(node, { role: 'dialog', 'aria-modal': 'true' })
+                    });
+                }
+                if (!isMeaningful(node.attributes['aria-label'] || '') && !node.attributes['aria-labelledby']) {
+                    const heading = descendants(node).find(child => /^h[1-6]$/.test(child.tag) && child.attributes.id);
+                    issues.push({
+                        node,
+                        message: 'Dialog has no accessible name',
+                        fix: heading ? addAttributes(node, { 'aria-labelledby': heading.attributes.id }) : undefined
+                    });
+                }
+                if (!descendants(node).some(isFocusable)) {
+                    issues.push({ node, message: 'Dialog has nothing to move focus to, such as a close button' });
+                }
+                return issues;
+            });
+        }
+    },
+    {
+        id: 'control-name',
+        category: 'aria',
+        severity: 'error',
+        check(page) {
+            return page.elements
+                .filter(node => node.tag === 'button' || (node.tag === 'a' && node.attributes.href !== undefined)
+                    || NAMED_CONTROLS.includes(node.attributes.role))
+                .filter(node => node.attributes['aria-hidden'] !== 'true' && !isMeaningful(accessibleName(page, node)))
+                .map(node => ({ node, message: `${node.tag === 'a' ? 'Link' : 'Button'} has no accessible name` }));
+        }
+    },
+    {
+        id: 'form-label',
+        category: 'aria',
+        severity: 'error',
+        check(page) {
+            return page.elements
+                .filter(node => ['input', 'select', 'textarea'].includes(node.tag))
+                .filter(node => !['hidden', 'submit', 'button', 'reset', 'image'].includes(node.attributes.type))
+                .filter(node => !isMeaningful(accessibleName(page, node)))
+                .map(node => ({
+                    node,
+                    message: 'Form field has no label',
+                    fix: node.attributes.placeholder ? addAttributes(node, { 'aria-label': node.attributes.placeholder.replace(/\.+$/, '') }) : undefined
+                }));
+        }
+    },
+    {
+        id: 'aria-valid',
+        category: 'aria',
+        severity: 'error',
+        check(page) {
+            const issues = [];
+            const seen = new Set();
+            page.elements.forEach(node => {
+                const { attributes } = node;
+                if (attributes.role !== undefined && !attributes.role.split(/\s+/).some(role => ROLES.includes(role))) {
+                    issues.push({ node, message: `Unknown role "${attributes.role}"` });
+                }
+                Object.keys(attributes)
+                    .filter(name => name.startsWith('aria-') && !ARIA_ATTRIBUTES.includes(name))
+                    .forEach(name => issues.push({ node, message: `Unknown attribute ${name}` }));
+                ID_REFERENCES
+                    .filter(name => attributes[name])
+                    .forEach(name => attributes[name].split(/\s+/)
+                        .filter(id => !page.byId.has(id))
+                        .forEach(id => issues.push({ node, message: `${name} refers to a missing id "${id}"` })));
+                if (attributes.id) {
+                    if (seen.has(attributes.id)) issues.push({ node, message: `Duplicate id "${attributes.id}"` });
+                    seen.add(attributes.id);
+                }
+            });
+            return issues;
+        }
+    },
+    {
+        id: 'aria-children',
+        category: 'aria',
+        severity: 'error',
+        check(page) {
+            return page.elements.flatMap(node => {
+                const role = roleOf(node);
+                const required = REQUIRED_CHILDREN[role];
+                if (!required || node.attributes['aria-busy'] === 'true') return [];
+                return descendants(node).some(child => required.includes(roleOf(child)))
+                    ? []
+                    : [{ node, message: `Role ${role} needs elements with role ${required.join(' or ')}` }];
+            });
+        }
+    }
+];
+
+class AccessibilityAudit {
+    /**
+     * @param {Object} options
+     * @param {ThemeEngine} options.themes - themes the contrast rule reads colors from
+     * @param {Array} options.rules - defaults to the built-in rules
+     */
+    constructor({ themes = null, rules = BUILT_IN_RULES } = {}) {
+        this.themes = themes;
+        this.rules = new Map();
+        rules.forEach(rule => this.register(rule));
+    }
+
+    /**
+     * Add a rule. Ids are unique unless { override: true } is passed.
+     */
+    register(rule, { override = false } = {}) {
+        this.validate(rule);
+        if (this.rules.has(rule.id) && !override) {
+            throw new Error(`Accessibility rule already registered: ${rule.id}`);
+        }
+        this.rules.set(rule.id, rule);
+        this.emit('register', rule);
+        return rule;
+    }
+
+    unregister(id) {
+        const removed = this.rules.delete(id);
+        if (removed) this.emit('unregister', { id });
+        return removed;
+    }
+
+    has(id) {
+        return this.rules.has(id);
+    }
+
+    get(id) {
+        return this.rules.get(id) || null;
+    }
+
+    list() {
+        return [...this.rules.values()];
+    }
+
+    validate(rule) {
+        if (!rule || typeof rule.id !== 'string' || !rule.id.trim()) {
+            throw new Error('Accessibility rules need an id');
+        }
+        if (typeof rule.check !== 'function') {
+            throw new Error(`Accessibility rule ${rule.id}: check must be a function`);
+        }
+        if (!SEVERITIES.includes(rule.severity)) {
+            throw new Error(`Accessibility rule ${rule.id}: severity must be one of ${SEVERITIES.join(', ')}`);
+        }
+    }
+
+    /**
+     * Run every rule over a page. Returns { passed, errors, warnings, issues }; passed means no errors.
+     */
+    audit(html, options = {}) {
+        const issues = this.findIssues(html, options).map(({ rule, node, message, fix }) => ({
+            rule: rule.id,
+            category: rule.category,
+            severity: rule.severity,
+            message,
+            element: node ? this.describe(html, node) : null,
+            line: node ? html.slice(0, node.start).split('\n').length : null,
+            fixable: Boolean(fix && fix.length > 0)
+        }));
+        return this.report(issues);
+    }
+
+    /**
+     * Apply every available fix, then audit the result. Returns { html, report, fixed } where
+     * fixed lists the issues the fixes resolved.
+     */
+    fix(html, options = {}) {
+        let fixedHTML = html;
+        const fixed = [];
+
+        // Some fixes make others possible, so repeat until nothing changes
+        for (let pass = 0; pass < 3; pass++) {
+            const fixable = this.findIssues(fixedHTML, options).filter(issue => issue.fix && issue.fix.length > 0);
+            if (fixable.length === 0) break;
+
+            const edits = [];
+            fixable.forEach(issue => issue.fix.forEach(edit => {
+                if (!edits.some(other => other.at === edit.at && other.text === edit.text)) edits.push(edit);
+            }));
+            fixable.forEach(({ rule, node, message }) => fixed.push({
+                rule: rule.id,
+                category: rule.category,
+                message,
+                element: node ? this.describe(fixedHTML, node) : null
+            }));
+
+            // Apply from the end so earlier offsets stay valid; edits at one offset keep their order
+            fixedHTML = edits
+                .map((edit, index) => ({ ...edit, index }))
+                .sort((a, b) => b.at - a.at || b.index - a.index)
+                .reduce((markup, edit) => markup.slice(0, edit.at) + edit.text + markup.slice(edit.at), fixedHTML);
+        }
+
+        const report = this.audit(fixedHTML, options);
+        this.emit('fix', { fixed, report });
+        return { html: fixedHTML, report, fixed };
+    }
+
+    findIssues(html, options) {
+        const { root, elements } = parseHTML(html);
+        const page = { html, root, elements, byId: new Map(), labels: new Map() };
+        elements.forEach(node => {
+            if (node.attributes.id && !page.byId.has(node.attributes.id)) page.byId.set(node.attributes.id, node);
+            if (node.tag === 'label' && node.attributes.for) page.labels.set(node.attributes.for, node);
+        });
+
+        const context = { themes: this.themes, ...options };
+        return this.list().flatMap(rule => rule.check(page, context).map(issue => ({ ...issue, rule })));
+    }
+
+    report(issues) {
+        const errors = issues.filter(issue => issue.severity === 'error').length;
+        return { passed: errors === 0, errors, warnings: issues.length - errors, issues };
+    }
+
+    /**
+     * An element's start tag, shortened, to point at it in a report
+     */
+    describe(html, node) {
+        const tag = html.slice(node.start, node.openEnd).replace(/\s+/g, ' ');
+        return tag.length > 80 ? `${tag.slice(0, 77)}...` : tag;
+    }
+
+    // Event System
+    on(event, callback) {
+        if (!this.events) this.events = {};
+        if (!this.events[event]) this.events[event] = [];
+        this.events[event].push(callback);
+    }
+
+    emit(event, data) {
+        if (!this.events || !this.events[event]) return;
+        this.events[event].forEach(callback => callback(data));
+    }
+
+    off(event, callback) {
+        if (!this.events || !this.events[event]) return;
+        this.events[event] = this.events[event].filter(cb => cb !== callback);
+    }
+}
+
+AccessibilityAudit.RULES = BUILT_IN_RULES;
+AccessibilityAudit.parseHTML = parseHTML;
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.AccessibilityAudit = AccessibilityAudit;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilityAudit;
+}
@@ -0,0 +1,278 @@
+/**
+ * Binary Ring Component Registry
+ * Plugin API for WebpageGenerator components. A component plugin is:
+ *
+ *   {
+ *       name: 'FAQ Accordion',                  // matched against context item names
+ *       template(description, keywords, props),  // or a string with {{description}} / {{propName}} placeholders
+ *       css: '...',                              // string, or (themeName) => string
+ *       script: '...',                           // client-side JavaScript, included once per page
+ *       behavior: { state, handlers, bindings }, // the script's interactivity for framework exports
+ *       itemTemplate: '<li>{{title}}</li>',      // one entry of the "items" prop, for data binding
+ *       props: { title: { type: 'string', default: 'FAQ' } },
+ *       dependencies: ['Accordion Behavior']     // plugins whose CSS and script must come first
+ *   }
+ *
+ * Plugins without a template only contribute CSS and scripts, so they are meant to be
+ * used as dependencies. Packs of plugins can be loaded from a directory in Node.
+ * See framework-exporter.js for the behavior shape and data-sources.js for data binding.
+ */
+
+const RegistrySafeHTML = typeof require === 'function'
+    ? require('./safe-html')
+    : window.SafeHTML;
+
+const PROP_TYPES = ['string', 'number', 'boolean', 'array', 'object'];
+
+function propType(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+/**
+ * Turn a "{{placeholder}}" string into a template function. Values are escaped for where
+ * they appear (text, attribute, URL, ...), see safe-html.js.
+ */
+function compileStringTemplate(source) {
+    const parts = source.split(/\{\{\s*([\w.]+)\s*\}\}/);
+    const strings = parts.filter((part, i) => i % 2 === 0);
+    const keys = parts.filter((part, i) => i % 2 === 1);
+
+    return (description, keywords, props) => RegistrySafeHTML.html(strings, ...keys.map(key => {
+        if (key === 'description') return String(description || '');
+        if (key === 'keywords') return keywords.map(k => String(k.name)).join(', ');
+        const value = props[key];
+        return value === undefined || value === null ? '' : String(value);
+    }));
+}
+
+class ComponentRegistry {
+    constructor(plugins = []) {
+        this.plugins = new Map();
+        plugins.forEach(plugin => this.register(plugin));
+    }
+
+    /**
+     * Add a component plugin. Names are unique unless { override: true } is passed.
+     */
+    register(plugin, { override = false } = {}) {
+        this.validate(plugin);
+        if (this.plugins.has(plugin.name) && !override) {
+            throw new Error(`Component already registered: ${plugin.name}`);
+        }
+
+        const registered = {
+            ...plugin,
+            template: typeof plugin.template === 'string' ? compileStringTemplate(plugin.template) : plugin.template || null,
+            props: plugin.props || {},
+            dependencies: plugin.dependencies || []
+        };
+        this.plugins.set(plugin.name, registered);
+        this.emit('register', registered);
+        return registered;
+    }
+
+    unregister(name) {
+        const removed = this.plugins.delete(name);
+        if (removed) this.emit('unregister', { name });
+        return removed;
+    }
+
+    has(name) {
+        return this.plugins.has(name);
+    }
+
+    get(name) {
+        return this.plugins.get(name) || null;
+    }
+
+    /**
+     * Components that can be placed on a page (plugins with a template)
+     */
+    list() {
+        return [...this.plugins.values()].filter(plugin => plugin.template);
+    }
+
+    validate(plugin) {
+        if (!plugin || typeof plugin.name !== 'string' || !plugin.name.trim()) {
+            throw new Error('Component plugins need a name');
+        }
+        const { name, template, css, script, itemTemplate, behavior, props = {}, dependencies = [] } = plugin;
+
+        if (template !== undefined && typeof template !== 'function' && typeof template !== 'string') {
+            throw new Error(`Component ${name}: template must be a function or a string`);
+        }
+        if (css !== undefined && typeof css !== 'function' && typeof css !== 'string') {
+            throw new Error(`Component ${name}: css must be a function or a string`);
+        }
+        if (script !== undefined && typeof script !== 'string') {
+            throw new Error(`Component ${name}: script must be a string`);
+        }
+        if (itemTemplate !== undefined && typeof itemTemplate !== 'string') {
+            throw new Error(`Component ${name}: itemTemplate must be a string`);
+        }
+        if (behavior !== undefined) {
+            const { state = {}, handlers = {}, bindings = [] } = behavior || {};
+            if (!behavior || typeof state !== 'object' || typeof handlers !== 'object' || !Array.isArray(bindings)) {
+                throw new Error(`Component ${name}: behavior needs state and handlers objects and a bindings list`);
+            }
+            if (bindings.some(binding => !Array.isArray(binding) || typeof binding[1] !== 'function')) {
+                throw new Error(`Component ${name}: behavior bindings must be [find, dialect => markup] pairs`);
+            }
+        }
+        if (!Array.isArray(dependencies) || dependencies.some(dep => typeof dep !== 'string')) {
+            throw new Error(`Component ${name}: dependencies must be a list of component names`);
+        }
+        Object.entries(props).forEach(([prop, schema]) => {
+            if (!PROP_TYPES.includes(schema.type)) {
+                throw new Error(`Component ${name}: prop "${prop}" has unknown type ${schema.type}`);
+            }
+        });
+    }
+
+    /**
+     * Apply defaults and check values against the plugin's props schema
+     */
+    resolveProps(name, props = {}) {
+        const plugin = this.requirePlugin(name);
+        const resolved = {};
+
+        Object.entries(plugin.props).forEach(([prop, schema]) => {
+            const value = props[prop] !== undefined ? props[prop] : schema.default;
+            if (value === undefined) {
+                if (schema.required) throw new Error(`Component ${name}: prop "${prop}" is required`);
+                return;
+            }
+            if (propType(value) !== schema.type) {
+                throw new Error(`Component ${name}: prop "${prop}" must be ${schema.type}, got ${propType(value)}`);
+            }
+            if (schema.enum && !schema.enum.includes(value)) {
+                throw new Error(`Component ${name}: prop "${prop}" must be one of ${schema.enum.join(', ')}`);
+            }
+            if (schema.type === 'number' && ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max))) {
+                throw new Error(`Component ${name}: prop "${prop}" must be between ${schema.min} and ${schema.max}`);
+            }
+            resolved[prop] = value;
+        });
+
+        return resolved;
+    }
+
+    /**
+     * HTML for one component on the page; unknown or template-less components render nothing
+     */
+    render(name, { description = '', keywords = [], props } = {}) {
+        const plugin = this.get(name);
+        if (!plugin || !plugin.template) return '';
+        return String(plugin.template(description, keywords, this.resolveProps(name, props)));
+    }
+
+    /**
+     * The plugins a page needs, dependencies first, each once
+     */
+    resolve(names) {
+        const ordered = [];
+        const visiting = [];
+
+        const visit = (name, requiredBy) => {
+            if (ordered.some(plugin => plugin.name === name)) return;
+            if (visiting.includes(name)) {
+                throw new Error(`Circular component dependency: ${[...visiting, name].join(' -> ')}`);
+            }
+
+            const plugin = this.get(name);
+            if (!plugin) {
+                if (requiredBy) throw new Error(`Unknown component dependency: ${name} (required by ${requiredBy})`);
+                return; // Unknown page components are skipped, as before
+            }
+
+            visiting.push(name);
+            plugin.dependencies.forEach(dep => visit(dep, name));
+            visiting.pop();
+            ordered.push(plugin);
+        };
+
+        names.forEach(name => visit(name, null));
+        return ordered;
+    }
+
+    /**
+     * CSS and scripts for a set of page components, in dependency order
+     */
+    collectAssets(names, themeName) {
+        const plugins = this.resolve(names);
+        return {
+            css: plugins
+                .map(plugin => (typeof plugin.css === 'function' ? plugin.css(themeName) : plugin.css))
+                .filter(Boolean),
+            scripts: plugins.map(plugin => plugin.script).filter(Boolean)
+        };
+    }
+
+    /**
+     * Register every plugin exported by the .js files in a directory (Node only).
+     * A file exports one plugin or an array of them.
+     */
+    loadPack(directory, { override = false } = {}) {
+        const fs = require('fs');
+        const path = require('path');
+        const pack = path.basename(directory);
+
+        const plugins = fs.readdirSync(directory)
+            .filter(file => file.endsWith('.js'))
+            .sort()
+            .flatMap(file => {
+                const exported = require(path.resolve(directory, file));
+                return Array.isArray(exported) ? exported : [exported];
+            });
+
+        // Register only after every file loaded, so a broken pack registers nothing
+        plugins.forEach(plugin => {
+            this.validate(plugin);
+            if (this.has(plugin.name) && !override) throw new Error(`Component already registered: ${plugin.name}`);
+        });
+        return plugins.map(plugin => this.register({ ...plugin, pack }, { override }));
+    }
+
+    /**
+     * HTML-escape a value, for function templates that interpolate props
+     * (SafeHTML.html escapes for the context instead)
+     */
+    static escape(value) {
+        return RegistrySafeHTML.text(value);
+    }
+
+    requirePlugin(name) {
+        const plugin = this.get(name);
+        if (!plugin) throw new Error(`Unknown component: ${name}`);
+        return plugin;
+    }
+
+    // Event System
+    on(event, callback) {
+        if (!this.events) this.events = {};
+        if (!this.events[event]) this.events[event] = [];
+        this.events[event].push(callback);
+    }
+
+    emit(event, data) {
+        if (!this.events || !this.events[event]) return;
+        this.events[event].forEach(callback => callback(data));
+    }
+
+    off(event, callback) {
+        if (!this.events || !this.events[event]) return;
+        this.events[event] = this.events[event].filter(cb => cb !== callback);
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.ComponentRegistry = ComponentRegistry;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ComponentRegistry;
+}
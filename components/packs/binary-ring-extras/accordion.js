@@ -0,0 +1,56 @@
+/**
+ * FAQ Accordion component pack for WebpageGenerator
+ * Load with generator.loadComponentPack('components/packs/binary-ring-extras')
+ */
+
+const ComponentRegistry = require('../../../component-registry');
+
+const escape = ComponentRegistry.escape;
+
+module.exports = [
+    {
+        name: 'Accordion Behavior',
+        css: `
+        .accordion-item { border-bottom: 1px solid rgba(128, 128, 128, 0.3); }
+        .accordion-question { width: 100%; padding: 1rem 0; background: none; border: none; color: inherit; font: inherit; font-weight: 600; text-align: left; cursor: pointer; }
+        .accordion-answer { display: none; padding-bottom: 1rem; opacity: 0.8; }
+        .accordion-item.open .accordion-answer { display: block; }`,
+        script: `
+        // Accordion toggles
+        document.querySelectorAll('.accordion-question').forEach(button => {
+            button.addEventListener('click', () => {
+                const item = button.closest('.accordion-item');
+                item.classList.toggle('open');
+                button.setAttribute('aria-expanded', item.classList.contains('open'));
+            });
+        });`
+    },
+    {
+        name: 'FAQ Accordion',
+        dependencies: ['Accordion Behavior'],
+        props: {
+            title: { type: 'string', default: 'Frequently Asked Questions' },
+            items: {
+                type: 'array',
+                default: [
+                    { question: 'How does it work?', answer: 'Pick components, choose a theme and generate.' },
+                    { question: 'Can I add my own components?', answer: 'Yes, register a plugin or load a component pack.' }
+                ]
+            }
+        },
+        template: (description, keywords, props) => `
+    <section class="faq-section">
+        <div class="container">
+            <h2 class="section-title">${escape(props.title)}</h2>
+            <div class="accordion">
+                ${props.items.map(item => `
+                <div class="accordion-item">
+                    <button class="accordion-question" aria-expanded="false">${escape(item.question)}</button>
+                    <div class="accordion-answer">${escape(item.answer)}</div>
+                </div>
+                `).join('')}
+            </div>
+        </div>
+    </section>`
+    }
+];
@@ -0,0 +1,44 @@
+/**
+ * Newsletter signup component, written as a string template
+ */
+
+module.exports = {
+    name: 'Newsletter Signup',
+    props: {
+        title: { type: 'string', default: 'Stay in the loop' },
+        buttonLabel: { type: 'string', default: 'Subscribe' },
+        layout: { type: 'string', default: 'inline', enum: ['inline', 'stacked'] }
+    },
+    template: `
+    <section class="newsletter-section newsletter-{{layout}}">
+        <div class="container">
+            <h2 class="section-title">{{title}}</h2>
+            <p>{{description}}</p>
+            <form class="newsletter-form" onsubmit="handleNewsletterSubmit(event)">
+                <input type="email" placeholder="you@example.com" aria-label="Email address" required>
+                <button type="submit" class="btn btn-primary">{{buttonLabel}}</button>
+            </form>
+        </div>
+    </section>`,
+    css: `
+        .newsletter-section { padding: 4rem 2rem; text-align: center; }
+        .newsletter-form { display: flex; gap: 0.5rem; justify-content: center; margin-top: 1.5rem; }
+        .newsletter-stacked .newsletter-form { flex-direction: column; align-items: center; }
+        .newsletter-form input { padding: 0.75rem 1rem; border-radius: 8px; border: 1px solid rgba(128, 128, 128, 0.4); min-width: 260px; }`,
+    script: `
+        // Newsletter signup handler
+        function handleNewsletterSubmit(event) {
+            event.preventDefault();
+            event.target.innerHTML = '<p>Thanks for subscribing!</p>';
+        }`,
+    behavior: {
+        state: { subscribed: false },
+        handlers: {
+            subscribe: { params: ['event'], body: ['event.preventDefault()', 'subscribed = true'] }
+        },
+        bindings: [
+            ['onsubmit="handleNewsletterSubmit(event)"', d => d.on('submit', 'subscribe')],
+            ['</form>', d => `</form>\n            ${d.when('subscribed', '<p>Thanks for subscribing!</p>')}`]
+        ]
+    }
+};
@@ -0,0 +1,414 @@
+/**
+ * Binary Ring Abuse Guard
+ * Sits in front of every ledger grant (CreditsLedger options.guard) and enforces the
+ * limits in abuse-guard.json:
+ *
+ *   client grants - only actions marked clientGrant may be posted through the public earn route
+ *   max grants    - every grant is capped per action and currency (maxGrant); an action without
+ *                   a cap can not be granted at all, except refunds and adjustments
+ *   cooldowns     - minimum time between two grants for the same action
+ *   duplicates    - a grant whose metadata.contentHash was already paid for this action is refused
+ *   daily caps    - per action and overall, per currency, for the current UTC day
+ *   refunds       - must match an earlier debit ("<key>:refund"), may not exceed it and, per the
+ *                   refund action, must follow it within windowSeconds and stay under dailyLimit
+ *   sessions      - new anonymous sessions per client address (checkSession, used by POST /session)
+ *
+ * Grant limits are derived from the ledger itself, so they hold across restarts. Sessions are
+ * not ledger entries, so the session limit is counted in memory and starts over. Suspicious
+ * but allowed behaviour (bursts, oversized grants, repeated blocked attempts) is not refused;
+ * it raises a flag for moderation instead.
+ *
+ * Retrying a grant whose idempotency key is already stored is always allowed: the ledger
+ * answers it as a duplicate without paying again.
+ */
+
+const { LEDGER_REASONS } = require('./ledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAILY_HISTORY_LIMIT = 1000;
+
+// Refunds give back what was spent and adjustments are manual, so neither counts toward caps
+const UNCAPPED_REASONS = [LEDGER_REASONS.REFUND, LEDGER_REASONS.ADJUSTMENT];
+
+function guardError(code, message, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+}
+
+function sumByCurrency(entries) {
+    const totals = { credits: 0, xp: 0 };
+    entries.forEach(entry => {
+        if (entry.amount > 0) totals[entry.currency] += entry.amount;
+    });
+    return totals;
+}
+
+// ===============================
+// FLAG STORES
+// ===============================
+
+class MemoryAbuseFlagStore {
+    constructor() {
+        this.flags = [];
+        this.nextId = 1;
+    }
+
+    async add(flag) {
+        const stored = { id: this.nextId++, status: 'open', resolvedAt: null, note: null, ...flag };
+        this.flags.push(stored);
+        return stored;
+    }
+
+    async findOpen(userId, kind) {
+        return this.flags.find(f => f.userId === userId && f.kind === kind && f.status === 'open') || null;
+    }
+
+    async list({ status, userId, limit = 100 } = {}) {
+        return this.flags
+            .filter(f => !status || f.status === status)
+            .filter(f => !userId || f.userId === userId)
+            .sort((a, b) => b.id - a.id)
+            .slice(0, limit);
+    }
+
+    async resolve(id, { note = null, resolvedAt }) {
+        const flag = this.flags.find(f => f.id === id);
+        if (!flag) throw new Error(`Unknown abuse flag: ${id}`);
+        Object.assign(flag, { status: 'resolved', note, resolvedAt });
+        return flag;
+    }
+}
+
+/**
+ * Supabase store backed by the abuse_flags table (see migrations/010_abuse_flags.sql)
+ */
+class SupabaseAbuseFlagStore {
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+
+    async add(flag) {
+        const { data, error } = await this.supabase
+            .from('abuse_flags')
+            .insert({ user_id: flag.userId, kind: flag.kind, details: flag.details, created_at: flag.createdAt })
+            .select()
+            .single();
+
+        if (error) throw new Error(error.message);
+        return this.fromRow(data);
+    }
+
+    async findOpen(userId, kind) {
+        const { data, error } = await this.supabase
+            .from('abuse_flags')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('kind', kind)
+            .eq('status', 'open')
+            .limit(1);
+
+        if (error) throw new Error(error.message);
+        return data.length > 0 ? this.fromRow(data[0]) : null;
+    }
+
+    async list({ status, userId, limit = 100 } = {}) {
+        let query = this.supabase.from('abuse_flags').select('*');
+        if (status) query = query.eq('status', status);
+        if (userId) query = query.eq('user_id', userId);
+
+        const { data, error } = await query.order('id', { ascending: false }).limit(limit);
+        if (error) throw new Error(error.message);
+        return data.map(row => this.fromRow(row));
+    }
+
+    async resolve(id, { note = null, resolvedAt }) {
+        const { data, error } = await this.supabase
+            .from('abuse_flags')
+            .update({ status: 'resolved', note, resolved_at: resolvedAt })
+            .eq('id', id)
+            .select()
+            .maybeSingle();
+
+        if (error) throw new Error(error.message);
+        if (!data) throw new Error(`Unknown abuse flag: ${id}`);
+        return this.fromRow(data);
+    }
+
+    fromRow(row) {
+        return {
+            id: row.id,
+            userId: row.user_id,
+            kind: row.kind,
+            details: row.details || {},
+            status: row.status,
+            note: row.note,
+            createdAt: row.created_at,
+            resolvedAt: row.resolved_at
+        };
+    }
+}
+
+// ===============================
+// GUARD
+// ===============================
+
+class AbuseGuard {
+    constructor(config, options = {}) {
+        this.config = config;
+        this.flags = options.flags || new MemoryAbuseFlagStore();
+        this.now = options.now || (() => new Date());
+        this.locks = new Map();
+        this.blocked = new Map(); // userId -> timestamps of refused grants, pruned every window
+        this.blockedPrunedAt = 0;
+        this.sessions = new Map(); // client address -> times sessions were issued, pruned every window
+        this.sessionsPrunedAt = 0;
+    }
+
+    action(reason) {
+        return this.config.actions[reason] || {};
+    }
+
+    /**
+     * Only actions marked clientGrant can be granted through the public earn endpoint
+     */
+    allowsClientGrant(reason) {
+        return this.action(reason).clientGrant === true;
+    }
+
+    /**
+     * Check a submission, post it and raise anomaly flags. Serialized per user so
+     * two concurrent requests can not both pass the same cooldown or cap.
+     */
+    async admit(store, userId, grants, post) {
+        const previous = this.locks.get(userId) || Promise.resolve();
+        const run = async () => {
+            const fresh = [];
+            for (const grant of grants) {
+                if (!(await store.find(userId, grant.idempotencyKey))) fresh.push(grant);
+            }
+            if (fresh.length === 0) return post();
+
+            try {
+                await this.check(store, userId, fresh);
+            } catch (error) {
+                if (error.code) await this.recordBlocked(userId, error);
+                throw error;
+            }
+
+            const results = await post();
+            await this.detectAnomalies(store, userId, fresh);
+            return results;
+        };
+
+        const next = previous.then(run, run);
+        this.locks.set(userId, next.catch(() => {}));
+        return next;
+    }
+
+    async check(store, userId, grants) {
+        const reason = grants[0].reason;
+        if (grants.some(grant => grant.reason !== reason)) {
+            throw new Error('A submission must use a single ledger reason');
+        }
+
+        const now = this.now();
+        const action = this.action(reason);
+
+        if (reason === LEDGER_REASONS.REFUND) {
+            for (const grant of grants) await this.checkRefund(store, userId, grant);
+        } else if (!UNCAPPED_REASONS.includes(reason)) {
+            for (const grant of grants) {
+                const max = (action.maxGrant || {})[grant.currency];
+                if (!(grant.amount <= max)) {
+                    throw guardError('max_grant', `A ${reason} grant can be at most ${max || 0} ${grant.currency}`);
+                }
+            }
+        }
+
+        if (action.cooldownSeconds) {
+            const [last] = await store.list(userId, { reason, limit: 1 });
+            const waitMs = last ? Date.parse(last.createdAt) + action.cooldownSeconds * 1000 - now.getTime() : 0;
+            if (waitMs > 0) {
+                const retryAfter = Math.ceil(waitMs / 1000);
+                throw guardError('cooldown', `Slow down: ${reason} is on cooldown for ${retryAfter}s`, { retryAfter });
+            }
+        }
+
+        const contentHash = grants[0].metadata.contentHash;
+        if (action.duplicates && contentHash) {
+            const [earlier] = await store.list(userId, { reason, contentHash, limit: 1 });
+            if (earlier) {
+                throw guardError('duplicate', `Duplicate submission: this content was already rewarded on ${earlier.createdAt.slice(0, 10)}`);
+            }
+        }
+
+        if (UNCAPPED_REASONS.includes(reason)) return;
+
+        const dayStart = new Date(Math.floor(now.getTime() / DAY_MS) * DAY_MS);
+        const today = (await store.list(userId, { since: dayStart.toISOString(), limit: DAILY_HISTORY_LIMIT }))
+            .filter(entry => !UNCAPPED_REASONS.includes(entry.reason));
+        const requested = sumByCurrency(grants);
+        const retryAfter = Math.ceil((dayStart.getTime() + DAY_MS - now.getTime()) / 1000);
+
+        const limits = [
+            [action.dailyCap || {}, sumByCurrency(today.filter(entry => entry.reason === reason)), `${reason} limit`],
+            [this.config.dailyCaps || {}, sumByCurrency(today), 'daily limit']
+        ];
+        for (const [caps, earned, label] of limits) {
+            for (const [currency, cap] of Object.entries(caps)) {
+                if (requested[currency] > 0 && earned[currency] + requested[currency] > cap) {
+                    throw guardError('daily_cap', `You reached today's ${label} of ${cap} ${currency}`, { retryAfter });
+                }
+            }
+        }
+    }
+
+    async checkRefund(store, userId, grant) {
+        const debitKey = grant.idempotencyKey.replace(/:refund$/, '');
+        const debit = debitKey !== grant.idempotencyKey ? await store.find(userId, debitKey) : null;
+
+        if (!debit || debit.amount >= 0 || debit.currency !== grant.currency) {
+            throw guardError('invalid_refund', 'Refunds must reference an earlier debit as "<key>:refund"');
+        }
+        if (grant.amount > -debit.amount) {
+            throw guardError('invalid_refund', `Refund of ${grant.amount} exceeds the original debit of ${-debit.amount}`);
+        }
+
+        const { windowSeconds, dailyLimit } = this.action(LEDGER_REASONS.REFUND);
+        const now = this.now().getTime();
+        if (windowSeconds && Date.parse(debit.createdAt) + windowSeconds * 1000 < now) {
+            throw guardError('invalid_refund', `Refunds must be requested within ${windowSeconds}s of the charge`);
+        }
+        if (dailyLimit) {
+            const dayStart = new Date(Math.floor(now / DAY_MS) * DAY_MS);
+            const today = await store.list(userId, { reason: LEDGER_REASONS.REFUND, since: dayStart.toISOString(), limit: dailyLimit });
+            if (today.length >= dailyLimit) {
+                const retryAfter = Math.ceil((dayStart.getTime() + DAY_MS - now) / 1000);
+                throw guardError('daily_cap', `You reached today's limit of ${dailyLimit} refunds`, { retryAfter });
+            }
+        }
+    }
+
+    // ===============================
+    // ANOMALIES
+    // ===============================
+
+    async detectAnomalies(store, userId, grants) {
+        const { burst, largeGrant } = this.config.anomalies || {};
+        const now = this.now();
+
+        if (largeGrant) {
+            const large = grants.filter(grant => grant.amount > (largeGrant[grant.currency] || Infinity));
+            if (large.length > 0) {
+                await this.flag(userId, 'large_grant', {
+                    grants: large.map(({ reason, currency, amount, idempotencyKey }) => ({ reason, currency, amount, idempotencyKey }))
+                });
+            }
+        }
+
+        if (burst) {
+            const since = new Date(now.getTime() - burst.windowSeconds * 1000).toISOString();
+            const recent = (await store.list(userId, { since, limit: burst.maxGrants + 1 }))
+                .filter(entry => entry.amount > 0 && !UNCAPPED_REASONS.includes(entry.reason));
+            if (recent.length > burst.maxGrants) {
+                await this.flag(userId, 'burst', { grants: recent.length, windowSeconds: burst.windowSeconds });
+            }
+        }
+    }
+
+    async recordBlocked(userId, error) {
+        const rule = (this.config.anomalies || {}).blockedAttempts;
+        if (!rule) return;
+
+        const now = this.now().getTime();
+        this.pruneBlocked(now, rule.windowSeconds * 1000);
+        const recent = (this.blocked.get(userId) || [])
+            .filter(time => time > now - rule.windowSeconds * 1000)
+            .concat(now);
+        this.blocked.set(userId, recent);
+
+        if (recent.length >= rule.maxBlocked) {
+            await this.flag(userId, 'blocked_attempts', { attempts: recent.length, windowSeconds: rule.windowSeconds, lastCode: error.code });
+        }
+    }
+
+    /**
+     * Count a new session for a client address, refusing more than sessions.maxPerAddress
+     * within sessions.windowSeconds. Without a sessions rule every session is allowed.
+     */
+    checkSession(address) {
+        const rule = this.config.sessions;
+        if (!rule) return;
+
+        const now = this.now().getTime();
+        const windowMs = rule.windowSeconds * 1000;
+        if (this.sessionsPrunedAt <= now - windowMs) {
+            this.sessionsPrunedAt = now;
+            for (const [key, times] of this.sessions) {
+                if (times[times.length - 1] <= now - windowMs) this.sessions.delete(key);
+            }
+        }
+
+        const recent = (this.sessions.get(address) || []).filter(time => time > now - windowMs);
+        if (recent.length >= rule.maxPerAddress) {
+            const retryAfter = Math.ceil((recent[0] + windowMs - now) / 1000);
+            throw guardError('session_limit', `Too many new sessions from this address; try again in ${retryAfter}s`, { retryAfter });
+        }
+        this.sessions.set(address, recent.concat(now));
+    }
+
+    /**
+     * Forget users whose last refusal is older than the window, at most once per window
+     */
+    pruneBlocked(now, windowMs) {
+        if (this.blockedPrunedAt > now - windowMs) return;
+        this.blockedPrunedAt = now;
+        for (const [userId, times] of this.blocked) {
+            if (times[times.length - 1] <= now - windowMs) this.blocked.delete(userId);
+        }
+    }
+
+    /**
+     * Raise a moderation flag; one open flag per user and kind is enough
+     */
+    async flag(userId, kind, details) {
+        if (await this.flags.findOpen(userId, kind)) return null;
+
+        const flag = await this.flags.add({ userId, kind, details, createdAt: this.now().toISOString() });
+        this.emit('flag', flag);
+        return flag;
+    }
+
+    async listFlags(options) {
+        return this.flags.list(options);
+    }
+
+    async resolveFlag(id, note) {
+        return this.flags.resolve(id, { note, resolvedAt: this.now().toISOString() });
+    }
+
+    // Event System
+    on(event, callback) {
+        if (!this.events) this.events = {};
+        if (!this.events[event]) this.events[event] = [];
+        this.events[event].push(callback);
+    }
+
+    emit(event, data) {
+        if (!this.events || !this.events[event]) return;
+        this.events[event].forEach(callback => callback(data));
+    }
+
+    off(event, callback) {
+        if (!this.events || !this.events[event]) return;
+        this.events[event] = this.events[event].filter(cb => cb !== callback);
+    }
+}
+
+module.exports = {
+    AbuseGuard,
+    MemoryAbuseFlagStore,
+    SupabaseAbuseFlagStore
+};
@@ -0,0 +1,265 @@
+/**
+ * Binary Ring Achievement Engine
+ * Evaluates events against declarative rule definitions (see achievements.json),
+ * persists progress and emits unlock events. Runs unchanged in the browser and in Node.
+ *
+ * Rule types:
+ *   counter - count (or sum a field of) matching events until a threshold
+ *   streak  - matching events on N consecutive days
+ *   window  - N matching events inside a sliding time window ("within": "10m", "1h", "2d")
+ * Any achievement may list "requires": [ids] that must be unlocked first.
+ */
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const DAY_MS = DURATION_UNITS.d;
+
+function parseDuration(value) {
+    if (typeof value === 'number') return value;
+    const match = /^(\d+)\s*([smhd])$/.exec(String(value).trim());
+    if (!match) throw new Error(`Invalid duration: ${value}`);
+    return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * Check an event payload against a "where" clause ({ field: value } or { field: { gte, lte, eq, in } })
+ */
+function matchesWhere(payload, where = {}) {
+    return Object.entries(where).every(([field, condition]) => {
+        const value = payload[field];
+        if (condition === null || typeof condition !== 'object') return value === condition;
+        if ('eq' in condition && value !== condition.eq) return false;
+        if ('gte' in condition && !(value >= condition.gte)) return false;
+        if ('lte' in condition && !(value <= condition.lte)) return false;
+        if ('in' in condition && !condition.in.includes(value)) return false;
+        return true;
+    });
+}
+
+function utcDayKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// ===============================
+// STORAGE
+// ===============================
+
+class MemoryAchievementStorage {
+    constructor(state = null) {
+        this.state = state;
+    }
+
+    async load() {
+        return this.state;
+    }
+
+    async save(state) {
+        this.state = JSON.parse(JSON.stringify(state));
+    }
+}
+
+class LocalStorageAchievementStorage {
+    constructor(key = 'binaryRingAchievements') {
+        this.key = key;
+    }
+
+    async load() {
+        const saved = localStorage.getItem(this.key);
+        return saved ? JSON.parse(saved) : null;
+    }
+
+    async save(state) {
+        localStorage.setItem(this.key, JSON.stringify(state));
+    }
+}
+
+// ===============================
+// ENGINE
+// ===============================
+
+class AchievementEngine {
+    constructor(definitions, options = {}) {
+        this.definitions = Array.isArray(definitions) ? definitions : definitions.achievements;
+        this.storage = options.storage || new MemoryAchievementStorage();
+        this.now = options.now || (() => new Date());
+        this.dayKey = options.dayKey || utcDayKey;
+        this.state = { achievements: {} };
+
+        this.validateDefinitions();
+    }
+
+    validateDefinitions() {
+        const ids = new Set();
+        this.definitions.forEach(def => {
+            if (!def.id || !def.rule) throw new Error('Achievement definitions need an id and a rule');
+            if (ids.has(def.id)) throw new Error(`Duplicate achievement id: ${def.id}`);
+            ids.add(def.id);
+
+            const { type } = def.rule;
+            if (!['counter', 'streak', 'window'].includes(type)) {
+                throw new Error(`Unknown rule type "${type}" in achievement ${def.id}`);
+            }
+            if (type === 'window') parseDuration(def.rule.within);
+        });
+
+        this.definitions.forEach(def => {
+            (def.requires || []).forEach(required => {
+                if (!ids.has(required)) throw new Error(`Achievement ${def.id} requires unknown achievement ${required}`);
+            });
+        });
+    }
+
+    /**
+     * Load persisted progress
+     */
+    async load() {
+        const saved = await this.storage.load();
+        this.state = saved && saved.achievements ? saved : { achievements: {} };
+        return this;
+    }
+
+    /**
+     * Feed one event through every rule. Resolves with the achievements it unlocked.
+     */
+    async track(eventType, payload = {}) {
+        const timestamp = this.now();
+        const unlocked = [];
+
+        this.definitions.forEach(def => {
+            const record = this.record(def.id);
+            if (record.unlockedAt || !this.listensTo(def.rule, eventType)) return;
+            if (!matchesWhere(payload, def.rule.where)) return;
+
+            this.apply(def.rule, record, payload, timestamp);
+            this.emit('progress', { achievement: def, ...this.getProgress(def.id) });
+        });
+
+        // Unlock in passes so chained prerequisites resolve in the same event
+        let changed = true;
+        while (changed) {
+            changed = false;
+            this.definitions.forEach(def => {
+                if (this.tryUnlock(def, timestamp)) {
+                    unlocked.push(def);
+                    changed = true;
+                }
+            });
+        }
+
+        await this.storage.save(this.state);
+        unlocked.forEach(def => this.emit('unlock', { achievement: def, unlockedAt: this.record(def.id).unlockedAt }));
+        return unlocked;
+    }
+
+    listensTo(rule, eventType) {
+        return rule.event === eventType || (rule.events || []).includes(eventType);
+    }
+
+    apply(rule, record, payload, timestamp) {
+        if (rule.type === 'counter') {
+            record.progress += rule.aggregate === 'sum' ? Number(payload[rule.field] || 0) : 1;
+        } else if (rule.type === 'streak') {
+            const today = this.dayKey(timestamp);
+            if (record.lastDay === today) return;
+            const yesterday = this.dayKey(new Date(timestamp.getTime() - DAY_MS));
+            record.progress = record.lastDay === yesterday ? record.progress + 1 : 1;
+            record.lastDay = today;
+        } else if (rule.type === 'window') {
+            const cutoff = timestamp.getTime() - parseDuration(rule.within);
+            record.timestamps = (record.timestamps || [])
+                .filter(t => t > cutoff)
+                .concat(timestamp.getTime());
+            record.progress = record.timestamps.length;
+        }
+    }
+
+    tryUnlock(def, timestamp) {
+        const record = this.record(def.id);
+        if (record.unlockedAt) return false;
+        if (def.rule.type === 'window') {
+            // Events may have aged out while waiting on a prerequisite
+            const cutoff = timestamp.getTime() - parseDuration(def.rule.within);
+            record.timestamps = (record.timestamps || []).filter(t => t > cutoff);
+            record.progress = record.timestamps.length;
+        }
+        if (record.progress < this.target(def)) return false;
+        if (!(def.requires || []).every(id => this.isUnlocked(id))) return false;
+
+        record.unlockedAt = timestamp.toISOString();
+        delete record.timestamps;
+        return true;
+    }
+
+    record(id) {
+        if (!this.state.achievements[id]) {
+            this.state.achievements[id] = { progress: 0, unlockedAt: null };
+        }
+        return this.state.achievements[id];
+    }
+
+    target(def) {
+        return def.rule.type === 'streak' ? def.rule.days : def.rule.threshold;
+    }
+
+    isUnlocked(id) {
+        return Boolean(this.state.achievements[id] && this.state.achievements[id].unlockedAt);
+    }
+
+    getProgress(id) {
+        const def = this.definitions.find(d => d.id === id);
+        if (!def) throw new Error(`Unknown achievement: ${id}`);
+
+        const record = this.state.achievements[id] || { progress: 0, unlockedAt: null };
+        const target = this.target(def);
+        const current = record.unlockedAt ? Math.max(record.progress, target) : record.progress;
+        return {
+            id,
+            current,
+            target,
+            percent: Math.min((current / target) * 100, 100),
+            unlocked: Boolean(record.unlockedAt),
+            unlockedAt: record.unlockedAt,
+            locked: !(def.requires || []).every(required => this.isUnlocked(required))
+        };
+    }
+
+    /**
+     * Every achievement with its definition and current progress
+     */
+    list() {
+        return this.definitions.map(def => ({ ...def, progress: this.getProgress(def.id) }));
+    }
+
+    // Event System
+    on(event, callback) {
+        if (!this.events) this.events = {};
+        if (!this.events[event]) this.events[event] = [];
+        this.events[event].push(callback);
+    }
+
+    emit(event, data) {
+        if (!this.events || !this.events[event]) return;
+        this.events[event].forEach(callback => callback(data));
+    }
+
+    off(event, callback) {
+        if (!this.events || !this.events[event]) return;
+        this.events[event] = this.events[event].filter(cb => cb !== callback);
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.AchievementEngine = AchievementEngine;
+    window.LocalStorageAchievementStorage = LocalStorageAchievementStorage;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AchievementEngine,
+        MemoryAchievementStorage,
+        LocalStorageAchievementStorage,
+        matchesWhere,
+        parseDuration
+    };
+}
@@ -0,0 +1,377 @@
+/**
+ * Binary Ring Credits API
+ * Express routes for the credits ledger (earn, spend, balance, history), metered page
+ * generation, link and photo analysis, SVG/PNG exports and leaderboards
+ *
+ * Routes under /:userId act for the user of the request's session token (credits/sessions.js)
+ * and refuse any other userId. Exports stay public so they can be embedded.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { LEDGER_REASONS, createIdempotencyKey } = require('./ledger');
+const { bearerToken } = require('./sessions');
+const { rewardEntry } = require('./rewards');
+const { analyzeUrl, calculateLinkReward, normalizeLinkUrl } = require('./link-analyzer');
+const { analyzePhoto, calculatePhotoReward } = require('./photo-analyzer');
+const { collectExportData } = require('./export-data');
+const { EXPORT_SCENES, buildScene, sceneToSVG } = require('./svg-export');
+const { RasterCache } = require('./png-rasterizer');
+const CreditMeter = require('./metering');
+const ProgressionSystem = require('./progression');
+const WebpageGenerator = require('../webpage-generator');
+const achievementDefinitions = require('./achievements.json');
+const pricingConfig = require('./pricing.json');
+const progressionConfig = require('./progression.json');
+const rewardsConfig = require('./rewards.json');
+
+// PNG exports are rendered on the request thread; scale 3 took over two seconds
+const MAX_EXPORT_SCALE = 2;
+
+const MAX_PAGE_ITEMS = 100;
+const MAX_PAGE_PROMPT = 2000;
+
+const GUARD_STATUS = {
+    cooldown: 429, daily_cap: 429, duplicate: 409, invalid_refund: 400, max_grant: 400, server_only: 403, session_limit: 429
+};
+const STREAK_STATUS = { already_claimed: 409, time_zone_pinned: 409, freeze_limit: 409 };
+
+/**
+ * Send a failed grant, mapping AbuseGuard and reward refusals to their HTTP status
+ */
+function sendGrantError(res, error) {
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(GUARD_STATUS[error.code] || 400).json({ error: error.message, code: error.code, retryAfter: error.retryAfter });
+}
+
+function sendStreakError(res, error) {
+    if (error.message.startsWith('Insufficient')) return res.status(402).json({ error: error.message });
+    if (STREAK_STATUS[error.code]) return res.status(STREAK_STATUS[error.code]).json({ error: error.message, code: error.code });
+    sendGrantError(res, error);
+}
+
+/**
+ * Links are paid once per normalized URL (see normalizeLinkUrl)
+ */
+function linkContentHash(url) {
+    return crypto.createHash('sha256').update(normalizeLinkUrl(url)).digest('hex').slice(0, 32);
+}
+
+function sameSecret(actual, expected) {
+    const a = Buffer.from(String(actual || ''));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * sessions is a SessionAuth; without it every per-user route answers 401.
+ * moderatorKey unlocks the moderation routes (X-Moderator-Key header); without it they answer 403.
+ * streaks is a DailyStreakService; without it the streak routes answer 404.
+ * rasterCache keeps rendered PNG exports (png-rasterizer.js RasterCache).
+ * generator supplies the components and themes of generate-page, which is priced from pricing.
+ */
+function createCreditsRouter({
+    ledger,
+    sessions = null,
+    streaks = null,
+    moderatorKey = null,
+    rewards = rewardsConfig.rewards,
+    analyzeLink = analyzeUrl,
+    achievements = achievementDefinitions,
+    progression = progressionConfig,
+    pricing = pricingConfig,
+    generator = new WebpageGenerator(),
+    rasterCache = new RasterCache(),
+    now = () => new Date()
+}) {
+    const router = express.Router();
+    router.use(express.json({ limit: '1mb' })); // Photo samples are up to 256x256 RGB, base64 encoded
+
+    const requireUser = (req, res, next) => {
+        const userId = sessions ? sessions.verify(bearerToken(req)) : null;
+        if (!userId) {
+            return res.status(401).json({ error: 'A valid session token is required', code: 'unauthenticated' });
+        }
+        if (userId !== req.params.userId) {
+            return res.status(403).json({ error: 'The session belongs to another user', code: 'forbidden' });
+        }
+        next();
+    };
+
+    const requireModerator = (req, res, next) => {
+        if (!moderatorKey || !sameSecret(req.get('x-moderator-key'), moderatorKey)) {
+            return res.status(403).json({ error: 'Moderator key required', code: 'forbidden' });
+        }
+        next();
+    };
+
+    // Start an anonymous session; the server chooses the user id. The guard limits new sessions
+    // per client address (req.ip), so the per-user caps can not be multiplied by starting over.
+    router.post('/session', (req, res) => {
+        if (!sessions) return res.status(404).json({ error: 'Sessions are not enabled' });
+        try {
+            if (ledger.guard) ledger.guard.checkSession(req.ip);
+        } catch (error) {
+            return sendGrantError(res, error);
+        }
+        res.status(201).json(sessions.issue());
+    });
+
+    // Moderation queue of abuse flags raised by the guard (status=open|resolved, userId)
+    router.get('/moderation/flags', requireModerator, async (req, res) => {
+        if (!ledger.guard) return res.json([]);
+        try {
+            const { status, userId } = req.query;
+            const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+            res.json(await ledger.guard.listFlags({ status, userId, limit }));
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    router.post('/moderation/flags/:id/resolve', requireModerator, async (req, res) => {
+        if (!ledger.guard) return res.status(404).json({ error: 'No abuse guard configured' });
+        try {
+            res.json(await ledger.guard.resolveFlag(Number(req.params.id), (req.body || {}).note));
+        } catch (error) {
+            const status = error.message.startsWith('Unknown abuse flag') ? 404 : 400;
+            res.status(status).json({ error: error.message });
+        }
+    });
+
+    router.get('/:userId/balance', requireUser, async (req, res) => {
+        try {
+            res.json(await ledger.balance(req.params.userId));
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    router.get('/:userId/history', requireUser, async (req, res) => {
+        try {
+            const { currency, reason } = req.query;
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+            res.json(await ledger.history(req.params.userId, { currency, reason, limit }));
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Rewards for actions taken in the page ({ reason, action }); see credits/rewards.js
+    router.post('/:userId/earn', requireUser, async (req, res) => {
+        try {
+            const entry = rewardEntry(rewards, req.body || {}, now());
+            if (ledger.guard && !ledger.guard.allowsClientGrant(entry.reason)) {
+                return res.status(403).json({ error: `${entry.reason} can only be granted by the server`, code: 'server_only' });
+            }
+            const result = await ledger.earn(req.params.userId, entry);
+            res.status(result.duplicate ? 200 : 201).json(result);
+        } catch (error) {
+            sendGrantError(res, error);
+        }
+    });
+
+    router.post('/:userId/spend', requireUser, async (req, res) => {
+        try {
+            const result = await ledger.spend(req.params.userId, req.body);
+            res.status(result.duplicate ? 200 : 201).json(result);
+        } catch (error) {
+            const status = error.message.startsWith('Insufficient') ? 402 : 400;
+            res.status(status).json({ error: error.message });
+        }
+    });
+
+    // Generate a page ({ contextItems, prompt }) and charge its quote. Generation runs here so
+    // the refund of a failed page is based on a failure the server saw; locked themes generate as Default.
+    router.post('/:userId/generate-page', requireUser, async (req, res) => {
+        const { userId } = req.params;
+        const { contextItems, prompt = '' } = req.body || {};
+        if (!Array.isArray(contextItems) || contextItems.length > MAX_PAGE_ITEMS || typeof prompt !== 'string') {
+            return res.status(400).json({ error: `contextItems must be a list of up to ${MAX_PAGE_ITEMS} items and prompt a string` });
+        }
+
+        try {
+            const { xp } = await ledger.balance(userId);
+            const levels = new ProgressionSystem(progression);
+            const pages = new WebpageGenerator({
+                components: generator.components,
+                themes: generator.themes,
+                dataSources: generator.dataSources,
+                accessibility: generator.accessibility,
+                promptParser: generator.promptParser,
+                meter: new CreditMeter({ pricing, account: ledger.forUser(userId) }),
+                isThemeUnlocked: theme => levels.isUnlocked(xp || 0, 'generator-theme', theme)
+            });
+            const { html, quote } = await pages.generateMeteredPage(contextItems, prompt.slice(0, MAX_PAGE_PROMPT), {
+                idempotencyKey: createIdempotencyKey('generate-page', crypto.randomUUID())
+            });
+            res.status(201).json({ html, quote, balance: await ledger.balance(userId) });
+        } catch (error) {
+            if (error.refund) {
+                return res.status(422).json({ error: `Page generation failed: ${error.message}`, balance: error.refund.balance });
+            }
+            if (error.message.startsWith('Insufficient')) return res.status(402).json({ error: error.message });
+            sendGrantError(res, error);
+        }
+    });
+
+    // Daily bonus streak: status, claim, freezes and the time zone days are counted in.
+    // Every response includes the streak status after the change.
+    const streakRoute = action => [requireUser, async (req, res) => {
+        if (!streaks) return res.status(404).json({ error: 'Daily streaks are not enabled' });
+        try {
+            res.json(await action(req.params.userId, req.body || {}));
+        } catch (error) {
+            sendStreakError(res, error);
+        }
+    }];
+
+    router.get('/:userId/streak', ...streakRoute(userId => streaks.status(userId)));
+    router.post('/:userId/streak/claim', ...streakRoute(userId => streaks.claim(userId)));
+    router.post('/:userId/streak/freeze', ...streakRoute(userId => streaks.buyFreeze(userId)));
+    router.put('/:userId/streak/time-zone', ...streakRoute((userId, { timeZone }) => streaks.setTimeZone(userId, timeZone)));
+
+    // Fetch and analyze a page server-side; the reward is derived from the detected sections
+    // and paid once per page
+    router.post('/:userId/analyze-link', requireUser, async (req, res) => {
+        const { url } = req.body || {};
+        let analysis;
+        try {
+            analysis = await analyzeLink(url);
+        } catch (error) {
+            return res.status(422).json({ error: `Link analysis failed: ${error.message}` });
+        }
+
+        const reward = calculateLinkReward(analysis);
+        if (reward.credits === 0) {
+            return res.json({ analysis, reward, balance: await ledger.balance(req.params.userId) });
+        }
+
+        try {
+            const contentHash = linkContentHash(analysis.url);
+            const result = await ledger.earn(req.params.userId, {
+                amount: reward.credits,
+                reason: LEDGER_REASONS.LINK_ANALYSIS,
+                idempotencyKey: createIdempotencyKey('link', contentHash),
+                metadata: { url: analysis.url, contentHash, sections: analysis.sections.map(s => s.id) }
+            });
+            res.status(result.duplicate ? 200 : 201).json({ analysis, reward, ...result });
+        } catch (error) {
+            sendGrantError(res, error);
+        }
+    });
+
+    // Analyze a downsampled photo server-side; each reached level is paid once per photo (keyed by perceptual hash)
+    router.post('/:userId/analyze-photo', requireUser, async (req, res) => {
+        const { width, height, sample } = req.body || {};
+        let analysis;
+        try {
+            analysis = analyzePhoto({
+                width,
+                height,
+                sample: sample && { width: sample.width, height: sample.height, data: Buffer.from(String(sample.data || ''), 'base64') }
+            });
+        } catch (error) {
+            return res.status(422).json({ error: `Photo analysis failed: ${error.message}` });
+        }
+
+        const reward = calculatePhotoReward(analysis);
+        if (reward.credits === 0) {
+            return res.json({ analysis, reward, duplicate: false, balance: await ledger.balance(req.params.userId) });
+        }
+
+        try {
+            const { perceptualHash } = analysis.metrics;
+            const results = await ledger.earnAll(req.params.userId, reward.levels.map(level => ({
+                amount: level.credits,
+                reason: LEDGER_REASONS.PHOTO_ANALYSIS,
+                idempotencyKey: `photo:${perceptualHash}:${level.id}`,
+                metadata: { level: level.id, contentHash: perceptualHash, tier: analysis.tier, complexity: analysis.complexity, metrics: analysis.metrics }
+            })));
+
+            const levels = reward.levels.map((level, i) => ({ ...level, duplicate: results[i].duplicate }));
+            const duplicate = levels.every(level => level.duplicate);
+            res.status(duplicate ? 200 : 201).json({
+                analysis,
+                reward: { ...reward, levels },
+                duplicate,
+                balance: results[results.length - 1].balance
+            });
+        } catch (error) {
+            sendGrantError(res, error);
+        }
+    });
+
+    // Embeddable exports, e.g. /api/credits/user_1/export/profile-card.svg or achievements.png?scale=2
+    router.get('/:userId/export/:file', async (req, res) => {
+        const match = /^([a-z-]+)\.(svg|png)$/.exec(req.params.file);
+        if (!match || !EXPORT_SCENES[match[1]]) {
+            return res.status(404).json({ error: `Unknown export: ${req.params.file}` });
+        }
+
+        try {
+            const data = await collectExportData({ ledger, userId: req.params.userId, achievements, progression });
+            const scene = buildScene(match[1], data);
+            res.set('Cache-Control', 'public, max-age=300');
+
+            if (match[2] === 'png') {
+                const scale = Math.min(Math.max(parseInt(req.query.scale, 10) || 1, 1), MAX_EXPORT_SCALE);
+                res.set('ETag', `"${rasterCache.key(scene, scale)}"`);
+                if (req.fresh) return res.status(304).end();
+                res.type('png').send(rasterCache.render(scene, { scale }));
+            } else {
+                res.type('image/svg+xml').send(sceneToSVG(scene));
+            }
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    return router;
+}
+
+// Missing values fall back to the defaults in leaderboards.json
+function leaderboardQuery(query) {
+    const limit = parseInt(query.limit, 10);
+    return {
+        metric: query.metric || undefined,
+        limit: limit > 0 ? Math.min(limit, 100) : undefined,
+        userId: query.userId
+    };
+}
+
+// Finished seasons are archived lazily, on the first request after they end
+function createLeaderboardRouter({ leaderboards }) {
+    const router = express.Router();
+
+    router.get('/seasons', async (req, res) => {
+        try {
+            res.json(await leaderboards.seasons());
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    router.get('/seasons/:seasonId', async (req, res) => {
+        try {
+            res.json(await leaderboards.season(req.params.seasonId, leaderboardQuery(req.query)));
+        } catch (error) {
+            const status = error.message.startsWith('Unknown season') ? 404 : 400;
+            res.status(status).json({ error: error.message });
+        }
+    });
+
+    // e.g. /api/leaderboards/weekly?metric=xp&limit=10&userId=user_1
+    router.get('/:period', async (req, res) => {
+        try {
+            res.json(await leaderboards.board({ period: req.params.period, ...leaderboardQuery(req.query) }));
+        } catch (error) {
+            const status = error.message.startsWith('Unknown leaderboard period') ? 404 : 400;
+            res.status(status).json({ error: error.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createCreditsRouter, createLeaderboardRouter };
@@ -0,0 +1,384 @@
+/**
+ * Binary Ring Daily Streaks
+ * Daily bonus claims with consecutive-day multipliers, grace days and streak
+ * freezes bought with credits (see daily-streak.json). Days are counted in the
+ * user's time zone, which is pinned once a bonus has been claimed so moving it
+ * can not open a second claim for the same day. The clock is injectable for tests.
+ *
+ * Streaks run on the server (DailyStreakService, behind /api/credits/:userId/streak):
+ * the account is CreditsLedger.forUser(id) and the state lives in a streak store.
+ */
+
+const STREAK_REASONS = typeof require === 'function'
+    ? require('./ledger').LEDGER_REASONS
+    : window.LEDGER_REASONS;
+
+const STREAK_DAY_MS = 24 * 60 * 60 * 1000;
+
+function systemTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+function assertTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (error) {
+        throw new Error(`Unknown time zone: ${timeZone}`);
+    }
+}
+
+/**
+ * Calendar day ("YYYY-MM-DD") of a date in a time zone
+ */
+function zonedDayKey(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+        .formatToParts(date)
+        .forEach(part => { parts[part.type] = part.value; });
+    return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+function streakError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function daysBetween(fromDay, toDay) {
+    return Math.round((Date.parse(`${toDay}T00:00:00Z`) - Date.parse(`${fromDay}T00:00:00Z`)) / STREAK_DAY_MS);
+}
+
+// ===============================
+// STORAGE
+// ===============================
+
+class MemoryStreakStorage {
+    constructor(state = null) {
+        this.state = state;
+    }
+
+    async load() {
+        return this.state;
+    }
+
+    async save(state) {
+        this.state = JSON.parse(JSON.stringify(state));
+    }
+}
+
+/**
+ * Streak state of every user, in memory; forUser(id) is the storage of one DailyStreak
+ */
+class MemoryStreakStore {
+    constructor() {
+        this.states = new Map();
+    }
+
+    forUser(userId) {
+        return {
+            load: async () => (this.states.has(userId) ? JSON.parse(this.states.get(userId)) : null),
+            save: async state => { this.states.set(userId, JSON.stringify(state)); }
+        };
+    }
+}
+
+/**
+ * Supabase store backed by the daily_streaks table (see migrations/013_daily_streaks.sql)
+ */
+class SupabaseStreakStore {
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+
+    forUser(userId) {
+        return {
+            load: async () => {
+                const { data, error } = await this.supabase
+                    .from('daily_streaks')
+                    .select('state')
+                    .eq('user_id', userId)
+                    .maybeSingle();
+
+                if (error) throw new Error(error.message);
+                return data ? data.state : null;
+            },
+            save: async state => {
+                const { error } = await this.supabase
+                    .from('daily_streaks')
+                    .upsert({ user_id: userId, state, updated_at: new Date().toISOString() });
+
+                if (error) throw new Error(error.message);
+            }
+        };
+    }
+}
+
+// ===============================
+// STREAK
+// ===============================
+
+class DailyStreak {
+    constructor(config, options = {}) {
+        this.config = config;
+        this.multipliers = [...(config.multipliers || [{ minStreak: 1, multiplier: 1 }])]
+            .sort((a, b) => a.minStreak - b.minStreak);
+        this.account = options.account || null;
+        this.storage = options.storage || new MemoryStreakStorage();
+        this.now = options.now || (() => new Date());
+        this.defaultTimeZone = options.timeZone || systemTimeZone();
+        assertTimeZone(this.defaultTimeZone);
+        this.state = this.emptyState();
+    }
+
+    emptyState() {
+        return { timeZone: null, current: 0, longest: 0, lastDay: null, freezes: 0, freezesBought: 0, history: [] };
+    }
+
+    async load() {
+        const saved = await this.storage.load();
+        this.state = saved ? { ...this.emptyState(), ...saved } : this.emptyState();
+        return this;
+    }
+
+    get timeZone() {
+        return this.state.timeZone || this.defaultTimeZone;
+    }
+
+    /**
+     * Days are counted in this zone from now on; it can not change once a bonus was claimed
+     */
+    async setTimeZone(timeZone) {
+        assertTimeZone(timeZone);
+        if (this.state.lastDay && timeZone !== this.timeZone) {
+            throw streakError('time_zone_pinned', `Your streak counts days in ${this.timeZone}; it can not change after a claim`);
+        }
+        this.state.timeZone = timeZone;
+        await this.storage.save(this.state);
+    }
+
+    /**
+     * Day key in the user's time zone, usable as the AchievementEngine dayKey option
+     */
+    dayKey(date) {
+        return zonedDayKey(date, this.timeZone);
+    }
+
+    multiplierFor(streak) {
+        const tier = this.multipliers.filter(m => m.minStreak <= streak).pop();
+        return tier ? tier.multiplier : 1;
+    }
+
+    /**
+     * What claiming on a given day would do: the new streak, its multiplier and the freezes it consumes
+     */
+    preview(day) {
+        const { lastDay, current, freezes } = this.state;
+        let streak = 1;
+        let freezesUsed = 0;
+
+        if (lastDay) {
+            const missed = daysBetween(lastDay, day) - 1 - (this.config.graceDays || 0);
+            if (missed <= 0) {
+                streak = current + 1;
+            } else if (missed <= freezes) {
+                streak = current + 1;
+                freezesUsed = missed;
+            }
+        }
+
+        const multiplier = this.multiplierFor(streak);
+        return {
+            day,
+            streak,
+            multiplier,
+            bonus: Math.round(this.config.baseBonus * multiplier),
+            freezesUsed,
+            broken: Boolean(lastDay) && streak === 1
+        };
+    }
+
+    status() {
+        const today = this.dayKey(this.now());
+        const canClaim = !this.state.lastDay || today > this.state.lastDay;
+        const next = canClaim ? this.preview(today) : null;
+
+        return {
+            timeZone: this.timeZone,
+            timeZonePinned: Boolean(this.state.lastDay),
+            today,
+            canClaim,
+            current: next && next.broken ? 0 : this.state.current,
+            longest: this.state.longest,
+            freezes: this.state.freezes,
+            maxFreezes: this.config.freezes.maxHeld,
+            freezeCost: this.config.freezes.cost,
+            next,
+            history: this.state.history
+        };
+    }
+
+    /**
+     * Claim today's bonus. The ledger entry is keyed by the day, so a repeated claim never pays twice.
+     */
+    async claim() {
+        const today = this.dayKey(this.now());
+        if (this.state.lastDay && today <= this.state.lastDay) {
+            throw streakError('already_claimed', `Daily bonus already claimed for ${today}`);
+        }
+
+        const claim = this.preview(today);
+        const result = await this.requireAccount().earn({
+            amount: claim.bonus,
+            reason: STREAK_REASONS.DAILY_BONUS,
+            idempotencyKey: `daily:${today}`,
+            metadata: { day: today, timeZone: this.timeZone, streak: claim.streak, multiplier: claim.multiplier }
+        });
+
+        const previousStreak = this.state.current;
+        this.state.timeZone = this.timeZone;
+        this.state.current = claim.streak;
+        this.state.longest = Math.max(this.state.longest, claim.streak);
+        this.state.lastDay = today;
+        this.state.freezes -= claim.freezesUsed;
+        this.state.history.unshift({
+            day: today,
+            streak: claim.streak,
+            multiplier: claim.multiplier,
+            bonus: result.entry.amount,
+            freezesUsed: claim.freezesUsed,
+            claimedAt: this.now().toISOString()
+        });
+        this.state.history = this.state.history.slice(0, this.config.historyLimit || 90);
+        await this.storage.save(this.state);
+
+        if (claim.broken) this.emit('streakLost', { previousStreak, day: today });
+        this.emit('claim', { ...claim, bonus: result.entry.amount, duplicate: result.duplicate });
+        return { ...claim, previousStreak, bonus: result.entry.amount, duplicate: result.duplicate, balance: result.balance };
+    }
+
+    /**
+     * Buy one streak freeze with credits; each covers one missed day
+     */
+    async buyFreeze() {
+        const { cost, maxHeld } = this.config.freezes;
+        if (this.state.freezes >= maxHeld) {
+            throw streakError('freeze_limit', `You can hold at most ${maxHeld} streak freezes`);
+        }
+
+        // Keyed by purchase number: retrying after a failed save replays the same debit
+        const purchase = this.state.freezesBought + 1;
+        const result = await this.requireAccount().spend({
+            amount: cost,
+            reason: STREAK_REASONS.STREAK_FREEZE,
+            idempotencyKey: `streak-freeze:${purchase}`,
+            metadata: { day: this.dayKey(this.now()) }
+        });
+
+        this.state.freezes += 1;
+        this.state.freezesBought = purchase;
+        await this.storage.save(this.state);
+
+        this.emit('freeze', { freezes: this.state.freezes });
+        return { freezes: this.state.freezes, balance: result.balance };
+    }
+
+    requireAccount() {
+        if (!this.account) throw new Error('DailyStreak has no account to post to');
+        return this.account;
+    }
+
+    // Event System
+    on(event, callback) {
+        if (!this.events) this.events = {};
+        if (!this.events[event]) this.events[event] = [];
+        this.events[event].push(callback);
+    }
+
+    emit(event, data) {
+        if (!this.events || !this.events[event]) return;
+        this.events[event].forEach(callback => callback(data));
+    }
+
+    off(event, callback) {
+        if (!this.events || !this.events[event]) return;
+        this.events[event] = this.events[event].filter(cb => cb !== callback);
+    }
+}
+
+// ===============================
+// SERVICE
+// ===============================
+
+/**
+ * The streaks of every user on the server. Each call loads the user's DailyStreak from
+ * the store and runs under a per-user lock, so two concurrent claims can not both pass.
+ * timeZone is the zone of users who have not chosen one.
+ */
+class DailyStreakService {
+    constructor(config, { ledger, store = new MemoryStreakStore(), now, timeZone = 'UTC' } = {}) {
+        if (!ledger) throw new Error('ledger is required');
+        this.config = config;
+        this.ledger = ledger;
+        this.store = store;
+        this.now = now || (() => new Date());
+        this.timeZone = timeZone;
+        this.locks = new Map();
+    }
+
+    run(userId, task) {
+        if (!userId) return Promise.reject(new Error('userId is required'));
+        const previous = this.locks.get(userId) || Promise.resolve();
+        const next = previous.then(() => this.withStreak(userId, task), () => this.withStreak(userId, task));
+        this.locks.set(userId, next.catch(() => {}));
+        return next;
+    }
+
+    async withStreak(userId, task) {
+        const streak = new DailyStreak(this.config, {
+            account: this.ledger.forUser(userId),
+            storage: this.store.forUser(userId),
+            now: this.now,
+            timeZone: this.timeZone
+        });
+        await streak.load();
+        const result = await task(streak);
+        return { ...result, status: streak.status() };
+    }
+
+    status(userId) {
+        return this.run(userId, () => ({}));
+    }
+
+    claim(userId) {
+        return this.run(userId, streak => streak.claim());
+    }
+
+    buyFreeze(userId) {
+        return this.run(userId, streak => streak.buyFreeze());
+    }
+
+    setTimeZone(userId, timeZone) {
+        return this.run(userId, async streak => {
+            await streak.setTimeZone(timeZone);
+            return {};
+        });
+    }
+}
+
+// Export for use in browser (zonedDayKey counts achievement days in the streak's time zone)
+if (typeof window !== 'undefined') {
+    window.zonedDayKey = zonedDayKey;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DailyStreak,
+        DailyStreakService,
+        MemoryStreakStorage,
+        MemoryStreakStore,
+        SupabaseStreakStore,
+        zonedDayKey,
+        daysBetween
+    };
+}
@@ -0,0 +1,178 @@
+/**
+ * Binary Ring Export Data
+ * Collects everything the SVG/PNG exports show from the ledger alone: balance,
+ * level, achievements (replayed from ledger entries), daily totals, the latest
+ * photo analysis and recent activity. The same ledger always yields the same data.
+ */
+
+const { LEDGER_REASONS } = require('./ledger');
+const { AchievementEngine } = require('./achievements');
+const ProgressionSystem = require('./progression');
+
+const EXPORT_HISTORY_LIMIT = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ACTIVITY_LABELS = {
+    [LEDGER_REASONS.PHOTO_ANALYSIS]: { type: 'photo', label: 'Photo analysis' },
+    [LEDGER_REASONS.LINK_ANALYSIS]: { type: 'link', label: 'Link analyzed' },
+    [LEDGER_REASONS.SET_CREATION]: { type: 'set', label: 'Set created' },
+    [LEDGER_REASONS.SUBSET_CREATION]: { type: 'set', label: 'Subset created' },
+    [LEDGER_REASONS.CONNECTION]: { type: 'set', label: 'Connection created' },
+    [LEDGER_REASONS.DAILY_BONUS]: { type: 'bonus', label: 'Daily bonus' },
+    [LEDGER_REASONS.ACHIEVEMENT]: { type: 'achievement', label: 'Achievement reward' },
+    [LEDGER_REASONS.GENERATION]: { type: 'spend', label: 'Generation' },
+    [LEDGER_REASONS.REFUND]: { type: 'bonus', label: 'Refund' },
+    [LEDGER_REASONS.STREAK_FREEZE]: { type: 'spend', label: 'Streak freeze' },
+    [LEDGER_REASONS.ADJUSTMENT]: { type: 'bonus', label: 'Adjustment' }
+};
+
+/**
+ * Photo analysis posts one entry per level with keys "<upload>:level1".."level4"
+ */
+function photoUploadKey(entry) {
+    return entry.idempotencyKey.replace(/:level\d+$/, '');
+}
+
+/**
+ * Achievement events implied by a ledger entry, mirroring what credits-system.html tracks
+ */
+function achievementEventsFor(entry, seenUploads) {
+    const events = [];
+
+    if (entry.reason === LEDGER_REASONS.PHOTO_ANALYSIS) {
+        const upload = photoUploadKey(entry);
+        if (!seenUploads.has(upload)) {
+            seenUploads.add(upload);
+            events.push(['photo_analyzed', {}]);
+        }
+    } else if (entry.reason === LEDGER_REASONS.LINK_ANALYSIS) {
+        events.push(['link_analyzed', { sectionCount: (entry.metadata.sections || []).length }]);
+    } else if (entry.reason === LEDGER_REASONS.SET_CREATION) {
+        events.push(['set_created', {}]);
+    } else if (entry.reason === LEDGER_REASONS.SUBSET_CREATION) {
+        events.push(['subset_created', {}]);
+    } else if (entry.reason === LEDGER_REASONS.CONNECTION) {
+        events.push(['connection_created', {}]);
+    } else if (entry.reason === LEDGER_REASONS.DAILY_BONUS) {
+        events.push(['daily_bonus_claimed', { streak: entry.metadata.streak }]);
+    }
+
+    if (entry.currency === 'credits' && entry.amount > 0 && entry.reason !== LEDGER_REASONS.REFUND) {
+        events.push(['credits_earned', { amount: entry.amount, reason: entry.reason }]);
+    }
+
+    return events;
+}
+
+/**
+ * Replay ledger entries (oldest first) through a fresh achievement engine
+ */
+async function replayAchievements(definitions, entries) {
+    let clock = new Date(0);
+    const engine = new AchievementEngine(definitions, { now: () => clock });
+    const seenUploads = new Set();
+
+    for (const entry of entries) {
+        clock = new Date(entry.createdAt);
+        for (const [eventType, payload] of achievementEventsFor(entry, seenUploads)) {
+            await engine.track(eventType, payload);
+        }
+    }
+
+    return engine.list().map(def => ({
+        id: def.id,
+        name: def.name,
+        icon: def.icon,
+        unlocked: def.progress.unlocked,
+        unlockedAt: def.progress.unlockedAt,
+        percent: def.progress.percent
+    }));
+}
+
+/**
+ * Running credit and XP totals for the last `days` days, ending on the last active day
+ */
+function dailyTotals(entries, days = 30) {
+    if (entries.length === 0) return [];
+
+    const dayOf = entry => entry.createdAt.slice(0, 10);
+    const lastDay = Date.parse(`${dayOf(entries[entries.length - 1])}T00:00:00Z`);
+    const firstDay = lastDay - (days - 1) * DAY_MS;
+    const totals = [];
+    const running = { credits: 0, xp: 0 };
+    let index = 0;
+
+    for (let time = firstDay; time <= lastDay; time += DAY_MS) {
+        const day = new Date(time).toISOString().slice(0, 10);
+        while (index < entries.length && dayOf(entries[index]) <= day) {
+            running[entries[index].currency] += entries[index].amount;
+            index++;
+        }
+        totals.push({ day, credits: running.credits, xp: running.xp });
+    }
+
+    return totals;
+}
+
+function latestPhotoAnalysis(entries) {
+    const photos = entries.filter(entry => entry.reason === LEDGER_REASONS.PHOTO_ANALYSIS);
+    if (photos.length === 0) return null;
+
+    const upload = photoUploadKey(photos[photos.length - 1]);
+    const levels = photos
+        .filter(entry => photoUploadKey(entry) === upload)
+        .map(entry => ({ level: entry.idempotencyKey.slice(upload.length + 1), credits: entry.amount }));
+
+    return {
+        analyzedAt: photos[photos.length - 1].createdAt,
+        metrics: photos[photos.length - 1].metadata.metrics || null,
+        levels,
+        total: levels.reduce((sum, level) => sum + level.credits, 0)
+    };
+}
+
+function recentActivity(entries, limit = 5) {
+    return entries.slice(-limit).reverse().map(entry => ({
+        ...(ACTIVITY_LABELS[entry.reason] || { type: 'bonus', label: entry.reason }),
+        createdAt: entry.createdAt,
+        currency: entry.currency,
+        amount: entry.amount
+    }));
+}
+
+/**
+ * Everything an export needs for one user
+ */
+async function collectExportData({ ledger, userId, achievements, progression }) {
+    const entries = (await ledger.history(userId, { limit: EXPORT_HISTORY_LIMIT }))
+        .slice()
+        .sort((a, b) => a.id - b.id);
+    const balance = await ledger.balance(userId);
+    const levels = new ProgressionSystem(progression);
+    const count = reason => entries.filter(entry => entry.reason === reason).length;
+
+    return {
+        userId,
+        balance,
+        level: levels.describe(balance.xp),
+        achievements: await replayAchievements(achievements, entries),
+        daily: dailyTotals(entries),
+        photo: latestPhotoAnalysis(entries),
+        activity: recentActivity(entries),
+        stats: {
+            uploads: new Set(entries.filter(e => e.reason === LEDGER_REASONS.PHOTO_ANALYSIS).map(photoUploadKey)).size,
+            links: count(LEDGER_REASONS.LINK_ANALYSIS),
+            sets: count(LEDGER_REASONS.SET_CREATION) + count(LEDGER_REASONS.SUBSET_CREATION),
+            connections: count(LEDGER_REASONS.CONNECTION)
+        },
+        asOf: entries.length > 0 ? entries[entries.length - 1].createdAt : null
+    };
+}
+
+module.exports = {
+    collectExportData,
+    replayAchievements,
+    dailyTotals,
+    latestPhotoAnalysis,
+    recentActivity
+};
@@ -0,0 +1,217 @@
+/**
+ * Binary Ring Leaderboard Widget
+ * Embeddable standings from /api/leaderboards with period tabs, a metric picker and
+ * archived seasons. Styles are injected once and scoped to .br-leaderboard.
+ *
+ *   new LeaderboardWidget({ container: '#leaderboard', userId: 'user_1' }).load();
+ */
+
+const LEADERBOARD_PERIODS = [
+    { id: 'global', label: 'All Time' },
+    { id: 'weekly', label: 'This Week' },
+    { id: 'seasonal', label: 'Season' }
+];
+
+const LEADERBOARD_METRICS = [
+    { id: 'credits', label: 'Credits', unit: '💰' },
+    { id: 'xp', label: 'XP', unit: 'XP' },
+    { id: 'achievements', label: 'Achievements', unit: '🏆' }
+];
+
+const LEADERBOARD_STYLES = `
+.br-leaderboard { display: flex; flex-direction: column; gap: 12px; }
+.br-leaderboard-controls { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+.br-leaderboard-tab { background: rgba(255,255,255,0.05); border: 1px solid rgba(255,255,255,0.15); color: inherit; padding: 6px 14px; border-radius: 20px; cursor: pointer; font: inherit; }
+.br-leaderboard-tab.active { background: linear-gradient(45deg, #00d4ff, #7b2ff7); border-color: transparent; }
+.br-leaderboard select { background: rgba(255,255,255,0.05); border: 1px solid rgba(255,255,255,0.15); color: inherit; padding: 6px 10px; border-radius: 10px; font: inherit; }
+.br-leaderboard select option { color: #000; }
+.br-leaderboard-meta { font-size: 12px; opacity: 0.6; }
+.br-leaderboard-list { list-style: none; margin: 0; padding: 0; display: flex; flex-direction: column; gap: 6px; }
+.br-leaderboard-row { display: grid; grid-template-columns: 40px 1fr auto; gap: 10px; align-items: center; padding: 8px 12px; border-radius: 10px; background: rgba(255,255,255,0.03); }
+.br-leaderboard-row.me { background: rgba(0,212,255,0.15); border: 1px solid rgba(0,212,255,0.4); }
+.br-leaderboard-rank { font-weight: bold; text-align: center; }
+.br-leaderboard-user { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.br-leaderboard-score { font-weight: bold; color: #ffd700; }
+.br-leaderboard-gap { text-align: center; opacity: 0.5; }
+.br-leaderboard-empty { opacity: 0.6; text-align: center; padding: 12px; }
+`;
+
+class LeaderboardWidget {
+    constructor({ container, baseUrl = '/api/leaderboards', userId = null, period = 'global', metric = 'credits', limit = 10, fetchImpl } = {}) {
+        this.container = typeof container === 'string' ? document.querySelector(container) : container;
+        if (!this.container) throw new Error('LeaderboardWidget needs a container element');
+
+        this.baseUrl = baseUrl;
+        this.userId = userId;
+        this.period = period;
+        this.metric = metric;
+        this.limit = limit;
+        this.seasonId = null; // null = the live board for the period
+        this.seasons = [];
+        this.fetch = fetchImpl || ((...args) => fetch(...args));
+    }
+
+    async load() {
+        LeaderboardWidget.injectStyles();
+        try {
+            this.seasons = await this.request('seasons');
+        } catch (error) {
+            this.seasons = [];
+        }
+        return this.refresh();
+    }
+
+    async refresh() {
+        const params = new URLSearchParams({ metric: this.metric, limit: this.limit });
+        if (this.userId) params.set('userId', this.userId);
+        const path = this.period === 'seasonal' && this.seasonId
+            ? `seasons/${encodeURIComponent(this.seasonId)}`
+            : this.period;
+
+        try {
+            this.render(await this.request(`${path}?${params}`));
+        } catch (error) {
+            this.render(null, error);
+        }
+    }
+
+    select({ period, metric, seasonId }) {
+        if (period !== undefined) {
+            this.period = period;
+            this.seasonId = null;
+        }
+        if (metric !== undefined) this.metric = metric;
+        if (seasonId !== undefined) this.seasonId = seasonId || null;
+        return this.refresh();
+    }
+
+    async request(path) {
+        const response = await this.fetch(`${this.baseUrl}/${path}`);
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(body.error || `Leaderboard request failed (${response.status})`);
+        return body;
+    }
+
+    render(result, error = null) {
+        const root = document.createElement('div');
+        root.className = 'br-leaderboard';
+        root.appendChild(this.renderControls());
+
+        if (error) {
+            root.appendChild(this.message(`Leaderboard unavailable: ${error.message}`));
+        } else {
+            root.appendChild(this.renderMeta(result));
+            root.appendChild(this.renderList(result));
+        }
+
+        this.container.replaceChildren(root);
+    }
+
+    renderControls() {
+        const controls = document.createElement('div');
+        controls.className = 'br-leaderboard-controls';
+
+        LEADERBOARD_PERIODS.forEach(period => {
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = 'br-leaderboard-tab' + (period.id === this.period ? ' active' : '');
+            tab.textContent = period.label;
+            tab.addEventListener('click', () => this.select({ period: period.id }));
+            controls.appendChild(tab);
+        });
+
+        const metric = document.createElement('select');
+        LEADERBOARD_METRICS.forEach(option => metric.add(new Option(option.label, option.id, false, option.id === this.metric)));
+        metric.addEventListener('change', () => this.select({ metric: metric.value }));
+        controls.appendChild(metric);
+
+        if (this.period === 'seasonal' && this.seasons.length > 1) {
+            const season = document.createElement('select');
+            this.seasons.forEach(option => {
+                const value = option.status === 'active' ? '' : option.id;
+                const label = option.status === 'active' ? `${option.name} (current)` : option.name;
+                season.add(new Option(label, value, false, value === (this.seasonId || '')));
+            });
+            season.addEventListener('change', () => this.select({ seasonId: season.value }));
+            controls.appendChild(season);
+        }
+
+        return controls;
+    }
+
+    renderMeta({ board, participants }) {
+        const meta = document.createElement('div');
+        meta.className = 'br-leaderboard-meta';
+        const range = board.startsAt
+            ? `${board.startsAt.slice(0, 10)} – ${new Date(Date.parse(board.endsAt) - 1).toISOString().slice(0, 10)}`
+            : 'All time';
+        const status = board.status === 'archived' ? ' · Final standings' : '';
+        meta.textContent = `${range}${status} · ${participants} ranked`;
+        return meta;
+    }
+
+    renderList({ entries, user }) {
+        if (entries.length === 0) return this.message('No scores yet. Be the first!');
+
+        const list = document.createElement('ol');
+        list.className = 'br-leaderboard-list';
+        entries.forEach(entry => list.appendChild(this.renderRow(entry)));
+
+        // Show the viewer's own rank when they are outside the visible rows
+        if (user && !entries.some(entry => entry.userId === user.userId)) {
+            const gap = document.createElement('li');
+            gap.className = 'br-leaderboard-gap';
+            gap.textContent = '⋯';
+            list.appendChild(gap);
+            list.appendChild(this.renderRow(user));
+        }
+
+        return list;
+    }
+
+    renderRow(entry) {
+        const unit = (LEADERBOARD_METRICS.find(metric => metric.id === this.metric) || {}).unit || '';
+        const medals = { 1: '🥇', 2: '🥈', 3: '🥉' };
+        const row = document.createElement('li');
+        row.className = 'br-leaderboard-row' + (entry.userId === this.userId ? ' me' : '');
+
+        const cells = [
+            ['br-leaderboard-rank', medals[entry.rank] || `#${entry.rank}`],
+            ['br-leaderboard-user', entry.userId === this.userId ? `${entry.userId} (you)` : entry.userId],
+            ['br-leaderboard-score', `${entry.score.toLocaleString()} ${unit}`]
+        ];
+        cells.forEach(([className, text]) => {
+            const cell = document.createElement('span');
+            cell.className = className;
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+
+        return row;
+    }
+
+    message(text) {
+        const empty = document.createElement('div');
+        empty.className = 'br-leaderboard-empty';
+        empty.textContent = text;
+        return empty;
+    }
+
+    static injectStyles() {
+        if (document.getElementById('br-leaderboard-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'br-leaderboard-styles';
+        style.textContent = LEADERBOARD_STYLES;
+        document.head.appendChild(style);
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.LeaderboardWidget = LeaderboardWidget;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LeaderboardWidget;
+}
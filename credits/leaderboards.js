@@ -0,0 +1,387 @@
+/**
+ * Binary Ring Leaderboards
+ * Global, weekly and seasonal standings computed from the ledger (see leaderboards.json).
+ *
+ * Metrics:
+ *   credits      - credits earned in the period (spends and refunds do not count)
+ *   xp           - XP earned in the period
+ *   achievements - achievements unlocked in the period, replayed from each user's history
+ *
+ * Weeks are ISO weeks starting Monday 00:00 UTC. Seasons are blocks of
+ * monthsPerSeason calendar months ("2026-S4" = Oct-Dec with 3-month seasons).
+ * When a season ends its final standings are archived and never recomputed.
+ *
+ * Standings are computed from the ledger at most once per config.cacheSeconds for each
+ * metric and window, and finished seasons are looked up in the archive once per season,
+ * so public board requests do not each read the whole ledger.
+ *
+ * Ties are broken by config.tieBreakers in order:
+ *   reachedAt - whoever reached the score first ranks higher
+ *   userId    - alphabetical, so the order is always total
+ */
+
+const { LEDGER_REASONS } = require('./ledger');
+const { replayAchievements } = require('./export-data');
+const leaderboardConfig = require('./leaderboards.json');
+const achievementDefinitions = require('./achievements.json');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const TIE_BREAKERS = {
+    reachedAt: (a, b) => Date.parse(a.reachedAt) - Date.parse(b.reachedAt),
+    userId: (a, b) => (a.userId < b.userId ? -1 : a.userId > b.userId ? 1 : 0)
+};
+
+// ===============================
+// PERIODS
+// ===============================
+
+function isoWeek(date) {
+    const day = (date.getUTCDay() + 6) % 7; // Monday = 0
+    const start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - day);
+
+    // The ISO year is the year of the week's Thursday
+    const thursday = new Date(start + 3 * 24 * 60 * 60 * 1000);
+    const firstThursday = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 4));
+    const firstWeekStart = Date.UTC(firstThursday.getUTCFullYear(), 0, 4 - ((firstThursday.getUTCDay() + 6) % 7));
+    const week = Math.round((start - firstWeekStart) / WEEK_MS) + 1;
+
+    return {
+        id: `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`,
+        startsAt: new Date(start).toISOString(),
+        endsAt: new Date(start + WEEK_MS).toISOString()
+    };
+}
+
+function seasonFor(date, monthsPerSeason) {
+    const year = date.getUTCFullYear();
+    const index = Math.floor(date.getUTCMonth() / monthsPerSeason);
+    return seasonById(`${year}-S${index + 1}`, monthsPerSeason);
+}
+
+function seasonById(id, monthsPerSeason) {
+    const match = /^(\d{4})-S(\d+)$/.exec(id);
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12 / monthsPerSeason) {
+        throw new Error(`Unknown season: ${id}`);
+    }
+    const year = Number(match[1]);
+    const index = Number(match[2]) - 1;
+    return {
+        id,
+        name: `Season ${year} S${index + 1}`,
+        startsAt: new Date(Date.UTC(year, index * monthsPerSeason, 1)).toISOString(),
+        endsAt: new Date(Date.UTC(year, (index + 1) * monthsPerSeason, 1)).toISOString()
+    };
+}
+
+// ===============================
+// ARCHIVES
+// ===============================
+
+class MemoryLeaderboardArchive {
+    constructor() {
+        this.seasons = new Map();
+    }
+
+    async has(seasonId) {
+        return this.seasons.has(seasonId);
+    }
+
+    async save(season, standingsByMetric) {
+        this.seasons.set(season.id, { season, standings: standingsByMetric, archivedAt: new Date().toISOString() });
+    }
+
+    async get(seasonId) {
+        return this.seasons.get(seasonId) || null;
+    }
+
+    async list() {
+        return [...this.seasons.values()].map(({ season, archivedAt }) => ({ ...season, archivedAt }));
+    }
+}
+
+/**
+ * Supabase archive backed by leaderboard_seasons / leaderboard_archive (see migrations/009_leaderboards.sql)
+ */
+class SupabaseLeaderboardArchive {
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+
+    async has(seasonId) {
+        const { data, error } = await this.supabase
+            .from('leaderboard_seasons')
+            .select('id')
+            .eq('id', seasonId)
+            .maybeSingle();
+
+        if (error) throw new Error(error.message);
+        return Boolean(data);
+    }
+
+    async save(season, standingsByMetric) {
+        const rows = Object.entries(standingsByMetric).flatMap(([metric, standings]) =>
+            standings.map(entry => ({
+                season_id: season.id,
+                metric,
+                rank: entry.rank,
+                user_id: entry.userId,
+                score: entry.score,
+                reached_at: entry.reachedAt
+            }))
+        );
+
+        // Standings first, so a season row always means a complete archive
+        if (rows.length > 0) {
+            const { error } = await this.supabase.from('leaderboard_archive').upsert(rows);
+            if (error) throw new Error(error.message);
+        }
+
+        const { error } = await this.supabase
+            .from('leaderboard_seasons')
+            .upsert({ id: season.id, name: season.name, starts_at: season.startsAt, ends_at: season.endsAt });
+        if (error) throw new Error(error.message);
+    }
+
+    async get(seasonId) {
+        const { data: season, error } = await this.supabase
+            .from('leaderboard_seasons')
+            .select('*')
+            .eq('id', seasonId)
+            .maybeSingle();
+
+        if (error) throw new Error(error.message);
+        if (!season) return null;
+
+        const { data: rows, error: rowsError } = await this.supabase
+            .from('leaderboard_archive')
+            .select('*')
+            .eq('season_id', seasonId)
+            .order('rank', { ascending: true });
+
+        if (rowsError) throw new Error(rowsError.message);
+
+        const standings = {};
+        rows.forEach(row => {
+            if (!standings[row.metric]) standings[row.metric] = [];
+            standings[row.metric].push({ rank: row.rank, userId: row.user_id, score: Number(row.score), reachedAt: row.reached_at });
+        });
+        return { season: this.fromRow(season), standings, archivedAt: season.archived_at };
+    }
+
+    async list() {
+        const { data, error } = await this.supabase
+            .from('leaderboard_seasons')
+            .select('*')
+            .order('starts_at', { ascending: false });
+
+        if (error) throw new Error(error.message);
+        return data.map(row => ({ ...this.fromRow(row), archivedAt: row.archived_at }));
+    }
+
+    fromRow(row) {
+        return { id: row.id, name: row.name, startsAt: row.starts_at, endsAt: row.ends_at };
+    }
+}
+
+// ===============================
+// LEADERBOARDS
+// ===============================
+
+class Leaderboards {
+    constructor({
+        ledger,
+        config = leaderboardConfig,
+        achievements = achievementDefinitions,
+        archive,
+        now
+    } = {}) {
+        this.ledger = ledger;
+        this.config = config;
+        this.achievements = achievements;
+        this.archive = archive || new MemoryLeaderboardArchive();
+        this.now = now || (() => new Date());
+        this.cache = new Map();
+        this.rolledOverSeason = null;
+
+        (config.tieBreakers || []).forEach(rule => {
+            if (!TIE_BREAKERS[rule]) throw new Error(`Unknown tie breaker: ${rule}`);
+        });
+    }
+
+    /**
+     * The window a board covers at a point in time
+     */
+    window(period, at = this.now()) {
+        if (period === 'global') return { id: 'global', startsAt: null, endsAt: null };
+        if (period === 'weekly') return isoWeek(at);
+        if (period === 'seasonal') return seasonFor(at, this.config.seasons.monthsPerSeason);
+        throw new Error(`Unknown leaderboard period: ${period}`);
+    }
+
+    validateMetric(metric) {
+        if (!this.config.metrics[metric]) throw new Error(`Unknown leaderboard metric: ${metric}`);
+    }
+
+    /**
+     * Live standings for a period, with the requesting user's own row even when outside the limit
+     */
+    async board({ period = 'global', metric = 'credits', limit = this.config.defaultLimit, userId } = {}) {
+        this.validateMetric(metric);
+        await this.rollover();
+
+        const window = this.window(period);
+        const standings = await this.standings(metric, window);
+        return {
+            board: { period, metric, ...window },
+            entries: standings.slice(0, limit),
+            user: userId ? standings.find(entry => entry.userId === userId) || null : null,
+            participants: standings.length
+        };
+    }
+
+    /**
+     * Rank every user with a positive score inside a window. Concurrent and repeated requests
+     * within cacheSeconds share one computation.
+     */
+    standings(metric, { startsAt, endsAt }) {
+        const now = this.now().getTime();
+        const key = `${metric}:${startsAt}:${endsAt}`;
+        const cached = this.cache.get(key);
+        if (cached && cached.expiresAt > now) return cached.standings;
+
+        this.cache.forEach((entry, cachedKey) => {
+            if (entry.expiresAt <= now) this.cache.delete(cachedKey);
+        });
+        const standings = this.computeStandings(metric, startsAt, endsAt);
+        this.cache.set(key, { standings, expiresAt: now + (this.config.cacheSeconds || 0) * 1000 });
+        standings.catch(() => this.cache.delete(key));
+        return standings;
+    }
+
+    async computeStandings(metric, startsAt, endsAt) {
+        const scores = metric === 'achievements'
+            ? await this.achievementScores(startsAt, endsAt)
+            : await this.ledgerScores(metric, startsAt, endsAt);
+
+        const tieBreakers = (this.config.tieBreakers || []).map(rule => TIE_BREAKERS[rule]);
+        return [...scores.values()]
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => {
+                if (b.score !== a.score) return b.score - a.score;
+                for (const compare of tieBreakers) {
+                    const result = compare(a, b);
+                    if (result !== 0) return result;
+                }
+                return 0;
+            })
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+    }
+
+    async ledgerScores(metric, since, until) {
+        const scores = new Map();
+        const entries = await this.ledger.allEntries({ since: since || undefined, until: until || undefined });
+
+        entries.forEach(entry => {
+            if (entry.currency !== metric || entry.amount <= 0 || entry.reason === LEDGER_REASONS.REFUND) return;
+            const score = scores.get(entry.userId) || { userId: entry.userId, score: 0, reachedAt: null };
+            score.score += entry.amount;
+            score.reachedAt = entry.createdAt;
+            scores.set(entry.userId, score);
+        });
+
+        return scores;
+    }
+
+    /**
+     * Achievements depend on a user's whole history, so replay everything up to the window end
+     */
+    async achievementScores(since, until) {
+        const byUser = new Map();
+        (await this.ledger.allEntries({ until: until || undefined })).forEach(entry => {
+            if (!byUser.has(entry.userId)) byUser.set(entry.userId, []);
+            byUser.get(entry.userId).push(entry);
+        });
+
+        const scores = new Map();
+        for (const [userId, entries] of byUser) {
+            const unlocked = (await replayAchievements(this.achievements, entries))
+                .filter(achievement => achievement.unlockedAt && (!since || achievement.unlockedAt >= since))
+                .map(achievement => achievement.unlockedAt)
+                .sort();
+            if (unlocked.length > 0) {
+                scores.set(userId, { userId, score: unlocked.length, reachedAt: unlocked[unlocked.length - 1] });
+            }
+        }
+        return scores;
+    }
+
+    /**
+     * Archive every finished season since config.seasons.firstSeason that is not archived yet
+     */
+    async rollover() {
+        const { monthsPerSeason, firstSeason } = this.config.seasons;
+        const current = seasonFor(this.now(), monthsPerSeason);
+        const archived = [];
+        if (this.rolledOverSeason === current.id) return archived;
+
+        let season = seasonById(firstSeason, monthsPerSeason);
+        while (season.startsAt < current.startsAt) {
+            if (!(await this.archive.has(season.id))) {
+                // Computed afresh, so a board cached just before the season ended is not archived
+                const standings = {};
+                for (const metric of Object.keys(this.config.metrics)) {
+                    standings[metric] = (await this.computeStandings(metric, season.startsAt, season.endsAt)).slice(0, this.config.archiveLimit);
+                }
+                await this.archive.save(season, standings);
+                archived.push(season.id);
+            }
+            season = seasonFor(new Date(season.endsAt), monthsPerSeason);
+        }
+
+        this.rolledOverSeason = current.id;
+        return archived;
+    }
+
+    /**
+     * The current season plus every archived one, newest first
+     */
+    async seasons() {
+        await this.rollover();
+        const current = seasonFor(this.now(), this.config.seasons.monthsPerSeason);
+        const archived = (await this.archive.list())
+            .sort((a, b) => (a.startsAt < b.startsAt ? 1 : -1))
+            .map(season => ({ ...season, status: 'archived' }));
+        return [{ ...current, status: 'active', archivedAt: null }, ...archived];
+    }
+
+    /**
+     * Final standings of an archived season, or live standings of the current one
+     */
+    async season(seasonId, { metric = 'credits', limit = this.config.defaultLimit, userId } = {}) {
+        this.validateMetric(metric);
+        const season = seasonById(seasonId, this.config.seasons.monthsPerSeason);
+        await this.rollover();
+
+        const archived = await this.archive.get(seasonId);
+        const standings = archived
+            ? archived.standings[metric] || []
+            : season.startsAt <= this.now().toISOString() ? await this.standings(metric, season) : [];
+
+        return {
+            board: { period: 'seasonal', metric, ...season, status: archived ? 'archived' : 'active', archivedAt: archived ? archived.archivedAt : null },
+            entries: standings.slice(0, limit),
+            user: userId ? standings.find(entry => entry.userId === userId) || null : null,
+            participants: standings.length
+        };
+    }
+}
+
+module.exports = {
+    Leaderboards,
+    MemoryLeaderboardArchive,
+    SupabaseLeaderboardArchive,
+    isoWeek,
+    seasonFor,
+    seasonById
+};
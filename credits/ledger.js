@@ -0,0 +1,499 @@
+/**
+ * Binary Ring Credits Ledger
+ * Append-only record of every credit and XP movement. Balances are derived
+ * from the entries instead of being stored as a number the client can edit.
+ */
+
+const LEDGER_CURRENCIES = ['credits', 'xp'];
+
+const LEDGER_REASONS = {
+    PHOTO_ANALYSIS: 'photo_analysis',
+    LINK_ANALYSIS: 'link_analysis',
+    SET_CREATION: 'set_creation',
+    SUBSET_CREATION: 'subset_creation',
+    CONNECTION: 'connection',
+    DAILY_BONUS: 'daily_bonus',
+    ACHIEVEMENT: 'achievement',
+    GENERATION: 'generation',
+    REFUND: 'refund',
+    STREAK_FREEZE: 'streak_freeze',
+    ADJUSTMENT: 'adjustment'
+};
+
+/**
+ * Build a stable idempotency key from its parts
+ */
+function createIdempotencyKey(...parts) {
+    return parts
+        .filter(part => part !== undefined && part !== null && part !== '')
+        .map(part => String(part).toLowerCase().replace(/[^a-z0-9._-]+/g, '-'))
+        .join(':');
+}
+
+/**
+ * Sum ledger entries into a balance object
+ */
+function summarizeEntries(entries) {
+    const balance = { credits: 0, xp: 0 };
+    entries.forEach(entry => {
+        balance[entry.currency] += entry.amount;
+    });
+    return balance;
+}
+
+// ===============================
+// STORES
+// ===============================
+
+/**
+ * In-memory store, used for development and tests
+ */
+class MemoryLedgerStore {
+    constructor(entries = []) {
+        this.entries = [...entries];
+        this.locks = new Map();
+    }
+
+    /**
+     * Serialize writes per user so balance checks and inserts are atomic
+     */
+    withUserLock(userId, task) {
+        const previous = this.locks.get(userId) || Promise.resolve();
+        const next = previous.then(task, task);
+        this.locks.set(userId, next.catch(() => {}));
+        return next;
+    }
+
+    async append(entry) {
+        return this.withUserLock(entry.userId, async () => {
+            const existing = this.entries.find(e =>
+                e.userId === entry.userId && e.idempotencyKey === entry.idempotencyKey
+            );
+            if (existing) {
+                return { entry: existing, duplicate: true };
+            }
+
+            if (entry.amount < 0) {
+                const balance = summarizeEntries(this.entries.filter(e => e.userId === entry.userId));
+                if (balance[entry.currency] + entry.amount < 0) {
+                    throw new Error(`Insufficient ${entry.currency}: balance ${balance[entry.currency]}, required ${-entry.amount}`);
+                }
+            }
+
+            const stored = { ...entry, id: this.entries.length + 1 };
+            this.entries.push(stored);
+            return { entry: stored, duplicate: false };
+        });
+    }
+
+    async balance(userId) {
+        return summarizeEntries(this.entries.filter(e => e.userId === userId));
+    }
+
+    async list(userId, { currency, reason, since, contentHash, limit = 50 } = {}) {
+        return this.entries
+            .filter(e => e.userId === userId)
+            .filter(e => !currency || e.currency === currency)
+            .filter(e => !reason || e.reason === reason)
+            .filter(e => !since || e.createdAt >= since)
+            .filter(e => !contentHash || e.metadata.contentHash === contentHash)
+            .sort((a, b) => b.id - a.id)
+            .slice(0, limit);
+    }
+
+    async find(userId, idempotencyKey) {
+        return this.entries.find(e => e.userId === userId && e.idempotencyKey === idempotencyKey) || null;
+    }
+
+    /**
+     * Entries of every user, oldest first, optionally limited to [since, until)
+     */
+    async listAll({ since, until } = {}) {
+        return this.entries
+            .filter(e => !since || e.createdAt >= since)
+            .filter(e => !until || e.createdAt < until)
+            .sort((a, b) => a.id - b.id);
+    }
+}
+
+/**
+ * Supabase store backed by the credit_ledger table (see migrations/007_credits_ledger.sql)
+ */
+class SupabaseLedgerStore {
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+
+    async append(entry) {
+        const { data, error } = await this.supabase
+            .rpc('post_credit_ledger_entry', {
+                p_user_id: entry.userId,
+                p_currency: entry.currency,
+                p_amount: entry.amount,
+                p_reason: entry.reason,
+                p_idempotency_key: entry.idempotencyKey,
+                p_metadata: entry.metadata
+            });
+
+        if (error) throw new Error(error.message);
+
+        const row = Array.isArray(data) ? data[0] : data;
+        return { entry: this.fromRow(row), duplicate: row.duplicate };
+    }
+
+    async balance(userId) {
+        const { data, error } = await this.supabase
+            .from('credit_balances')
+            .select('credits, xp')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) throw new Error(error.message);
+        return { credits: data ? Number(data.credits) : 0, xp: data ? Number(data.xp) : 0 };
+    }
+
+    async list(userId, { currency, reason, since, contentHash, limit = 50 } = {}) {
+        let query = this.supabase
+            .from('credit_ledger')
+            .select('*')
+            .eq('user_id', userId);
+
+        if (currency) query = query.eq('currency', currency);
+        if (reason) query = query.eq('reason', reason);
+        if (since) query = query.gte('created_at', since);
+        if (contentHash) query = query.eq('metadata->>contentHash', contentHash);
+
+        const { data, error } = await query
+            .order('id', { ascending: false })
+            .limit(limit);
+
+        if (error) throw new Error(error.message);
+        return data.map(row => this.fromRow(row));
+    }
+
+    async find(userId, idempotencyKey) {
+        const { data, error } = await this.supabase
+            .from('credit_ledger')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('idempotency_key', idempotencyKey)
+            .maybeSingle();
+
+        if (error) throw new Error(error.message);
+        return data ? this.fromRow(data) : null;
+    }
+
+    async listAll({ since, until, pageSize = 1000 } = {}) {
+        const entries = [];
+        for (let from = 0; ; from += pageSize) {
+            let query = this.supabase
+                .from('credit_ledger')
+                .select('*');
+
+            if (since) query = query.gte('created_at', since);
+            if (until) query = query.lt('created_at', until);
+
+            const { data, error } = await query
+                .order('id', { ascending: true })
+                .range(from, from + pageSize - 1);
+
+            if (error) throw new Error(error.message);
+            entries.push(...data.map(row => this.fromRow(row)));
+            if (data.length < pageSize) return entries;
+        }
+    }
+
+    fromRow(row) {
+        return {
+            id: row.id,
+            userId: row.user_id,
+            currency: row.currency,
+            amount: Number(row.amount),
+            reason: row.reason,
+            idempotencyKey: row.idempotency_key,
+            metadata: row.metadata || {},
+            createdAt: row.created_at
+        };
+    }
+}
+
+// ===============================
+// LEDGER
+// ===============================
+
+class CreditsLedger {
+    /**
+     * options.guard is an AbuseGuard (credits/abuse-guard.js) that every earn passes through
+     */
+    constructor(store = new MemoryLedgerStore(), options = {}) {
+        this.store = store;
+        this.now = options.now || (() => new Date());
+        this.guard = options.guard || null;
+    }
+
+    /**
+     * Credit the user with credits or XP
+     */
+    async earn(userId, entry) {
+        const [result] = await this.earnAll(userId, [entry]);
+        return result;
+    }
+
+    /**
+     * Credit several entries as one submission (e.g. every level of a photo), checked by the guard together
+     */
+    async earnAll(userId, entries) {
+        const grants = entries.map(({ currency = 'credits', amount, reason, idempotencyKey, metadata = {} }) => {
+            this.validate(userId, { currency, amount, reason, idempotencyKey });
+            return { userId, currency, amount, reason, idempotencyKey, metadata };
+        });
+
+        const postAll = async () => {
+            const results = [];
+            for (const grant of grants) results.push(await this.post(grant));
+            return results;
+        };
+        return this.guard ? this.guard.admit(this.store, userId, grants, postAll) : postAll();
+    }
+
+    /**
+     * Debit the user; fails without writing if the balance would go negative
+     */
+    async spend(userId, { currency = 'credits', amount, reason, idempotencyKey, metadata = {} }) {
+        this.validate(userId, { currency, amount, reason, idempotencyKey });
+        return this.post({ userId, currency, amount: -amount, reason, idempotencyKey, metadata });
+    }
+
+    /**
+     * Give back a generation charge. The amount and currency come from the charge entry, and the
+     * refund is keyed "<chargeKey>:refund" so a charge is refunded at most once.
+     */
+    async refund(userId, chargeKey, metadata = {}) {
+        if (!userId) throw new Error('userId is required');
+        const charge = typeof chargeKey === 'string' && chargeKey ? await this.store.find(userId, chargeKey) : null;
+        if (!charge || charge.amount >= 0 || charge.reason !== LEDGER_REASONS.GENERATION) {
+            const error = new Error('Refunds must reference an earlier generation charge');
+            error.code = 'invalid_refund';
+            throw error;
+        }
+
+        return this.earn(userId, {
+            currency: charge.currency,
+            amount: -charge.amount,
+            reason: LEDGER_REASONS.REFUND,
+            idempotencyKey: `${chargeKey}:refund`,
+            metadata: { ...metadata, chargeKey }
+        });
+    }
+
+    async balance(userId) {
+        if (!userId) throw new Error('userId is required');
+        return this.store.balance(userId);
+    }
+
+    async history(userId, options = {}) {
+        if (!userId) throw new Error('userId is required');
+        return this.store.list(userId, options);
+    }
+
+    /**
+     * Entries of every user, used for leaderboards
+     */
+    async allEntries(options = {}) {
+        return this.store.listAll(options);
+    }
+
+    /**
+     * Bind the ledger to one user, matching the CreditsLedgerClient interface
+     */
+    forUser(userId) {
+        return {
+            earn: entry => this.earn(userId, entry),
+            spend: entry => this.spend(userId, entry),
+            refund: (chargeKey, metadata) => this.refund(userId, chargeKey, metadata),
+            balance: () => this.balance(userId),
+            history: options => this.history(userId, options)
+        };
+    }
+
+    async post(entry) {
+        const { entry: stored, duplicate } = await this.store.append({
+            ...entry,
+            createdAt: this.now().toISOString()
+        });
+        const balance = await this.store.balance(entry.userId);
+        return { entry: stored, duplicate, balance };
+    }
+
+    validate(userId, { currency, amount, reason, idempotencyKey }) {
+        if (!userId) throw new Error('userId is required');
+        if (!LEDGER_CURRENCIES.includes(currency)) {
+            throw new Error(`Unknown currency: ${currency}`);
+        }
+        if (!Number.isInteger(amount) || amount <= 0) {
+            throw new Error('amount must be a positive integer');
+        }
+        if (!Object.values(LEDGER_REASONS).includes(reason)) {
+            throw new Error(`Unknown ledger reason: ${reason}`);
+        }
+        if (!idempotencyKey) throw new Error('idempotencyKey is required');
+    }
+}
+
+// ===============================
+// BROWSER CLIENT
+// ===============================
+
+const SESSION_STORAGE_KEY = 'br_credits_session';
+
+/**
+ * Talks to the credits API so the page never holds the authoritative balance
+ */
+class CreditsLedgerClient {
+    /**
+     * token is the session token the user id was issued with; see CreditsLedgerClient.connect
+     */
+    constructor({ userId, token, baseUrl = '/api/credits', fetchImpl, storage = null } = {}) {
+        this.userId = userId;
+        this.token = token;
+        this.baseUrl = baseUrl;
+        this.fetch = fetchImpl || ((...args) => fetch(...args));
+        this.storage = storage;
+    }
+
+    /**
+     * Resume the session saved in storage, or start a new one on the server
+     */
+    static async connect({ baseUrl = '/api/credits', fetchImpl, storage = typeof localStorage !== 'undefined' ? localStorage : null } = {}) {
+        const request = fetchImpl || ((...args) => fetch(...args));
+        let session = null;
+        try {
+            session = storage && JSON.parse(storage.getItem(SESSION_STORAGE_KEY));
+        } catch (error) {
+            session = null;
+        }
+
+        if (!session || !session.token || !(Date.parse(session.expiresAt) > Date.now())) {
+            const response = await request(`${baseUrl}/session`, { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `Could not start a credits session (${response.status})`);
+            }
+            session = data;
+            if (storage) storage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+        }
+        return new CreditsLedgerClient({ userId: session.userId, token: session.token, baseUrl, fetchImpl, storage });
+    }
+
+    /**
+     * Collect the reward for an action taken in the page, e.g. { reason: 'set_creation', action: 'design' }.
+     * The server sets the amount (credits/rewards.json).
+     */
+    async earn({ reason, action }) {
+        return this.request('POST', 'earn', { reason, action });
+    }
+
+    async spend(entry) {
+        return this.request('POST', 'spend', entry);
+    }
+
+    /**
+     * Generate a WebpageGenerator page on the server, which prices and charges it and
+     * refunds the charge itself if generation fails. Resolves with { html, quote, balance }.
+     */
+    async generatePage(contextItems, prompt = '') {
+        return this.request('POST', 'generate-page', { contextItems, prompt });
+    }
+
+    async balance() {
+        return this.request('GET', 'balance');
+    }
+
+    /**
+     * Daily bonus streak, kept on the server; each call resolves with the new status as `status`
+     */
+    async streak() {
+        return (await this.request('GET', 'streak')).status;
+    }
+
+    async claimStreak() {
+        return this.request('POST', 'streak/claim');
+    }
+
+    async buyStreakFreeze() {
+        return this.request('POST', 'streak/freeze');
+    }
+
+    async setStreakTimeZone(timeZone) {
+        return (await this.request('PUT', 'streak/time-zone', { timeZone })).status;
+    }
+
+    async history({ currency, reason, limit } = {}) {
+        const params = new URLSearchParams();
+        if (currency) params.set('currency', currency);
+        if (reason) params.set('reason', reason);
+        if (limit) params.set('limit', limit);
+        const query = params.toString();
+        return this.request('GET', query ? `history?${query}` : 'history');
+    }
+
+    /**
+     * Analyze a page's structure on the server and collect the link reward
+     */
+    async analyzeLink({ url }) {
+        return this.request('POST', 'analyze-link', { url });
+    }
+
+    /**
+     * Analyze a photo sample (from PhotoAnalyzer.encodeUpload) on the server and collect the level rewards
+     */
+    async analyzePhoto(upload) {
+        return this.request('POST', 'analyze-photo', upload);
+    }
+
+    /**
+     * URL of a server-rendered export ('profile-card', 'achievements', 'progress-chart', 'photo-analysis', 'timeline')
+     */
+    exportUrl(type, format = 'svg') {
+        return `${this.baseUrl}/${encodeURIComponent(this.userId)}/export/${type}.${format}`;
+    }
+
+    async request(method, path, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.token) headers.Authorization = `Bearer ${this.token}`;
+        const response = await this.fetch(`${this.baseUrl}/${encodeURIComponent(this.userId)}/${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const data = await response.json();
+        // The server no longer accepts the saved session (e.g. a new signing secret); start over next time
+        if (response.status === 401 && this.storage) this.storage.removeItem(SESSION_STORAGE_KEY);
+        if (!response.ok) {
+            throw new Error(data.error || `Credits API request failed (${response.status})`);
+        }
+        return data;
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.CreditsLedgerClient = CreditsLedgerClient;
+    window.LEDGER_REASONS = LEDGER_REASONS;
+    window.createIdempotencyKey = createIdempotencyKey;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CreditsLedger,
+        CreditsLedgerClient,
+        MemoryLedgerStore,
+        SupabaseLedgerStore,
+        LEDGER_CURRENCIES,
+        LEDGER_REASONS,
+        createIdempotencyKey,
+        summarizeEntries
+    };
+}
@@ -0,0 +1,592 @@
+/**
+ * Binary Ring Link Structure Analyzer
+ * Finds landmark sections (header, nav, hero, pricing, FAQ, footer, ...) in raw HTML
+ * using DOM heuristics, and turns the result into a link analysis reward.
+ */
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Deeper elements get no children, which bounds the per-element subtree searches
+const MAX_DEPTH = 256;
+
+const SECTIONING_TAGS = new Set(['section', 'article', 'aside', 'nav', 'header', 'footer', 'main']);
+
+const CANDIDATE_TAGS = new Set([
+    'header', 'nav', 'main', 'footer', 'aside', 'section', 'article', 'form', 'div'
+]);
+
+/**
+ * Landmark rules, checked in order. Weights add up into a 0..1 confidence.
+ */
+const LANDMARK_RULES = [
+    { id: 'header', label: 'Header', tags: ['header'], roles: ['banner'], keywords: ['header', 'masthead', 'topbar'] },
+    { id: 'navigation', label: 'Navigation', tags: ['nav'], roles: ['navigation'], keywords: ['nav', 'navbar', 'navigation', 'menu'] },
+    { id: 'hero', label: 'Hero Section', keywords: ['hero', 'jumbotron', 'splash', 'banner', 'intro'] },
+    { id: 'features', label: 'Features', keywords: ['features', 'feature', 'benefits'], headings: ['features', 'why choose', 'benefits'] },
+    { id: 'about', label: 'About Us', keywords: ['about'], headings: ['about', 'who we are', 'our story'] },
+    { id: 'services', label: 'Services', keywords: ['services', 'service'], headings: ['services', 'what we do'] },
+    { id: 'portfolio', label: 'Portfolio', keywords: ['portfolio', 'projects', 'work', 'showcase'], headings: ['portfolio', 'our work', 'projects'] },
+    { id: 'gallery', label: 'Gallery', keywords: ['gallery', 'photos', 'lightbox'], headings: ['gallery', 'photos'] },
+    { id: 'testimonials', label: 'Testimonials', keywords: ['testimonials', 'testimonial', 'reviews', 'quotes'], headings: ['testimonials', 'what our', 'reviews', 'what people say'] },
+    { id: 'pricing', label: 'Pricing', keywords: ['pricing', 'plans', 'price', 'prices'], headings: ['pricing', 'plans', 'choose your plan'] },
+    { id: 'faq', label: 'FAQ', keywords: ['faq', 'faqs', 'questions', 'accordion'], headings: ['faq', 'frequently asked', 'questions'] },
+    { id: 'team', label: 'Team Members', keywords: ['team', 'staff', 'people', 'founders'], headings: ['team', 'meet the', 'our people'] },
+    { id: 'stats', label: 'Stats', keywords: ['stats', 'statistics', 'numbers', 'counters', 'metrics'], headings: ['by the numbers', 'stats'] },
+    { id: 'blog', label: 'Blog Posts', tags: ['article'], keywords: ['blog', 'posts', 'articles', 'news'], headings: ['blog', 'latest posts', 'news'] },
+    { id: 'newsletter', label: 'Newsletter', keywords: ['newsletter', 'subscribe', 'signup'], headings: ['newsletter', 'subscribe', 'stay updated'] },
+    { id: 'cta', label: 'Call to Action', keywords: ['cta', 'callout', 'call-to-action'], headings: ['get started', 'ready to'] },
+    { id: 'contact', label: 'Contact', keywords: ['contact'], headings: ['contact', 'get in touch'] },
+    { id: 'search', label: 'Search', roles: ['search'], keywords: ['search'] },
+    { id: 'sidebar', label: 'Sidebar', tags: ['aside'], roles: ['complementary'], keywords: ['sidebar'] },
+    { id: 'main', label: 'Main Content', tags: ['main'], roles: ['main'] },
+    { id: 'footer', label: 'Footer', tags: ['footer'], roles: ['contentinfo'], keywords: ['footer', 'colophon'] }
+];
+
+const SIGNAL_WEIGHTS = {
+    tag: 0.5,
+    role: 0.6,
+    keyword: 0.4,
+    heading: 0.3,
+    position: 0.2
+};
+
+const LINK_REWARD_TIERS = [
+    { minSections: 12, credits: 1000, message: '🎉 Full reward! 12+ sections found!' },
+    { minSections: 6, credits: 500, message: 'Good analysis! 6-11 sections found!' },
+    { minSections: 1, credits: 100, message: 'Basic analysis complete!' }
+];
+
+// ===============================
+// HTML PARSING
+// ===============================
+
+/**
+ * Parse HTML into a lightweight element tree ({ tag, attrs, children, text })
+ * Tolerant of unclosed tags, which is the norm on real pages. A single forward scan, so the
+ * time is linear in the input; a tag cut off by the end of the input is dropped, as browsers do.
+ * Elements nested deeper than MAX_DEPTH are kept but get no children of their own.
+ */
+function parseHTML(html) {
+    const root = { tag: '#root', attrs: {}, children: [], parent: null };
+    const stack = [root];
+    // How many elements of each tag are open, so a stray close tag costs nothing
+    const openCounts = new Map();
+    const lower = html.toLowerCase();
+    const tagName = /[a-zA-Z][\w:-]*/y;
+    let index = 0;
+
+    const addText = text => {
+        if (text) stack[stack.length - 1].children.push({ tag: '#text', text: decodeEntities(text) });
+    };
+    const skipPast = (marker, from) => {
+        const at = html.indexOf(marker, from);
+        return at === -1 ? html.length : at + marker.length;
+    };
+
+    while (index < html.length) {
+        const open = html.indexOf('<', index);
+        if (open === -1) {
+            addText(html.slice(index));
+            break;
+        }
+        addText(html.slice(index, open));
+
+        if (html.startsWith('<!--', open)) {
+            index = skipPast('-->', open + 4);
+            continue;
+        }
+        if (html[open + 1] === '!' || html[open + 1] === '?') {
+            index = skipPast('>', open + 2);
+            continue;
+        }
+
+        const closing = html[open + 1] === '/';
+        tagName.lastIndex = closing ? open + 2 : open + 1;
+        const name = tagName.exec(html);
+        if (!name) {
+            addText('<');
+            index = open + 1;
+            continue;
+        }
+        const tag = name[0].toLowerCase();
+
+        if (closing) {
+            index = skipPast('>', tagName.lastIndex);
+            if (openCounts.get(tag)) {
+                while (stack.length > 1) {
+                    const element = stack.pop();
+                    openCounts.set(element.tag, openCounts.get(element.tag) - 1);
+                    if (element.tag === tag) break;
+                }
+            }
+            continue;
+        }
+
+        // The tag ends at the first '>' outside a quoted attribute value
+        let end = tagName.lastIndex;
+        let quote = null;
+        for (; end < html.length; end++) {
+            const char = html[end];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '>') {
+                break;
+            }
+        }
+        if (end === html.length) break;
+
+        const rawAttrs = html.slice(tagName.lastIndex, end);
+        const current = stack[stack.length - 1];
+        const element = { tag, attrs: parseAttributes(rawAttrs), children: [], parent: current };
+        current.children.push(element);
+        index = end + 1;
+
+        if (RAW_TEXT_ELEMENTS.has(tag)) {
+            const closeIndex = lower.indexOf(`</${tag}`, index);
+            const textEnd = closeIndex === -1 ? html.length : closeIndex;
+            element.children.push({ tag: '#text', text: decodeEntities(html.slice(index, textEnd)) });
+            index = closeIndex === -1 ? html.length : skipPast('>', closeIndex);
+        } else if (!rawAttrs.endsWith('/') && !VOID_ELEMENTS.has(tag) && stack.length <= MAX_DEPTH) {
+            stack.push(element);
+            openCounts.set(tag, (openCounts.get(tag) || 0) + 1);
+        }
+    }
+
+    return root;
+}
+
+function parseAttributes(raw) {
+    const attrs = {};
+    const attrPattern = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let match;
+    while ((match = attrPattern.exec(raw || '')) !== null) {
+        attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+    return attrs;
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Visit every element below node in document order. Iterative, so deep pages can not overflow the stack.
+ */
+function walk(node, visit) {
+    const pending = [[node, -1]];
+    while (pending.length > 0) {
+        const [current, depth] = pending.pop();
+        if (current !== node) visit(current, depth);
+        const children = current.children || [];
+        for (let i = children.length - 1; i >= 0; i--) {
+            if (children[i].tag !== '#text') pending.push([children[i], depth + 1]);
+        }
+    }
+}
+
+function textContent(node) {
+    const parts = [];
+    const pending = [node];
+    while (pending.length > 0) {
+        const current = pending.pop();
+        if (current.tag === '#text') {
+            parts.push(current.text);
+        } else if (current.tag !== 'script' && current.tag !== 'style') {
+            const children = current.children || [];
+            for (let i = children.length - 1; i >= 0; i--) pending.push(children[i]);
+        }
+    }
+    return parts.join(' ');
+}
+
+/**
+ * First element below node (in document order) matching predicate; skip(el) leaves out el's subtree
+ */
+function findFirst(node, predicate, skip = () => false) {
+    const pending = [...(node.children || [])].reverse();
+    while (pending.length > 0) {
+        const child = pending.pop();
+        if (child.tag === '#text') continue;
+        if (predicate(child)) return child;
+        if (skip(child)) continue;
+        const children = child.children || [];
+        for (let i = children.length - 1; i >= 0; i--) pending.push(children[i]);
+    }
+    return null;
+}
+
+/**
+ * For every element, its own heading (the first h1-h3 that is not inside a nested section)
+ * and whether it contains a details/dl list. Worked out children first in one pass, so deep
+ * pages do not search the same subtree once per ancestor.
+ */
+function indexSubtrees(root) {
+    const elements = [];
+    walk(root, element => elements.push(element));
+
+    const headings = new Map();
+    const lists = new Map();
+    for (let i = elements.length - 1; i >= 0; i--) {
+        const element = elements[i];
+        let heading = null;
+        let hasList = false;
+        for (const child of element.children) {
+            if (child.tag === '#text') continue;
+            if (!heading) {
+                if (/^h[1-3]$/.test(child.tag)) heading = child;
+                else if (!SECTIONING_TAGS.has(child.tag)) heading = headings.get(child);
+            }
+            hasList = hasList || child.tag === 'details' || child.tag === 'dl' || lists.get(child);
+        }
+        headings.set(element, heading);
+        lists.set(element, hasList);
+    }
+    return { headings, lists };
+}
+
+/**
+ * Split id/class values into lowercase tokens ("pricingTable site-footer" -> pricing, table, site, footer)
+ */
+function attributeTokens(element) {
+    const raw = `${element.attrs.id || ''} ${element.attrs.class || ''}`;
+    const tokens = raw
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[\s_-]+/)
+        .filter(Boolean);
+    // Keep hyphenated originals too so rules like 'call-to-action' can match
+    return new Set([...tokens, ...raw.toLowerCase().split(/\s+/).filter(Boolean)]);
+}
+
+function describeElement(element) {
+    let selector = element.tag;
+    if (element.attrs.id) selector += `#${element.attrs.id}`;
+    if (element.attrs.class) {
+        selector += element.attrs.class.trim().split(/\s+/).slice(0, 2).map(c => `.${c}`).join('');
+    }
+    return selector;
+}
+
+// ===============================
+// ANALYSIS
+// ===============================
+
+/**
+ * Score one element against one rule
+ */
+function scoreElement(element, rule, context) {
+    const signals = [];
+    const role = (element.attrs.role || '').toLowerCase();
+
+    if (rule.tags && rule.tags.includes(element.tag)) {
+        signals.push({ type: 'tag', value: element.tag, weight: SIGNAL_WEIGHTS.tag });
+    }
+    if (rule.roles && rule.roles.includes(role)) {
+        signals.push({ type: 'role', value: role, weight: SIGNAL_WEIGHTS.role });
+    }
+    if (rule.keywords) {
+        const keyword = rule.keywords.find(k => context.tokens.has(k));
+        if (keyword) {
+            signals.push({ type: 'keyword', value: keyword, weight: SIGNAL_WEIGHTS.keyword });
+        }
+    }
+    if (rule.headings && context.heading) {
+        const heading = rule.headings.find(h => context.heading.includes(h));
+        if (heading) {
+            signals.push({ type: 'heading', value: heading, weight: SIGNAL_WEIGHTS.heading });
+        }
+    }
+
+    // Position hints: the first block with an h1 is the hero, search forms have a search input
+    if (rule.id === 'hero' && context.isFirstH1Block) {
+        signals.push({ type: 'position', value: 'first h1 block', weight: SIGNAL_WEIGHTS.position + 0.1 });
+    }
+    if (rule.id === 'search' && element.tag === 'form' && findFirst(element, el => el.tag === 'input' && el.attrs.type === 'search')) {
+        signals.push({ type: 'tag', value: 'input[type=search]', weight: SIGNAL_WEIGHTS.tag });
+    }
+    if (rule.id === 'contact' && element.tag === 'form' && findFirst(element, el => el.attrs.type === 'email' || el.tag === 'textarea')) {
+        signals.push({ type: 'tag', value: 'form with email/message', weight: SIGNAL_WEIGHTS.heading });
+    }
+    if (rule.id === 'faq' && context.hasList) {
+        signals.push({ type: 'position', value: 'details/dl list', weight: SIGNAL_WEIGHTS.position });
+    }
+
+    const confidence = Math.min(1, signals.reduce((sum, s) => sum + s.weight, 0));
+    return { confidence, signals };
+}
+
+/**
+ * The closest section/div around the page's first h1 is usually the hero
+ */
+function findFirstH1Block(root) {
+    const h1 = findFirst(root, el => el.tag === 'h1');
+    let node = h1 ? h1.parent : null;
+    while (node && node.tag !== '#root') {
+        if (['header', 'nav', 'main', 'body', 'html'].includes(node.tag)) return null;
+        if (node.tag === 'section' || node.tag === 'div') return node;
+        node = node.parent;
+    }
+    return null;
+}
+
+/**
+ * Analyze raw HTML and return the landmark sections found in it
+ */
+function analyzeStructure(html, options = {}) {
+    const minConfidence = options.minConfidence ?? 0.3;
+    const root = parseHTML(html);
+    const titleNode = findFirst(root, el => el.tag === 'title');
+    const best = new Map();
+    const firstH1Block = findFirstH1Block(root);
+    const { headings, lists } = indexSubtrees(root);
+
+    walk(root, (element, depth) => {
+        const hasRole = Boolean(element.attrs.role);
+        if (!CANDIDATE_TAGS.has(element.tag) && !hasRole) return;
+
+        const headingNode = headings.get(element);
+        const heading = headingNode ? textContent(headingNode).replace(/\s+/g, ' ').trim().toLowerCase() : '';
+        const context = {
+            heading,
+            tokens: attributeTokens(element),
+            hasList: lists.get(element),
+            isFirstH1Block: element === firstH1Block
+        };
+
+        // Each element counts as one landmark: the rule it matches best
+        const match = LANDMARK_RULES
+            .map(rule => ({ rule, ...scoreElement(element, rule, context) }))
+            .reduce((top, candidate) => (candidate.confidence > top.confidence ? candidate : top));
+        if (match.confidence < minConfidence) return;
+
+        const { rule, confidence, signals } = match;
+        const previous = best.get(rule.id);
+        // Prefer higher confidence, then the outermost element
+        if (!previous || confidence > previous.confidence
+            || (confidence === previous.confidence && depth < previous.depth)) {
+            best.set(rule.id, {
+                id: rule.id,
+                label: rule.label,
+                confidence: Math.round(confidence * 100) / 100,
+                selector: describeElement(element),
+                signals: signals.map(({ type, value }) => ({ type, value })),
+                depth
+            });
+        }
+    });
+
+    const order = LANDMARK_RULES.map(rule => rule.id);
+    const sections = [...best.values()]
+        .sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id))
+        .map(({ depth, ...section }) => section);
+
+    return {
+        title: titleNode ? textContent(titleNode).trim() : '',
+        sectionCount: sections.length,
+        sections
+    };
+}
+
+/**
+ * Analyze a local HTML file (Node only)
+ */
+function analyzeFile(filePath, options = {}) {
+    const fs = require('fs');
+    return analyzeStructure(fs.readFileSync(filePath, 'utf8'), options);
+}
+
+// ===============================
+// FETCHING
+// ===============================
+
+const FETCH_LIMITS = {
+    timeoutMs: 10000,
+    maxBytes: 1024 * 1024,
+    maxRedirects: 5
+};
+
+// Loopback, private, link-local, shared (CGNAT), multicast and reserved ranges, plus the NAT64
+// and 6to4 prefixes, which embed an IPv4 address (64:ff9b::7f00:1 reaches 127.0.0.1)
+const NON_PUBLIC_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'], ['10.0.0.0', 8, 'ipv4'], ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'], ['169.254.0.0', 16, 'ipv4'], ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'], ['192.168.0.0', 16, 'ipv4'], ['198.18.0.0', 15, 'ipv4'],
+    ['224.0.0.0', 3, 'ipv4'],
+    ['::', 128, 'ipv6'], ['::1', 128, 'ipv6'], ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'], ['ff00::', 8, 'ipv6'], ['64:ff9b::', 96, 'ipv6'], ['2002::', 16, 'ipv6']
+];
+
+let nonPublicAddresses = null;
+
+/**
+ * Whether an IP address is publicly routable (IPv4-mapped IPv6 addresses are checked as IPv4)
+ */
+function isPublicAddress(address) {
+    const net = require('net');
+    if (!nonPublicAddresses) {
+        nonPublicAddresses = new net.BlockList();
+        NON_PUBLIC_RANGES.forEach(([network, prefix, type]) => nonPublicAddresses.addSubnet(network, prefix, type));
+    }
+    const type = net.isIP(address) === 4 ? 'ipv4' : 'ipv6';
+    return net.isIP(address) !== 0 && !nonPublicAddresses.check(address, type);
+}
+
+function fetchError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * A dns.lookup that refuses hosts resolving to a disallowed address. The socket connects to
+ * the address checked here, so the host can not be re-resolved to another one in between.
+ */
+function guardedLookup(lookup, allowAddress) {
+    return (hostname, options, callback) => {
+        lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+            const blocked = addresses.find(({ address }) => !allowAddress(address));
+            if (blocked || addresses.length === 0) {
+                return callback(fetchError('blocked_address', `${hostname} does not resolve to a public address`));
+            }
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+}
+
+/**
+ * GET one URL without following redirects. Resolves with { status, location, body }; the body is
+ * cut off with an error once it passes maxBytes.
+ */
+function requestPage(url, { lookup, allowAddress, maxBytes, deadline }) {
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (require('net').isIP(host) && !allowAddress(host)) {
+        return Promise.reject(fetchError('blocked_address', `${host} is not a public address`));
+    }
+
+    const client = require(url.protocol === 'https:' ? 'https' : 'http');
+    return new Promise((resolve, reject) => {
+        const request = client.get(url, {
+            headers: { 'User-Agent': 'BinaryRing-LinkAnalyzer/1.0', Accept: 'text/html', 'Accept-Encoding': 'identity' },
+            lookup: guardedLookup(lookup, allowAddress),
+            // A fresh connection per request, so every request goes through the lookup check
+            agent: false
+        }, response => {
+            const { statusCode: status, headers } = response;
+            if (status >= 300 && status < 400 && headers.location) {
+                response.resume();
+                return resolve({ status, location: headers.location });
+            }
+            if (Number(headers['content-length']) > maxBytes) {
+                return request.destroy(fetchError('too_large', `${url.href} is larger than ${maxBytes} bytes`));
+            }
+
+            const chunks = [];
+            let size = 0;
+            response.on('data', chunk => {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    request.destroy(fetchError('too_large', `${url.href} is larger than ${maxBytes} bytes`));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            response.on('end', () => resolve({ status, body: Buffer.concat(chunks).toString('utf8') }));
+            response.on('error', reject);
+        });
+
+        const timer = setTimeout(() => {
+            request.destroy(fetchError('timeout', `${url.href} did not answer in time`));
+        }, Math.max(0, deadline - Date.now()));
+        request.on('error', reject);
+        request.on('close', () => clearTimeout(timer));
+    });
+}
+
+/**
+ * Fetch a URL and analyze it (Node only). Only public addresses are fetched, on every redirect
+ * hop; the whole fetch has a time limit and the page a size limit (FETCH_LIMITS).
+ * options.lookup and options.allowAddress replace dns.lookup and isPublicAddress in tests.
+ */
+async function analyzeUrl(url, options = {}) {
+    const limits = { ...FETCH_LIMITS, ...options };
+    const lookup = options.lookup || require('dns').lookup;
+    const allowAddress = options.allowAddress || isPublicAddress;
+    const deadline = Date.now() + limits.timeoutMs;
+    let current = new URL(url);
+
+    for (let redirects = 0; ; redirects++) {
+        if (!['http:', 'https:'].includes(current.protocol)) {
+            throw new Error(`Unsupported protocol: ${current.protocol}`);
+        }
+        const response = await requestPage(current, { lookup, allowAddress, maxBytes: limits.maxBytes, deadline });
+
+        if (response.location) {
+            if (redirects >= limits.maxRedirects) {
+                throw fetchError('too_many_redirects', `${url} redirects more than ${limits.maxRedirects} times`);
+            }
+            current = new URL(response.location, current);
+            continue;
+        }
+        if (response.status < 200 || response.status >= 300) {
+            throw new Error(`Failed to fetch ${current.href} (${response.status})`);
+        }
+        return { url: current.href, ...analyzeStructure(response.body, options) };
+    }
+}
+
+/**
+ * The URL a link reward is keyed by: the same page under a different case, query string,
+ * fragment, default port, "www." or trailing slash normalizes the same
+ */
+function normalizeLinkUrl(url) {
+    const parsed = new URL(url);
+    const host = parsed.host.replace(/^www\./, '');
+    const path = parsed.pathname.replace(/\/{2,}/g, '/').replace(/\/+$/, '').toLowerCase();
+    return `${parsed.protocol}//${host}${path}`;
+}
+
+/**
+ * Map an analysis result to credits using the published reward tiers
+ */
+function calculateLinkReward(analysis) {
+    const tier = LINK_REWARD_TIERS.find(t => analysis.sectionCount >= t.minSections);
+    return tier
+        ? { credits: tier.credits, message: tier.message }
+        : { credits: 0, message: 'No recognizable sections found' };
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.LinkAnalyzer = { analyzeStructure, calculateLinkReward, LINK_REWARD_TIERS };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseHTML,
+        analyzeStructure,
+        analyzeFile,
+        analyzeUrl,
+        isPublicAddress,
+        normalizeLinkUrl,
+        calculateLinkReward,
+        LANDMARK_RULES,
+        LINK_REWARD_TIERS
+    };
+}
@@ -0,0 +1,137 @@
+/**
+ * Binary Ring Credit Metering
+ * Prices generation work from a pricing table (see pricing.json), quotes it
+ * up front and charges it through the ledger.
+ *
+ * The account is anything with balance() and spend(entry). On the server it is
+ * CreditsLedger.forUser(id), which can also refund(chargeKey, metadata): the debit is
+ * posted before the work runs and refunded if the work fails, and the ledger sets the
+ * refund from the charge. A CreditsLedgerClient can not refund (the server would have
+ * to trust the browser that the work failed), so work run in the browser is charged
+ * once it succeeds.
+ */
+
+const METERING_REASONS = typeof require === 'function'
+    ? require('./ledger').LEDGER_REASONS
+    : window.LEDGER_REASONS;
+
+class CreditMeter {
+    constructor({ pricing, account } = {}) {
+        if (!pricing) throw new Error('pricing is required');
+        this.pricing = pricing;
+        this.account = account || null;
+        this.currency = pricing.currency || 'credits';
+    }
+
+    /**
+     * Quote a WebpageGenerator page from its resolved components, theme and apps
+     */
+    quoteGeneratorPage({ components = [], theme = 'Default', apps = 0 } = {}) {
+        const table = this.pricing.generator;
+        const lineItems = [{ label: 'Page', amount: table.base || 0 }];
+
+        components.forEach(name => {
+            lineItems.push({ label: name, amount: this.lookup(table.components, name) });
+        });
+
+        const themeCost = this.lookup(table.themes, theme);
+        if (themeCost > 0) lineItems.push({ label: `${theme} theme`, amount: themeCost });
+
+        if (apps > 0 && table.perApp) {
+            lineItems.push({ label: `${apps} app${apps === 1 ? '' : 's'}`, amount: apps * table.perApp });
+        }
+
+        return this.quote('generator.page', lineItems);
+    }
+
+    quoteSnapPhoto(mode) {
+        const table = this.pricing.gembooth.snapPhoto;
+        const amount = (table.modes || {})[mode] !== undefined ? table.modes[mode] : table.base;
+        return this.quote('gembooth.snapPhoto', [{ label: `${mode} photo`, amount }]);
+    }
+
+    quoteMakeGif(frameCount) {
+        const table = this.pricing.gembooth.makeGif;
+        const lineItems = [{ label: 'GIF', amount: table.base || 0 }];
+        if (frameCount > 0 && table.perFrame) {
+            lineItems.push({ label: `${frameCount} frame${frameCount === 1 ? '' : 's'}`, amount: frameCount * table.perFrame });
+        }
+        return this.quote('gembooth.makeGif', lineItems);
+    }
+
+    lookup(table = {}, key) {
+        if (table[key] !== undefined) return table[key];
+        return table.default || 0;
+    }
+
+    quote(product, lineItems) {
+        return {
+            product,
+            currency: this.currency,
+            lineItems,
+            total: lineItems.reduce((sum, item) => sum + item.amount, 0)
+        };
+    }
+
+    /**
+     * Pre-flight check against the current balance. Advisory only; the debit in run() is what enforces it.
+     */
+    async check(quote) {
+        const balance = (await this.requireAccount().balance())[quote.currency];
+        return {
+            quote,
+            balance,
+            affordable: balance >= quote.total,
+            shortfall: Math.max(quote.total - balance, 0)
+        };
+    }
+
+    /**
+     * Debit the quote, run the task and refund the debit if the task throws; the
+     * task's error then carries the refund as error.refund. Accounts without refund()
+     * run the task first and are debited only when it succeeds.
+     * Use a fresh idempotency key per attempt; reusing one replays the original charge.
+     */
+    async run(quote, task, { idempotencyKey, metadata = {} } = {}) {
+        if (!idempotencyKey) throw new Error('idempotencyKey is required');
+        if (quote.total <= 0) return task();
+
+        const account = this.requireAccount();
+        const charge = {
+            currency: quote.currency,
+            amount: quote.total,
+            reason: METERING_REASONS.GENERATION,
+            idempotencyKey,
+            metadata: { ...metadata, product: quote.product, lineItems: quote.lineItems }
+        };
+
+        if (typeof account.refund !== 'function') {
+            const result = await task();
+            await account.spend(charge);
+            return result;
+        }
+
+        await account.spend(charge);
+        try {
+            return await task();
+        } catch (error) {
+            error.refund = await account.refund(idempotencyKey, { error: error.message });
+            throw error;
+        }
+    }
+
+    requireAccount() {
+        if (!this.account) throw new Error('CreditMeter has no account to charge');
+        return this.account;
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.CreditMeter = CreditMeter;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CreditMeter;
+}
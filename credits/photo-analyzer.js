@@ -0,0 +1,327 @@
+/**
+ * Binary Ring Photo Analyzer
+ * Measures how complex a photo is from its pixels (edge density, color entropy and distinct
+ * regions) and maps the result to the four photo analysis levels.
+ *
+ * The browser only downsamples the photo to an RGB sample (samplePhoto); the server
+ * recomputes every metric from that sample, so the client cannot choose its reward. The
+ * reported width and height only fix the sample's shape; they are not scored, since the
+ * server never sees the full-size photo.
+ * Metrics are rounded before scoring, which makes scorePhoto(storedMetrics) reproduce
+ * the original tier exactly. Uploads are keyed by a perceptual hash, so re-encoding
+ * or resizing the same photo does not pay twice.
+ */
+
+const PHOTO_SAMPLE_SIZE = 256; // Longest side of the analyzed sample, in pixels
+const PHOTO_MAX_MEGAPIXELS = 200;
+
+const EDGE_THRESHOLD = 100; // Sobel magnitude (0..~1440) that counts as an edge
+const REGION_MIN_AREA = 0.002; // Share of the sample a region needs to count
+
+/**
+ * Each metric is normalized against the value that counts as "fully complex"
+ */
+const COMPLEXITY_WEIGHTS = [
+    { metric: 'edgeDensity', weight: 0.35, full: 0.2 },
+    { metric: 'colorEntropy', weight: 0.35, full: 8 },
+    { metric: 'regions', weight: 0.3, full: 60 }
+];
+
+/**
+ * Levels are reached in order; a photo earns every level up to its tier.
+ * The region minimums keep random noise (many edges and colors, no shapes) out of the top levels.
+ */
+const PHOTO_LEVELS = [
+    { id: 'level1', name: 'Basic', credits: 100, minComplexity: 0.1, minRegions: 0 },
+    { id: 'level2', name: 'Intermediate', credits: 250, minComplexity: 0.3, minRegions: 0 },
+    { id: 'level3', name: 'Advanced', credits: 500, minComplexity: 0.5, minRegions: 8 },
+    { id: 'level4', name: 'Expert', credits: 750, minComplexity: 0.7, minRegions: 15 }
+];
+
+function round(value, digits = 4) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Size of the sample for a photo: the longest side scaled down to PHOTO_SAMPLE_SIZE
+ */
+function sampleDimensions(width, height) {
+    const scale = Math.min(1, PHOTO_SAMPLE_SIZE / Math.max(width, height));
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale))
+    };
+}
+
+// ===============================
+// METRICS
+// ===============================
+
+function luminance(sample) {
+    const { width, height, data } = sample;
+    const gray = new Float32Array(width * height);
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = 0.299 * data[i * 3] + 0.587 * data[i * 3 + 1] + 0.114 * data[i * 3 + 2];
+    }
+    return gray;
+}
+
+/**
+ * Share of interior pixels whose Sobel gradient exceeds EDGE_THRESHOLD
+ */
+function edgeDensity(gray, width, height) {
+    if (width < 3 || height < 3) return 0;
+
+    let edges = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const at = (dx, dy) => gray[(y + dy) * width + x + dx];
+            const gx = at(1, -1) + 2 * at(1, 0) + at(1, 1) - at(-1, -1) - 2 * at(-1, 0) - at(-1, 1);
+            const gy = at(-1, 1) + 2 * at(0, 1) + at(1, 1) - at(-1, -1) - 2 * at(0, -1) - at(1, -1);
+            if (Math.hypot(gx, gy) > EDGE_THRESHOLD) edges++;
+        }
+    }
+    return edges / ((width - 2) * (height - 2));
+}
+
+/**
+ * Shannon entropy in bits of the color histogram (4 bits per channel, 0..12)
+ */
+function colorEntropy(sample) {
+    const { data } = sample;
+    const pixels = data.length / 3;
+    const histogram = new Uint32Array(4096);
+    for (let i = 0; i < pixels; i++) {
+        histogram[((data[i * 3] >> 4) << 8) | ((data[i * 3 + 1] >> 4) << 4) | (data[i * 3 + 2] >> 4)]++;
+    }
+
+    let entropy = 0;
+    histogram.forEach(count => {
+        if (count === 0) return;
+        const p = count / pixels;
+        entropy -= p * Math.log2(p);
+    });
+    return entropy;
+}
+
+/**
+ * Connected areas of similar color (2 bits per channel, 4-connected) covering at least REGION_MIN_AREA
+ */
+function countRegions(sample) {
+    const { width, height, data } = sample;
+    const pixels = width * height;
+    const colors = new Uint8Array(pixels);
+    for (let i = 0; i < pixels; i++) {
+        colors[i] = ((data[i * 3] >> 6) << 4) | ((data[i * 3 + 1] >> 6) << 2) | (data[i * 3 + 2] >> 6);
+    }
+
+    const minArea = Math.max(4, Math.ceil(pixels * REGION_MIN_AREA));
+    const visited = new Uint8Array(pixels);
+    const stack = new Int32Array(pixels);
+    let regions = 0;
+
+    for (let start = 0; start < pixels; start++) {
+        if (visited[start]) continue;
+
+        let top = 0;
+        let area = 0;
+        stack[top++] = start;
+        visited[start] = 1;
+
+        while (top > 0) {
+            const index = stack[--top];
+            const x = index % width;
+            area++;
+
+            const neighbours = [
+                x > 0 ? index - 1 : -1,
+                x < width - 1 ? index + 1 : -1,
+                index >= width ? index - width : -1,
+                index + width < pixels ? index + width : -1
+            ];
+            neighbours.forEach(next => {
+                if (next >= 0 && !visited[next] && colors[next] === colors[start]) {
+                    visited[next] = 1;
+                    stack[top++] = next;
+                }
+            });
+        }
+
+        if (area >= minArea) regions++;
+    }
+    return regions;
+}
+
+/**
+ * 64-bit difference hash: brighter-than-right-neighbour bits of a 9x8 luminance grid
+ */
+function perceptualHash(gray, width, height) {
+    const cell = (cx, cy) => {
+        const x0 = Math.floor(cx * width / 9);
+        const x1 = Math.max(x0 + 1, Math.floor((cx + 1) * width / 9));
+        const y0 = Math.floor(cy * height / 8);
+        const y1 = Math.max(y0 + 1, Math.floor((cy + 1) * height / 8));
+        let sum = 0;
+        let count = 0;
+        for (let y = y0; y < Math.min(y1, height); y++) {
+            for (let x = x0; x < Math.min(x1, width); x++) {
+                sum += gray[y * width + x];
+                count++;
+            }
+        }
+        return count > 0 ? sum / count : 0;
+    };
+
+    let hash = '';
+    for (let y = 0; y < 8; y++) {
+        let nibble = 0;
+        for (let x = 0; x < 8; x++) {
+            nibble = (nibble << 1) | (cell(x, y) > cell(x + 1, y) ? 1 : 0);
+            if (x % 4 === 3) {
+                hash += nibble.toString(16);
+                nibble = 0;
+            }
+        }
+    }
+    return hash;
+}
+
+// ===============================
+// ANALYSIS
+// ===============================
+
+function validateUpload({ width, height, sample }) {
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+        throw new Error('Photo width and height must be positive integers');
+    }
+    if (width * height > PHOTO_MAX_MEGAPIXELS * 1e6) {
+        throw new Error(`Photos above ${PHOTO_MAX_MEGAPIXELS} megapixels are not supported`);
+    }
+
+    const expected = sampleDimensions(width, height);
+    if (!sample || sample.width !== expected.width || sample.height !== expected.height) {
+        throw new Error(`Photo sample must be ${expected.width}x${expected.height} for a ${width}x${height} photo`);
+    }
+    if (!sample.data || sample.data.length !== expected.width * expected.height * 3) {
+        throw new Error('Photo sample must hold 3 bytes (RGB) per pixel');
+    }
+}
+
+/**
+ * Metrics for an upload: { width, height, sample: { width, height, data: RGB bytes } }
+ */
+function measurePhoto(upload) {
+    validateUpload(upload);
+
+    const { sample } = upload;
+    const gray = luminance(sample);
+    return {
+        width: upload.width,
+        height: upload.height,
+        megapixels: round(upload.width * upload.height / 1e6, 2),
+        edgeDensity: round(edgeDensity(gray, sample.width, sample.height)),
+        colorEntropy: round(colorEntropy(sample)),
+        regions: countRegions(sample),
+        perceptualHash: perceptualHash(gray, sample.width, sample.height)
+    };
+}
+
+/**
+ * Complexity (0..1) and tier (0 = nothing earned, 1-4 = levels) for stored or fresh metrics
+ */
+function scorePhoto(metrics) {
+    const complexity = round(COMPLEXITY_WEIGHTS.reduce(
+        (sum, { metric, weight, full }) => sum + weight * Math.min(1, metrics[metric] / full),
+        0
+    ));
+
+    let tier = 0;
+    for (const level of PHOTO_LEVELS) {
+        if (complexity < level.minComplexity || metrics.regions < level.minRegions) break;
+        tier++;
+    }
+
+    return { complexity, tier };
+}
+
+function analyzePhoto(upload) {
+    const metrics = measurePhoto(upload);
+    return { metrics, ...scorePhoto(metrics) };
+}
+
+/**
+ * Levels paid for an analysis, with the same shape as calculateLinkReward
+ */
+function calculatePhotoReward(analysis) {
+    const levels = PHOTO_LEVELS.slice(0, analysis.tier).map(({ id, name, credits }) => ({ id, name, credits }));
+    const credits = levels.reduce((sum, level) => sum + level.credits, 0);
+
+    if (levels.length === 0) {
+        return { credits: 0, levels, message: 'Not enough detail to score this photo' };
+    }
+    return { credits, levels, message: `${levels[levels.length - 1].name} analysis complete! +${credits} credits` };
+}
+
+// ===============================
+// BROWSER SAMPLING
+// ===============================
+
+/**
+ * Downsample an image File/Blob to the RGB sample the server analyzes (transparency is flattened onto white)
+ */
+async function samplePhoto(file) {
+    const bitmap = await createImageBitmap(file);
+    const size = sampleDimensions(bitmap.width, bitmap.height);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, size.width, size.height);
+    ctx.drawImage(bitmap, 0, 0, size.width, size.height);
+
+    const rgba = ctx.getImageData(0, 0, size.width, size.height).data;
+    const rgb = new Uint8Array(size.width * size.height * 3);
+    for (let i = 0, j = 0; i < rgba.length; i += 4, j += 3) {
+        rgb[j] = rgba[i];
+        rgb[j + 1] = rgba[i + 1];
+        rgb[j + 2] = rgba[i + 2];
+    }
+
+    return {
+        width: bitmap.width,
+        height: bitmap.height,
+        sample: { ...size, data: rgb }
+    };
+}
+
+/**
+ * JSON body for POST /api/credits/:userId/analyze-photo
+ */
+function encodeUpload({ width, height, sample }) {
+    let binary = '';
+    for (let i = 0; i < sample.data.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, sample.data.subarray(i, i + 0x8000));
+    }
+    return { width, height, sample: { width: sample.width, height: sample.height, data: btoa(binary) } };
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.PhotoAnalyzer = { samplePhoto, encodeUpload, analyzePhoto, calculatePhotoReward, PHOTO_LEVELS };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        sampleDimensions,
+        measurePhoto,
+        scorePhoto,
+        analyzePhoto,
+        calculatePhotoReward,
+        PHOTO_LEVELS,
+        PHOTO_SAMPLE_SIZE
+    };
+}
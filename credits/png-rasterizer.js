@@ -0,0 +1,345 @@
+/**
+ * Binary Ring PNG Rasterizer
+ * Pure-JS renderer for svg-export.js scenes, so exports can be served as PNG
+ * without a native canvas. Shapes are anti-aliased with signed distances, text
+ * uses a built-in 5x7 bitmap font (ASCII only; emoji are left blank) and the
+ * image is encoded with Node's zlib.
+ *
+ * Rendering is synchronous and costs about a second per export at scale 2, so servers
+ * go through a RasterCache: the same scene at the same scale is only rendered once.
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { EXPORT_GRADIENTS } = require('./svg-export');
+
+// 5x7 glyphs, one hex byte per row, bit 4 = leftmost column
+const FONT_GLYPHS = {
+    ' ': '00000000000000', '!': '04040404000004', '"': '0a0a0a00000000', '#': '0a0a1f0a1f0a0a',
+    '$': '040f140e051e04', '%': '18190204081303', '&': '0c12140815120d', "'": '0c040800000000',
+    '(': '02040808080402', ')': '08040202020408', '*': '0004150e150400', '+': '0004041f040400',
+    ',': '000000000c0408', '-': '0000001f000000', '.': '00000000000c0c', '/': '00010204081000',
+    '0': '0e11131519110e', '1': '040c040404040e', '2': '0e11010204081f', '3': '1f02040201110e',
+    '4': '02060a121f0202', '5': '1f101e0101110e', '6': '0608101e11110e', '7': '1f010204080808',
+    '8': '0e11110e11110e', '9': '0e11110f01020c', ':': '000c0c000c0c00', ';': '000c0c000c0408',
+    '<': '02040810080402', '=': '00001f001f0000', '>': '08040201020408', '?': '0e110102040004',
+    '@': '0e11010d15150e', 'A': '0e1111111f1111', 'B': '1e11111e11111e', 'C': '0e11101010110e',
+    'D': '1c12111111121c', 'E': '1f10101e10101f', 'F': '1f10101e101010', 'G': '0e11101711110f',
+    'H': '1111111f111111', 'I': '0e04040404040e', 'J': '0702020202120c', 'K': '11121418141211',
+    'L': '1010101010101f', 'M': '111b1515111111', 'N': '11111915131111', 'O': '0e11111111110e',
+    'P': '1e11111e101010', 'Q': '0e11111115120d', 'R': '1e11111e141211', 'S': '0f10100e01011e',
+    'T': '1f040404040404', 'U': '1111111111110e', 'V': '11111111110a04', 'W': '1111111515150a',
+    'X': '11110a040a1111', 'Y': '1111110a040404', 'Z': '1f01020408101f', '[': '0e08080808080e',
+    '\\': '00100804020100', ']': '0e02020202020e', '^': '040a1100000000', '_': '0000000000001f',
+    '`': '08040200000000', 'a': '00000e010f110f', 'b': '1010161911111e', 'c': '00000e1010110e',
+    'd': '01010d1311110f', 'e': '00000e111f100e', 'f': '0609081c080808', 'g': '000f11110f010e',
+    'h': '10101619111111', 'i': '04000c0404040e', 'j': '0200060202120c', 'k': '10101214181412',
+    'l': '0c04040404040e', 'm': '00001a15151111', 'n': '00001619111111', 'o': '00000e1111110e',
+    'p': '00001e111e1010', 'q': '00000d130f0101', 'r': '00001619101010', 's': '00000e100e011e',
+    't': '08081c08080906', 'u': '0000111111130d', 'v': '00001111110a04', 'w': '0000111115150a',
+    'x': '0000110a040a11', 'y': '000011110f010e', 'z': '00001f0204081f', '{': '02040408040402',
+    '|': '04040404040404', '}': '08040402040408', '~': '00000815020000', '\u2022': '00000e0e0e0000'
+};
+
+// Characters that take no horizontal space (variation selectors, joiners)
+const ZERO_WIDTH = /[\u200d\ufe0e\ufe0f]/;
+
+// ===============================
+// COLOR
+// ===============================
+
+function parseColor(value) {
+    if (!value || value === 'none') return null;
+
+    const gradient = /^url\(#([\w-]+)\)$/.exec(value);
+    if (gradient) {
+        const definition = EXPORT_GRADIENTS[gradient[1]];
+        if (!definition) throw new Error(`Unknown gradient: ${gradient[1]}`);
+        return { gradient: { ...definition, stops: definition.stops.map(([offset, color]) => [offset, parseColor(color)]) } };
+    }
+
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].split('').map(d => d + d).join('') : hex[1];
+        return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16)).concat(1);
+    }
+
+    const rgba = /^rgba?\(([^)]+)\)$/.exec(value);
+    if (rgba) {
+        const parts = rgba[1].split(',').map(part => parseFloat(part));
+        return [parts[0], parts[1], parts[2], parts.length > 3 ? parts[3] : 1];
+    }
+
+    if (value === 'white') return [255, 255, 255, 1];
+    if (value === 'black') return [0, 0, 0, 1];
+    throw new Error(`Unsupported color: ${value}`);
+}
+
+/**
+ * Resolve a parsed fill to a per-pixel color function over a bounding box
+ */
+function shader(paint, box) {
+    if (!paint.gradient) return () => paint;
+
+    const { x1, y1, x2, y2, stops } = paint.gradient;
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const length = dx * dx + dy * dy || 1;
+
+    return (px, py) => {
+        const u = (px - box.x) / (box.width || 1);
+        const v = (py - box.y) / (box.height || 1);
+        const t = Math.min(Math.max(((u - x1) * dx + (v - y1) * dy) / length, 0), 1);
+
+        let i = 1;
+        while (i < stops.length - 1 && stops[i][0] < t) i++;
+        const [o0, c0] = stops[i - 1];
+        const [o1, c1] = stops[i];
+        const f = o1 === o0 ? 0 : (t - o0) / (o1 - o0);
+        return c0.map((channel, k) => channel + (c1[k] - channel) * f);
+    };
+}
+
+// ===============================
+// CANVAS
+// ===============================
+
+class Raster {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.pixels = new Float32Array(width * height * 4);
+    }
+
+    /**
+     * Composite a shape given its signed distance function (negative inside) over a bounding box
+     */
+    fillDistance(box, distance, paint, coverageFor) {
+        const color = shader(paint, box);
+        const x0 = Math.max(Math.floor(box.x - 2), 0);
+        const y0 = Math.max(Math.floor(box.y - 2), 0);
+        const x1 = Math.min(Math.ceil(box.x + box.width + 2), this.width);
+        const y1 = Math.min(Math.ceil(box.y + box.height + 2), this.height);
+
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                const px = x + 0.5;
+                const py = y + 0.5;
+                const coverage = coverageFor(distance(px, py));
+                if (coverage > 0) this.blend(x, y, color(px, py), coverage);
+            }
+        }
+    }
+
+    blend(x, y, [r, g, b, a], coverage) {
+        const alpha = a * coverage;
+        const i = (y * this.width + x) * 4;
+        const p = this.pixels;
+        const outAlpha = alpha + p[i + 3] * (1 - alpha);
+        if (outAlpha === 0) return;
+        p[i] = (r * alpha + p[i] * p[i + 3] * (1 - alpha)) / outAlpha;
+        p[i + 1] = (g * alpha + p[i + 1] * p[i + 3] * (1 - alpha)) / outAlpha;
+        p[i + 2] = (b * alpha + p[i + 2] * p[i + 3] * (1 - alpha)) / outAlpha;
+        p[i + 3] = outAlpha;
+    }
+
+    toPNG() {
+        const rowLength = this.width * 4 + 1;
+        const raw = Buffer.alloc(rowLength * this.height);
+        for (let y = 0; y < this.height; y++) {
+            raw[y * rowLength] = 0; // no filter
+            for (let x = 0; x < this.width * 4; x++) {
+                const value = this.pixels[y * this.width * 4 + x];
+                raw[y * rowLength + 1 + x] = Math.round((x % 4 === 3 ? value * 255 : value));
+            }
+        }
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(this.width, 0);
+        header.writeUInt32BE(this.height, 4);
+        header[8] = 8; // bit depth
+        header[9] = 6; // RGBA
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+            pngChunk('IHDR', header),
+            pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+            pngChunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body), 0);
+    return Buffer.concat([length, body, crc]);
+}
+
+// ===============================
+// SHAPES
+// ===============================
+
+const fillCoverage = d => Math.min(Math.max(0.5 - d, 0), 1);
+const strokeCoverage = width => d => Math.min(Math.max(width / 2 + 0.5 - Math.abs(d), 0), 1);
+
+function roundedRectDistance(x, y, width, height, radius) {
+    const r = Math.min(radius || 0, width / 2, height / 2);
+    const cx = x + width / 2;
+    const cy = y + height / 2;
+    return (px, py) => {
+        const qx = Math.abs(px - cx) - width / 2 + r;
+        const qy = Math.abs(py - cy) - height / 2 + r;
+        return Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) + Math.min(Math.max(qx, qy), 0) - r;
+    };
+}
+
+function segmentsDistance(points) {
+    return (px, py) => {
+        let best = Infinity;
+        for (let i = 1; i < points.length; i++) {
+            const [ax, ay] = points[i - 1];
+            const [bx, by] = points[i];
+            const dx = bx - ax;
+            const dy = by - ay;
+            const t = Math.min(Math.max(((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy || 1), 0), 1);
+            best = Math.min(best, Math.hypot(px - ax - t * dx, py - ay - t * dy));
+        }
+        return best;
+    };
+}
+
+function pointsBox(points, pad) {
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    const x = Math.min(...xs) - pad;
+    const y = Math.min(...ys) - pad;
+    return { x, y, width: Math.max(...xs) + pad - x, height: Math.max(...ys) + pad - y };
+}
+
+function drawShape(raster, node, s) {
+    const fill = parseColor(node.fill);
+    const stroke = parseColor(node.stroke);
+    const strokeWidth = (node.strokeWidth || 1) * s;
+
+    if (node.type === 'rect' || node.type === 'circle') {
+        const box = node.type === 'rect'
+            ? { x: node.x * s, y: node.y * s, width: node.width * s, height: node.height * s }
+            : { x: (node.cx - node.r) * s, y: (node.cy - node.r) * s, width: node.r * 2 * s, height: node.r * 2 * s };
+        const distance = node.type === 'rect'
+            ? roundedRectDistance(box.x, box.y, box.width, box.height, (node.rx || 0) * s)
+            : (px, py) => Math.hypot(px - node.cx * s, py - node.cy * s) - node.r * s;
+
+        if (fill) raster.fillDistance(box, distance, fill, fillCoverage);
+        if (stroke) raster.fillDistance(box, distance, stroke, strokeCoverage(strokeWidth));
+        return;
+    }
+
+    const points = node.type === 'line'
+        ? [[node.x1 * s, node.y1 * s], [node.x2 * s, node.y2 * s]]
+        : node.points.map(([x, y]) => [x * s, y * s]);
+    if (stroke) {
+        raster.fillDistance(pointsBox(points, strokeWidth), segmentsDistance(points), stroke, d => fillCoverage(d - strokeWidth / 2));
+    }
+}
+
+/**
+ * Advance width of a string in font pixels (6 per glyph cell)
+ */
+function textCells(value) {
+    return Array.from(value).filter(char => !ZERO_WIDTH.test(char)).length;
+}
+
+function drawText(raster, node, s) {
+    const paint = parseColor(node.fill);
+    if (!paint) return;
+
+    const pixel = (node.size / 10) * s;
+    const width = textCells(node.text) * 6 * pixel - pixel;
+    let x = node.x * s;
+    if (node.anchor === 'middle') x -= width / 2;
+    if (node.anchor === 'end') x -= width;
+    const top = node.y * s - 7 * pixel;
+    const box = { x, y: top, width, height: 7 * pixel };
+    const weight = node.weight === 'bold' ? pixel * 0.35 : 0;
+    const color = shader(paint, box);
+
+    Array.from(node.text).filter(char => !ZERO_WIDTH.test(char)).forEach((char, index) => {
+        const glyph = FONT_GLYPHS[char];
+        if (!glyph) return;
+        const left = x + index * 6 * pixel;
+
+        for (let row = 0; row < 7; row++) {
+            const bits = parseInt(glyph.slice(row * 2, row * 2 + 2), 16);
+            for (let col = 0; col < 5; col++) {
+                if (!(bits & (0x10 >> col))) continue;
+                const cell = { x: left + col * pixel - weight, y: top + row * pixel, width: pixel + weight * 2, height: pixel };
+                const cx = cell.x + cell.width / 2;
+                raster.fillDistance(
+                    cell,
+                    roundedRectDistance(cell.x, cell.y, cell.width, cell.height, 0),
+                    color(cx, cell.y + cell.height / 2),
+                    fillCoverage
+                );
+            }
+        }
+    });
+}
+
+/**
+ * Render a scene to a PNG buffer; scale multiplies the output resolution
+ */
+function rasterizeScene(scene, { scale = 1 } = {}) {
+    const raster = new Raster(Math.round(scene.width * scale), Math.round(scene.height * scale));
+    scene.nodes.forEach(node => {
+        if (node.type === 'text') {
+            drawText(raster, node, scale);
+        } else {
+            drawShape(raster, node, scale);
+        }
+    });
+    return raster.toPNG();
+}
+
+/**
+ * Rendered PNGs keyed by a hash of the scene and scale (usable as an ETag); the least
+ * recently used are dropped beyond maxEntries
+ */
+class RasterCache {
+    constructor({ maxEntries = 100 } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    key(scene, scale) {
+        return crypto.createHash('sha256').update(`${scale}:${JSON.stringify(scene)}`).digest('hex').slice(0, 32);
+    }
+
+    render(scene, { scale = 1 } = {}) {
+        const key = this.key(scene, scale);
+        const png = this.entries.get(key) || rasterizeScene(scene, { scale });
+
+        // Re-inserting moves the entry to the back of the eviction order
+        this.entries.delete(key);
+        this.entries.set(key, png);
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return png;
+    }
+}
+
+module.exports = { rasterizeScene, RasterCache, parseColor, crc32 };
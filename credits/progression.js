@@ -0,0 +1,168 @@
+/**
+ * Binary Ring Progression System
+ * Turns an XP total into a level, rank title and unlocked perks using a
+ * configurable XP curve (see progression.json).
+ *
+ * Curves:
+ *   linear      - { type: 'linear', xpPerLevel }
+ *   exponential - { type: 'exponential', base, growth } (XP for level n -> n+1 is base * growth^(n-1))
+ *   table       - { type: 'table', thresholds: [0, 500, 1500, ...] } (total XP to reach level 1, 2, 3, ...)
+ */
+
+class ProgressionSystem {
+    constructor(config, options = {}) {
+        this.config = config;
+        this.curve = config.curve || { type: 'linear', xpPerLevel: 1000 };
+        this.maxLevel = config.maxLevel || (this.curve.type === 'table' ? this.curve.thresholds.length : 100);
+        this.ranks = [...(config.ranks || [])].sort((a, b) => a.minLevel - b.minLevel);
+        this.perks = [...(config.perks || [])].sort((a, b) => a.level - b.level);
+        this.alwaysUnlocked = config.alwaysUnlocked || {};
+        this.lastLevel = options.level || null;
+
+        this.thresholds = this.buildThresholds();
+    }
+
+    /**
+     * Total XP needed to reach each level, index 0 = level 1
+     */
+    buildThresholds() {
+        const { type } = this.curve;
+
+        if (type === 'table') {
+            const thresholds = this.curve.thresholds;
+            if (thresholds[0] !== 0 || thresholds.some((xp, i) => i > 0 && xp <= thresholds[i - 1])) {
+                throw new Error('Table curve thresholds must start at 0 and increase');
+            }
+            return thresholds.slice(0, this.maxLevel);
+        }
+
+        const thresholds = [0];
+        for (let level = 1; level < this.maxLevel; level++) {
+            let step;
+            if (type === 'linear') {
+                step = this.curve.xpPerLevel;
+            } else if (type === 'exponential') {
+                step = Math.round(this.curve.base * Math.pow(this.curve.growth, level - 1));
+            } else {
+                throw new Error(`Unknown XP curve type: ${type}`);
+            }
+            thresholds.push(thresholds[level - 1] + step);
+        }
+        return thresholds;
+    }
+
+    xpForLevel(level) {
+        const clamped = Math.min(Math.max(level, 1), this.thresholds.length);
+        return this.thresholds[clamped - 1];
+    }
+
+    levelForXP(xp) {
+        let level = 1;
+        while (level < this.thresholds.length && xp >= this.thresholds[level]) {
+            level++;
+        }
+        return level;
+    }
+
+    rankForLevel(level) {
+        const rank = this.ranks.filter(r => r.minLevel <= level).pop();
+        return rank ? rank.title : null;
+    }
+
+    perksForLevel(level) {
+        return this.perks.filter(perk => perk.level <= level);
+    }
+
+    /**
+     * Full progression snapshot for an XP total
+     */
+    describe(xp) {
+        const level = this.levelForXP(xp);
+        const isMaxLevel = level >= this.thresholds.length;
+        const currentLevelXP = this.xpForLevel(level);
+        const nextLevelXP = isMaxLevel ? null : this.xpForLevel(level + 1);
+
+        return {
+            xp,
+            level,
+            rank: this.rankForLevel(level),
+            currentLevelXP,
+            nextLevelXP,
+            xpToNext: isMaxLevel ? 0 : nextLevelXP - xp,
+            progress: isMaxLevel ? 1 : (xp - currentLevelXP) / (nextLevelXP - currentLevelXP),
+            isMaxLevel,
+            perks: this.perksForLevel(level)
+        };
+    }
+
+    /**
+     * Whether a perk value (e.g. a generator theme name) is available at this XP
+     */
+    isUnlocked(xp, type, value) {
+        if ((this.alwaysUnlocked[type] || []).includes(value)) return true;
+        const gated = this.perks.filter(perk => perk.type === type && perk.value === value);
+        if (gated.length === 0) return true;
+        return gated.some(perk => perk.level <= this.levelForXP(xp));
+    }
+
+    unlockedValues(xp, type) {
+        return [
+            ...(this.alwaysUnlocked[type] || []),
+            ...this.perksForLevel(this.levelForXP(xp)).filter(p => p.type === type).map(p => p.value)
+        ];
+    }
+
+    /**
+     * Record a new XP total and emit levelup / rankup / perk events for every level crossed
+     */
+    update(xp) {
+        const snapshot = this.describe(xp);
+        const previous = this.lastLevel;
+        this.lastLevel = snapshot.level;
+
+        if (previous === null || snapshot.level <= previous) return snapshot;
+
+        for (let level = previous + 1; level <= snapshot.level; level++) {
+            this.emit('levelup', { level, rank: this.rankForLevel(level) });
+
+            const previousRank = this.rankForLevel(level - 1);
+            const rank = this.rankForLevel(level);
+            if (rank !== previousRank) {
+                this.emit('rankup', { level, rank, previousRank });
+            }
+
+            this.perks
+                .filter(perk => perk.level === level)
+                .forEach(perk => this.emit('perk', { level, perk }));
+        }
+
+        return snapshot;
+    }
+
+    // Event System
+    on(event, callback) {
+        if (!this.events) this.events = {};
+        if (!this.events[event]) this.events[event] = [];
+        this.events[event].push(callback);
+    }
+
+    emit(event, data) {
+        if (!this.events || !this.events[event]) return;
+        this.events[event].forEach(callback => callback(data));
+    }
+
+    off(event, callback) {
+        if (!this.events || !this.events[event]) return;
+        this.events[event] = this.events[event].filter(cb => cb !== callback);
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.ProgressionSystem = ProgressionSystem;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProgressionSystem;
+}
@@ -0,0 +1,41 @@
+/**
+ * Binary Ring Rewards
+ * What the actions reported by the page are worth (POST /api/credits/:userId/earn), from
+ * rewards.json. The client only names the action; the server sets the amount and derives the
+ * idempotency key from the action, so reporting it again is answered as a duplicate.
+ */
+
+const { createIdempotencyKey } = require('./ledger');
+
+function rewardError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * The ledger entry for a reported action ({ reason, action }).
+ * Rewards with an "actions" list pay each listed action once; "per": "day" pays once per UTC day.
+ * Throws with code 'server_only' for reasons the client cannot report, 'invalid_action' for unknown actions.
+ */
+function rewardEntry(rewards, { reason, action } = {}, now = new Date()) {
+    const reward = typeof reason === 'string' && Object.prototype.hasOwnProperty.call(rewards, reason) ? rewards[reason] : null;
+    if (!reward) {
+        throw rewardError('server_only', `${reason} can only be granted by the server`);
+    }
+    // Rewards without a list take no action, so the key cannot be varied
+    if (reward.actions ? !reward.actions.includes(action) : action !== undefined) {
+        throw rewardError('invalid_action', `Unknown ${reason} action: ${action}`);
+    }
+
+    const day = reward.per === 'day' ? now.toISOString().slice(0, 10) : undefined;
+    return {
+        currency: reward.currency,
+        amount: reward.amount,
+        reason,
+        idempotencyKey: createIdempotencyKey(reason, action, day),
+        metadata: action === undefined ? {} : { action }
+    };
+}
+
+module.exports = { rewardEntry };
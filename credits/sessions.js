@@ -0,0 +1,84 @@
+/**
+ * Binary Ring Credits Sessions
+ * Anonymous sessions issued by the server (POST /api/credits/session). The server picks the
+ * user id and signs it into a token; every route that reads or moves a user's credits takes the
+ * user from the request's "Authorization: Bearer <token>" header, never from the URL or the body.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_SESSION_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+function base64url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * The token of an "Authorization: Bearer <token>" header, or null
+ */
+function bearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    return match ? match[1] : null;
+}
+
+// ===============================
+// SIGNED SESSIONS
+// ===============================
+
+class SessionAuth {
+    /**
+     * secret signs the tokens (HMAC-SHA256); tokens expire after ttlSeconds
+     */
+    constructor({ secret, ttlSeconds = DEFAULT_SESSION_TTL_SECONDS, now } = {}) {
+        if (!secret || String(secret).length < 32) {
+            throw new Error('SessionAuth needs a secret of at least 32 characters');
+        }
+        this.secret = String(secret);
+        this.ttlSeconds = ttlSeconds;
+        this.now = now || (() => new Date());
+    }
+
+    /**
+     * Start a session for a new user: { userId, token, expiresAt }
+     */
+    issue() {
+        const userId = `user_${crypto.randomBytes(12).toString('hex')}`;
+        const expires = Math.floor(this.now().getTime() / 1000) + this.ttlSeconds;
+        const payload = base64url(JSON.stringify({ sub: userId, exp: expires }));
+        return {
+            userId,
+            token: `${payload}.${this.sign(payload)}`,
+            expiresAt: new Date(expires * 1000).toISOString()
+        };
+    }
+
+    /**
+     * The user id a token was issued to, or null if it is forged, malformed or expired
+     */
+    verify(token) {
+        const [payload, signature, extra] = String(token || '').split('.');
+        if (!payload || !signature || extra !== undefined) return null;
+
+        const expected = Buffer.from(this.sign(payload));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+        if (typeof claims.sub !== 'string' || !(claims.exp * 1000 > this.now().getTime())) return null;
+        return claims.sub;
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+}
+
+module.exports = {
+    SessionAuth,
+    bearerToken
+};
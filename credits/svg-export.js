@@ -0,0 +1,365 @@
+/**
+ * Binary Ring SVG Export
+ * Profile card, achievement badges, progress chart, photo analysis and activity
+ * timeline exports built from collectExportData() output. Each export is first
+ * laid out as a scene (a flat list of rects, circles, lines, polylines and text)
+ * that renders to SVG here and to PNG in png-rasterizer.js. Output depends only
+ * on the data, so the same ledger always produces byte-identical files.
+ */
+
+const EXPORT_FONT = 'Arial, sans-serif';
+
+const EXPORT_GRADIENTS = {
+    bgGradient: { x1: 0, y1: 0, x2: 1, y2: 1, stops: [[0, '#0c0c0c'], [0.5, '#1a1a2e'], [1, '#16213e']] },
+    creditGradient: { x1: 0, y1: 0, x2: 1, y2: 0, stops: [[0, '#00d4ff'], [1, '#4ecdc4']] },
+    achievementGradient: { x1: 0, y1: 0, x2: 1, y2: 0, stops: [[0, '#FFD700'], [1, '#FFA500']] }
+};
+
+const PHOTO_LEVELS = {
+    level1: { title: 'Level 1 - Basic', detail: 'Edges and colors detected', color: '#4CAF50', tint: 'rgba(76, 175, 80, 0.1)' },
+    level2: { title: 'Level 2 - Intermediate', detail: 'Distinct regions, 0.25 MP or larger', color: '#2196F3', tint: 'rgba(33, 150, 243, 0.1)' },
+    level3: { title: 'Level 3 - Advanced', detail: 'Rich detail and color, 1 MP or larger', color: '#FF9800', tint: 'rgba(255, 152, 0, 0.1)' },
+    level4: { title: 'Level 4 - Expert', detail: 'Highly complex scene, 2 MP or larger', color: '#E91E63', tint: 'rgba(233, 30, 99, 0.1)' }
+};
+
+const ACTIVITY_STYLES = {
+    photo: { color: '#E91E63', icon: '📸' },
+    link: { color: '#2196F3', icon: '🔗' },
+    set: { color: '#4CAF50', icon: '📊' },
+    bonus: { color: '#00d4ff', icon: '💰' },
+    achievement: { color: '#FFD700', icon: '🏆' },
+    spend: { color: '#ff6b6b', icon: '✨' }
+};
+
+// ===============================
+// FORMATTING
+// ===============================
+
+function formatNumber(value) {
+    return Math.round(value).toLocaleString('en-US');
+}
+
+function formatTimestamp(iso) {
+    return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
+}
+
+function footerText(data) {
+    return data.asOf ? `As of ${formatTimestamp(data.asOf)}` : 'No activity yet';
+}
+
+function escapeXML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function round(value) {
+    return Number(value.toFixed(2));
+}
+
+// ===============================
+// SCENES
+// ===============================
+
+function createScene(width, height, title) {
+    return {
+        width,
+        height,
+        title,
+        nodes: [{ type: 'rect', x: 0, y: 0, width, height, fill: 'url(#bgGradient)' }]
+    };
+}
+
+function text(x, y, value, { size = 14, fill = 'white', anchor = 'start', weight = 'normal' } = {}) {
+    return { type: 'text', x, y, text: value, size, fill, anchor, weight };
+}
+
+function addTitle(scene, title) {
+    scene.nodes.push(text(scene.width / 2, 50, title, { size: 32, fill: 'url(#creditGradient)', anchor: 'middle', weight: 'bold' }));
+}
+
+function addFooter(scene, data, y) {
+    scene.nodes.push(text(scene.width / 2, y, footerText(data), { fill: 'rgba(255,255,255,0.5)', anchor: 'middle' }));
+    scene.nodes.push(text(scene.width / 2, y + 20, 'binary-ring.ai', { size: 12, fill: 'rgba(255,255,255,0.5)', anchor: 'middle' }));
+}
+
+function profileCardScene(data) {
+    const scene = createScene(800, 550, 'Binary Ring AI Profile');
+    const unlocked = data.achievements.filter(a => a.unlocked);
+
+    scene.nodes.push(
+        { type: 'rect', x: 50, y: 50, width: 700, height: 450, rx: 20, fill: 'rgba(255,255,255,0.05)', stroke: 'rgba(255,255,255,0.2)', strokeWidth: 1 },
+        text(400, 100, 'Binary Ring AI Profile', { size: 36, fill: 'url(#creditGradient)', anchor: 'middle', weight: 'bold' }),
+        { type: 'rect', x: 100, y: 150, width: 600, height: 100, rx: 15, fill: 'rgba(255,255,255,0.08)' },
+        text(150, 185, `💰 ${formatNumber(data.balance.credits)} Credits`, { size: 24, fill: '#00d4ff', weight: 'bold' }),
+        text(150, 215, `⚡ ${formatNumber(data.balance.xp)} XP`, { size: 20, fill: '#4ecdc4' }),
+        text(450, 185, `Level ${data.level.level}`, { size: 24, fill: '#ff6b6b', weight: 'bold' }),
+        text(450, 215, data.level.rank || '', { size: 16, fill: 'rgba(255,255,255,0.7)' }),
+        text(100, 300, `Achievements: ${unlocked.length} / ${data.achievements.length}`, { size: 20, weight: 'bold' })
+    );
+
+    data.achievements.forEach((achievement, i) => {
+        const cx = 130 + i * 55;
+        scene.nodes.push(
+            { type: 'circle', cx, cy: 345, r: 20, fill: achievement.unlocked ? 'url(#achievementGradient)' : 'rgba(255,255,255,0.1)' },
+            text(cx, 352, achievement.icon, { size: 16, fill: achievement.unlocked ? 'black' : 'rgba(255,255,255,0.3)', anchor: 'middle' })
+        );
+    });
+
+    scene.nodes.push(
+        { type: 'rect', x: 100, y: 400, width: 600, height: 12, rx: 6, fill: 'rgba(255,255,255,0.1)' },
+        { type: 'rect', x: 100, y: 400, width: round(data.level.progress * 600), height: 12, rx: 6, fill: '#ff6b6b' },
+        text(100, 435, data.level.isMaxLevel ? 'Max level reached' : `${formatNumber(data.level.xpToNext)} XP to level ${data.level.level + 1}`, { fill: 'rgba(255,255,255,0.7)' })
+    );
+
+    addFooter(scene, data, 470);
+    return scene;
+}
+
+function achievementsScene(data) {
+    const rows = Math.ceil(data.achievements.length / 2);
+    const footerY = 150 + rows * 150;
+    const scene = createScene(800, footerY + 50, 'Achievement Badges');
+    addTitle(scene, 'Achievement Badges');
+
+    data.achievements.forEach((achievement, index) => {
+        const x = 100 + (index % 2) * 350;
+        const y = 120 + Math.floor(index / 2) * 150;
+        const { unlocked } = achievement;
+
+        scene.nodes.push(
+            { type: 'rect', x, y, width: 300, height: 120, rx: 15, fill: unlocked ? 'rgba(255, 215, 0, 0.1)' : 'rgba(255,255,255,0.05)', stroke: unlocked ? '#FFD700' : 'rgba(255,255,255,0.2)', strokeWidth: 1 },
+            { type: 'circle', cx: x + 30, cy: y + 35, r: 20, fill: unlocked ? 'url(#achievementGradient)' : 'rgba(255,255,255,0.1)' },
+            text(x + 30, y + 42, achievement.icon, { size: 16, fill: unlocked ? 'black' : 'rgba(255,255,255,0.3)', anchor: 'middle' }),
+            text(x + 70, y + 25, achievement.name, { size: 18, fill: unlocked ? '#FFD700' : 'rgba(255,255,255,0.7)', weight: 'bold' }),
+            text(x + 70, y + 45, unlocked ? 'UNLOCKED' : 'IN PROGRESS', { fill: unlocked ? 'white' : 'rgba(255,255,255,0.5)' }),
+            { type: 'rect', x: x + 70, y: y + 60, width: 200, height: 8, rx: 4, fill: 'rgba(255,255,255,0.1)' },
+            { type: 'rect', x: x + 70, y: y + 60, width: round(achievement.percent * 2), height: 8, rx: 4, fill: 'url(#creditGradient)' },
+            text(x + 70, y + 85, `${achievement.percent.toFixed(0)}% Complete`, { size: 12, fill: 'rgba(255,255,255,0.7)' })
+        );
+    });
+
+    addFooter(scene, data, footerY);
+    return scene;
+}
+
+function progressChartScene(data) {
+    const scene = createScene(800, 700, 'Progress Statistics');
+    const { balance, level, stats } = data;
+    const maxCredits = Math.max(balance.credits, 1000);
+    const maxXP = Math.max(balance.xp, 500);
+    addTitle(scene, 'Progress Statistics');
+
+    scene.nodes.push(
+        text(100, 120, `💰 Credits: ${formatNumber(balance.credits)}`, { size: 20, fill: '#00d4ff', weight: 'bold' }),
+        { type: 'rect', x: 100, y: 130, width: 600, height: 30, rx: 15, fill: 'rgba(255,255,255,0.1)' },
+        { type: 'rect', x: 100, y: 130, width: round(Math.min(Math.max(balance.credits, 0) / maxCredits, 1) * 600), height: 30, rx: 15, fill: 'url(#creditGradient)' },
+        text(100, 200, `⚡ Experience: ${formatNumber(balance.xp)}`, { size: 20, fill: '#4ecdc4', weight: 'bold' }),
+        { type: 'rect', x: 100, y: 210, width: 600, height: 30, rx: 15, fill: 'rgba(255,255,255,0.1)' },
+        { type: 'rect', x: 100, y: 210, width: round(Math.min(balance.xp / maxXP, 1) * 600), height: 30, rx: 15, fill: '#4ecdc4' },
+        text(100, 280, `🎖️ Level ${level.level}`, { size: 20, fill: '#ff6b6b', weight: 'bold' }),
+        text(100, 300, level.isMaxLevel
+            ? `Max level${level.rank ? ` • ${level.rank}` : ''}`
+            : `Next Level: ${formatNumber(level.xpToNext)} XP remaining${level.rank ? ` • ${level.rank}` : ''}`,
+        { size: 16, fill: 'rgba(255,255,255,0.7)' }),
+        { type: 'rect', x: 100, y: 310, width: 600, height: 20, rx: 10, fill: 'rgba(255,255,255,0.1)' },
+        { type: 'rect', x: 100, y: 310, width: round(level.progress * 600), height: 20, rx: 10, fill: '#ff6b6b' }
+    );
+
+    // 30-day running totals
+    const chart = { x: 100, y: 370, width: 600, height: 140 };
+    scene.nodes.push(
+        { type: 'rect', x: chart.x, y: chart.y, width: chart.width, height: chart.height, rx: 10, fill: 'rgba(255,255,255,0.05)', stroke: 'rgba(255,255,255,0.2)', strokeWidth: 1 },
+        text(chart.x + 20, chart.y + 25, '📈 Last 30 Days', { size: 16, weight: 'bold' })
+    );
+    for (let i = 1; i < 4; i++) {
+        const y = chart.y + 40 + i * 20;
+        scene.nodes.push({ type: 'line', x1: chart.x + 20, y1: y, x2: chart.x + chart.width - 20, y2: y, stroke: 'rgba(255,255,255,0.1)', strokeWidth: 1 });
+    }
+    if (data.daily.length > 1) {
+        [['credits', '#00d4ff'], ['xp', '#4ecdc4']].forEach(([key, color]) => {
+            const max = Math.max(...data.daily.map(day => day[key]), 1);
+            const min = Math.min(...data.daily.map(day => day[key]), 0);
+            const points = data.daily.map((day, i) => [
+                round(chart.x + 20 + i * (chart.width - 40) / (data.daily.length - 1)),
+                round(chart.y + chart.height - 20 - ((day[key] - min) / (max - min || 1)) * 80)
+            ]);
+            scene.nodes.push({ type: 'polyline', points, stroke: color, strokeWidth: 3 });
+        });
+    }
+    scene.nodes.push(
+        { type: 'line', x1: 560, y1: chart.y + 20, x2: 580, y2: chart.y + 20, stroke: '#00d4ff', strokeWidth: 3 },
+        text(585, chart.y + 25, 'Credits', { size: 12, fill: '#00d4ff' }),
+        { type: 'line', x1: 640, y1: chart.y + 20, x2: 660, y2: chart.y + 20, stroke: '#4ecdc4', strokeWidth: 3 },
+        text(665, chart.y + 25, 'XP', { size: 12, fill: '#4ecdc4' })
+    );
+
+    scene.nodes.push(
+        { type: 'rect', x: 100, y: 530, width: 600, height: 100, rx: 15, fill: 'rgba(255,255,255,0.05)', stroke: 'rgba(255,255,255,0.2)', strokeWidth: 1 },
+        text(120, 560, '📊 Statistics Summary', { size: 16, weight: 'bold' }),
+        text(120, 590, `Photos Analyzed: ${formatNumber(stats.uploads)}`, { fill: 'rgba(255,255,255,0.8)' }),
+        text(120, 610, `Links Analyzed: ${formatNumber(stats.links)}`, { fill: 'rgba(255,255,255,0.8)' }),
+        text(400, 590, `Sets Created: ${formatNumber(stats.sets)}`, { fill: 'rgba(255,255,255,0.8)' }),
+        text(400, 610, `Connections: ${formatNumber(stats.connections)}`, { fill: 'rgba(255,255,255,0.8)' })
+    );
+
+    addFooter(scene, data, 660);
+    return scene;
+}
+
+function photoSummary(photo) {
+    if (!photo.metrics) return `Analyzed ${formatTimestamp(photo.analyzedAt)}`;
+
+    const { megapixels, edgeDensity, colorEntropy, regions } = photo.metrics;
+    return `${megapixels} MP • ${Math.round(edgeDensity * 100)}% edges • ${colorEntropy.toFixed(1)} bits • ${regions} regions • ${formatTimestamp(photo.analyzedAt)}`;
+}
+
+function photoAnalysisScene(data) {
+    const scene = createScene(800, 580, 'Photo Analysis Results');
+    addTitle(scene, 'Photo Analysis Results');
+    scene.nodes.push(text(100, 120, '📸 Image Complexity Breakdown', { size: 20, weight: 'bold' }));
+
+    const earned = {};
+    (data.photo ? data.photo.levels : []).forEach(level => { earned[level.level] = level.credits; });
+
+    Object.entries(PHOTO_LEVELS).forEach(([id, level], i) => {
+        const y = 140 + i * 70;
+        const reached = earned[id] !== undefined;
+        scene.nodes.push(
+            { type: 'rect', x: 100, y, width: 600, height: 60, rx: 10, fill: reached ? level.tint : 'rgba(255,255,255,0.03)', stroke: reached ? level.color : 'rgba(255,255,255,0.2)', strokeWidth: 1 },
+            text(120, y + 25, level.title, { size: 16, fill: reached ? level.color : 'rgba(255,255,255,0.4)', weight: 'bold' }),
+            text(120, y + 45, reached ? `${level.detail} (+${formatNumber(earned[id])} credits)` : level.detail, { fill: 'rgba(255,255,255,0.8)' })
+        );
+    });
+
+    scene.nodes.push(
+        { type: 'rect', x: 100, y: 440, width: 600, height: 60, rx: 10, fill: 'rgba(0, 212, 255, 0.1)', stroke: '#00d4ff', strokeWidth: 1 },
+        text(120, 465, data.photo ? `Total Credits Earned: ${formatNumber(data.photo.total)}` : 'No photo analysis yet', { size: 18, fill: '#00d4ff', weight: 'bold' }),
+        text(120, 485, data.photo ? photoSummary(data.photo) : 'Upload a photo on the credits page to fill this in', { fill: 'rgba(255,255,255,0.8)' })
+    );
+
+    addFooter(scene, data, 530);
+    return scene;
+}
+
+function timelineScene(data) {
+    const scene = createScene(800, 580, 'Activity Timeline');
+    addTitle(scene, 'Activity Timeline');
+    scene.nodes.push({ type: 'line', x1: 150, y1: 100, x2: 150, y2: 500, stroke: 'url(#creditGradient)', strokeWidth: 3 });
+
+    if (data.activity.length === 0) {
+        scene.nodes.push(text(200, 125, 'No activity yet', { size: 16, fill: 'rgba(255,255,255,0.7)' }));
+    }
+
+    data.activity.forEach((activity, index) => {
+        const y = 120 + index * 80;
+        const style = ACTIVITY_STYLES[activity.type] || ACTIVITY_STYLES.bonus;
+        const unit = activity.currency === 'xp' ? 'XP' : 'credits';
+        const sign = activity.amount > 0 ? '+' : '-';
+
+        scene.nodes.push(
+            { type: 'circle', cx: 150, cy: y, r: 12, fill: style.color },
+            text(150, y + 5, style.icon, { size: 12, anchor: 'middle' }),
+            { type: 'rect', x: 180, y: y - 25, width: 500, height: 50, rx: 8, fill: 'rgba(255,255,255,0.05)', stroke: 'rgba(255,255,255,0.2)', strokeWidth: 1 },
+            text(200, y - 5, activity.label, { size: 16, weight: 'bold' }),
+            text(200, y + 15, `${formatTimestamp(activity.createdAt)} • ${sign}${formatNumber(Math.abs(activity.amount))} ${unit}`, { fill: 'rgba(255,255,255,0.7)' })
+        );
+    });
+
+    addFooter(scene, data, 530);
+    return scene;
+}
+
+const EXPORT_SCENES = {
+    'profile-card': profileCardScene,
+    achievements: achievementsScene,
+    'progress-chart': progressChartScene,
+    'photo-analysis': photoAnalysisScene,
+    timeline: timelineScene
+};
+
+function buildScene(type, data) {
+    const build = EXPORT_SCENES[type];
+    if (!build) throw new Error(`Unknown export: ${type}`);
+    return build(data);
+}
+
+// ===============================
+// SVG
+// ===============================
+
+function attributes(map) {
+    return Object.entries(map)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => `${name}="${escapeXML(value)}"`)
+        .join(' ');
+}
+
+function nodeToSVG(node) {
+    const stroke = { stroke: node.stroke, 'stroke-width': node.stroke ? node.strokeWidth : undefined };
+
+    if (node.type === 'rect') {
+        return `<rect ${attributes({ x: node.x, y: node.y, width: node.width, height: node.height, rx: node.rx, fill: node.fill || 'none', ...stroke })}/>`;
+    }
+    if (node.type === 'circle') {
+        return `<circle ${attributes({ cx: node.cx, cy: node.cy, r: node.r, fill: node.fill || 'none', ...stroke })}/>`;
+    }
+    if (node.type === 'line') {
+        return `<line ${attributes({ x1: node.x1, y1: node.y1, x2: node.x2, y2: node.y2, ...stroke })}/>`;
+    }
+    if (node.type === 'polyline') {
+        const points = node.points.map(([x, y]) => `${x},${y}`).join(' ');
+        return `<polyline ${attributes({ points, fill: 'none', ...stroke, 'stroke-linejoin': 'round', 'stroke-linecap': 'round' })}/>`;
+    }
+    if (node.type === 'text') {
+        const attrs = attributes({
+            x: node.x,
+            y: node.y,
+            'text-anchor': node.anchor === 'start' ? undefined : node.anchor,
+            fill: node.fill,
+            'font-family': EXPORT_FONT,
+            'font-size': node.size,
+            'font-weight': node.weight === 'normal' ? undefined : node.weight
+        });
+        return `<text ${attrs}>${escapeXML(node.text)}</text>`;
+    }
+    throw new Error(`Unknown scene node: ${node.type}`);
+}
+
+function gradientToSVG(id, gradient) {
+    const stops = gradient.stops
+        .map(([offset, color]) => `<stop offset="${offset * 100}%" stop-color="${color}"/>`)
+        .join('');
+    return `<linearGradient id="${id}" x1="${gradient.x1 * 100}%" y1="${gradient.y1 * 100}%" x2="${gradient.x2 * 100}%" y2="${gradient.y2 * 100}%">${stops}</linearGradient>`;
+}
+
+function sceneToSVG(scene) {
+    const defs = Object.entries(EXPORT_GRADIENTS).map(([id, gradient]) => `    ${gradientToSVG(id, gradient)}`).join('\n');
+    const body = scene.nodes.map(node => `  ${nodeToSVG(node)}`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg width="${scene.width}" height="${scene.height}" viewBox="0 0 ${scene.width} ${scene.height}" xmlns="http://www.w3.org/2000/svg">
+  <title>${escapeXML(scene.title)}</title>
+  <defs>
+${defs}
+  </defs>
+${body}
+</svg>
+`;
+}
+
+function renderSVG(type, data) {
+    return sceneToSVG(buildScene(type, data));
+}
+
+module.exports = {
+    EXPORT_SCENES,
+    EXPORT_GRADIENTS,
+    buildScene,
+    sceneToSVG,
+    renderSVG,
+    escapeXML
+};
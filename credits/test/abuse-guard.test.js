@@ -0,0 +1,151 @@
+/**
+ * Abuse guard (abuse-guard.js): client grants, per-grant caps, cooldowns, duplicates,
+ * daily caps and moderation flags
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../abuse-guard.json');
+const { AbuseGuard } = require('../abuse-guard');
+const { CreditsLedger, MemoryLedgerStore, LEDGER_REASONS } = require('../ledger');
+
+function setup(guardConfig = config) {
+    const clock = { now: new Date('2026-04-01T08:00:00Z') };
+    const now = () => clock.now;
+    const guard = new AbuseGuard(guardConfig, { now });
+    const ledger = new CreditsLedger(new MemoryLedgerStore(), { guard, now });
+    const advance = seconds => { clock.now = new Date(clock.now.getTime() + seconds * 1000); };
+    return { guard, ledger, advance };
+}
+
+const code = expected => error => error.code === expected;
+let keys = 0;
+const xp = (reason, amount) => ({ currency: 'xp', amount, reason, idempotencyKey: `k:${keys++}` });
+const credits = (reason, amount, metadata = {}) => ({ amount, reason, idempotencyKey: `k:${keys++}`, metadata });
+
+test('only allowlisted actions can be granted by the client', () => {
+    const { guard } = setup();
+    assert.deepEqual(Object.values(LEDGER_REASONS).filter(reason => guard.allowsClientGrant(reason)), ['set_creation', 'subset_creation', 'connection']);
+    assert.equal(guard.allowsClientGrant('unknown'), false);
+});
+
+test('every earned reason is capped per grant', async () => {
+    const { ledger } = setup();
+
+    await assert.rejects(ledger.earn('user_1', xp('set_creation', 51)), code('max_grant'));
+    await assert.rejects(ledger.earn('user_1', credits('set_creation', 1)), code('max_grant'), 'no credits cap means no credits');
+    await assert.rejects(ledger.earn('user_1', credits('daily_bonus', 301)), code('max_grant'));
+    await assert.rejects(ledger.earn('user_1', credits('achievement', 100000)), code('max_grant'));
+    await assert.rejects(ledger.earnAll('user_1', [credits('photo_analysis', 100), credits('photo_analysis', 751)]), code('max_grant'));
+    assert.deepEqual(await ledger.balance('user_1'), { credits: 0, xp: 0 });
+
+    // A reason with no configured cap is refused outright
+    const uncapped = setup({ ...config, actions: { ...config.actions, achievement: {} } });
+    await assert.rejects(uncapped.ledger.earn('user_1', credits('achievement', 1)), code('max_grant'));
+
+    // Adjustments are manual and uncapped
+    await ledger.earn('user_1', credits('adjustment', 50000));
+    assert.equal((await ledger.balance('user_1')).credits, 50000);
+});
+
+test('cooldowns and daily caps refuse with a retry time, retries of stored keys pass', async () => {
+    const { ledger, advance } = setup();
+
+    const first = xp('set_creation', 50);
+    await ledger.earn('user_1', first);
+    await assert.rejects(ledger.earn('user_1', xp('set_creation', 50)), error => error.code === 'cooldown' && error.retryAfter === 10);
+    assert.equal((await ledger.earn('user_1', first)).duplicate, true);
+
+    for (let i = 1; i < 10; i++) {
+        advance(10);
+        await ledger.earn('user_1', xp('set_creation', 50));
+    }
+    advance(10);
+    await assert.rejects(ledger.earn('user_1', xp('set_creation', 50)), error => error.code === 'daily_cap' && error.retryAfter > 0);
+    assert.equal((await ledger.balance('user_1')).xp, 500);
+
+    // The cap resets on the next UTC day
+    advance(24 * 60 * 60);
+    await ledger.earn('user_1', xp('set_creation', 50));
+});
+
+test('content already rewarded is refused as a duplicate', async () => {
+    const { ledger, advance } = setup();
+    await ledger.earn('user_1', credits('link_analysis', 500, { contentHash: 'abc' }));
+    advance(60);
+    await assert.rejects(ledger.earn('user_1', credits('link_analysis', 500, { contentHash: 'abc' })), code('duplicate'));
+    await ledger.earn('user_1', credits('link_analysis', 500, { contentHash: 'def' }));
+    // Another user may submit the same page
+    await ledger.earn('user_2', credits('link_analysis', 500, { contentHash: 'abc' }));
+});
+
+test('repeated refusals raise one flag and old refusals are forgotten', async () => {
+    const { guard, ledger, advance } = setup();
+    const flags = [];
+    guard.on('flag', flag => flags.push(flag));
+
+    const { maxBlocked, windowSeconds } = config.anomalies.blockedAttempts;
+    for (let i = 0; i < maxBlocked + 2; i++) {
+        await assert.rejects(ledger.earn('user_1', xp('set_creation', 500)), code('max_grant'));
+    }
+    assert.deepEqual(flags.map(flag => [flag.userId, flag.kind]), [['user_1', 'blocked_attempts']]);
+    assert.equal((await guard.listFlags({ status: 'open' })).length, 1);
+
+    // Other users' refusals prune user_1 once the window has passed
+    await assert.rejects(ledger.earn('user_2', xp('set_creation', 500)), code('max_grant'));
+    assert.ok(guard.blocked.has('user_1'));
+    advance(windowSeconds * 2);
+    await assert.rejects(ledger.earn('user_3', xp('set_creation', 500)), code('max_grant'));
+    assert.deepEqual([...guard.blocked.keys()], ['user_3']);
+
+    const [flag] = await guard.listFlags();
+    const resolved = await guard.resolveFlag(flag.id, 'warned');
+    assert.equal(resolved.status, 'resolved');
+    await assert.rejects(guard.resolveFlag(999), /Unknown abuse flag/);
+});
+
+test('new sessions are limited per client address within the window', () => {
+    const { guard, advance } = setup();
+    const { maxPerAddress, windowSeconds } = config.sessions;
+
+    for (let i = 0; i < maxPerAddress; i++) {
+        guard.checkSession('203.0.113.7');
+        advance(1);
+    }
+    assert.throws(() => guard.checkSession('203.0.113.7'), error => error.code === 'session_limit' && error.retryAfter === windowSeconds - maxPerAddress);
+    guard.checkSession('198.51.100.2');
+
+    // The oldest session leaves the window, and addresses idle for a window are forgotten
+    advance(windowSeconds - maxPerAddress + 1);
+    guard.checkSession('203.0.113.7');
+    advance(windowSeconds);
+    guard.checkSession('192.0.2.1');
+    assert.deepEqual([...guard.sessions.keys()], ['192.0.2.1']);
+
+    const { guard: open } = setup({ ...config, sessions: undefined });
+    for (let i = 0; i <= maxPerAddress; i++) open.checkSession('203.0.113.7');
+});
+
+test('oversized and bursty grants are flagged but paid', async () => {
+    const { guard, ledger, advance } = setup({
+        ...config,
+        actions: { ...config.actions, connection: { maxGrant: { xp: 75 } } }
+    });
+    const kinds = [];
+    guard.on('flag', flag => kinds.push(flag.kind));
+
+    await ledger.earn('user_1', credits('adjustment', 3000));
+    assert.deepEqual(kinds, ['large_grant']);
+
+    const { maxGrants } = config.anomalies.burst;
+    for (let i = 0; i < maxGrants; i++) {
+        advance(1);
+        await ledger.earn('user_1', xp('connection', 10));
+    }
+    assert.deepEqual(kinds, ['large_grant']);
+    await ledger.earn('user_1', xp('connection', 10));
+    await ledger.earn('user_1', xp('connection', 10));
+    assert.deepEqual(kinds, ['large_grant', 'burst'], 'one open flag per kind');
+    assert.equal((await ledger.balance('user_1')).xp, (maxGrants + 2) * 10);
+});
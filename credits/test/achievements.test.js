@@ -0,0 +1,112 @@
+/**
+ * Achievement rules (achievements.js): counters, streaks, windows and prerequisites
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AchievementEngine, MemoryAchievementStorage } = require('../achievements');
+const { zonedDayKey } = require('../daily-streak');
+const definitions = require('../achievements.json');
+
+function engine(defs, options = {}) {
+    const clock = { now: new Date('2026-03-01T12:00:00Z') };
+    const achievements = new AchievementEngine(defs, { now: () => clock.now, ...options });
+    return { clock, achievements };
+}
+
+const ids = unlocked => unlocked.map(def => def.id);
+
+test('counter rules count matching events or sum a field, and progress is saved', async () => {
+    const storage = new MemoryAchievementStorage();
+    const { achievements } = engine(definitions, { storage });
+
+    assert.deepEqual(ids(await achievements.track('photo_analyzed')), ['firstUpload']);
+    assert.deepEqual(ids(await achievements.track('photo_analyzed')), []);
+
+    for (let i = 0; i < 9; i++) await achievements.track(i % 2 ? 'set_created' : 'subset_created');
+    assert.equal(achievements.getProgress('setOrganizer').current, 9);
+    assert.deepEqual(ids(await achievements.track('set_created')), ['setOrganizer']);
+
+    assert.deepEqual(ids(await achievements.track('credits_earned', { amount: 6000 })), []);
+    assert.equal(achievements.getProgress('creditMillionaire').percent, 60);
+    assert.deepEqual(ids(await achievements.track('credits_earned', { amount: 4000 })), ['creditMillionaire']);
+
+    const reloaded = await new AchievementEngine(definitions, { storage }).load();
+    assert.equal(reloaded.isUnlocked('creditMillionaire'), true);
+    assert.equal(reloaded.getProgress('linkMaster').current, 0);
+});
+
+test('streak rules count consecutive days of the day key they are given', async () => {
+    const streak = [{ id: 'twoDays', rule: { type: 'streak', event: 'claimed', days: 2 } }];
+    const utc = engine(streak);
+    const zoned = engine(streak, { dayKey: date => zonedDayKey(date, 'America/Los_Angeles') });
+
+    // 23:30 and 00:30 UTC are two UTC days but the same afternoon in Los Angeles
+    for (const { clock, achievements } of [utc, zoned]) {
+        clock.now = new Date('2026-03-01T23:30:00Z');
+        await achievements.track('claimed');
+        await achievements.track('claimed');
+        assert.equal(achievements.getProgress('twoDays').current, 1);
+        clock.now = new Date('2026-03-02T00:30:00Z');
+    }
+    assert.deepEqual(ids(await utc.achievements.track('claimed')), ['twoDays']);
+    assert.deepEqual(ids(await zoned.achievements.track('claimed')), []);
+    assert.equal(zoned.achievements.getProgress('twoDays').current, 1);
+
+    // Skipping a day starts over
+    zoned.clock.now = new Date('2026-03-04T00:30:00Z');
+    await zoned.achievements.track('claimed');
+    assert.equal(zoned.achievements.getProgress('twoDays').current, 1);
+    zoned.clock.now = new Date('2026-03-04T20:00:00Z');
+    assert.deepEqual(ids(await zoned.achievements.track('claimed')), ['twoDays']);
+});
+
+test('window events that expire while waiting on a prerequisite no longer count', async () => {
+    const { clock, achievements } = engine([
+        { id: 'gate', rule: { type: 'counter', event: 'open', threshold: 1 } },
+        { id: 'burst', requires: ['gate'], rule: { type: 'window', event: 'ping', where: { size: { gte: 3 } }, threshold: 2, within: '10m' } }
+    ]);
+    const later = minutes => { clock.now = new Date(clock.now.getTime() + minutes * 60 * 1000); };
+
+    await achievements.track('ping', { size: 5 });
+    await achievements.track('ping', { size: 1 });
+    later(1);
+    await achievements.track('ping', { size: 3 });
+    const waiting = achievements.getProgress('burst');
+    assert.equal(waiting.current, 2);
+    assert.equal(waiting.locked, true);
+    assert.equal(waiting.unlocked, false);
+
+    later(20);
+    assert.deepEqual(ids(await achievements.track('open')), ['gate']);
+    assert.equal(achievements.getProgress('burst').current, 0);
+
+    await achievements.track('ping', { size: 4 });
+    later(9);
+    assert.deepEqual(ids(await achievements.track('ping', { size: 4 })), ['burst']);
+});
+
+test('chained prerequisites unlock in the same event, whatever their order', async () => {
+    const { achievements } = engine([
+        { id: 'third', requires: ['second'], rule: { type: 'counter', event: 'go', threshold: 1 } },
+        { id: 'second', requires: ['first'], rule: { type: 'counter', event: 'go', threshold: 1 } },
+        { id: 'first', rule: { type: 'counter', event: 'go', threshold: 1 } }
+    ]);
+    const announced = [];
+    achievements.on('unlock', ({ achievement }) => announced.push(achievement.id));
+
+    assert.deepEqual(ids(await achievements.track('go')), ['first', 'second', 'third']);
+    assert.deepEqual(announced, ['first', 'second', 'third']);
+});
+
+test('definitions with duplicate or unknown ids are refused', () => {
+    const counter = { type: 'counter', event: 'go', threshold: 1 };
+
+    assert.throws(() => new AchievementEngine([{ id: 'a', rule: counter }, { id: 'a', rule: counter }]), /Duplicate achievement id: a/);
+    assert.throws(() => new AchievementEngine([{ id: 'a', requires: ['b'], rule: counter }]), /requires unknown achievement b/);
+    assert.throws(() => new AchievementEngine([{ id: 'a', rule: { type: 'combo' } }]), /Unknown rule type "combo"/);
+    assert.throws(() => new AchievementEngine([{ id: 'a', rule: { type: 'window', within: 'soon' } }]), /Invalid duration: soon/);
+    assert.throws(() => new AchievementEngine([{ rule: counter }]), /need an id and a rule/);
+    assert.throws(() => new AchievementEngine([{ id: 'a', rule: counter }]).getProgress('b'), /Unknown achievement: b/);
+});
@@ -0,0 +1,209 @@
+/**
+ * Credits API routes (api.js): sessions, the ledger routes and server-side page generation
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { createCreditsRouter } = require('../api');
+const { SessionAuth } = require('../sessions');
+const { AbuseGuard } = require('../abuse-guard');
+const { CreditsLedger, MemoryLedgerStore, LEDGER_REASONS } = require('../ledger');
+const WebpageGenerator = require('../../webpage-generator');
+
+const sessions = new SessionAuth({ secret: 'credits-api-test-secret-0123456789abcdef' });
+
+async function serve(options = {}) {
+    const clock = { now: new Date('2026-05-01T12:00:00Z') };
+    const now = () => clock.now;
+    const ledger = new CreditsLedger(new MemoryLedgerStore(), { guard: new AbuseGuard(require('../abuse-guard.json'), { now }), now });
+    const app = express();
+    app.use('/api/credits', createCreditsRouter({ ledger, sessions, now, ...options }));
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    const base = `http://127.0.0.1:${server.address().port}/api/credits`;
+    const request = async (method, path, { token, body } = {}) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const response = await fetch(base + path, { method, headers, body: body && JSON.stringify(body) });
+        const json = (response.headers.get('content-type') || '').includes('json');
+        return { status: response.status, headers: response.headers, body: json ? await response.json() : await response.text() };
+    };
+    const fund = (userId, amount) => ledger.earn(userId, { amount, reason: LEDGER_REASONS.ADJUSTMENT, idempotencyKey: `fund:${userId}:${amount}` });
+    return { clock, ledger, request, fund, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('per-user routes need a session token of that user', async () => {
+    const { request, close } = await serve({ moderatorKey: 'moderator-key' });
+    try {
+        const started = await request('POST', '/session');
+        assert.equal(started.status, 201);
+        const { userId, token } = started.body;
+        assert.equal(sessions.verify(token), userId);
+
+        const anonymous = await request('GET', `/${userId}/balance`);
+        assert.equal(anonymous.status, 401);
+        assert.equal(anonymous.body.code, 'unauthenticated');
+        assert.equal((await request('GET', `/${userId}/balance`, { token: `${token}x` })).status, 401);
+
+        const other = sessions.issue();
+        const forbidden = await request('POST', `/${other.userId}/spend`, {
+            token,
+            body: { amount: 1, reason: 'generation', idempotencyKey: 'gen:1' }
+        });
+        assert.equal(forbidden.status, 403);
+        assert.equal(forbidden.body.code, 'forbidden');
+
+        assert.equal((await request('GET', '/moderation/flags', { token })).status, 403);
+    } finally {
+        await close();
+    }
+});
+
+test('new sessions are limited per client address', async () => {
+    const { request, close } = await serve();
+    try {
+        const { maxPerAddress, windowSeconds } = require('../abuse-guard.json').sessions;
+        for (let i = 0; i < maxPerAddress; i++) assert.equal((await request('POST', '/session')).status, 201);
+
+        const limited = await request('POST', '/session');
+        assert.equal(limited.status, 429);
+        assert.equal(limited.body.code, 'session_limit');
+        assert.equal(limited.headers.get('retry-after'), String(windowSeconds));
+    } finally {
+        await close();
+    }
+});
+
+test('earn pays the amount from rewards.json and refuses unknown reasons and actions', async () => {
+    const { clock, request, close } = await serve();
+    try {
+        const { userId, token } = sessions.issue();
+        const earn = body => request('POST', `/${userId}/earn`, { token, body });
+
+        const earned = await earn({ reason: 'set_creation', action: 'design', amount: 5000 });
+        assert.equal(earned.status, 201);
+        assert.equal(earned.body.entry.amount, 50);
+        assert.equal(earned.body.balance.xp, 50);
+
+        clock.now = new Date(clock.now.getTime() + 60 * 1000);
+        const again = await earn({ reason: 'set_creation', action: 'design' });
+        assert.equal(again.status, 200);
+        assert.equal(again.body.duplicate, true);
+
+        const serverOnly = await earn({ reason: 'daily_bonus' });
+        assert.equal(serverOnly.status, 403);
+        assert.equal(serverOnly.body.code, 'server_only');
+        assert.equal((await earn({ reason: 'made_up' })).body.code, 'server_only');
+
+        const unknownAction = await earn({ reason: 'set_creation', action: 'everything' });
+        assert.equal(unknownAction.status, 400);
+        assert.equal(unknownAction.body.code, 'invalid_action');
+
+        assert.deepEqual((await request('GET', `/${userId}/balance`, { token })).body.xp, 50);
+    } finally {
+        await close();
+    }
+});
+
+test('spends are refused beyond the balance and listed in the history', async () => {
+    const { request, fund, close } = await serve();
+    try {
+        const { userId, token } = sessions.issue();
+        await fund(userId, 100);
+        const spend = body => request('POST', `/${userId}/spend`, { token, body });
+
+        const spent = await spend({ amount: 30, reason: 'streak_freeze', idempotencyKey: 'freeze:1' });
+        assert.equal(spent.status, 201);
+        assert.equal(spent.body.balance.credits, 70);
+        assert.equal((await spend({ amount: 30, reason: 'streak_freeze', idempotencyKey: 'freeze:1' })).status, 200);
+
+        const overspent = await spend({ amount: 71, reason: 'streak_freeze', idempotencyKey: 'freeze:2' });
+        assert.equal(overspent.status, 402);
+        assert.match(overspent.body.error, /^Insufficient/);
+        assert.equal((await spend({ amount: -5, reason: 'streak_freeze', idempotencyKey: 'freeze:3' })).status, 400);
+
+        const balance = await request('GET', `/${userId}/balance`, { token });
+        assert.equal(balance.body.credits, 70);
+
+        const history = await request('GET', `/${userId}/history?reason=streak_freeze`, { token });
+        assert.equal(history.status, 200);
+        assert.deepEqual(history.body.map(entry => [entry.amount, entry.idempotencyKey]), [[-30, 'freeze:1']]);
+        assert.equal((await request('GET', `/${userId}/history?limit=1`, { token })).body.length, 1);
+    } finally {
+        await close();
+    }
+});
+
+const page = [
+    { name: 'Hero Section', type: 'component' },
+    { name: 'Footer', type: 'component' },
+    { name: 'Cyberpunk Neon', type: 'style' }
+];
+
+test('pages are generated and charged by the server, with locked themes quoted as Default', async () => {
+    const { ledger, request, fund, close } = await serve();
+    try {
+        const { userId, token } = sessions.issue();
+        await fund(userId, 100);
+
+        const generated = await request('POST', `/${userId}/generate-page`, { token, body: { contextItems: page, prompt: 'Launch' } });
+        assert.equal(generated.status, 201);
+        assert.match(generated.body.html, /<title>Launch<\/title>/);
+        // Level 0 can not use Cyberpunk Neon yet, so the page is priced and styled as Default
+        assert.deepEqual(generated.body.quote.lineItems.map(item => item.label), ['Page', 'Hero Section', 'Footer']);
+        assert.equal(generated.body.quote.total, 40);
+        assert.equal(generated.body.balance.credits, 60);
+
+        const [charge] = await ledger.history(userId, { reason: LEDGER_REASONS.GENERATION });
+        assert.equal(charge.amount, -40);
+        assert.match(charge.idempotencyKey, /^generate-page:/);
+
+        const unaffordable = await request('POST', `/${userId}/generate-page`, {
+            token,
+            body: { contextItems: [...page, ...Array(10).fill({ name: 'Audio Player', type: 'component' })] }
+        });
+        assert.equal(unaffordable.status, 402);
+        assert.equal((await ledger.balance(userId)).credits, 60);
+
+        assert.equal((await request('POST', `/${userId}/generate-page`, { token, body: { contextItems: 'Hero Section' } })).status, 400);
+        assert.equal((await request('POST', `/${userId}/generate-page`, { body: { contextItems: page } })).status, 401);
+    } finally {
+        await close();
+    }
+});
+
+test('a page that fails to generate is refunded by the server, and clients can not request refunds', async () => {
+    const generator = new WebpageGenerator();
+    generator.registerComponent({ name: 'Broken Widget', template: () => { throw new Error('template crashed'); } });
+    const { ledger, request, fund, close } = await serve({ generator });
+    try {
+        const { userId, token } = sessions.issue();
+        await fund(userId, 100);
+
+        const failed = await request('POST', `/${userId}/generate-page`, {
+            token,
+            body: { contextItems: [{ name: 'Broken Widget', type: 'component' }] }
+        });
+        assert.equal(failed.status, 422);
+        assert.match(failed.body.error, /template crashed/);
+        assert.equal(failed.body.balance.credits, 100);
+
+        const [refund] = await ledger.history(userId, { reason: LEDGER_REASONS.REFUND });
+        assert.equal(refund.amount, 35);
+        assert.equal(refund.metadata.error, 'template crashed');
+
+        await ledger.spend(userId, { amount: 40, reason: LEDGER_REASONS.GENERATION, idempotencyKey: 'gen:client' });
+        const refused = await request('POST', `/${userId}/refund`, { token, body: { chargeKey: 'gen:client', error: 'it failed, honest' } });
+        assert.equal(refused.status, 404);
+        const other = sessions.issue();
+        const [charge] = await ledger.history(userId, { reason: LEDGER_REASONS.GENERATION });
+        assert.equal((await request('POST', `/${other.userId}/refund`, { token: other.token, body: { chargeKey: charge.idempotencyKey } })).status, 404);
+        assert.equal((await ledger.balance(userId)).credits, 60);
+    } finally {
+        await close();
+    }
+});
@@ -0,0 +1,94 @@
+/**
+ * Server-side daily bonus streaks (daily-streak.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../daily-streak.json');
+const { DailyStreakService, MemoryStreakStore, zonedDayKey, daysBetween } = require('../daily-streak');
+const { CreditsLedger, MemoryLedgerStore, LEDGER_REASONS } = require('../ledger');
+
+const HOUR = 60 * 60 * 1000;
+
+function setup(start) {
+    const clock = { now: new Date(start) };
+    const ledger = new CreditsLedger(new MemoryLedgerStore(), { now: () => clock.now });
+    const streaks = new DailyStreakService(config, { ledger, store: new MemoryStreakStore(), now: () => clock.now });
+    const advance = hours => { clock.now = new Date(clock.now.getTime() + hours * HOUR); };
+    return { ledger, streaks, advance };
+}
+
+const code = expected => error => error.code === expected;
+
+test('consecutive days raise the multiplier and a day is paid once', async () => {
+    const { ledger, streaks, advance } = setup('2026-02-01T10:00:00Z');
+
+    const bonuses = [];
+    for (let day = 0; day < 3; day++) {
+        const claim = await streaks.claim('user_1');
+        bonuses.push(claim.bonus);
+        assert.equal(claim.status.canClaim, false);
+        await assert.rejects(streaks.claim('user_1'), code('already_claimed'));
+        advance(24);
+    }
+    assert.deepEqual(bonuses, [100, 100, 150]);
+    assert.equal((await ledger.balance('user_1')).credits, 350);
+
+    // Two missed days break the streak
+    advance(48);
+    const claim = await streaks.claim('user_1');
+    assert.equal(claim.broken, true);
+    assert.equal(claim.previousStreak, 3);
+    assert.equal(claim.streak, 1);
+});
+
+test('concurrent claims pay once', async () => {
+    const { ledger, streaks } = setup('2026-02-01T10:00:00Z');
+    const results = await Promise.allSettled([1, 2, 3].map(() => streaks.claim('user_1')));
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    assert.ok(results.filter(result => result.status === 'rejected').every(result => result.reason.code === 'already_claimed'));
+    assert.equal((await ledger.history('user_1', { reason: LEDGER_REASONS.DAILY_BONUS })).length, 1);
+});
+
+test('the time zone is pinned by the first claim', async () => {
+    // 23:00 in UTC is already the next day in Kiritimati (UTC+14)
+    const { ledger, streaks } = setup('2026-02-01T23:00:00Z');
+
+    assert.equal((await streaks.setTimeZone('user_1', 'Europe/London')).status.timeZone, 'Europe/London');
+    await streaks.setTimeZone('user_1', 'UTC');
+    const claim = await streaks.claim('user_1');
+    assert.equal(claim.day, '2026-02-01');
+    assert.equal(claim.status.timeZonePinned, true);
+
+    await assert.rejects(streaks.setTimeZone('user_1', 'Pacific/Kiritimati'), code('time_zone_pinned'));
+    await assert.rejects(streaks.claim('user_1'), code('already_claimed'));
+    assert.equal((await streaks.setTimeZone('user_1', 'UTC')).status.timeZone, 'UTC');
+    await assert.rejects(streaks.setTimeZone('user_2', 'Mars/Olympus'), /Unknown time zone/);
+
+    assert.equal((await ledger.balance('user_1')).credits, 100);
+    assert.equal(zonedDayKey(new Date('2026-02-01T23:00:00Z'), 'Pacific/Kiritimati'), '2026-02-02');
+});
+
+test('freezes cost credits and cover missed days', async () => {
+    const { ledger, streaks, advance } = setup('2026-03-01T12:00:00Z');
+    await ledger.earn('user_1', { amount: 2000, reason: LEDGER_REASONS.ADJUSTMENT, idempotencyKey: 'fund' });
+
+    await streaks.claim('user_1');
+    for (let i = 0; i < config.freezes.maxHeld; i++) await streaks.buyFreeze('user_1');
+    await assert.rejects(streaks.buyFreeze('user_1'), code('freeze_limit'));
+    assert.equal((await ledger.balance('user_1')).credits, 2000 + 100 - config.freezes.maxHeld * config.freezes.cost);
+
+    advance(24 * 3);
+    const claim = await streaks.claim('user_1');
+    assert.equal(claim.streak, 2);
+    assert.equal(claim.freezesUsed, 2);
+    assert.equal(claim.status.freezes, config.freezes.maxHeld - 2);
+    assert.equal(daysBetween('2026-03-01', claim.day), 3);
+
+    // Without credits no freeze is bought
+    const poor = setup('2026-03-01T12:00:00Z');
+    await assert.rejects(poor.streaks.buyFreeze('user_2'), /^Error: Insufficient credits/);
+    assert.equal((await poor.streaks.status('user_2')).status.freezes, 0);
+});
@@ -0,0 +1,118 @@
+/**
+ * Leaderboards (leaderboards.js): standings, periods, season archives and caching
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Leaderboards, MemoryLeaderboardArchive, isoWeek, seasonFor } = require('../leaderboards');
+const { CreditsLedger, MemoryLedgerStore, LEDGER_REASONS } = require('../ledger');
+
+function setup(start = '2026-05-06T12:00:00Z') {
+    const clock = { now: new Date(start) };
+    const now = () => clock.now;
+    const ledger = new CreditsLedger(new MemoryLedgerStore(), { now });
+    let reads = 0;
+    const counted = { allEntries: options => { reads++; return ledger.allEntries(options); } };
+    const archive = new MemoryLeaderboardArchive();
+    const leaderboards = new Leaderboards({ ledger: counted, archive, now });
+    return { clock, ledger, leaderboards, archive, reads: () => reads };
+}
+
+let keys = 0;
+function earn(ledger, userId, amount, { currency = 'credits', reason = LEDGER_REASONS.ADJUSTMENT, metadata } = {}) {
+    return ledger.earn(userId, { currency, amount, reason, idempotencyKey: `test:${keys++}`, metadata });
+}
+
+test('weeks and seasons', () => {
+    assert.deepEqual(isoWeek(new Date('2026-01-01T10:00:00Z')), {
+        id: '2026-W01',
+        startsAt: '2025-12-29T00:00:00.000Z',
+        endsAt: '2026-01-05T00:00:00.000Z'
+    });
+    assert.equal(isoWeek(new Date('2027-01-01T00:00:00Z')).id, '2026-W53');
+    assert.equal(seasonFor(new Date('2026-11-15T00:00:00Z'), 3).id, '2026-S4');
+});
+
+test('earned credits are ranked, spends do not lower a score and ties go to the earlier user', async () => {
+    const { ledger, leaderboards, clock } = setup();
+    await earn(ledger, 'user_b', 300);
+    clock.now = new Date('2026-05-06T12:01:00Z');
+    await earn(ledger, 'user_a', 300);
+    await earn(ledger, 'user_c', 100);
+    await ledger.spend('user_b', { amount: 250, reason: LEDGER_REASONS.GENERATION, idempotencyKey: 'spend:1' });
+    await earn(ledger, 'user_c', 40, { currency: 'xp' });
+
+    const board = await leaderboards.board({ period: 'global', metric: 'credits', limit: 2, userId: 'user_c' });
+
+    assert.deepEqual(board.entries.map(({ rank, userId, score }) => [rank, userId, score]), [
+        [1, 'user_b', 300],
+        [2, 'user_a', 300]
+    ]);
+    assert.equal(board.user.rank, 3);
+    assert.equal(board.participants, 3);
+    assert.deepEqual((await leaderboards.board({ metric: 'xp' })).entries.map(e => e.userId), ['user_c']);
+    await assert.rejects(leaderboards.board({ metric: 'karma' }), /Unknown leaderboard metric/);
+});
+
+test('weekly boards only count the current week', async () => {
+    const { ledger, leaderboards, clock } = setup('2026-05-01T12:00:00Z');
+    await earn(ledger, 'user_a', 500);
+    clock.now = new Date('2026-05-06T12:00:00Z');
+    await earn(ledger, 'user_b', 100);
+
+    const board = await leaderboards.board({ period: 'weekly' });
+
+    assert.equal(board.board.id, '2026-W19');
+    assert.deepEqual(board.entries.map(e => e.userId), ['user_b']);
+});
+
+test('achievements are counted from each user\'s replayed history', async () => {
+    const { ledger, leaderboards } = setup();
+    await earn(ledger, 'user_a', 100, { reason: LEDGER_REASONS.PHOTO_ANALYSIS, metadata: { contentHash: 'abc' } });
+    await earn(ledger, 'user_b', 100);
+
+    const board = await leaderboards.board({ metric: 'achievements' });
+
+    assert.deepEqual(board.entries.map(({ userId, score }) => [userId, score]), [['user_a', 1]]);
+});
+
+test('standings are cached per metric and window for cacheSeconds', async () => {
+    const { ledger, leaderboards, clock, reads } = setup('2026-02-11T12:00:00Z');
+    await earn(ledger, 'user_a', 100);
+
+    await Promise.all([leaderboards.board(), leaderboards.board(), leaderboards.board({ userId: 'user_a' })]);
+    assert.equal(reads(), 1);
+
+    await earn(ledger, 'user_b', 200);
+    assert.deepEqual((await leaderboards.board()).entries.map(e => e.userId), ['user_a']);
+    await leaderboards.board({ period: 'weekly' });
+    assert.equal(reads(), 2);
+
+    clock.now = new Date(clock.now.getTime() + 61 * 1000);
+    assert.deepEqual((await leaderboards.board()).entries.map(e => e.userId), ['user_b', 'user_a']);
+    assert.equal(reads(), 3);
+});
+
+test('finished seasons are archived once and keep their final standings', async () => {
+    const { ledger, leaderboards, archive, clock, reads } = setup('2026-03-20T12:00:00Z');
+    await earn(ledger, 'user_a', 100);
+    await leaderboards.board({ period: 'seasonal' });
+
+    clock.now = new Date('2026-04-02T12:00:00Z');
+    const before = reads();
+    await leaderboards.board({ period: 'seasonal' });
+    assert.deepEqual(await archive.list().then(list => list.map(s => s.id)), ['2026-S1']);
+    // One read per metric for the archive, one for the new season's board
+    assert.equal(reads() - before, 4);
+
+    await leaderboards.board({ period: 'seasonal', metric: 'xp' });
+    assert.equal(reads() - before, 5);
+
+    const s1 = await leaderboards.season('2026-S1');
+    assert.equal(s1.board.status, 'archived');
+    assert.deepEqual(s1.entries.map(({ userId, score }) => [userId, score]), [['user_a', 100]]);
+
+    const seasons = await leaderboards.seasons();
+    assert.deepEqual(seasons.map(s => [s.id, s.status]), [['2026-S2', 'active'], ['2026-S1', 'archived']]);
+});
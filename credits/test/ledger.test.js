@@ -0,0 +1,84 @@
+/**
+ * Credits ledger (ledger.js): idempotent posting, balances and the browser client
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CreditsLedger, CreditsLedgerClient, MemoryLedgerStore, LEDGER_REASONS, createIdempotencyKey } = require('../ledger');
+
+const grant = (overrides = {}) => ({ amount: 100, reason: LEDGER_REASONS.ADJUSTMENT, idempotencyKey: 'grant:1', ...overrides });
+
+test('an idempotency key is posted once, even when retried concurrently', async () => {
+    const ledger = new CreditsLedger(new MemoryLedgerStore());
+
+    const results = await Promise.all([1, 2, 3].map(() => ledger.earn('user_1', grant())));
+    assert.deepEqual(results.map(result => result.duplicate), [false, true, true]);
+    assert.ok(results.every(result => result.entry === results[0].entry));
+    assert.deepEqual(await ledger.balance('user_1'), { credits: 100, xp: 0 });
+
+    // Keys are per user
+    await ledger.earn('user_2', grant());
+    assert.deepEqual(await ledger.balance('user_2'), { credits: 100, xp: 0 });
+    assert.equal((await ledger.history('user_1')).length, 1);
+});
+
+test('spending never takes a balance below zero', async () => {
+    const ledger = new CreditsLedger(new MemoryLedgerStore());
+    await ledger.earn('user_1', grant());
+
+    const spends = [1, 2].map(n => ledger.spend('user_1', { amount: 60, reason: LEDGER_REASONS.GENERATION, idempotencyKey: `spend:${n}` }));
+    const [first, second] = await Promise.allSettled(spends);
+    assert.equal(first.status, 'fulfilled');
+    assert.equal(second.status, 'rejected');
+    assert.match(second.reason.message, /^Insufficient credits: balance 40, required 60/);
+    assert.deepEqual(await ledger.balance('user_1'), { credits: 40, xp: 0 });
+});
+
+test('entries are validated before they are posted', async () => {
+    const ledger = new CreditsLedger(new MemoryLedgerStore());
+    await assert.rejects(ledger.earn('', grant()), /userId is required/);
+    await assert.rejects(ledger.earn('user_1', grant({ amount: -5 })), /positive integer/);
+    await assert.rejects(ledger.earn('user_1', grant({ amount: 1.5 })), /positive integer/);
+    await assert.rejects(ledger.earn('user_1', grant({ currency: 'gold' })), /Unknown currency/);
+    await assert.rejects(ledger.earn('user_1', grant({ reason: 'gift' })), /Unknown ledger reason/);
+    await assert.rejects(ledger.earn('user_1', grant({ idempotencyKey: '' })), /idempotencyKey is required/);
+    assert.deepEqual(await ledger.balance('user_1'), { credits: 0, xp: 0 });
+});
+
+test('idempotency keys are stable and lower case', () => {
+    assert.equal(createIdempotencyKey('Set_Creation', 'Design', undefined, ''), 'set_creation:design');
+    assert.equal(createIdempotencyKey('link', 'https://a.b/c?d'), 'link:https-a.b-c-d');
+});
+
+test('the browser client reuses its saved session and sends the token', async () => {
+    const stored = new Map();
+    const storage = {
+        getItem: key => (stored.has(key) ? stored.get(key) : null),
+        setItem: (key, value) => stored.set(key, value),
+        removeItem: key => stored.delete(key)
+    };
+    const calls = [];
+    const fetchImpl = async (url, options) => {
+        calls.push({ url, options });
+        if (url.endsWith('/session')) {
+            return { ok: true, status: 201, json: async () => ({ userId: 'user_abc', token: 'signed', expiresAt: '2999-01-01T00:00:00Z' }) };
+        }
+        return { ok: false, status: 401, json: async () => ({ error: 'A valid session token is required' }) };
+    };
+
+    const client = await CreditsLedgerClient.connect({ fetchImpl, storage });
+    const again = await CreditsLedgerClient.connect({ fetchImpl, storage });
+    assert.equal(client.userId, 'user_abc');
+    assert.equal(again.token, 'signed');
+    assert.equal(calls.length, 1, 'the second connect reuses the stored session');
+
+    await assert.rejects(client.earn({ reason: 'set_creation', action: 'design', amount: 5000 }), /valid session token/);
+    const earn = calls[1];
+    assert.equal(earn.url, '/api/credits/user_abc/earn');
+    assert.equal(earn.options.headers.Authorization, 'Bearer signed');
+    assert.deepEqual(JSON.parse(earn.options.body), { reason: 'set_creation', action: 'design' });
+
+    // A refused session is forgotten, so the next connect starts a new one
+    assert.equal(stored.size, 0);
+});
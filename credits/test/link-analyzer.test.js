@@ -0,0 +1,139 @@
+/**
+ * Link structure analysis (link-analyzer.js): parsing, landmark detection and guarded fetching
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const {
+    parseHTML,
+    analyzeStructure,
+    analyzeUrl,
+    isPublicAddress,
+    normalizeLinkUrl,
+    calculateLinkReward
+} = require('../link-analyzer');
+
+const LANDING_PAGE = `<!doctype html>
+<html><head><title>Acme &amp; Co</title></head>
+<body>
+  <header><nav class="navbar"><a href="/">Home</a></nav></header>
+  <section class="hero"><h1>Build faster</h1></section>
+  <section id="pricing"><h2>Choose your plan</h2></section>
+  <section><h2>Frequently asked questions</h2><details><summary>Why?</summary></details></section>
+  <footer>&copy; Acme</footer>
+</body></html>`;
+
+test('landmark sections are detected from tags, names and headings', () => {
+    const analysis = analyzeStructure(LANDING_PAGE);
+
+    assert.equal(analysis.title, 'Acme & Co');
+    assert.deepEqual(analysis.sections.map(s => s.id), ['header', 'navigation', 'hero', 'pricing', 'faq', 'footer']);
+    assert.deepEqual(calculateLinkReward(analysis), { credits: 500, message: 'Good analysis! 6-11 sections found!' });
+});
+
+test('unclosed tags, stray close tags and raw text are tolerated', () => {
+    const root = parseHTML('<div class="a"><p>one<p>two</span></div><script>if (a < b) "</div>"</script><b>x');
+    const [div, script, bold] = root.children;
+
+    assert.equal(div.attrs.class, 'a');
+    assert.deepEqual(div.children.map(child => child.tag), ['p']);
+    assert.equal(script.children[0].text, 'if (a < b) "</div>"');
+    assert.equal(bold.children[0].text, 'x');
+});
+
+test('parsing stays fast on unterminated tags and quotes', () => {
+    for (const html of ['<a '.repeat(20000), '<a "'.repeat(15000)]) {
+        const started = Date.now();
+        analyzeStructure(html);
+        assert.ok(Date.now() - started < 500, `took ${Date.now() - started}ms`);
+    }
+});
+
+test('deeply nested pages do not overflow the stack', () => {
+    const html = '<div>'.repeat(5000) + '<section class="pricing"><h2>Plans</h2></section>' + '</div>'.repeat(5000);
+    const analysis = analyzeStructure(html);
+
+    assert.ok(analysis.sections.some(s => s.id === 'pricing'));
+});
+
+test('only public addresses count as public', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254',
+        '100.64.0.1', '0.0.0.0', '::1', '::', 'fd12::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe',
+        '64:ff9b::7f00:1', '2002:7f00:1::']) {
+        assert.equal(isPublicAddress(address), false, address);
+    }
+    for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111']) {
+        assert.equal(isPublicAddress(address), true, address);
+    }
+});
+
+test('link URLs are normalized before they are keyed', () => {
+    const expected = 'https://example.com/pricing';
+    for (const url of [
+        'https://example.com/pricing',
+        'https://EXAMPLE.com/Pricing/',
+        'https://www.example.com:443/pricing?utm_source=x',
+        'https://example.com//pricing#plans'
+    ]) {
+        assert.equal(normalizeLinkUrl(url), expected, url);
+    }
+    assert.notEqual(normalizeLinkUrl('http://example.com/pricing'), expected);
+});
+
+// ===== FETCHING =====
+
+const routes = {
+    '/page': (req, res) => res.end(LANDING_PAGE),
+    '/hop': (req, res) => res.writeHead(302, { Location: '/page' }).end(),
+    '/loop': (req, res) => res.writeHead(302, { Location: '/loop' }).end(),
+    '/to-private': (req, res) => res.writeHead(302, { Location: 'http://10.0.0.1/' }).end(),
+    '/large': (req, res) => {
+        res.write('<div>'.repeat(1000));
+        res.end('x'.repeat(4096));
+    },
+    '/slow': () => {}
+};
+const server = http.createServer((req, res) => routes[req.url](req, res));
+const listening = new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+after(() => server.close());
+
+// Resolves every host to the local server and allows only its address
+async function fetchOptions(overrides = {}) {
+    await listening;
+    return {
+        lookup: (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]),
+        allowAddress: address => address === '127.0.0.1',
+        ...overrides
+    };
+}
+
+const local = path => `http://site.test:${server.address().port}${path}`;
+
+test('pages are fetched and redirects followed to the final URL', async () => {
+    const analysis = await analyzeUrl(local('/hop'), await fetchOptions());
+
+    assert.equal(analysis.url, local('/page'));
+    assert.equal(analysis.sectionCount, 6);
+});
+
+test('hosts that resolve to non-public addresses are refused', async () => {
+    const options = await fetchOptions({ allowAddress: undefined });
+
+    await assert.rejects(analyzeUrl(local('/page'), options), { code: 'blocked_address' });
+    await assert.rejects(analyzeUrl('http://127.0.0.1/'), { code: 'blocked_address' });
+    await assert.rejects(analyzeUrl('http://[::ffff:169.254.169.254]/'), { code: 'blocked_address' });
+    await assert.rejects(analyzeUrl('http://0x7f.1/'), { code: 'blocked_address' });
+    await assert.rejects(analyzeUrl('file:///etc/passwd'), /Unsupported protocol/);
+});
+
+test('every redirect hop is checked', async () => {
+    await assert.rejects(analyzeUrl(local('/to-private'), await fetchOptions()), { code: 'blocked_address' });
+    await assert.rejects(analyzeUrl(local('/loop'), await fetchOptions()), { code: 'too_many_redirects' });
+});
+
+test('fetches stop at the size limit and the time limit', async () => {
+    await assert.rejects(analyzeUrl(local('/large'), await fetchOptions({ maxBytes: 4096 })), { code: 'too_large' });
+    await assert.rejects(analyzeUrl(local('/slow'), await fetchOptions({ timeoutMs: 200 })), { code: 'timeout' });
+});
@@ -0,0 +1,109 @@
+/**
+ * Credit metering (metering.js) and server-issued refunds (CreditsLedger.refund)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CreditMeter = require('../metering');
+const pricing = require('../pricing.json');
+const { AbuseGuard } = require('../abuse-guard');
+const { CreditsLedger, MemoryLedgerStore, LEDGER_REASONS } = require('../ledger');
+
+function setup(start = new Date('2026-05-01T12:00:00Z')) {
+    const clock = { now: start };
+    const now = () => clock.now;
+    const guard = new AbuseGuard(require('../abuse-guard.json'), { now });
+    const ledger = new CreditsLedger(new MemoryLedgerStore(), { guard, now });
+    return { clock, ledger };
+}
+
+async function fund(ledger, userId, amount = 1000) {
+    await ledger.earn(userId, { amount, reason: LEDGER_REASONS.ADJUSTMENT, idempotencyKey: `fund:${userId}` });
+}
+
+test('quotes are itemized from the pricing table', () => {
+    const meter = new CreditMeter({ pricing });
+
+    const page = meter.quoteGeneratorPage({ components: ['Hero Section', 'Unknown Widget'], theme: 'Cyberpunk Neon', apps: 2 });
+    assert.deepEqual(page.lineItems, [
+        { label: 'Page', amount: 25 },
+        { label: 'Hero Section', amount: 10 },
+        { label: 'Unknown Widget', amount: 10 },
+        { label: 'Cyberpunk Neon theme', amount: 25 },
+        { label: '2 apps', amount: 10 }
+    ]);
+    assert.equal(page.total, 80);
+
+    assert.equal(meter.quoteMakeGif(0).lineItems.length, 1);
+    assert.equal(meter.quoteMakeGif(4).total, pricing.gembooth.makeGif.base + 4 * pricing.gembooth.makeGif.perFrame);
+    assert.equal(meter.quoteSnapPhoto('no-such-mode').total, pricing.gembooth.snapPhoto.base);
+});
+
+test('a failed task is refunded by the ledger from the charge', async () => {
+    const { ledger } = setup();
+    await fund(ledger, 'user_1');
+    const meter = new CreditMeter({ pricing, account: ledger.forUser('user_1') });
+    const quote = meter.quoteGeneratorPage({ components: ['Footer'] });
+
+    assert.equal(await meter.run(quote, async () => 'page', { idempotencyKey: 'page:1' }), 'page');
+    assert.equal((await ledger.balance('user_1')).credits, 1000 - quote.total);
+
+    await assert.rejects(meter.run(quote, async () => { throw new Error('model offline'); }, { idempotencyKey: 'page:2' }), /model offline/);
+    assert.equal((await ledger.balance('user_1')).credits, 1000 - quote.total);
+
+    const [refund] = await ledger.history('user_1', { reason: LEDGER_REASONS.REFUND });
+    assert.equal(refund.amount, quote.total);
+    assert.equal(refund.idempotencyKey, 'page:2:refund');
+    assert.deepEqual(refund.metadata, { error: 'model offline', chargeKey: 'page:2' });
+
+    // A charge is refunded once
+    const again = await ledger.refund('user_1', 'page:2');
+    assert.equal(again.duplicate, true);
+    assert.equal((await ledger.balance('user_1')).credits, 1000 - quote.total);
+});
+
+test('refunds must name a recent generation charge of the same user', async () => {
+    const { clock, ledger } = setup();
+    await fund(ledger, 'user_1');
+    await fund(ledger, 'user_2');
+    await ledger.spend('user_1', { amount: 40, reason: LEDGER_REASONS.GENERATION, idempotencyKey: 'gen:1' });
+    await ledger.spend('user_1', { amount: 40, reason: LEDGER_REASONS.STREAK_FREEZE, idempotencyKey: 'freeze:1' });
+
+    const refused = (userId, chargeKey) => assert.rejects(ledger.refund(userId, chargeKey), error => error.code === 'invalid_refund');
+    await refused('user_1', 'gen:missing');
+    await refused('user_1', 'freeze:1');
+    await refused('user_1', 'fund:user_1');
+    await refused('user_2', 'gen:1');
+    await refused('user_1', undefined);
+
+    clock.now = new Date(clock.now.getTime() + 16 * 60 * 1000);
+    await refused('user_1', 'gen:1');
+    assert.equal((await ledger.balance('user_1')).credits, 920);
+});
+
+test('refunds per day are limited', async () => {
+    const { ledger } = setup();
+    await fund(ledger, 'user_1');
+    const { dailyLimit } = require('../abuse-guard.json').actions.refund;
+
+    for (let i = 0; i <= dailyLimit; i++) {
+        await ledger.spend('user_1', { amount: 5, reason: LEDGER_REASONS.GENERATION, idempotencyKey: `gen:${i}` });
+    }
+    for (let i = 0; i < dailyLimit; i++) await ledger.refund('user_1', `gen:${i}`);
+    await assert.rejects(ledger.refund('user_1', `gen:${dailyLimit}`), error => error.code === 'daily_cap' && error.retryAfter > 0);
+});
+
+test('accounts that can not refund are charged only after the task succeeds', async () => {
+    const { ledger } = setup();
+    await fund(ledger, 'user_1');
+    const { spend, balance } = ledger.forUser('user_1');
+    const meter = new CreditMeter({ pricing, account: { spend, balance } });
+    const quote = meter.quoteSnapPhoto('no-such-mode');
+
+    await assert.rejects(meter.run(quote, async () => { throw new Error('model offline'); }, { idempotencyKey: 'snap:1' }), /model offline/);
+    assert.equal((await ledger.balance('user_1')).credits, 1000);
+
+    assert.equal(await meter.run(quote, async () => 'photo', { idempotencyKey: 'snap:2' }), 'photo');
+    assert.equal((await ledger.balance('user_1')).credits, 1000 - quote.total);
+});
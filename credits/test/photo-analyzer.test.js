@@ -0,0 +1,98 @@
+/**
+ * Photo analysis (photo-analyzer.js): server-side metrics, levels and rewards
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    sampleDimensions,
+    measurePhoto,
+    scorePhoto,
+    analyzePhoto,
+    calculatePhotoReward
+} = require('../photo-analyzer');
+
+// An upload of a width x height photo whose sample pixels come from pixel(u, v), u and v in 0..1
+function upload(width, height, pixel) {
+    const size = sampleDimensions(width, height);
+    const data = new Uint8Array(size.width * size.height * 3);
+    for (let y = 0; y < size.height; y++) {
+        for (let x = 0; x < size.width; x++) {
+            data.set(pixel(x / size.width, y / size.height), (y * size.width + x) * 3);
+        }
+    }
+    return { width, height, sample: { ...size, data } };
+}
+
+// A grid of n x n differently colored tiles
+const tiles = n => (u, v) => {
+    const k = Math.floor(u * n) * 31 + Math.floor(v * n) * 17;
+    return [(k * 53) % 256, (k * 97) % 256, (k * 151) % 256];
+};
+
+function noise() {
+    let seed = 1;
+    const random = () => (seed = (seed * 16807) % 2147483647) % 256;
+    return () => [random(), random(), random()];
+}
+
+test('the sample must match the reported size', () => {
+    const photo = upload(1024, 512, tiles(4));
+
+    assert.deepEqual(sampleDimensions(1024, 512), { width: 256, height: 128 });
+    assert.throws(() => measurePhoto({ ...photo, width: 512 }), /must be 256x256 for a 512x512 photo/);
+    assert.throws(() => measurePhoto({ ...photo, sample: { ...photo.sample, data: photo.sample.data.subarray(3) } }), /3 bytes/);
+    assert.throws(() => measurePhoto({ ...photo, width: 0 }), /positive integers/);
+    assert.throws(() => measurePhoto(upload(20000, 20000, tiles(4))), /200 megapixels/);
+});
+
+test('a flat photo earns nothing', () => {
+    const analysis = analyzePhoto(upload(256, 256, () => [128, 128, 128]));
+
+    assert.equal(analysis.tier, 0);
+    assert.equal(calculatePhotoReward(analysis).credits, 0);
+});
+
+test('detailed photos reach the top level and are paid every level up to it', () => {
+    const analysis = analyzePhoto(upload(256, 256, tiles(16)));
+
+    assert.equal(analysis.tier, 4);
+    assert.equal(analysis.metrics.regions, 256);
+    assert.deepEqual(calculatePhotoReward(analysis), {
+        credits: 1600,
+        levels: [
+            { id: 'level1', name: 'Basic', credits: 100 },
+            { id: 'level2', name: 'Intermediate', credits: 250 },
+            { id: 'level3', name: 'Advanced', credits: 500 },
+            { id: 'level4', name: 'Expert', credits: 750 }
+        ],
+        message: 'Expert analysis complete! +1600 credits'
+    });
+});
+
+test('random noise stays below the levels that need regions', () => {
+    const analysis = analyzePhoto(upload(256, 256, noise()));
+
+    assert.ok(analysis.complexity >= 0.7);
+    assert.equal(analysis.tier, 2);
+});
+
+test('the reported resolution does not change the score', () => {
+    const small = analyzePhoto(upload(256, 256, tiles(8)));
+    const large = analyzePhoto(upload(8192, 8192, tiles(8)));
+
+    assert.equal(large.metrics.megapixels, 67.11);
+    assert.equal(small.tier, large.tier);
+    assert.equal(small.complexity, large.complexity);
+    assert.equal(small.metrics.perceptualHash, large.metrics.perceptualHash);
+});
+
+test('stored metrics reproduce the tier', () => {
+    for (const pixel of [tiles(4), tiles(8), tiles(16), noise()]) {
+        const analysis = analyzePhoto(upload(640, 480, pixel));
+        const stored = JSON.parse(JSON.stringify(analysis.metrics));
+
+        assert.deepEqual(scorePhoto(stored), { complexity: analysis.complexity, tier: analysis.tier });
+    }
+});
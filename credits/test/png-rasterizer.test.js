@@ -0,0 +1,45 @@
+/**
+ * PNG exports (png-rasterizer.js) and the RasterCache the API serves them from
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { rasterizeScene, RasterCache } = require('../png-rasterizer');
+
+const scene = (fill = '#ff0000') => ({
+    width: 20,
+    height: 10,
+    nodes: [{ type: 'rect', x: 0, y: 0, width: 20, height: 10, fill }]
+});
+
+test('scenes are rendered to PNGs at the requested scale', () => {
+    const png = rasterizeScene(scene(), { scale: 2 });
+
+    assert.equal(png.subarray(1, 4).toString(), 'PNG');
+    assert.equal(png.readUInt32BE(16), 40);
+    assert.equal(png.readUInt32BE(20), 20);
+});
+
+test('the cache renders a scene once per scale', () => {
+    const cache = new RasterCache();
+    const first = cache.render(scene());
+
+    assert.equal(cache.render(scene()), first);
+    assert.notEqual(cache.render(scene(), { scale: 2 }), first);
+    assert.notEqual(cache.render(scene('#0000ff')), first);
+    assert.equal(cache.key(scene(), 1), cache.key(scene(), 1));
+    assert.notEqual(cache.key(scene(), 1), cache.key(scene(), 2));
+});
+
+test('the least recently used render is dropped first', () => {
+    const cache = new RasterCache({ maxEntries: 2 });
+    const red = cache.render(scene('#ff0000'));
+    cache.render(scene('#00ff00'));
+    cache.render(scene('#ff0000'));
+    cache.render(scene('#0000ff'));
+
+    assert.equal(cache.entries.size, 2);
+    assert.equal(cache.render(scene('#ff0000')), red);
+    assert.ok(!cache.entries.has(cache.key(scene('#00ff00'), 1)));
+});
@@ -0,0 +1,91 @@
+/**
+ * Levels, ranks and perks (progression.js) and the generator themes they gate
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ProgressionSystem = require('../progression');
+const config = require('../progression.json');
+const WebpageGenerator = require('../../webpage-generator');
+
+test('the linear curve describes level, rank and progress', () => {
+    const progression = new ProgressionSystem(config);
+
+    assert.deepEqual(progression.describe(2500), {
+        xp: 2500,
+        level: 3,
+        rank: 'Pattern Seeker',
+        currentLevelXP: 2000,
+        nextLevelXP: 3000,
+        xpToNext: 500,
+        progress: 0.5,
+        isMaxLevel: false,
+        perks: progression.perksForLevel(3)
+    });
+    assert.equal(progression.levelForXP(0), 1);
+    assert.equal(progression.describe(10 ** 9).level, config.maxLevel);
+    assert.equal(progression.describe(10 ** 9).isMaxLevel, true);
+});
+
+test('exponential and table curves', () => {
+    const exponential = new ProgressionSystem({ curve: { type: 'exponential', base: 100, growth: 2 }, maxLevel: 5 });
+    assert.deepEqual(exponential.thresholds, [0, 100, 300, 700, 1500]);
+    assert.equal(exponential.levelForXP(699), 3);
+
+    const table = new ProgressionSystem({ curve: { type: 'table', thresholds: [0, 50, 200] } });
+    assert.equal(table.levelForXP(200), 3);
+    assert.equal(table.describe(500).isMaxLevel, true);
+
+    assert.throws(() => new ProgressionSystem({ curve: { type: 'table', thresholds: [0, 50, 50] } }), /must start at 0 and increase/);
+    assert.throws(() => new ProgressionSystem({ curve: { type: 'cubic' } }), /Unknown XP curve type/);
+});
+
+test('every perk in progression.json is a generator theme', () => {
+    const generator = new WebpageGenerator();
+
+    for (const perk of config.perks) {
+        assert.equal(perk.type, 'generator-theme', perk.id);
+        assert.ok(generator.themes.has(perk.value), perk.value);
+    }
+});
+
+test('themes unlock with the level and locked themes generate as Default', () => {
+    const progression = new ProgressionSystem(config);
+    let xp = 0;
+    const generator = new WebpageGenerator({
+        isThemeUnlocked: theme => progression.isUnlocked(xp, 'generator-theme', theme)
+    });
+    const themeFor = name => generator.resolvePageConfig([{ type: 'style', name }]).styleTheme;
+
+    assert.equal(themeFor('Dark Glassmorphism'), 'Dark Glassmorphism');
+    assert.equal(themeFor('Minimalist Clean'), 'Default');
+    assert.deepEqual(progression.unlockedValues(xp, 'generator-theme'), ['Default', 'Dark Glassmorphism']);
+
+    xp = 2000;
+    assert.equal(themeFor('Minimalist Clean'), 'Minimalist Clean');
+    assert.equal(themeFor('Cyberpunk Neon'), 'Default');
+
+    xp = 3000;
+    assert.equal(themeFor('Cyberpunk Neon'), 'Cyberpunk Neon');
+});
+
+test('update emits an event for every level, rank and perk crossed', () => {
+    const progression = new ProgressionSystem(config, { level: 1 });
+    const events = [];
+    ['levelup', 'rankup', 'perk'].forEach(name => progression.on(name, data => events.push([name, data.level])));
+
+    progression.update(3500);
+    assert.deepEqual(events, [
+        ['levelup', 2],
+        ['perk', 2],
+        ['levelup', 3],
+        ['rankup', 3],
+        ['levelup', 4],
+        ['perk', 4]
+    ]);
+
+    events.length = 0;
+    progression.update(3600);
+    assert.deepEqual(events, []);
+});
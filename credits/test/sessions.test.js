@@ -0,0 +1,70 @@
+/**
+ * Signed credits sessions (sessions.js) and server-set rewards (rewards.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SessionAuth, bearerToken } = require('../sessions');
+const { rewardEntry } = require('../rewards');
+const { rewards } = require('../rewards.json');
+
+const secret = 'a'.repeat(32);
+
+test('sessions verify only unexpired tokens signed with the secret', () => {
+    let now = new Date('2026-01-01T00:00:00Z');
+    const sessions = new SessionAuth({ secret, ttlSeconds: 60, now: () => now });
+
+    const { userId, token, expiresAt } = sessions.issue();
+    assert.match(userId, /^user_[0-9a-f]{24}$/);
+    assert.equal(expiresAt, '2026-01-01T00:01:00.000Z');
+    assert.equal(sessions.verify(token), userId);
+    assert.notEqual(sessions.issue().userId, userId);
+
+    // Another user's id in the payload breaks the signature
+    const [, signature] = token.split('.');
+    const forged = `${Buffer.from(JSON.stringify({ sub: 'user_victim', exp: 1e12 })).toString('base64url')}.${signature}`;
+    assert.equal(sessions.verify(forged), null);
+    assert.equal(new SessionAuth({ secret: 'b'.repeat(32), now: () => now }).verify(token), null);
+    assert.equal(sessions.verify(`${token}.extra`), null);
+    assert.equal(sessions.verify(''), null);
+    assert.equal(sessions.verify(undefined), null);
+
+    now = new Date('2026-01-01T00:01:00Z');
+    assert.equal(sessions.verify(token), null);
+
+    assert.throws(() => new SessionAuth({ secret: 'short' }), /at least 32 characters/);
+});
+
+test('bearer tokens are read from the Authorization header', () => {
+    const request = header => ({ get: name => (name === 'authorization' ? header : undefined) });
+    assert.equal(bearerToken(request('Bearer abc.def')), 'abc.def');
+    assert.equal(bearerToken(request('bearer abc')), 'abc');
+    assert.equal(bearerToken(request('Basic abc')), null);
+    assert.equal(bearerToken(request(undefined)), null);
+});
+
+test('rewards are priced by the server and keyed by the action', () => {
+    const now = new Date('2026-03-04T23:59:00Z');
+
+    assert.deepEqual(rewardEntry(rewards, { reason: 'set_creation', action: 'design', amount: 99999 }, now), {
+        currency: 'xp',
+        amount: 50,
+        reason: 'set_creation',
+        idempotencyKey: 'set_creation:design',
+        metadata: { action: 'design' }
+    });
+    assert.equal(rewardEntry(rewards, { reason: 'subset_creation', action: 'colors' }, now).amount, 25);
+
+    // Connections pay once per UTC day
+    const connection = rewardEntry(rewards, { reason: 'connection' }, now);
+    assert.equal(connection.idempotencyKey, 'connection:2026-03-04');
+    assert.equal(rewardEntry(rewards, { reason: 'connection' }, new Date('2026-03-05T00:00:00Z')).idempotencyKey, 'connection:2026-03-05');
+
+    const refused = (body, code) => assert.throws(() => rewardEntry(rewards, body, now), error => error.code === code);
+    refused({ reason: 'set_creation', action: `design-${Date.now()}` }, 'invalid_action');
+    refused({ reason: 'connection', action: 'another' }, 'invalid_action');
+    for (const reason of ['adjustment', 'daily_bonus', 'refund', 'achievement', 'photo_analysis', '__proto__', 'toString', undefined]) {
+        refused({ reason, action: 'design' }, 'server_only');
+    }
+});
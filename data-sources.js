@@ -0,0 +1,403 @@
+/**
+ * Binary Ring Data Sources
+ * Data binding for WebpageGenerator components. A context item points at a data source and
+ * the component's "items" prop is filled with real records:
+ *
+ *   {
+ *       name: 'Product Grid', type: 'component',
+ *       data: {
+ *           source: 'point4brand-products',
+ *           query: { where: { collection: 'fractals' }, sort: '-price', limit: 6 },
+ *           fields: { title: 'name' },        // item field -> record path, overrides the source's mapping
+ *           hydrate: true                     // refresh the items from the source in the browser
+ *       }
+ *   }
+ *
+ * A source is either a JSON file ({ url, path }) or a loader ({ load: async query => records }).
+ * Sources map their records to each component's item fields with
+ * fields: { 'Product Grid': { title: 'name', image: '/point4brand/{{assets.primary}}' } }:
+ * a plain path copies the value, a string with {{path}} placeholders builds one.
+ */
+
+const BUILT_IN_SOURCES = [
+    {
+        name: 'apps-catalog',
+        description: 'Binary Ring apps (apps/catalog.json)',
+        url: 'apps/catalog.json',
+        path: 'apps',
+        fields: {
+            'Product Grid': { title: 'name', description: 'description', image: '/apps/{{id}}/preview.png', url: '/apps/{{id}}/index.html' },
+            'Photo Gallery': { title: 'name', image: '/apps/{{id}}/preview.png' },
+            'Testimonials': { quote: 'description', author: 'name', role: 'creator' }
+        }
+    },
+    {
+        name: 'artist-catalog',
+        description: 'Generative art experiences (catalog/artist-catalog.json)',
+        url: 'catalog/artist-catalog.json',
+        path: 'experiences',
+        fields: {
+            'Product Grid': { title: 'title', description: 'description', url: '/{{files.demo}}' },
+            'Photo Gallery': { title: 'title' },
+            'Testimonials': { quote: 'longDescription', author: 'title', role: 'category' }
+        }
+    },
+    {
+        name: 'point4brand-products',
+        description: 'point4brand merchandise from every collection (point4brand/catalog.json)',
+        url: 'point4brand/catalog.json',
+        path: 'collections.*.items',
+        fields: {
+            'Product Grid': { title: 'name', description: 'description', price: '${{price}}', image: '/point4brand/{{assets.primary}}' },
+            'Photo Gallery': { title: 'name', image: '/point4brand/{{assets.primary}}' }
+        }
+    }
+];
+
+// The functions below also run in the browser for hydration, so they only use each other
+
+function readPath(value, path) {
+    return path.split('.').reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+}
+
+/**
+ * Records at a path in a JSON document; "*" steps into every value ('collections.*.items')
+ */
+function selectRecords(json, path) {
+    let current = [json];
+    (path ? path.split('.') : []).forEach(key => {
+        current = key === '*'
+            ? current.flatMap(value => (value && typeof value === 'object' ? Object.values(value) : []))
+            : current.map(value => readPath(value, key));
+    });
+    return current.flatMap(value => (Array.isArray(value) ? value : value === undefined || value === null ? [] : [value]));
+}
+
+/**
+ * Filter, sort and page records: { where: { path: value }, sort: 'path' or '-path', offset, limit }.
+ * A where value matches equal values and arrays that include it.
+ */
+function applyQuery(records, query) {
+    const { where = {}, sort, offset = 0, limit } = query || {};
+    let result = records.filter(record => Object.entries(where).every(([path, expected]) => {
+        const actual = readPath(record, path);
+        return Array.isArray(actual) ? actual.includes(expected) : actual === expected;
+    }));
+
+    if (sort) {
+        const direction = sort.startsWith('-') ? -1 : 1;
+        const key = sort.replace(/^-/, '');
+        result = [...result].sort((a, b) => {
+            const x = readPath(a, key);
+            const y = readPath(b, key);
+            return (x > y ? 1 : x < y ? -1 : 0) * direction;
+        });
+    }
+    return result.slice(offset, limit === undefined ? undefined : offset + limit);
+}
+
+/**
+ * Records -> component items. Fields whose placeholders are missing in a record are left out.
+ */
+function mapFields(records, fields) {
+    if (!fields) return records;
+    return records.map(record => {
+        const item = {};
+        Object.entries(fields).forEach(([field, source]) => {
+            let missing = false;
+            const value = source.includes('{{')
+                ? source.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+                    const part = readPath(record, path);
+                    if (part === undefined || part === null) missing = true;
+                    return part;
+                })
+                : readPath(record, source);
+            if (!missing && value !== undefined && value !== null) item[field] = value;
+        });
+        return item;
+    });
+}
+
+/**
+ * HTML for a list of items from an item template. {{field}} is escaped (and href/src URLs with unsafe
+ * schemes become "#"), {{index}} counts from 1,
+ * {{#field}}...{{/field}} renders when the field has a value and {{^field}}...{{/field}} when not.
+ */
+function renderItems(template, items) {
+    const escape = value => String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+    const present = value => value !== undefined && value !== null && value !== '' && value !== false
+        && !(Array.isArray(value) && value.length === 0);
+    // Same rule as SafeHTML.url: unsafe schemes such as javascript: become "#"
+    const safeUrl = value => {
+        const scheme = String(value).replace(/[\u0000-\u0020\u007f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+        return scheme && !['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase()) ? '#' : String(value).trim();
+    };
+
+    return items.map((item, i) => {
+        const values = { index: i + 1, ...item };
+        return template
+            .replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (match, type, key, inner) => (present(values[key]) === (type === '#') ? inner : ''))
+            .replace(/(\b(?:href|src)=")?\{\{(\w+)\}\}/g, (match, url, key) => {
+                if (!present(values[key])) return url || '';
+                return url ? url + escape(safeUrl(values[key])) : escape(values[key]);
+            });
+    }).join('');
+}
+
+class DataSources {
+    /**
+     * @param {Array} sources - sources to register
+     * @param {Object} options
+     * @param {string} options.baseUrl - where the browser fetches source urls from (default '/')
+     * @param {string} options.rootDir - directory source urls are read from in Node (default: this module's directory)
+     * @param {Function} options.fetchImpl - fetch replacement for the browser
+     */
+    constructor(sources = [], options = {}) {
+        this.sources = new Map();
+        this.cache = new Map();
+        this.baseUrl = (options.baseUrl || '/').replace(/\/?$/, '/');
+        this.rootDir = options.rootDir || (typeof __dirname !== 'undefined' ? __dirname : null);
+        this.fetchImpl = options.fetchImpl || null;
+        sources.forEach(source => this.register(source));
+    }
+
+    /**
+     * Add a data source. Names are unique unless { override: true } is passed.
+     */
+    register(source, { override = false } = {}) {
+        this.validate(source);
+        if (this.sources.has(source.name) && !override) {
+            throw new Error(`Data source already registered: ${source.name}`);
+        }
+
+        this.sources.set(source.name, { ...source, fields: source.fields || {} });
+        this.cache.delete(source.name);
+        this.emit('register', source);
+        return source;
+    }
+
+    unregister(name) {
+        const removed = this.sources.delete(name);
+        this.cache.delete(name);
+        if (removed) this.emit('unregister', { name });
+        return removed;
+    }
+
+    has(name) {
+        return this.sources.has(name);
+    }
+
+    get(name) {
+        return this.sources.get(name) || null;
+    }
+
+    list() {
+        return [...this.sources.keys()];
+    }
+
+    validate(source) {
+        if (!source || typeof source.name !== 'string' || !source.name.trim()) {
+            throw new Error('Data sources need a name');
+        }
+        const { name, url, path, load, fields = {} } = source;
+
+        if ((url === undefined) === (load === undefined)) {
+            throw new Error(`Data source ${name}: needs either a url or a load function`);
+        }
+        if (url !== undefined && typeof url !== 'string') {
+            throw new Error(`Data source ${name}: url must be a string`);
+        }
+        if (load !== undefined && typeof load !== 'function') {
+            throw new Error(`Data source ${name}: load must be a function`);
+        }
+        if (path !== undefined && typeof path !== 'string') {
+            throw new Error(`Data source ${name}: path must be a string`);
+        }
+        Object.entries(fields).forEach(([component, mapping]) => {
+            if (!mapping || typeof mapping !== 'object' || Object.values(mapping).some(value => typeof value !== 'string')) {
+                throw new Error(`Data source ${name}: fields for ${component} must map item fields to record paths`);
+            }
+        });
+    }
+
+    /**
+     * Records of a source after the query. Loader sources get the query and apply it themselves.
+     */
+    async query(name, query = {}) {
+        const source = this.requireSource(name);
+        if (source.load) {
+            const records = await source.load(query);
+            if (!Array.isArray(records)) throw new Error(`Data source ${name}: load must resolve to a list of records`);
+            return records;
+        }
+
+        if (!this.cache.has(name)) {
+            this.cache.set(name, this.loadJSON(source.url).then(json => selectRecords(json, source.path)));
+        }
+        try {
+            return applyQuery(await this.cache.get(name), query);
+        } catch (error) {
+            this.cache.delete(name);
+            throw error;
+        }
+    }
+
+    /**
+     * Component items from a source, mapped with the source's fields for that component
+     */
+    async items(componentName, binding) {
+        const source = this.requireSource(binding.source);
+        const records = await this.query(binding.source, binding.query);
+        return mapFields(records, binding.fields || source.fields[componentName]);
+    }
+
+    /**
+     * Context items with every data binding resolved into the component's props
+     */
+    async bind(contextItems) {
+        return Promise.all(contextItems.map(async item => {
+            if (item.type !== 'component' || !item.data) return item;
+
+            const items = await this.items(item.name, item.data);
+            this.emit('bind', { component: item.name, source: item.data.source, count: items.length });
+            return { ...item, props: { ...item.props, [item.data.prop || 'items']: items } };
+        }));
+    }
+
+    /**
+     * Browser script that re-renders hydrated components from their sources. Components with an
+     * itemTemplate render one [data-bind-items] container each, matched to them in page order.
+     */
+    hydrationScript(components, registry) {
+        const bindings = components
+            .filter(comp => {
+                const plugin = registry.get(comp.name);
+                return plugin && plugin.template && plugin.itemTemplate;
+            })
+            .map(comp => {
+                if (!comp.data || !comp.data.hydrate) return null;
+                const source = this.requireSource(comp.data.source);
+                if (!source.url) {
+                    throw new Error(`Data source ${source.name} has no url, so ${comp.name} can only be bound when the page is generated`);
+                }
+                return {
+                    url: /^(https?:)?\/\//.test(source.url) ? source.url : this.baseUrl + source.url.replace(/^\//, ''),
+                    path: source.path || '',
+                    query: comp.data.query || {},
+                    fields: comp.data.fields || source.fields[comp.name] || null,
+                    template: registry.get(comp.name).itemTemplate
+                };
+            });
+        if (!bindings.some(Boolean)) return '';
+
+        return `
+        // Data binding: refresh bound components from their sources
+        (function () {
+            const bindings = ${JSON.stringify(bindings).replace(/</g, '\\u003c')};
+            ${[readPath, selectRecords, applyQuery, mapFields, renderItems].join('\n')}
+
+            document.querySelectorAll('[data-bind-items]').forEach((container, i) => {
+                const binding = bindings[i];
+                if (!binding) return;
+                fetch(binding.url)
+                    .then(response => {
+                        if (!response.ok) throw new Error('HTTP ' + response.status);
+                        return response.json();
+                    })
+                    .then(json => {
+                        const records = applyQuery(selectRecords(json, binding.path), binding.query);
+                        container.innerHTML = renderItems(binding.template, mapFields(records, binding.fields));
+                    })
+                    .catch(error => console.error('Could not load ' + binding.url, error));
+            });
+        })();`;
+    }
+
+    /**
+     * A source's JSON: read from rootDir in Node, fetched from baseUrl in the browser
+     */
+    async loadJSON(url) {
+        if (!/^(https?:)?\/\//.test(url) && this.rootDir && typeof require === 'function' && !this.fetchImpl) {
+            const fs = require('fs').promises;
+            const path = require('path');
+            return JSON.parse(await fs.readFile(path.join(this.rootDir, url), 'utf8'));
+        }
+
+        const request = this.fetchImpl || ((...args) => fetch(...args));
+        const target = /^(https?:)?\/\//.test(url) ? url : this.baseUrl + url.replace(/^\//, '');
+        const response = await request(target);
+        if (!response.ok) throw new Error(`Could not load ${target} (${response.status})`);
+        return response.json();
+    }
+
+    /**
+     * Forget loaded JSON, for one source or all of them
+     */
+    clearCache(name) {
+        if (name) this.cache.delete(name);
+        else this.cache.clear();
+    }
+
+    requireSource(name) {
+        const source = this.get(name);
+        if (!source) throw new Error(`Unknown data source: ${name}`);
+        return source;
+    }
+
+    /**
+     * A loader source for ContentAPI (content/contentAPI.js), which reads Supabase in the browser.
+     * The query's search text uses searchContent, otherwise getAllContent pages through the content.
+     */
+    static contentAPISource(name, contentAPI, { fields } = {}) {
+        return {
+            name,
+            description: 'Persona content from Supabase (ContentAPI)',
+            load: async (query = {}) => {
+                const { search, where = {}, offset = 0, limit = 12 } = query;
+                const records = search
+                    ? await contentAPI.searchContent(search, { ...where, limit: offset + limit })
+                    : await contentAPI.getAllContent({ offset, limit, includeRelated: false });
+                return search ? records.slice(offset) : records;
+            },
+            fields: fields || {
+                'Product Grid': { title: 'personaName', description: 'content' },
+                'Testimonials': { quote: 'content', author: 'personaName', role: 'tool' }
+            }
+        };
+    }
+
+    // Event System
+    on(event, callback) {
+        if (!this.events) this.events = {};
+        if (!this.events[event]) this.events[event] = [];
+        this.events[event].push(callback);
+    }
+
+    emit(event, data) {
+        if (!this.events || !this.events[event]) return;
+        this.events[event].forEach(callback => callback(data));
+    }
+
+    off(event, callback) {
+        if (!this.events || !this.events[event]) return;
+        this.events[event] = this.events[event].filter(cb => cb !== callback);
+    }
+}
+
+DataSources.BUILT_IN = BUILT_IN_SOURCES;
+DataSources.renderItems = renderItems;
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.DataSources = DataSources;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataSources;
+}
@@ -10,8 +10,11 @@ import {
   deletePhoto,
   makeGif,
   hideGif,
-  setCustomPrompt
+  setCustomPrompt,
+  quoteGif,
+  dismissCreditError
 } from '../lib/actions'
+import {quoteSnapPhoto} from '../lib/credits'
 import useStore from '../lib/store'
 import imageData from '../lib/imageData'
 import modes from '../lib/modes'
@@ -26,6 +29,9 @@ export default function App() {
   const activeMode = useStore.use.activeMode()
   const gifInProgress = useStore.use.gifInProgress()
   const gifUrl = useStore.use.gifUrl()
+  const pricing = useStore.use.pricing()
+  const balance = useStore.use.balance()
+  const creditError = useStore.use.creditError()
   const [videoActive, setVideoActive] = useState(false)
   const [didInitVideo, setDidInitVideo] = useState(false)
   const [focusedId, setFocusedId] = useState(null)
@@ -147,6 +153,17 @@ export default function App() {
           disablePictureInPicture="true"
         />
         {didJustSnap && <div className="flash" />}
+        {balance !== null && (
+          <div className="creditBalance">🪙 {balance} credits</div>
+        )}
+        {creditError && (
+          <div className="creditError" onClick={e => e.stopPropagation()}>
+            <p>{creditError}</p>
+            <button className="circleBtn" onClick={dismissCreditError}>
+              <span className="icon">close</span>
+            </button>
+          </div>
+        )}
         {!videoActive && (
           <button className="startButton" onClick={startVideo}>
             <h1>📸 GemBooth</h1>
@@ -271,7 +288,11 @@ export default function App() {
             onClick={makeGif}
             disabled={gifInProgress}
           >
-            {gifInProgress ? 'One sec…' : 'Make GIF!'}
+            {gifInProgress
+              ? 'One sec…'
+              : pricing
+                ? `Make GIF! · ${quoteGif().total} credits`
+                : 'Make GIF!'}
           </button>
         )}
       </div>
@@ -294,6 +315,9 @@ export default function App() {
               <h4>Prompt</h4>
             </>
           )}
+          {pricing && (
+            <h4>{quoteSnapPhoto(pricing, hoveredMode.key).total} credits</h4>
+          )}
         </div>
       )}
     </main>
@@ -7,6 +7,13 @@ import useStore from './store'
 import imageData from './imageData'
 import gen from './llm'
 import modes from './modes'
+import {
+  loadPricing,
+  fetchBalance,
+  quoteSnapPhoto,
+  quoteMakeGif,
+  charge
+} from './credits'
 
 const get = useStore.getState
 const set = useStore.setState
@@ -21,30 +28,108 @@ export const init = () => {
   set(state => {
     state.didInit = true
   })
+
+  loadCredits()
+}
+
+// Without pricing (e.g. running outside the Binary Ring site) generation is free
+const loadCredits = async () => {
+  try {
+    const pricing = await loadPricing()
+    const balance = await fetchBalance()
+    set(state => {
+      state.pricing = pricing
+      state.balance = balance
+    })
+  } catch (error) {
+    console.warn('Credits unavailable, generating without metering:', error)
+  }
 }
 
+const metered = async (quote, task, metadata) => {
+  if (!quote) {
+    return task()
+  }
+
+  const {balance, pricing} = get()
+  if (balance !== null && balance < quote.total) {
+    throw new Error(
+      `This costs ${quote.total} credits and you have ${balance}.`
+    )
+  }
+
+  try {
+    const {result, balance: newBalance} = await charge(pricing, quote, task, metadata)
+    if (newBalance !== null) {
+      set(state => {
+        state.balance = newBalance
+      })
+    }
+    return result
+  } catch (error) {
+    if (error.balance !== undefined) {
+      set(state => {
+        state.balance = error.balance
+      })
+    }
+    throw error
+  }
+}
+
+export const quoteActiveMode = () => {
+  const {pricing, activeMode} = get()
+  return pricing ? quoteSnapPhoto(pricing, activeMode) : null
+}
+
+export const quoteGif = () => {
+  const {pricing, photos} = get()
+  const frameCount = photos.filter(photo => !photo.isBusy).length * 2
+  return pricing ? quoteMakeGif(pricing, frameCount) : null
+}
+
+export const dismissCreditError = () =>
+  set(state => {
+    state.creditError = null
+  })
+
 export const snapPhoto = async b64 => {
   const id = crypto.randomUUID()
   const {activeMode, customPrompt} = get()
+  const quote = quoteActiveMode()
   imageData.inputs[id] = b64
 
   set(state => {
+    state.creditError = null
     state.photos.unshift({id, mode: activeMode, isBusy: true})
   })
 
-  const result = await gen({
-    model,
-    prompt: activeMode === 'custom' ? customPrompt : modes[activeMode].prompt,
-    inputFile: b64
-  })
+  try {
+    const result = await metered(
+      quote,
+      () =>
+        gen({
+          model,
+          prompt:
+            activeMode === 'custom' ? customPrompt : modes[activeMode].prompt,
+          inputFile: b64
+        }),
+      {mode: activeMode}
+    )
 
-  imageData.outputs[id] = result
+    imageData.outputs[id] = result
 
-  set(state => {
-    state.photos = state.photos.map(photo =>
-      photo.id === id ? {...photo, isBusy: false} : photo
-    )
-  })
+    set(state => {
+      state.photos = state.photos.map(photo =>
+        photo.id === id ? {...photo, isBusy: false} : photo
+      )
+    })
+  } catch (error) {
+    console.error('Error generating photo:', error)
+    deletePhoto(id)
+    set(state => {
+      state.creditError = error.message
+    })
+  }
 }
 
 export const deletePhoto = id => {
@@ -111,34 +196,41 @@ const addFrameToGif = (gif, imageData, size, delay) => {
 }
 
 export const makeGif = async () => {
-  const {photos} = get()
+  const readyPhotos = get().photos.filter(photo => !photo.isBusy)
+  const quote = quoteGif()
 
   set(state => {
     state.gifInProgress = true
+    state.creditError = null
   })
 
   try {
-    const gif = new GIFEncoder()
-    const readyPhotos = photos.filter(photo => !photo.isBusy)
+    const gifUrl = await metered(
+      quote,
+      async () => {
+        const gif = new GIFEncoder()
 
-    for (const photo of readyPhotos) {
-      const inputImageData = await processImageToCanvas(
-        imageData.inputs[photo.id],
-        gifSize
-      )
-      addFrameToGif(gif, inputImageData, gifSize, 333)
+        for (const photo of readyPhotos) {
+          const inputImageData = await processImageToCanvas(
+            imageData.inputs[photo.id],
+            gifSize
+          )
+          addFrameToGif(gif, inputImageData, gifSize, 333)
 
-      const outputImageData = await processImageToCanvas(
-        imageData.outputs[photo.id],
-        gifSize
-      )
-      addFrameToGif(gif, outputImageData, gifSize, 833)
-    }
+          const outputImageData = await processImageToCanvas(
+            imageData.outputs[photo.id],
+            gifSize
+          )
+          addFrameToGif(gif, outputImageData, gifSize, 833)
+        }
 
-    gif.finish()
+        gif.finish()
 
-    const gifUrl = URL.createObjectURL(
-      new Blob([gif.buffer], {type: 'image/gif'})
+        return URL.createObjectURL(
+          new Blob([gif.buffer], {type: 'image/gif'})
+        )
+      },
+      {frames: readyPhotos.length * 2}
     )
 
     set(state => {
@@ -146,6 +238,9 @@ export const makeGif = async () => {
     })
   } catch (error) {
     console.error('Error creating GIF:', error)
+    set(state => {
+      state.creditError = error.message
+    })
     return null
   } finally {
     set(state => {
@@ -0,0 +1,59 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// Charges generations against the Binary Ring credits ledger. Prices come from
+// the main site's credits/pricing.json; quotes and charges use the site's
+// CreditMeter and CreditsLedgerClient, loaded as scripts for their window globals.
+import '../../../../credits/ledger.js'
+import '../../../../credits/metering.js'
+
+const {CreditMeter, CreditsLedgerClient} = window
+
+const apiUrl = import.meta.env.VITE_CREDITS_API_URL || '/api/credits'
+const pricingUrl =
+  import.meta.env.VITE_CREDITS_PRICING_URL || '/credits/pricing.json'
+
+// The same session as the main site's pages
+let account = null
+const connect = async () => {
+  if (!account) {
+    account = await CreditsLedgerClient.connect({baseUrl: apiUrl})
+  }
+  return account
+}
+
+export const loadPricing = async () => {
+  const response = await fetch(pricingUrl)
+  if (!response.ok) {
+    throw new Error(`Could not load pricing (${response.status})`)
+  }
+  return response.json()
+}
+
+export const fetchBalance = async () => (await (await connect()).balance()).credits
+
+export const quoteSnapPhoto = (pricing, mode) =>
+  new CreditMeter({pricing}).quoteSnapPhoto(mode)
+
+export const quoteMakeGif = (pricing, frameCount) =>
+  new CreditMeter({pricing}).quoteMakeGif(frameCount)
+
+// Runs the task and debits the quote once it succeeds; the server does not take
+// refunds from the browser, so a failed generation is never charged. Resolves with
+// the task result and the balance afterwards.
+export const charge = async (pricing, q, task, metadata = {}) => {
+  const meter = new CreditMeter({pricing, account: await connect()})
+  const balance = async () => (await meter.account.balance())[q.currency]
+
+  try {
+    const result = await meter.run(q, task, {
+      idempotencyKey: `${q.product}:${crypto.randomUUID()}`,
+      metadata
+    })
+    return {result, balance: q.total > 0 ? await balance() : null}
+  } catch (error) {
+    error.balance = await balance().catch(() => undefined)
+    throw error
+  }
+}
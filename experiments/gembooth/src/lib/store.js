@@ -16,7 +16,10 @@ export default createSelectorFunctions(
       activeMode: Object.keys(modes)[0],
       gifInProgress: false,
       gifUrl: null,
-      customPrompt: ''
+      customPrompt: '',
+      pricing: null,
+      balance: null,
+      creditError: null
     }))
   )
 )
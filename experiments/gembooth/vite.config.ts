@@ -1,5 +1,5 @@
 import path from 'path';
-import { defineConfig, loadEnv } from 'vite';
+import { defineConfig, loadEnv, searchForWorkspaceRoot } from 'vite';
 import react from '@vitejs/plugin-react';
 
 export default defineConfig(({ mode }) => {
@@ -8,6 +8,10 @@ export default defineConfig(({ mode }) => {
       server: {
         port: 3000,
         host: '0.0.0.0',
+        fs: {
+          // The credits client and metering are shared with the main site
+          allow: [searchForWorkspaceRoot(process.cwd()), path.resolve(__dirname, '../../credits')],
+        },
       },
       plugins: [react()],
       define: {
@@ -0,0 +1,522 @@
+/**
+ * Binary Ring Framework Exporter
+ * Turns the context items of a WebpageGenerator page into a React (JSX), Vue (single file
+ * components) or Svelte project built with Vite. Every page component becomes its own
+ * component file, and App renders them in order.
+ *
+ * Interactivity comes from a plugin's behavior instead of its vanilla script:
+ *
+ *   behavior: {
+ *       state: { isPlaying: false },                       // initial values
+ *       handlers: {
+ *           togglePlay: ['isPlaying = !isPlaying'],          // statements; "name = value" updates state
+ *           openLightbox: { params: ['index'], body: ['lightboxPhoto = index'] }
+ *       },
+ *       bindings: [
+ *           // find (string or RegExp) in the template HTML, replace through the framework dialect
+ *           ['id="playBtn">▶</button>', d => `id="playBtn" ${d.on('click', 'togglePlay')}>${d.expr('isPlaying ? "⏸" : "▶"')}</button>`]
+ *       ]
+ *   }
+ *
+ * The dialect has on(event, handler, args), expr(js), attr(name, js), model(stateName),
+ * style(property, js) and when(condition, html); when() expects html with a single root
+ * element. Plugins without a behavior keep their script, which runs once after the app
+ * mounts; their inline on* attributes can not be carried over and are dropped with a warning.
+ */
+
+const ExporterWebpageGenerator = typeof require === 'function'
+    ? require('./webpage-generator')
+    : window.WebpageGenerator;
+const ExporterComponentRegistry = typeof require === 'function'
+    ? require('./component-registry')
+    : window.ComponentRegistry;
+
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+const JSX_ATTRIBUTES = {
+    class: 'className',
+    for: 'htmlFor',
+    tabindex: 'tabIndex',
+    readonly: 'readOnly',
+    maxlength: 'maxLength',
+    minlength: 'minLength',
+    colspan: 'colSpan',
+    rowspan: 'rowSpan',
+    autocomplete: 'autoComplete',
+    autofocus: 'autoFocus',
+    novalidate: 'noValidate',
+    crossorigin: 'crossOrigin',
+    srcset: 'srcSet',
+    enctype: 'encType',
+    playsinline: 'playsInline',
+    allowfullscreen: 'allowFullScreen',
+    frameborder: 'frameBorder',
+    contenteditable: 'contentEditable',
+    spellcheck: 'spellCheck',
+    datetime: 'dateTime',
+    value: 'defaultValue',
+    checked: 'defaultChecked'
+};
+
+const HOLD = /\u0001(\d+)\u0001/g;
+const MARKUP_TOKEN = /<!--[\s\S]*?-->|<[^>]+>|[^<]+/g;
+const ATTRIBUTE = /\u0001\d+\u0001|([^\s=/"'<>\u0001]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'>]+))?/g;
+const INLINE_HANDLER = /\s+on[a-z]+\s*=\s*("[^"]*"|'[^']*')/gi;
+
+function pascalCase(name) {
+    const words = name.match(/[a-z0-9]+/gi) || ['Component'];
+    const joined = words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+    return /^\d/.test(joined) ? `Component${joined}` : joined;
+}
+
+function camelCase(name) {
+    return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function capitalize(name) {
+    return name[0].toUpperCase() + name.slice(1);
+}
+
+/**
+ * JavaScript source for a state's initial value
+ */
+function literal(value) {
+    if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function dedent(text) {
+    const lines = text.replace(/^\s*\n/, '').replace(/\s+$/, '').split('\n');
+    const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^ */)[0].length));
+    return lines.map(line => line.slice(indent)).join('\n');
+}
+
+function indent(text, spaces) {
+    const pad = ' '.repeat(spaces);
+    return text.split('\n').map(line => (line.trim() ? pad + line : '')).join('\n');
+}
+
+function escapeBraces(text) {
+    return text.replace(/\{/g, '&#123;').replace(/\}/g, '&#125;');
+}
+
+/**
+ * "name = value" statements that update state, or null for other statements
+ */
+function stateAssignment(statement, stateNames) {
+    const match = statement.match(/^(\w+)\s*=(?!=)\s*([\s\S]+)$/);
+    return match && stateNames.includes(match[1]) ? { name: match[1], value: match[2] } : null;
+}
+
+function handlerSource(handler) {
+    return Array.isArray(handler) ? { params: [], body: handler } : { params: handler.params || [], body: handler.body || [] };
+}
+
+// ===============================
+// DIALECTS
+// ===============================
+
+const DIALECTS = {
+    react: {
+        extension: 'jsx',
+        entry: 'src/main.jsx',
+        mountId: 'root',
+        dependencies: { react: '^18.3.1', 'react-dom': '^18.3.1' },
+        devDependencies: { '@vitejs/plugin-react': '^4.3.1', vite: '^5.4.0' },
+        vitePlugin: { name: 'react', from: '@vitejs/plugin-react' },
+
+        on: (event, handler, args) => `on${capitalize(event)}={${args ? `() => ${handler}(${args.join(', ')})` : handler}}`,
+        expr: js => `{${js}}`,
+        attr: (name, js) => `${JSX_ATTRIBUTES[name] || name}={${js}}`,
+        model: state => `value={${state}} onChange={event => set${capitalize(state)}(event.target.value)}`,
+        style: (property, js) => `style={{ ${camelCase(property)}: ${js} }}`,
+        when: (condition, html, hold) => `${hold(`{${condition} && (`)}${html}${hold(')}')}`,
+
+        comment: text => `{/*${text.replace(/\*\//g, '* /')}*/}`,
+        text: escapeBraces,
+        tag(name, attributes, closing, selfClosing) {
+            const converted = attributes.map(({ raw, name: attribute, value }) => {
+                if (!attribute) return raw;
+                if (attribute === 'style' && value) return `style={${styleObject(value)}}`;
+                if (/^(aria|data)-/.test(attribute)) return raw;
+                const renamed = JSX_ATTRIBUTES[attribute] && (JSX_ATTRIBUTES[attribute] !== 'defaultValue' || ['input', 'textarea', 'select'].includes(name))
+                    ? JSX_ATTRIBUTES[attribute]
+                    : camelCase(attribute);
+                return value === undefined ? renamed : `${renamed}=${value}`;
+            });
+            const end = VOID_ELEMENTS.includes(name.toLowerCase()) || selfClosing ? ' />' : '>';
+            return `<${closing ? '/' : ''}${name}${converted.length ? ' ' + converted.join(' ') : ''}${end}`;
+        },
+
+        component({ name, behavior, markup }) {
+            const stateNames = Object.keys(behavior.state);
+            const lines = [];
+            if (stateNames.length > 0) lines.push("import { useState } from 'react';", '');
+            lines.push(`export default function ${name}() {`);
+            stateNames.forEach(state => {
+                lines.push(`    const [${state}, set${capitalize(state)}] = useState(${literal(behavior.state[state])});`);
+            });
+            Object.entries(behavior.handlers).forEach(([handler, source]) => {
+                const { params, body } = handlerSource(source);
+                lines.push('', `    function ${handler}(${params.join(', ')}) {`);
+                body.forEach(statement => {
+                    const assignment = stateAssignment(statement, stateNames);
+                    lines.push(`        ${assignment ? `set${capitalize(assignment.name)}(${assignment.value})` : statement};`);
+                });
+                lines.push('    }');
+            });
+            if (stateNames.length > 0 || Object.keys(behavior.handlers).length > 0) lines.push('');
+            lines.push('    return (', '        <>', indent(markup, 12), '        </>', '    );', '}', '');
+            return lines.join('\n');
+        },
+
+        app({ components, footer, pageScripts }) {
+            const lines = [];
+            if (pageScripts) lines.push("import { useEffect } from 'react';");
+            new Set(components).forEach(component => lines.push(`import ${component} from './components/${component}.jsx';`));
+            if (pageScripts) lines.push("import { runPageScripts } from './page-scripts.js';");
+            lines.push('', 'export default function App() {');
+            if (pageScripts) lines.push('    useEffect(() => {', '        runPageScripts();', '    }, []);', '');
+            lines.push('    return (', '        <>');
+            components.forEach(component => lines.push(`            <${component} />`));
+            lines.push(indent(footer, 12), '        </>', '    );', '}', '');
+            return lines.join('\n');
+        },
+
+        main: () => [
+            "import { createRoot } from 'react-dom/client';",
+            "import App from './App.jsx';",
+            "import './styles.css';",
+            '',
+            "createRoot(document.getElementById('root')).render(<App />);",
+            ''
+        ].join('\n')
+    },
+
+    vue: {
+        extension: 'vue',
+        entry: 'src/main.js',
+        mountId: 'app',
+        dependencies: { vue: '^3.4.38' },
+        devDependencies: { '@vitejs/plugin-vue': '^5.1.2', vite: '^5.4.0' },
+        vitePlugin: { name: 'vue', from: '@vitejs/plugin-vue' },
+
+        on: (event, handler, args) => `@${event}="${args ? `${handler}(${args.join(', ')})` : handler}"`,
+        expr: js => `{{ ${js} }}`,
+        attr: (name, js) => `:${name}="${js}"`,
+        model: state => `v-model="${state}"`,
+        style: (property, js) => `:style="{ ${camelCase(property)}: ${js} }"`,
+        when: (condition, html, hold) => html.replace(/^(\s*<[\w-]+)/, match => `${match} ${hold(`v-if="${condition}"`)}`),
+
+        comment: text => `<!--${text}-->`,
+        text: escapeBraces,
+        tag: (name, attributes, closing, selfClosing) => `<${closing ? '/' : ''}${name}${attributes.length ? ' ' + attributes.map(a => a.raw).join(' ') : ''}${selfClosing ? ' />' : '>'}`,
+
+        component({ behavior, markup }) {
+            const stateNames = Object.keys(behavior.state);
+            const toRefs = statement => stateNames.reduce(
+                (source, state) => source.replace(new RegExp(`(?<![.\\w$])${state}\\b`, 'g'), `${state}.value`),
+                statement
+            );
+
+            const script = [];
+            if (stateNames.length > 0) script.push("import { ref } from 'vue';", '');
+            stateNames.forEach(state => script.push(`const ${state} = ref(${literal(behavior.state[state])});`));
+            Object.entries(behavior.handlers).forEach(([handler, source]) => {
+                const { params, body } = handlerSource(source);
+                if (script.length > 0) script.push('');
+                script.push(`function ${handler}(${params.join(', ')}) {`);
+                body.forEach(statement => script.push(`    ${toRefs(statement)};`));
+                script.push('}');
+            });
+
+            const parts = [];
+            if (script.length > 0) parts.push(`<script setup>\n${script.join('\n')}\n</script>\n`);
+            parts.push(`<template>\n${indent(markup, 4)}\n</template>\n`);
+            return parts.join('\n');
+        },
+
+        app({ components, footer, pageScripts }) {
+            const script = [];
+            if (pageScripts) script.push("import { onMounted } from 'vue';");
+            new Set(components).forEach(component => script.push(`import ${component} from './components/${component}.vue';`));
+            if (pageScripts) script.push("import { runPageScripts } from './page-scripts.js';", '', 'onMounted(runPageScripts);');
+
+            const template = components.map(component => `    <${component} />`).concat(indent(footer, 4));
+            return `<script setup>\n${script.join('\n')}\n</script>\n\n<template>\n${template.join('\n')}\n</template>\n`;
+        },
+
+        main: () => [
+            "import { createApp } from 'vue';",
+            "import App from './App.vue';",
+            "import './styles.css';",
+            '',
+            "createApp(App).mount('#app');",
+            ''
+        ].join('\n')
+    },
+
+    svelte: {
+        extension: 'svelte',
+        entry: 'src/main.js',
+        mountId: 'app',
+        dependencies: {},
+        devDependencies: { '@sveltejs/vite-plugin-svelte': '^3.1.1', svelte: '^4.2.18', vite: '^5.4.0' },
+        vitePlugin: { name: 'svelte', from: '@sveltejs/vite-plugin-svelte', named: true },
+
+        on: (event, handler, args) => `on:${event}={${args ? `() => ${handler}(${args.join(', ')})` : handler}}`,
+        expr: js => `{${js}}`,
+        attr: (name, js) => `${name}={${js}}`,
+        model: state => `bind:value={${state}}`,
+        style: (property, js) => `style:${property}={${js}}`,
+        when: (condition, html, hold) => `${hold(`{#if ${condition}}`)}${html}${hold('{/if}')}`,
+
+        comment: text => `<!--${text}-->`,
+        text: escapeBraces,
+        tag: (name, attributes, closing, selfClosing) => {
+            const converted = attributes.map(({ raw }) => raw.replace(/=("[^"]*"|'[^']*')$/, (match, value) => `=${escapeBraces(value)}`));
+            return `<${closing ? '/' : ''}${name}${converted.length ? ' ' + converted.join(' ') : ''}${selfClosing ? ' />' : '>'}`;
+        },
+
+        component({ behavior, markup }) {
+            const script = [];
+            Object.entries(behavior.state).forEach(([state, value]) => script.push(`    let ${state} = ${literal(value)};`));
+            Object.entries(behavior.handlers).forEach(([handler, source]) => {
+                const { params, body } = handlerSource(source);
+                if (script.length > 0) script.push('');
+                script.push(`    function ${handler}(${params.join(', ')}) {`);
+                body.forEach(statement => script.push(`        ${statement};`));
+                script.push('    }');
+            });
+
+            return script.length > 0
+                ? `<script>\n${script.join('\n')}\n</script>\n\n${markup}\n`
+                : `${markup}\n`;
+        },
+
+        app({ components, footer, pageScripts }) {
+            const script = [];
+            if (pageScripts) script.push("    import { onMount } from 'svelte';");
+            new Set(components).forEach(component => script.push(`    import ${component} from './components/${component}.svelte';`));
+            if (pageScripts) script.push("    import { runPageScripts } from './page-scripts.js';", '', '    onMount(runPageScripts);');
+
+            const markup = components.map(component => `<${component} />`).concat(footer);
+            return `<script>\n${script.join('\n')}\n</script>\n\n${markup.join('\n')}\n`;
+        },
+
+        main: () => [
+            "import App from './App.svelte';",
+            "import './styles.css';",
+            '',
+            "const app = new App({ target: document.getElementById('app') });",
+            '',
+            'export default app;',
+            ''
+        ].join('\n')
+    }
+};
+
+/**
+ * JSX style object source for an inline style attribute value
+ */
+function styleObject(value) {
+    const declarations = value.slice(1, -1).split(';')
+        .map(declaration => declaration.trim())
+        .filter(Boolean)
+        .map(declaration => {
+            const [property, ...rest] = declaration.split(':');
+            return `${camelCase(property.trim())}: ${literal(rest.join(':').trim())}`;
+        });
+    return `{ ${declarations.join(', ')} }`;
+}
+
+class FrameworkExporter {
+    /**
+     * @param {Object} options
+     * @param {WebpageGenerator} options.generator - supplies components, themes and page config
+     */
+    constructor(options = {}) {
+        this.generator = options.generator || new ExporterWebpageGenerator();
+    }
+
+    /**
+     * Project files for a page: { framework, files: { path: content }, components, warnings }
+     */
+    exportPage(contextItems, { framework = 'react', title } = {}) {
+        const dialect = DIALECTS[framework];
+        if (!dialect) {
+            throw new Error(`Unknown framework: ${framework} (expected ${FrameworkExporter.FRAMEWORKS.join(', ')})`);
+        }
+
+        const { components, styleTheme, themeVariant, keywords, apps } = this.generator.resolvePageConfig(contextItems);
+        const registry = this.generator.components;
+        const warnings = [];
+        const files = {};
+        const rendered = new Map(); // component file name -> markup
+        const order = [];
+
+        components.forEach(comp => {
+            const plugin = registry.get(comp.name);
+            const html = registry.render(comp.name, { description: comp.description, keywords, props: comp.props });
+            if (!html) return;
+
+            const markup = this.convertMarkup(dialect, html, plugin.behavior, comp.name, warnings);
+            const baseName = pascalCase(comp.name);
+            let name = baseName;
+            for (let n = 2; rendered.has(name) && rendered.get(name) !== markup; n++) name = `${baseName}${n}`;
+
+            if (!rendered.has(name)) {
+                rendered.set(name, markup);
+                files[`src/components/${name}.${dialect.extension}`] = dialect.component({
+                    name,
+                    behavior: { state: {}, handlers: {}, ...plugin.behavior },
+                    markup
+                });
+            }
+            order.push(name);
+        });
+
+        // Scripts of plugins (and their dependencies) without a behavior run once after mounting
+        const pageScripts = registry.resolve(components.map(comp => comp.name))
+            .filter(plugin => plugin.script && !plugin.behavior)
+            .map(plugin => plugin.script);
+        if (pageScripts.length > 0) {
+            files['src/page-scripts.js'] = [
+                '// Scripts of components without a framework behavior, run once the page is mounted',
+                'export function runPageScripts() {',
+                indent(dedent(pageScripts.join('\n\n')), 4),
+                '}',
+                ''
+            ].join('\n');
+        }
+
+        const footerHTML = [
+            '<div class="binary-ring-footer">',
+            '    <p>Generated by Binary Ring AI Frontend Generator</p>',
+            apps.length > 0 ? `    <p>Integrated Apps: ${ExporterComponentRegistry.escape(apps.map(a => a.name).join(', '))}</p>` : null,
+            '</div>'
+        ].filter(Boolean).join('\n');
+        const footer = this.convertMarkup(dialect, footerHTML, null, 'Footer', warnings);
+
+        const pageTitle = title || 'Binary Ring Generated Page';
+        const slug = pageTitle.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'binary-ring-page';
+        const escape = ExporterComponentRegistry.escape;
+
+        files['package.json'] = `${JSON.stringify({
+            name: slug,
+            private: true,
+            version: '0.0.0',
+            type: 'module',
+            scripts: { dev: 'vite', build: 'vite build', preview: 'vite preview' },
+            dependencies: dialect.dependencies,
+            devDependencies: dialect.devDependencies
+        }, null, 2)}\n`;
+        const plugin = dialect.vitePlugin;
+        files['vite.config.js'] = [
+            "import { defineConfig } from 'vite';",
+            `import ${plugin.named ? `{ ${plugin.name} }` : plugin.name} from '${plugin.from}';`,
+            '',
+            'export default defineConfig({',
+            `    plugins: [${plugin.name}()]`,
+            '});',
+            ''
+        ].join('\n');
+        files['index.html'] = `<!DOCTYPE html>
+<html lang="en"${this.generator.variantAttribute(themeVariant)}>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="description" content="Generated by Binary Ring AI Frontend Generator">
+    <meta name="keywords" content="${escape(keywords.map(k => k.name).join(', '))}">
+    <title>${escape(pageTitle)}</title>
+</head>
+<body>
+    <div id="${dialect.mountId}"></div>
+    <script type="module" src="/${dialect.entry}"></script>
+</body>
+</html>
+`;
+        files[dialect.entry] = dialect.main();
+        files[`src/App.${dialect.extension}`] = dialect.app({ components: order, footer, pageScripts: pageScripts.length > 0 });
+        // Component CSS is indented for the generator's inline <style> block
+        files['src/styles.css'] = `${this.generator.generateStyles(components, styleTheme, themeVariant).replace(/^ {8}/gm, '').trim()}\n`;
+
+        return { framework, files, components: order, warnings };
+    }
+
+    /**
+     * Template HTML -> framework markup: apply the behavior's bindings, drop leftover inline
+     * handlers, then convert tags and text for the dialect
+     */
+    convertMarkup(dialect, html, behavior, componentName, warnings) {
+        const held = [];
+        const hold = source => `\u0001${held.push(source) - 1}\u0001`;
+        const d = {
+            on: (event, handler, args) => hold(dialect.on(event, handler, args)),
+            expr: js => hold(dialect.expr(js)),
+            attr: (name, js) => hold(dialect.attr(name, js)),
+            model: state => hold(dialect.model(state)),
+            style: (property, js) => hold(dialect.style(property, js)),
+            when: (condition, inner) => dialect.when(condition, inner, hold)
+        };
+
+        let markup = html;
+        ((behavior && behavior.bindings) || []).forEach(([find, replace]) => {
+            const pattern = typeof find === 'string' ? new RegExp(find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g') : find;
+            if (!new RegExp(pattern.source, pattern.flags.replace('g', '')).test(markup)) {
+                warnings.push(`${componentName}: behavior binding ${find} did not match the template`);
+                return;
+            }
+            markup = markup.replace(pattern, (...match) => replace(d, ...match.slice(1, -2)));
+        });
+
+        markup = markup.replace(INLINE_HANDLER, match => {
+            warnings.push(`${componentName}: dropped inline handler ${match.trim()} (add a behavior to the plugin)`);
+            return '';
+        });
+
+        const converted = dedent(markup).replace(MARKUP_TOKEN, token => {
+            if (token.startsWith('<!--')) return dialect.comment(token.slice(4, -3));
+            const tag = token.match(/^<(\/?)([\w-]+)([\s\S]*?)(\/?)>$/);
+            if (!tag) return token.startsWith('<') ? token : dialect.text(token);
+
+            const attributes = [];
+            tag[3].replace(ATTRIBUTE, (raw, name, value) => {
+                attributes.push({ raw, name, value });
+                return raw;
+            });
+            return dialect.tag(tag[2], attributes, tag[1] === '/', tag[4] === '/');
+        });
+
+        return converted.replace(HOLD, (match, index) => held[index]);
+    }
+
+    /**
+     * Export a page and write the project into a directory (Node only)
+     */
+    async writeProject(contextItems, directory, options = {}) {
+        const fs = require('fs').promises;
+        const path = require('path');
+
+        const project = this.exportPage(contextItems, options);
+        const projectDir = path.resolve(directory);
+        for (const [file, content] of Object.entries(project.files)) {
+            const target = path.join(projectDir, file);
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.writeFile(target, content);
+        }
+        return { directory: projectDir, ...project };
+    }
+}
+
+FrameworkExporter.FRAMEWORKS = Object.keys(DIALECTS);
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.FrameworkExporter = FrameworkExporter;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameworkExporter;
+}
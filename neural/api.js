@@ -13,13 +13,23 @@ import cors from 'cors';
 import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import compression from 'compression';
+import crypto from 'crypto';
+import { SessionAuth, bearerToken } from '../credits/sessions.js';
 import BinaryRingConnectionEngine from './connectionEngine.js';
+import { FeedbackLearner, LEGACY_FEEDBACK, VOTE_WEIGHTS } from './feedback.js';
 
 class NeuralConnectionAPI {
     constructor(catalogData, options = {}) {
         this.app = express();
         this.port = options.port || 3001;
-        this.connectionEngine = new BinaryRingConnectionEngine(catalogData);
+        // BinaryRingNeuralSystem passes its engine, so both share one trained model
+        this.connectionEngine = options.connectionEngine ||
+            new BinaryRingConnectionEngine(catalogData, { store: options.modelStore, vectorIndex: options.vectorIndex });
+        this.feedback = options.feedback || new FeedbackLearner(options.feedbackStore);
+        // Voters are identified by their credits session token (credits/sessions.js)
+        this.sessions = options.sessions || (process.env.CREDITS_SESSION_SECRET
+            ? new SessionAuth({ secret: process.env.CREDITS_SESSION_SECRET })
+            : null);
 
         // Configuration
         this.config = {
@@ -44,12 +54,9 @@ class NeuralConnectionAPI {
     async initializeEngine() {
         try {
             console.log('🔄 Initializing Neural Connection Engine...');
-            await this.connectionEngine.initialize();
-
-            // Train the neural network if we have enough data
-            if (this.connectionEngine.projects.length >= 5) {
-                await this.connectionEngine.trainNeuralNetwork();
-            }
+            // Train the neural network if we have enough data and no saved model
+            await this.connectionEngine.trainIfNeeded();
+            await this.feedback.fold(this.connectionEngine);
 
             console.log('✅ Neural Connection Engine ready');
         } catch (error) {
@@ -110,17 +117,19 @@ class NeuralConnectionAPI {
     }
 
     /**
-     * API key authentication middleware
+     * API key authentication middleware. Without a configured key the protected routes are disabled.
      */
     requireApiKey(req, res, next) {
-        const apiKey = req.header(this.config.apiKeyHeader);
-
         if (!this.config.requiredApiKey) {
-            // No API key required
-            return next();
+            return res.status(503).json({
+                error: 'Unavailable',
+                message: 'Set BINARY_RING_API_KEY to enable this endpoint'
+            });
         }
 
-        if (!apiKey || apiKey !== this.config.requiredApiKey) {
+        const apiKey = Buffer.from(String(req.header(this.config.apiKeyHeader) || ''));
+        const expected = Buffer.from(String(this.config.requiredApiKey));
+        if (apiKey.length !== expected.length || !crypto.timingSafeEqual(apiKey, expected)) {
             return res.status(401).json({
                 error: 'Unauthorized',
                 message: 'Valid API key required'
@@ -130,6 +139,23 @@ class NeuralConnectionAPI {
         next();
     }
 
+    /**
+     * Session authentication middleware: sets req.userId from the "Authorization: Bearer <token>" header
+     */
+    requireUser(req, res, next) {
+        const userId = this.sessions ? this.sessions.verify(bearerToken(req)) : null;
+
+        if (!userId) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'A valid session token is required'
+            });
+        }
+
+        req.userId = userId;
+        next();
+    }
+
     /**
      * Setup API routes
      */
@@ -152,7 +178,9 @@ class NeuralConnectionAPI {
                 endpoints: {
                     projects: '/api/projects',
                     relationships: '/api/projects/:id/related',
+                    similarProjects: '/api/projects/similar',
                     similarity: '/api/similarity/:id1/:id2',
+                    feedback: '/api/connections/:id1/:id2/feedback',
                     collections: '/api/collections',
                     analytics: '/api/analytics',
                     training: '/api/train',
@@ -334,6 +362,42 @@ class NeuralConnectionAPI {
             }
         });
 
+        // Find projects similar to a feature vector or to analysis parameters
+        this.app.post('/api/projects/similar', (req, res) => {
+            try {
+                const { vector, parameters, limit = 5, exclude = [] } = req.body;
+
+                if (!vector && !parameters) {
+                    return res.status(400).json({
+                        error: 'Missing query',
+                        message: 'Send a feature vector or analysis parameters'
+                    });
+                }
+
+                let results;
+                try {
+                    results = this.connectionEngine.findSimilarToVector(vector || parameters, parseInt(limit), { exclude });
+                } catch (error) {
+                    return res.status(400).json({ error: 'Invalid query', message: error.message });
+                }
+
+                res.json({
+                    results: results.map(result => ({
+                        id: result.id,
+                        similarity: result.similarity,
+                        project: {
+                            id: result.project.id,
+                            title: result.project.title,
+                            category: result.project.category,
+                            type: result.project.type
+                        }
+                    }))
+                });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to find similar projects', details: error.message });
+            }
+        });
+
         // Get similarity score between two projects
         this.app.get('/api/similarity/:id1/:id2', (req, res) => {
             try {
@@ -346,14 +410,18 @@ class NeuralConnectionAPI {
                     return res.status(404).json({ error: 'One or both projects not found' });
                 }
 
-                const similarity = this.connectionEngine.calculateProjectSimilarity(id1, id2);
-                const explanation = this.connectionEngine.explainConnection(id1, id2);
+                const { features = 3 } = req.query;
+                const breakdown = this.connectionEngine.explainSimilarity(id1, id2, {
+                    topFeatures: Math.max(0, parseInt(features) || 0)
+                });
+                const similarity = breakdown.computed;
 
                 res.json({
                     project1: { id: id1, title: project1.title },
                     project2: { id: id2, title: project2.title },
                     similarity,
-                    explanation,
+                    explanation: breakdown.summary,
+                    breakdown,
                     strength: similarity > 0.7 ? 'strong' : similarity > 0.4 ? 'moderate' : 'weak'
                 });
             } catch (error) {
@@ -361,28 +429,41 @@ class NeuralConnectionAPI {
             }
         });
 
-        // Update connection based on user feedback
-        this.app.post('/api/connections/:id1/:id2/feedback', this.requireApiKey.bind(this), (req, res) => {
+        // Vote on a connection; the vote is logged and folded into the similarity right away
+        this.app.post('/api/connections/:id1/:id2/feedback', this.requireUser.bind(this), async (req, res) => {
             try {
                 const { id1, id2 } = req.params;
-                const { feedback } = req.body;
+                const vote = req.body.vote || req.body.feedback;
+                const userId = req.userId;
+                const validVotes = [...Object.keys(VOTE_WEIGHTS), ...Object.keys(LEGACY_FEEDBACK)];
 
-                if (!['relevant', 'not_relevant', 'very_relevant'].includes(feedback)) {
+                if (!validVotes.includes(vote)) {
                     return res.status(400).json({
-                        error: 'Invalid feedback',
-                        valid_values: ['relevant', 'not_relevant', 'very_relevant']
+                        error: 'Invalid vote',
+                        valid_values: Object.keys(VOTE_WEIGHTS)
                     });
                 }
 
-                this.connectionEngine.updateConnection(id1, id2, feedback);
+                const project1 = this.connectionEngine.projects.find(p => p.id === id1);
+                const project2 = this.connectionEngine.projects.find(p => p.id === id2);
+
+                if (!project1 || !project2 || id1 === id2) {
+                    return res.status(404).json({ error: 'One or both projects not found' });
+                }
+
+                const previousSimilarity = this.connectionEngine.getSimilarity(id1, id2);
+                const { vote: recorded, replaced } = await this.feedback.record(id1, id2, vote, userId);
+                await this.feedback.fold(this.connectionEngine);
 
                 res.json({
-                    message: 'Connection updated successfully',
-                    connection: { id1, id2, feedback },
+                    message: replaced ? 'Vote updated' : 'Vote recorded',
+                    connection: { id1, id2, vote: recorded.vote },
+                    replaced: replaced ? replaced.vote : null,
+                    previousSimilarity,
                     newSimilarity: this.connectionEngine.getSimilarity(id1, id2)
                 });
             } catch (error) {
-                res.status(500).json({ error: 'Failed to update connection', details: error.message });
+                res.status(500).json({ error: 'Failed to record feedback', details: error.message });
             }
         });
     }
@@ -576,6 +657,9 @@ class NeuralConnectionAPI {
                 await this.connectionEngine.trainNeuralNetwork();
                 await this.connectionEngine.calculateSimilarityMatrix();
                 await this.connectionEngine.generateInitialConnections();
+                if (this.connectionEngine.store) {
+                    await this.connectionEngine.saveState();
+                }
 
                 res.json({
                     message: 'Neural network training completed successfully',
@@ -18,14 +18,91 @@
  */
 
 import * as tf from '@tensorflow/tfjs';
+import { MODEL_SNAPSHOT_VERSION, catalogFingerprint, projectFingerprint } from './modelStore.js';
+import { createVectorIndex, cosineSimilarity } from './vectorIndex.js';
+
+// getRelatedProjects reranks this many index candidates per requested result
+const RERANK_FACTOR = 4;
+
+// How calculateProjectSimilarity weighs the analysis groups, and the share of the learned
+// (autoencoder) similarity once the model is trained
+const GROUP_WEIGHTS = {
+    mathematical: 0.3,
+    visual: 0.25,
+    technical: 0.25,
+    interaction: 0.2
+};
+const LEARNED_WEIGHT = 0.3;
+
+const GROUP_LABELS = {
+    mathematical: 'Mathematics',
+    visual: 'Visual aesthetics',
+    technical: 'Technical',
+    interaction: 'Interaction'
+};
+
+// Readable names of the features the analyzers compare (see similarityTerms)
+const FEATURE_LABELS = {
+    hasAttractors: 'attractors',
+    hasFractals: 'fractals',
+    hasParticles: 'particle systems',
+    hasGrowth: 'growth processes',
+    complexityScore: 'mathematical complexity',
+    chaosLevel: 'chaos level',
+    symmetryScore: 'symmetry',
+    recursionLevel: 'recursion depth',
+    dimensionality: 'dimensionality',
+    colorComplexity: 'color complexity',
+    motionIntensity: 'motion intensity',
+    organicScore: 'organic feel',
+    geometricScore: 'geometric structure',
+    contrastLevel: 'contrast',
+    textureComplexity: 'texture complexity',
+    rhythmScore: 'visual rhythm',
+    balanceScore: 'compositional balance',
+    energyLevel: 'energy',
+    harmonyScore: 'color harmony',
+    algorithmComplexity: 'algorithmic complexity',
+    computationalIntensity: 'computational load',
+    interactivityLevel: 'interactivity',
+    performanceScore: 'performance',
+    codeComplexity: 'code complexity',
+    renderingComplexity: 'rendering complexity',
+    engagementLevel: 'engagement',
+    contemplativeScore: 'contemplative quality',
+    responsiveness: 'responsiveness',
+    emotionalConnection: 'emotional connection',
+    therapeuticValue: 'therapeutic value',
+    flowState: 'flow state'
+};
+
+/**
+ * An analyzer's similarity from its terms, within [0, 1]
+ */
+function sumSimilarityTerms(terms) {
+    const similarity = terms.reduce((sum, term) => sum + term.weight * term.agreement, 0);
+    return Math.max(0, Math.min(1, similarity));
+}
+
+/**
+ * "Both have attractors", "Similar chaos level", ...
+ */
+function describeFeature(feature, value1, value2, agreement) {
+    const label = FEATURE_LABELS[feature] || feature;
+    if (typeof value1 === 'boolean') {
+        if (value1 && value2) return `Both have ${label}`;
+        return value1 || value2 ? `Only one has ${label}` : `Neither has ${label}`;
+    }
+    return `${agreement >= 0.8 ? 'Similar' : 'Different'} ${label}`;
+}
 
 /**
  * Neural Connection Engine for Binary Ring Projects
  */
 export class BinaryRingConnectionEngine {
-    constructor(catalogData) {
+    constructor(catalogData, options = {}) {
         this.catalog = catalogData;
-        this.projects = [...(catalogData.experiences || []), ...(catalogData.apps || []), ...(catalogData.experiments || [])];
+        this.projects = BinaryRingConnectionEngine.projectsOf(catalogData);
         this.collections = catalogData.collections || [];
 
         // Connection matrices
@@ -33,9 +110,24 @@ export class BinaryRingConnectionEngine {
         this.connectionWeights = new Map();
         this.featureVectors = new Map();
 
-        // ML Model for feature extraction
+        // User feedback per pair, added to computed similarities (see feedback.js)
+        this.feedbackAdjustments = new Map();
+
+        // Nearest neighbor index over the feature vectors (see vectorIndex.js); catalogs up to
+        // exactSearchLimit projects are searched exhaustively instead
+        this.vectorIndex = options.vectorIndex || createVectorIndex();
+        this.exactSearchLimit = options.exactSearchLimit ?? 200;
+
+        // ML Model for feature extraction, and its encoder half (see getEncoder)
         this.featureExtractor = null;
+        this.encoder = null;
         this.isModelTrained = false;
+        this.lastTrainingTime = null;
+
+        // Saved state (see modelStore.js); persisted is false until the current state is stored
+        this.store = options.store || null;
+        this.persisted = false;
+        this.initialization = null;
 
         // Configuration
         this.config = {
@@ -44,7 +136,8 @@ export class BinaryRingConnectionEngine {
             learningRate: 0.001,
             batchSize: 8,
             epochs: 100,
-            featureVectorSize: 64
+            featureVectorSize: 64,
+            ...options.config
         };
 
         // Analysis engines
@@ -57,13 +150,35 @@ export class BinaryRingConnectionEngine {
     }
 
     /**
-     * Initialize the connection engine
+     * Every project in a catalog
      */
-    async initialize() {
+    static projectsOf(catalogData) {
+        return [...(catalogData.experiences || []), ...(catalogData.apps || []), ...(catalogData.experiments || [])];
+    }
+
+    /**
+     * Initialize the connection engine. The constructor starts this, so later calls wait for
+     * the same run instead of starting another.
+     */
+    initialize() {
+        if (!this.initialization) {
+            this.initialization = this.runInitialization();
+        }
+        return this.initialization;
+    }
+
+    async runInitialization() {
         console.log('🧠 Initializing Binary Ring Neural Connection Engine...');
 
         try {
             await this.preprocessProjects();
+
+            // A saved state for the same catalog replaces the whole computation
+            if (await this.loadState()) {
+                console.log('✅ Neural Connection Engine restored from saved state');
+                return;
+            }
+
             await this.buildFeatureVectors();
             await this.initializeNeuralNetwork();
             await this.calculateSimilarityMatrix();
@@ -80,7 +195,15 @@ export class BinaryRingConnectionEngine {
      * Preprocess project data for analysis
      */
     async preprocessProjects() {
-        this.preprocessedProjects = this.projects.map(project => ({
+        this.preprocessedProjects = this.projects.map(project => this.preprocessProject(project));
+        this.preprocessedById = new Map(this.preprocessedProjects.map(project => [project.id, project]));
+    }
+
+    /**
+     * Analyze one project
+     */
+    preprocessProject(project) {
+        return {
             id: project.id,
             title: project.title,
             category: project.category,
@@ -102,7 +225,7 @@ export class BinaryRingConnectionEngine {
             isNew: project.isNew || false,
             complexity: this.calculateComplexity(project),
             tags: this.generateTags(project)
-        }));
+        };
     }
 
     /**
@@ -113,6 +236,17 @@ export class BinaryRingConnectionEngine {
             const vector = this.createFeatureVector(project);
             this.featureVectors.set(project.id, vector);
         }
+        this.rebuildVectorIndex();
+    }
+
+    /**
+     * Index the current feature vectors
+     */
+    rebuildVectorIndex() {
+        this.vectorIndex.clear();
+        for (const [projectId, vector] of this.featureVectors.entries()) {
+            this.vectorIndex.add(projectId, vector.dataSync());
+        }
     }
 
     /**
@@ -209,6 +343,7 @@ export class BinaryRingConnectionEngine {
      */
     async initializeNeuralNetwork() {
         // Autoencoder for feature learning
+        this.encoder = null;
         this.featureExtractor = tf.sequential({
             layers: [
                 tf.layers.dense({
@@ -247,6 +382,10 @@ export class BinaryRingConnectionEngine {
             ]
         });
 
+        this.compileNeuralNetwork();
+    }
+
+    compileNeuralNetwork() {
         this.featureExtractor.compile({
             optimizer: tf.train.adam(this.config.learningRate),
             loss: 'meanSquaredError',
@@ -283,22 +422,46 @@ export class BinaryRingConnectionEngine {
         });
 
         this.isModelTrained = true;
+        this.lastTrainingTime = new Date().toISOString();
+        this.persisted = false;
         console.log('✅ Neural network training completed');
 
-        // Extract learned features
-        const encoder = tf.model({
-            inputs: this.featureExtractor.input,
-            outputs: this.featureExtractor.getLayer('latent_space').output
-        });
-
         // Update feature vectors with learned representations
-        for (const [projectId, originalFeatures] of this.featureVectors.entries()) {
-            const learnedFeatures = encoder.predict(originalFeatures.expandDims(0));
-            this.featureVectors.set(projectId, learnedFeatures.squeeze());
+        for (const [projectId, learnedFeatures] of this.encodeFeatures(this.featureVectors)) {
+            this.featureVectors.set(projectId, learnedFeatures);
         }
+        this.rebuildVectorIndex();
 
         X.dispose();
-        encoder.dispose();
+    }
+
+    /**
+     * The autoencoder up to its latent space. It shares the autoencoder's layers, so it is
+     * never disposed itself: disposing it would dispose their weights too. It is dropped
+     * whenever the autoencoder is replaced.
+     */
+    getEncoder() {
+        if (!this.encoder) {
+            this.encoder = tf.model({
+                inputs: this.featureExtractor.input,
+                outputs: this.featureExtractor.getLayer('latent_space').output
+            });
+        }
+        return this.encoder;
+    }
+
+    /**
+     * Learned (latent space) representations of raw feature vectors: Map of project id -> tensor
+     */
+    encodeFeatures(vectors) {
+        const encoder = this.getEncoder();
+
+        const encoded = new Map();
+        for (const [projectId, originalFeatures] of vectors.entries()) {
+            encoded.set(projectId, tf.tidy(() => encoder.predict(originalFeatures.expandDims(0)).squeeze()));
+        }
+
+        return encoded;
     }
 
     /**
@@ -313,26 +476,48 @@ export class BinaryRingConnectionEngine {
                 const id2 = projectIds[j];
 
                 const similarity = this.calculateProjectSimilarity(id1, id2);
-                this.setSimilarity(id1, id2, similarity);
+                this.setSimilarity(id1, id2, this.withFeedback(id1, id2, similarity));
             }
         }
     }
 
+    /**
+     * A computed similarity moved by the pair's feedback adjustment, kept within [0, 1]
+     */
+    withFeedback(id1, id2, similarity) {
+        const key = id1 < id2 ? `${id1}|${id2}` : `${id2}|${id1}`;
+        const adjustment = this.feedbackAdjustments.get(key) || 0;
+        return Math.max(0, Math.min(1, similarity + adjustment));
+    }
+
+    /**
+     * Replace the feedback adjustments (Map of 'id1|id2' -> delta) and update the affected pairs
+     */
+    async setFeedbackAdjustments(adjustments) {
+        const affected = new Set([...this.feedbackAdjustments.keys(), ...adjustments.keys()]);
+        const projectIds = new Set(this.projects.map(p => p.id));
+        this.feedbackAdjustments = new Map(adjustments);
+
+        for (const key of affected) {
+            const [id1, id2] = key.split('|');
+            if (!projectIds.has(id1) || !projectIds.has(id2)) continue;
+            this.setSimilarity(id1, id2, this.withFeedback(id1, id2, this.calculateProjectSimilarity(id1, id2)));
+        }
+
+        await this.generateInitialConnections();
+        this.persisted = false;
+    }
+
     /**
      * Calculate similarity between two projects
      */
     calculateProjectSimilarity(id1, id2) {
-        const project1 = this.preprocessedProjects.find(p => p.id === id1);
-        const project2 = this.preprocessedProjects.find(p => p.id === id2);
+        const project1 = this.preprocessedById.get(id1);
+        const project2 = this.preprocessedById.get(id2);
 
         if (!project1 || !project2) return 0;
 
-        const weights = {
-            mathematical: 0.3,
-            visual: 0.25,
-            technical: 0.25,
-            interaction: 0.2
-        };
+        const weights = GROUP_WEIGHTS;
 
         // Mathematical similarity
         const mathSim = this.mathEngine.calculateSimilarity(
@@ -359,19 +544,7 @@ export class BinaryRingConnectionEngine {
         );
 
         // Feature vector similarity (if neural network is trained)
-        let featureSim = 0;
-        if (this.isModelTrained) {
-            const vec1 = this.featureVectors.get(id1);
-            const vec2 = this.featureVectors.get(id2);
-
-            if (vec1 && vec2) {
-                // Cosine similarity
-                const dot = tf.dot(vec1, vec2);
-                const norm1 = tf.norm(vec1);
-                const norm2 = tf.norm(vec2);
-                featureSim = dot.div(norm1.mul(norm2)).dataSync()[0];
-            }
-        }
+        const featureSim = this.isModelTrained ? this.learnedSimilarity(id1, id2) : 0;
 
         // Weighted combination
         const baseSimilarity = (
@@ -383,10 +556,26 @@ export class BinaryRingConnectionEngine {
 
         // Boost with neural features if available
         return this.isModelTrained ?
-            (baseSimilarity * 0.7 + featureSim * 0.3) :
+            (baseSimilarity * (1 - LEARNED_WEIGHT) + featureSim * LEARNED_WEIGHT) :
             baseSimilarity;
     }
 
+    /**
+     * Cosine similarity of two projects' learned feature vectors (0 if either is missing)
+     */
+    learnedSimilarity(id1, id2) {
+        const vec1 = this.featureVectors.get(id1);
+        const vec2 = this.featureVectors.get(id2);
+        if (!vec1 || !vec2) return 0;
+
+        return tf.tidy(() => {
+            const dot = tf.dot(vec1, vec2);
+            const norm1 = tf.norm(vec1);
+            const norm2 = tf.norm(vec2);
+            return dot.div(norm1.mul(norm2)).dataSync()[0];
+        });
+    }
+
     /**
      * Generate initial project connections
      */
@@ -420,58 +609,414 @@ export class BinaryRingConnectionEngine {
         console.log(`🔗 Generated ${this.connectionWeights.size} project connections`);
     }
 
+    /**
+     * Recompute one project's connections from the similarity matrix
+     */
+    rebuildConnections(projectId) {
+        const projectConnections = [];
+        for (const project of this.projects) {
+            if (project.id === projectId) continue;
+            const similarity = this.getSimilarity(projectId, project.id);
+            if (similarity >= this.config.minSimilarityThreshold) {
+                projectConnections.push({ id: project.id, strength: similarity });
+            }
+        }
+
+        projectConnections.sort((a, b) => b.strength - a.strength);
+        if (projectConnections.length > 0) {
+            this.connectionWeights.set(projectId, projectConnections.slice(0, this.config.maxConnections));
+        } else {
+            this.connectionWeights.delete(projectId);
+        }
+    }
+
+    /**
+     * Projects an updated catalog adds, edits and removes: { added, edited, removed } (ids)
+     */
+    diffCatalog(catalogData) {
+        const current = new Map(this.projects.map(project => [project.id, projectFingerprint(project)]));
+        const next = BinaryRingConnectionEngine.projectsOf(catalogData);
+        const nextIds = new Set(next.map(project => project.id));
+
+        return {
+            added: next.filter(project => !current.has(project.id)).map(project => project.id),
+            edited: next
+                .filter(project => current.has(project.id) && current.get(project.id) !== projectFingerprint(project))
+                .map(project => project.id),
+            removed: this.projects.filter(project => !nextIds.has(project.id)).map(project => project.id)
+        };
+    }
+
+    /**
+     * Bring the engine up to date with a new version of the catalog without recomputing
+     * everything: only added and edited projects are analyzed, and only their pairs get new
+     * similarities, so an update costs O(changed × n) instead of O(n²). The trained model is
+     * kept; new projects are encoded with it. Returns the change set:
+     *
+     *   { added, edited, removed, connections: { gained, lost } }
+     *
+     * where gained and lost list { projectId, id, strength } entries of the connection lists.
+     */
+    async applyCatalogChanges(catalogData) {
+        await this.initialize();
+
+        const changes = this.diffCatalog(catalogData);
+        const changed = [...changes.added, ...changes.edited];
+        const touched = new Set([...changed, ...changes.removed]);
+        const before = new Map(this.connectionWeights);
+
+        // Analyze and encode added and edited projects first, so a failure leaves the engine as it was
+        const projectsById = new Map(BinaryRingConnectionEngine.projectsOf(catalogData).map(project => [project.id, project]));
+        const preprocessed = new Map();
+        const rawVectors = new Map();
+        for (const projectId of changed) {
+            preprocessed.set(projectId, this.preprocessProject(projectsById.get(projectId)));
+            rawVectors.set(projectId, this.createFeatureVector(preprocessed.get(projectId)));
+        }
+        let vectors = rawVectors;
+        if (this.isModelTrained && rawVectors.size > 0) {
+            try {
+                vectors = this.encodeFeatures(rawVectors);
+            } finally {
+                for (const vector of rawVectors.values()) {
+                    vector.dispose();
+                }
+            }
+        }
+
+        this.catalog = catalogData;
+        this.projects = BinaryRingConnectionEngine.projectsOf(catalogData);
+        this.collections = catalogData.collections || [];
+
+        // Removed projects leave the analysis, the vectors and the matrix
+        for (const projectId of changes.removed) {
+            this.preprocessedById.delete(projectId);
+            this.featureVectors.get(projectId)?.dispose();
+            this.featureVectors.delete(projectId);
+            this.vectorIndex.remove(projectId);
+            for (const project of this.projects) {
+                const key = projectId < project.id ? `${projectId}|${project.id}` : `${project.id}|${projectId}`;
+                this.similarityMatrix.delete(key);
+            }
+            for (const otherId of changes.removed) {
+                this.similarityMatrix.delete(projectId < otherId ? `${projectId}|${otherId}` : `${otherId}|${projectId}`);
+            }
+            this.connectionWeights.delete(projectId);
+        }
+
+        // Added and edited projects take their new analysis and vectors
+        for (const [projectId, analysis] of preprocessed) {
+            this.preprocessedById.set(projectId, analysis);
+        }
+        this.preprocessedProjects = this.projects.map(project => this.preprocessedById.get(project.id));
+
+        for (const [projectId, vector] of vectors) {
+            this.featureVectors.get(projectId)?.dispose();
+            this.featureVectors.set(projectId, vector);
+            this.vectorIndex.add(projectId, vector.dataSync());
+        }
+
+        // New similarities for every pair with a changed project
+        for (const projectId of changed) {
+            for (const project of this.projects) {
+                if (project.id === projectId) continue;
+                const similarity = this.calculateProjectSimilarity(projectId, project.id);
+                this.setSimilarity(projectId, project.id, this.withFeedback(projectId, project.id, similarity));
+            }
+        }
+
+        // Connection lists change for the changed projects, for lists that named a touched
+        // project, and for lists a changed project now makes it into
+        const affected = new Set(changed);
+        for (const project of this.projects) {
+            const projectConnections = this.connectionWeights.get(project.id) || [];
+            if (projectConnections.some(connection => touched.has(connection.id))) {
+                affected.add(project.id);
+                continue;
+            }
+            const weakest = projectConnections.length < this.config.maxConnections
+                ? this.config.minSimilarityThreshold
+                : projectConnections[projectConnections.length - 1].strength;
+            if (changed.some(projectId => projectId !== project.id && this.getSimilarity(project.id, projectId) >= weakest)) {
+                affected.add(project.id);
+            }
+        }
+        for (const projectId of affected) {
+            this.rebuildConnections(projectId);
+        }
+
+        this.persisted = false;
+        return {
+            ...changes,
+            connections: BinaryRingConnectionEngine.diffConnections(before, this.connectionWeights, [...affected, ...changes.removed])
+        };
+    }
+
+    /**
+     * Connection list entries gained and lost between two connectionWeights maps, for the
+     * given projects (all of them by default): { gained, lost } of { projectId, id, strength }
+     */
+    static diffConnections(before, after, projectIds = null) {
+        const ids = projectIds || new Set([...before.keys(), ...after.keys()]);
+        const gained = [];
+        const lost = [];
+
+        for (const projectId of new Set(ids)) {
+            const previous = before.get(projectId) || [];
+            const next = after.get(projectId) || [];
+            const previousIds = new Set(previous.map(connection => connection.id));
+            const nextIds = new Set(next.map(connection => connection.id));
+
+            next.filter(connection => !previousIds.has(connection.id))
+                .forEach(connection => gained.push({ projectId, id: connection.id, strength: connection.strength }));
+            previous.filter(connection => !nextIds.has(connection.id))
+                .forEach(connection => lost.push({ projectId, id: connection.id, strength: connection.strength }));
+        }
+
+        return { gained, lost };
+    }
+
     /**
      * Get related projects for a given project
      */
     getRelatedProjects(projectId, limit = 5) {
-        const connections = this.connectionWeights.get(projectId) || [];
-        return connections
+        return this.relatedCandidates(projectId, limit)
+            .map(id => ({ id, similarity: this.pairSimilarity(projectId, id) }))
+            .filter(candidate => candidate.similarity >= this.config.minSimilarityThreshold)
+            .sort((a, b) => b.similarity - a.similarity)
             .slice(0, limit)
-            .map(conn => ({
-                id: conn.id,
-                similarity: conn.strength,
-                project: this.projects.find(p => p.id === conn.id),
-                reason: this.explainConnection(projectId, conn.id)
+            .map(({ id, similarity }) => ({
+                id,
+                similarity,
+                project: this.projects.find(p => p.id === id),
+                reason: this.explainConnection(projectId, id)
             }));
     }
 
     /**
-     * Explain why two projects are connected
+     * Projects worth scoring as related: all of them in small catalogs, otherwise the nearest
+     * feature vectors from the index
      */
-    explainConnection(id1, id2) {
-        const project1 = this.preprocessedProjects.find(p => p.id === id1);
-        const project2 = this.preprocessedProjects.find(p => p.id === id2);
+    relatedCandidates(projectId, limit) {
+        const vector = this.featureVectors.get(projectId);
+        if (!vector || this.projects.length <= this.exactSearchLimit) {
+            return this.projects.filter(p => p.id !== projectId).map(p => p.id);
+        }
+        return this.vectorIndex
+            .search(vector.dataSync(), limit * RERANK_FACTOR, { exclude: [projectId] })
+            .map(result => result.id);
+    }
+
+    /**
+     * Similarity of a pair, from the matrix or computed if the matrix lacks it
+     */
+    pairSimilarity(id1, id2) {
+        const key = id1 < id2 ? `${id1}|${id2}` : `${id2}|${id1}`;
+        if (this.similarityMatrix.has(key)) return this.similarityMatrix.get(key);
+        return this.withFeedback(id1, id2, this.calculateProjectSimilarity(id1, id2));
+    }
+
+    /**
+     * Projects closest to a query: a raw feature vector (featureVectorSize numbers, laid out as
+     * createFeatureVector does) or analysis parameters such as
+     * { mathematical: { chaosLevel: 0.9 }, visual: { organicScore: 0.8 } }, where features not
+     * given take the catalog average. Returns [{ id, similarity, project }], similarity being
+     * the cosine similarity of the feature vectors.
+     */
+    findSimilarToVector(query, limit = 5, { exclude = [] } = {}) {
+        const vector = this.queryVector(query);
+        const results = this.projects.length <= this.exactSearchLimit
+            ? this.projects
+                .filter(project => !exclude.includes(project.id) && this.featureVectors.has(project.id))
+                .map(project => ({ id: project.id, score: cosineSimilarity(vector, this.featureVectors.get(project.id).dataSync()) }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit)
+            : this.vectorIndex.search(vector, limit, { exclude });
+
+        return results.map(result => ({
+            id: result.id,
+            similarity: result.score,
+            project: this.projects.find(p => p.id === result.id)
+        }));
+    }
 
-        if (!project1 || !project2) return 'Unknown connection';
+    /**
+     * A query for findSimilarToVector as a vector in the space of the feature vectors
+     */
+    queryVector(query) {
+        let raw;
+        if (Array.isArray(query) || ArrayBuffer.isView(query)) {
+            if (query.length !== this.config.featureVectorSize) {
+                throw new Error(`A feature vector has ${this.config.featureVectorSize} values, got ${query.length}`);
+            }
+            raw = tf.tensor1d(Array.from(query));
+        } else if (query && typeof query === 'object') {
+            raw = this.createFeatureVector(this.parameterFeatures(query));
+        } else {
+            throw new Error('Query with a feature vector or an object of analysis parameters');
+        }
 
-        const reasons = [];
+        if (!this.isModelTrained) {
+            const values = Float32Array.from(raw.dataSync());
+            raw.dispose();
+            return values;
+        }
 
-        // Check mathematical similarities
-        if (project1.mathematical.hasAttractors && project2.mathematical.hasAttractors) {
-            reasons.push('Both explore mathematical attractors');
+        try {
+            const encoded = this.encodeFeatures(new Map([['query', raw]])).get('query');
+            const values = Float32Array.from(encoded.dataSync());
+            encoded.dispose();
+            return values;
+        } finally {
+            raw.dispose();
         }
-        if (project1.mathematical.hasFractals && project2.mathematical.hasFractals) {
-            reasons.push('Both feature fractal mathematics');
+    }
+
+    /**
+     * Analysis features from partial parameters; the rest are catalog averages (booleans: the majority)
+     */
+    parameterFeatures(parameters) {
+        const groups = ['mathematical', 'visual', 'technical', 'interaction'];
+        const unknownGroups = Object.keys(parameters).filter(group => !groups.includes(group));
+        if (unknownGroups.length > 0) {
+            throw new Error(`Unknown parameter group(s): ${unknownGroups.join(', ')}`);
         }
 
-        // Check visual similarities
-        if (Math.abs(project1.visual.organicScore - project2.visual.organicScore) < 0.3) {
-            reasons.push('Similar organic aesthetic qualities');
+        const features = {};
+
+        for (const group of groups) {
+            const overrides = parameters[group] || {};
+            const names = Object.keys(this.preprocessedProjects[0]?.[group] || {});
+            const unknown = Object.keys(overrides).filter(name => !names.includes(name));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown ${group} parameter(s): ${unknown.join(', ')}`);
+            }
+
+            features[group] = {};
+            for (const name of names) {
+                if (name in overrides) {
+                    features[group][name] = overrides[name];
+                    continue;
+                }
+                const values = this.preprocessedProjects.map(project => project[group][name]);
+                const mean = values.reduce((sum, value) => sum + Number(value), 0) / values.length;
+                features[group][name] = typeof values[0] === 'boolean' ? mean >= 0.5 : mean;
+            }
         }
 
-        // Check interaction similarities
-        if (project1.interaction.contemplativeScore > 0.7 && project2.interaction.contemplativeScore > 0.7) {
-            reasons.push('Both offer contemplative experiences');
+        return features;
+    }
+
+    /**
+     * Break a pair's similarity down into what calculateProjectSimilarity adds up: each analysis
+     * group's share, the features that moved it most, the learned (autoencoder) part and the
+     * feedback adjustment. Group and learned contributions sum to `computed`. Returns null for
+     * unknown projects.
+     */
+    explainSimilarity(id1, id2, { topFeatures = 3 } = {}) {
+        const project1 = this.preprocessedById.get(id1);
+        const project2 = this.preprocessedById.get(id2);
+
+        if (!project1 || !project2) return null;
+
+        const analyzers = {
+            mathematical: this.mathEngine,
+            visual: this.visualEngine,
+            technical: this.technicalEngine,
+            interaction: this.interactionEngine
+        };
+        // Share of the group-weighted sum once the learned similarity is mixed in
+        const scale = this.isModelTrained ? 1 - LEARNED_WEIGHT : 1;
+        const computed = this.calculateProjectSimilarity(id1, id2);
+        const key = id1 < id2 ? `${id1}|${id2}` : `${id2}|${id1}`;
+
+        const allFeatures = [];
+        const groups = Object.entries(analyzers).map(([group, analyzer]) => {
+            const values1 = project1[group];
+            const values2 = project2[group];
+            const terms = analyzer.similarityTerms(values1, values2);
+            const similarity = sumSimilarityTerms(terms);
+            const weight = GROUP_WEIGHTS[group];
+
+            const features = terms.map(term => ({
+                feature: term.feature,
+                label: FEATURE_LABELS[term.feature] || term.feature,
+                group,
+                values: [values1[term.feature], values2[term.feature]],
+                weight: term.weight,
+                agreement: term.agreement,
+                contribution: weight * scale * term.weight * term.agreement,
+                description: describeFeature(term.feature, values1[term.feature], values2[term.feature], term.agreement)
+            })).sort((a, b) => b.contribution - a.contribution);
+            allFeatures.push(...features);
+
+            return {
+                group,
+                label: GROUP_LABELS[group],
+                weight,
+                similarity,
+                contribution: weight * scale * similarity,
+                share: 0,
+                features: features.slice(0, topFeatures)
+            };
+        });
+
+        const learned = this.isModelTrained ? {
+            label: 'Learned features',
+            weight: LEARNED_WEIGHT,
+            similarity: this.learnedSimilarity(id1, id2),
+            contribution: 0
+        } : null;
+        if (learned) {
+            learned.contribution = learned.similarity * LEARNED_WEIGHT;
         }
 
-        // Check categories
-        if (project1.category === project2.category) {
-            reasons.push(`Both belong to ${project1.category} category`);
+        for (const group of groups) {
+            group.share = computed > 0 ? group.contribution / computed : 0;
+        }
+
+        const ranked = allFeatures.sort((a, b) => b.contribution - a.contribution);
+        const sameCategory = project1.category === project2.category;
+
+        return {
+            project1: id1,
+            project2: id2,
+            computed,
+            feedback: this.feedbackAdjustments.get(key) || 0,
+            adjusted: this.withFeedback(id1, id2, computed),
+            groups,
+            learned,
+            topFeatures: ranked.slice(0, 5),
+            sameCategory,
+            summary: this.summarizeExplanation(ranked, sameCategory ? project1.category : null)
+        };
+    }
+
+    /**
+     * One line from ranked features: the strongest shared ones and a shared category
+     */
+    summarizeExplanation(features, sharedCategory) {
+        const reasons = features
+            // Shared traits only: close agreement, and not a feature both lack
+            .filter(feature => feature.agreement >= 0.8 && !feature.description.startsWith('Neither'))
+            .slice(0, 3)
+            .map(feature => feature.description);
+
+        if (sharedCategory) {
+            reasons.push(`Both belong to ${sharedCategory} category`);
         }
 
         return reasons.length > 0 ? reasons.join('; ') : 'Algorithmic similarity detected';
     }
 
+    /**
+     * Explain why two projects are connected
+     */
+    explainConnection(id1, id2) {
+        const explanation = this.explainSimilarity(id1, id2);
+        return explanation ? explanation.summary : 'Unknown connection';
+    }
+
     /**
      * Create dynamic collections based on connections
      */
@@ -714,6 +1259,149 @@ export class BinaryRingConnectionEngine {
         return analytics;
     }
 
+    /**
+     * Train unless a trained model was restored, then save the state if the store lacks it
+     */
+    async trainIfNeeded() {
+        await this.initialize();
+
+        if (!this.isModelTrained && this.projects.length >= 5) {
+            console.log('🔄 Training neural network...');
+            await this.trainNeuralNetwork();
+
+            // Similarities computed before training lack the learned part
+            await this.calculateSimilarityMatrix();
+            await this.generateInitialConnections();
+        }
+
+        if (this.store && !this.persisted) {
+            try {
+                await this.saveState();
+            } catch (error) {
+                // Not fatal: the next start recomputes
+                console.warn('⚠️ Could not save model state:', error.message);
+            }
+        }
+    }
+
+    // Persistence
+
+    /**
+     * Fingerprint of the catalog and config the current state was computed from
+     */
+    getCatalogFingerprint() {
+        return catalogFingerprint(this.projects, this.config);
+    }
+
+    /**
+     * Snapshot of the model, feature vectors and connections (format in modelStore.js)
+     */
+    async exportState() {
+        let model = null;
+        if (this.isModelTrained && this.featureExtractor) {
+            await this.featureExtractor.save(tf.io.withSaveHandler(async artifacts => {
+                const { modelTopology, weightSpecs, weightData } = artifacts;
+                model = {
+                    modelTopology,
+                    weightSpecs,
+                    weightData: Array.isArray(weightData) ? tf.io.concatenateArrayBuffers(weightData) : weightData
+                };
+                return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+            }));
+        }
+
+        const featureVectors = {};
+        for (const [projectId, vector] of this.featureVectors.entries()) {
+            featureVectors[projectId] = Array.from(vector.dataSync());
+        }
+
+        return {
+            version: MODEL_SNAPSHOT_VERSION,
+            fingerprint: this.getCatalogFingerprint(),
+            savedAt: new Date().toISOString(),
+            lastTrainingTime: this.lastTrainingTime,
+            isModelTrained: this.isModelTrained,
+            model,
+            featureVectors,
+            similarityMatrix: Object.fromEntries(this.similarityMatrix),
+            connectionWeights: Object.fromEntries(this.connectionWeights),
+            feedbackAdjustments: Object.fromEntries(this.feedbackAdjustments)
+        };
+    }
+
+    /**
+     * Replace the current state with a snapshot from exportState()
+     */
+    async importState(snapshot) {
+        if (this.featureExtractor) {
+            this.featureExtractor.dispose();
+        }
+        this.encoder = null;
+        if (snapshot.model) {
+            this.featureExtractor = await tf.loadLayersModel(tf.io.fromMemory(snapshot.model));
+            this.compileNeuralNetwork();
+        } else {
+            await this.initializeNeuralNetwork();
+        }
+
+        for (const tensor of this.featureVectors.values()) {
+            tensor.dispose();
+        }
+        this.featureVectors = new Map(
+            Object.entries(snapshot.featureVectors).map(([projectId, values]) => [projectId, tf.tensor1d(values)])
+        );
+        this.similarityMatrix = new Map(Object.entries(snapshot.similarityMatrix));
+        this.connectionWeights = new Map(Object.entries(snapshot.connectionWeights));
+        this.feedbackAdjustments = new Map(Object.entries(snapshot.feedbackAdjustments || {}));
+        this.rebuildVectorIndex();
+        this.isModelTrained = Boolean(snapshot.model) && snapshot.isModelTrained;
+        this.lastTrainingTime = snapshot.lastTrainingTime || null;
+    }
+
+    /**
+     * Write the current state to the store
+     */
+    async saveState() {
+        if (!this.store) {
+            throw new Error('No model store configured');
+        }
+
+        const snapshot = await this.exportState();
+        await this.store.save(snapshot);
+        this.persisted = true;
+        console.log(`💾 Saved model state for catalog ${snapshot.fingerprint.slice(0, 12)}`);
+        return snapshot;
+    }
+
+    /**
+     * Restore the saved state if it was computed from this catalog and config
+     */
+    async loadState() {
+        if (!this.store) return false;
+
+        let snapshot;
+        try {
+            snapshot = await this.store.load();
+        } catch (error) {
+            console.warn('⚠️ Could not load saved model state:', error.message);
+            return false;
+        }
+
+        if (!snapshot) return false;
+        if (snapshot.version !== MODEL_SNAPSHOT_VERSION) {
+            console.log(`📦 Saved model state has format version ${snapshot.version}, recomputing`);
+            return false;
+        }
+        if (snapshot.fingerprint !== this.getCatalogFingerprint()) {
+            console.log('📦 Catalog changed since the model state was saved, recomputing');
+            return false;
+        }
+
+        await this.importState(snapshot);
+        this.persisted = true;
+        return true;
+    }
+
     // Utility methods
 
     setSimilarity(id1, id2, similarity) {
@@ -1065,6 +1753,13 @@ class MathematicalConceptAnalyzer {
     }
 
     calculateSimilarity(math1, math2) {
+        return sumSimilarityTerms(this.similarityTerms(math1, math2));
+    }
+
+    /**
+     * What calculateSimilarity adds up: [{ feature, weight, agreement }]
+     */
+    similarityTerms(math1, math2) {
         const weights = {
             hasAttractors: 0.15,
             hasFractals: 0.15,
@@ -1077,22 +1772,14 @@ class MathematicalConceptAnalyzer {
             dimensionality: 0.1
         };
 
-        let similarity = 0;
-
-        // Boolean features
-        ['hasAttractors', 'hasFractals', 'hasParticles', 'hasGrowth'].forEach(feature => {
-            if (math1[feature] === math2[feature]) {
-                similarity += weights[feature];
-            }
-        });
-
-        // Continuous features
-        ['complexityScore', 'chaosLevel', 'symmetryScore', 'recursionLevel', 'dimensionality'].forEach(feature => {
-            const diff = Math.abs(math1[feature] - math2[feature]);
-            similarity += weights[feature] * (1 - diff);
-        });
-
-        return Math.max(0, Math.min(1, similarity));
+        // Boolean features match or not; continuous features by how close they are
+        return Object.entries(weights).map(([feature, weight]) => ({
+            feature,
+            weight,
+            agreement: typeof math1[feature] === 'boolean'
+                ? (math1[feature] === math2[feature] ? 1 : 0)
+                : 1 - Math.abs(math1[feature] - math2[feature])
+        }));
     }
 }
 
@@ -1239,21 +1926,25 @@ class VisualAestheticsAnalyzer {
     }
 
     calculateSimilarity(visual1, visual2) {
+        return sumSimilarityTerms(this.similarityTerms(visual1, visual2));
+    }
+
+    /**
+     * What calculateSimilarity adds up: [{ feature, weight, agreement }], equally weighted
+     */
+    similarityTerms(visual1, visual2) {
         const features = [
             'colorComplexity', 'motionIntensity', 'organicScore', 'geometricScore',
             'contrastLevel', 'textureComplexity', 'rhythmScore', 'balanceScore',
             'energyLevel', 'harmonyScore'
         ];
 
-        let similarity = 0;
         const weight = 1 / features.length;
-
-        features.forEach(feature => {
-            const diff = Math.abs(visual1[feature] - visual2[feature]);
-            similarity += weight * (1 - diff);
-        });
-
-        return Math.max(0, Math.min(1, similarity));
+        return features.map(feature => ({
+            feature,
+            weight,
+            agreement: 1 - Math.abs(visual1[feature] - visual2[feature])
+        }));
     }
 }
 
@@ -1416,20 +2107,24 @@ class TechnicalComplexityAnalyzer {
     }
 
     calculateSimilarity(tech1, tech2) {
+        return sumSimilarityTerms(this.similarityTerms(tech1, tech2));
+    }
+
+    /**
+     * What calculateSimilarity adds up: [{ feature, weight, agreement }], equally weighted
+     */
+    similarityTerms(tech1, tech2) {
         const features = [
             'algorithmComplexity', 'computationalIntensity', 'interactivityLevel',
             'performanceScore', 'codeComplexity', 'renderingComplexity'
         ];
 
-        let similarity = 0;
         const weight = 1 / features.length;
-
-        features.forEach(feature => {
-            const diff = Math.abs(tech1[feature] - tech2[feature]);
-            similarity += weight * (1 - diff);
-        });
-
-        return Math.max(0, Math.min(1, similarity));
+        return features.map(feature => ({
+            feature,
+            weight,
+            agreement: 1 - Math.abs(tech1[feature] - tech2[feature])
+        }));
     }
 }
 
@@ -1590,20 +2285,24 @@ class UserInteractionAnalyzer {
     }
 
     calculateSimilarity(interaction1, interaction2) {
+        return sumSimilarityTerms(this.similarityTerms(interaction1, interaction2));
+    }
+
+    /**
+     * What calculateSimilarity adds up: [{ feature, weight, agreement }], equally weighted
+     */
+    similarityTerms(interaction1, interaction2) {
         const features = [
             'engagementLevel', 'contemplativeScore', 'responsiveness',
             'emotionalConnection', 'therapeuticValue', 'flowState'
         ];
 
-        let similarity = 0;
         const weight = 1 / features.length;
-
-        features.forEach(feature => {
-            const diff = Math.abs(interaction1[feature] - interaction2[feature]);
-            similarity += weight * (1 - diff);
-        });
-
-        return Math.max(0, Math.min(1, similarity));
+        return features.map(feature => ({
+            feature,
+            weight,
+            agreement: 1 - Math.abs(interaction1[feature] - interaction2[feature])
+        }));
     }
 }
 
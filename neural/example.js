@@ -135,8 +135,8 @@ async function feedbackLearningExample() {
     const initialSimilarity = system.connectionEngine.getSimilarity(project1, project2);
     console.log(`Initial similarity between "${project1}" and "${project2}": ${(initialSimilarity * 100).toFixed(1)}%`);
 
-    // Simulate user feedback - they find these very relevant
-    system.addFeedback(project1, project2, 'very_relevant');
+    // Simulate user feedback - they like this connection
+    await system.addFeedback(project1, project2, 'like');
 
     // Get updated similarity
     const updatedSimilarity = system.connectionEngine.getSimilarity(project1, project2);
@@ -153,7 +153,7 @@ async function feedbackLearningExample() {
     const initialSim2 = system.connectionEngine.getSimilarity(project3, project4);
     console.log(`Initial similarity between "${project3}" and "${project4}": ${(initialSim2 * 100).toFixed(1)}%`);
 
-    system.addFeedback(project3, project4, 'not_relevant');
+    await system.addFeedback(project3, project4, 'irrelevant');
 
     const updatedSim2 = system.connectionEngine.getSimilarity(project3, project4);
     console.log(`Updated similarity after negative feedback: ${(updatedSim2 * 100).toFixed(1)}%`);
@@ -312,17 +312,17 @@ async function realTimeUpdateExample() {
 
     // Simulate multiple user interactions
     const interactions = [
-        ['buddhabrot', 'deep.lorenz', 'very_relevant'],
-        ['node.garden', 'orbitals', 'relevant'],
-        ['substrate', 'happy.place', 'not_relevant'],
-        ['buddhabrot', 'happy.place', 'not_relevant'],
-        ['deep.lorenz', 'henon.phase.deep', 'very_relevant']
+        ['buddhabrot', 'deep.lorenz', 'like'],
+        ['node.garden', 'orbitals', 'like'],
+        ['substrate', 'happy.place', 'irrelevant'],
+        ['buddhabrot', 'happy.place', 'dislike'],
+        ['deep.lorenz', 'henon.phase.deep', 'like']
     ];
 
     for (const [id1, id2, feedback] of interactions) {
         const beforeSim = system.connectionEngine.getSimilarity(id1, id2);
 
-        system.addFeedback(id1, id2, feedback);
+        await system.addFeedback(id1, id2, feedback);
 
         const afterSim = system.connectionEngine.getSimilarity(id1, id2);
         const change = ((afterSim - beforeSim) * 100).toFixed(1);
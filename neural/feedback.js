@@ -0,0 +1,257 @@
+/**
+ * Binary Ring Connection Feedback
+ *
+ * Votes on connections ("are these two projects related?") are logged per user, one vote per
+ * user and pair, so a repeated or changed vote replaces the earlier one. Votes decay with age,
+ * and their decayed sum per pair moves that pair's similarity up or down:
+ *
+ *   weight     = VOTE_WEIGHTS[vote] * 0.5 ^ (age / halfLife)
+ *   adjustment = maxAdjustment * tanh(sum of weights / saturation)
+ *
+ * Adjustments are added to the computed similarity (see BinaryRingConnectionEngine
+ * setFeedbackAdjustments), so folding the log again after a retrain, or a day later with more
+ * decay, gives the same result as folding it once.
+ *
+ * @author Binary Ring Collective
+ * @version 1.0.0
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const VOTE_WEIGHTS = {
+    like: 1,
+    dislike: -0.5,
+    irrelevant: -1
+};
+
+// Values of the original feedback endpoint. The current scale has a single positive vote, so
+// both positive grades count as a like; send "like" directly in new clients.
+export const LEGACY_FEEDBACK = {
+    very_relevant: 'like',
+    relevant: 'like',
+    not_relevant: 'irrelevant'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Canonical pair key, the same one BinaryRingConnectionEngine uses for its similarity matrix
+ */
+export function pairKey(id1, id2) {
+    return id1 < id2 ? `${id1}|${id2}` : `${id2}|${id1}`;
+}
+
+function voteKey(vote) {
+    return `${vote.userId}|${pairKey(vote.project1, vote.project2)}`;
+}
+
+/**
+ * Latest vote per user and pair
+ */
+function dedupe(votes) {
+    const latest = new Map();
+    for (const vote of votes) {
+        const key = voteKey(vote);
+        const current = latest.get(key);
+        if (!current || current.createdAt <= vote.createdAt) latest.set(key, vote);
+    }
+    return [...latest.values()];
+}
+
+// ===============================
+// STORES
+// ===============================
+
+/**
+ * In-memory store, used for development and tests
+ */
+export class MemoryFeedbackStore {
+    constructor() {
+        this.votes = new Map();
+    }
+
+    async load() {
+        return [...this.votes.values()];
+    }
+
+    async record(vote) {
+        this.votes.set(voteKey(vote), vote);
+    }
+}
+
+/**
+ * File store: an append-only JSON lines log; the latest vote per user and pair wins on load
+ */
+export class FileFeedbackStore {
+    constructor(directory, { file = 'feedback.jsonl' } = {}) {
+        this.file = path.join(directory, file);
+    }
+
+    async load() {
+        let text;
+        try {
+            text = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw new Error(`Could not read ${this.file}: ${error.message}`);
+        }
+
+        const votes = [];
+        text.split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                votes.push(JSON.parse(line));
+            } catch {
+                // A crash mid-append leaves a partial last line; skip it
+                console.warn(`⚠️ Skipping unreadable feedback line ${index + 1} in ${this.file}`);
+            }
+        });
+        return dedupe(votes);
+    }
+
+    async record(vote) {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.appendFile(this.file, `${JSON.stringify(vote)}\n`);
+    }
+}
+
+/**
+ * Supabase store backed by the connection_feedback table (see migrations/012_connection_feedback.sql)
+ */
+export class SupabaseFeedbackStore {
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+
+    async load() {
+        const { data, error } = await this.supabase
+            .from('connection_feedback')
+            .select('user_id, project_1, project_2, vote, created_at');
+
+        if (error) throw new Error(error.message);
+        return data.map(row => ({
+            userId: row.user_id,
+            project1: row.project_1,
+            project2: row.project_2,
+            vote: row.vote,
+            createdAt: row.created_at
+        }));
+    }
+
+    async record(vote) {
+        const { error } = await this.supabase
+            .from('connection_feedback')
+            .upsert({
+                user_id: vote.userId,
+                project_1: vote.project1,
+                project_2: vote.project2,
+                vote: vote.vote,
+                created_at: vote.createdAt
+            }, { onConflict: 'user_id,project_1,project_2' });
+
+        if (error) throw new Error(error.message);
+    }
+}
+
+// ===============================
+// LEARNER
+// ===============================
+
+/**
+ * Records votes and folds them into a connection engine's similarity matrix
+ */
+export class FeedbackLearner {
+    constructor(store = new MemoryFeedbackStore(), options = {}) {
+        this.store = store;
+        this.config = {
+            halfLifeDays: 30,
+            maxAdjustment: 0.3,
+            saturation: 3,
+            ...options
+        };
+
+        // Latest vote per user and pair, loaded once and kept in step with the store
+        this.votes = new Map();
+        this.loaded = false;
+    }
+
+    /**
+     * Read the vote log from the store
+     */
+    async load() {
+        const votes = await this.store.load();
+        this.votes = new Map(dedupe(votes).map(vote => [voteKey(vote), vote]));
+        this.loaded = true;
+        return this.votes.size;
+    }
+
+    /**
+     * Log a vote. Returns the stored vote and the vote it replaced, if the user had voted on the pair.
+     */
+    async record(projectId1, projectId2, vote, userId, now = new Date()) {
+        const name = LEGACY_FEEDBACK[vote] || vote;
+        if (!Object.prototype.hasOwnProperty.call(VOTE_WEIGHTS, name)) {
+            throw new Error(`Unknown vote "${vote}". Valid votes: ${Object.keys(VOTE_WEIGHTS).join(', ')}`);
+        }
+        if (!userId) {
+            throw new Error('A vote needs a user id');
+        }
+        if (projectId1 === projectId2) {
+            throw new Error('Can not vote on a project\'s connection to itself');
+        }
+        if (!this.loaded) {
+            await this.load();
+        }
+
+        const [project1, project2] = pairKey(projectId1, projectId2).split('|');
+        const entry = { userId: String(userId), project1, project2, vote: name, createdAt: now.toISOString() };
+        const key = voteKey(entry);
+        const replaced = this.votes.get(key) || null;
+
+        await this.store.record(entry);
+        this.votes.set(key, entry);
+        return { vote: entry, replaced };
+    }
+
+    /**
+     * Decayed votes per pair: Map of pair key -> { score, votes, adjustment }
+     */
+    aggregate(now = new Date()) {
+        const halfLife = this.config.halfLifeDays * DAY;
+        const pairs = new Map();
+
+        for (const vote of this.votes.values()) {
+            const age = Math.max(0, now - new Date(vote.createdAt));
+            const weight = VOTE_WEIGHTS[vote.vote] * Math.pow(0.5, age / halfLife);
+            const key = pairKey(vote.project1, vote.project2);
+            const pair = pairs.get(key) || { score: 0, votes: 0, adjustment: 0 };
+            pair.score += weight;
+            pair.votes += 1;
+            pairs.set(key, pair);
+        }
+
+        for (const pair of pairs.values()) {
+            pair.adjustment = this.config.maxAdjustment * Math.tanh(pair.score / this.config.saturation);
+        }
+        return pairs;
+    }
+
+    /**
+     * Apply the current (decayed) feedback to an engine's similarities and connections
+     */
+    async fold(engine, now = new Date()) {
+        if (!this.loaded) {
+            await this.load();
+        }
+
+        const adjustments = new Map();
+        for (const [key, pair] of this.aggregate(now)) {
+            adjustments.set(key, pair.adjustment);
+        }
+        await engine.setFeedbackAdjustments(adjustments);
+        return adjustments.size;
+    }
+}
+
+export default FeedbackLearner;
@@ -11,6 +11,9 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import BinaryRingConnectionEngine from './connectionEngine.js';
 import NeuralConnectionAPI from './api.js';
+import { FileModelStore } from './modelStore.js';
+import { FeedbackLearner, FileFeedbackStore, MemoryFeedbackStore } from './feedback.js';
+import { createVectorIndex } from './vectorIndex.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -26,10 +29,18 @@ class BinaryRingNeuralSystem {
             enableAPI: options.enableAPI !== false,
             enableAutoUpdate: options.enableAutoUpdate !== false,
             updateInterval: options.updateInterval || 30 * 60 * 1000, // 30 minutes
+            persistModel: options.persistModel !== false,
+            modelDirectory: options.modelDirectory || '.model',
+            modelStore: options.modelStore || null,
+            feedbackStore: options.feedbackStore || null,
+            retrainRatio: options.retrainRatio ?? 0.25,
+            exactSearchLimit: options.exactSearchLimit ?? 200,
             ...options
         };
 
         this.connectionEngine = null;
+        this.modelStore = null;
+        this.feedback = null;
         this.api = null;
         this.updateInterval = null;
     }
@@ -44,14 +55,19 @@ class BinaryRingNeuralSystem {
             // Load catalog data
             const catalogData = await this.loadCatalogData();
 
-            // Initialize connection engine
-            this.connectionEngine = new BinaryRingConnectionEngine(catalogData);
-            await this.connectionEngine.initialize();
+            // Initialize connection engine, restoring the saved model if the catalog is unchanged
+            this.modelStore = this.createModelStore();
+            this.connectionEngine = new BinaryRingConnectionEngine(catalogData, this.engineOptions());
 
-            // Train neural network if enough data
-            if (this.connectionEngine.projects.length >= 5) {
-                console.log('🔄 Training neural network...');
-                await this.connectionEngine.trainNeuralNetwork();
+            // Train neural network if enough data and nothing was restored
+            await this.connectionEngine.trainIfNeeded();
+
+            // Apply the logged user feedback
+            this.feedback = new FeedbackLearner(this.createFeedbackStore(), this.options.feedbackOptions);
+            const voteCount = await this.feedback.load();
+            await this.feedback.fold(this.connectionEngine);
+            if (voteCount > 0) {
+                console.log(`👍 Applied ${voteCount} logged feedback votes`);
             }
 
             // Start API server if enabled
@@ -93,6 +109,35 @@ class BinaryRingNeuralSystem {
         }
     }
 
+    /**
+     * Where the trained model is saved: options.modelStore, or a file in options.modelDirectory
+     */
+    createModelStore() {
+        if (!this.options.persistModel) return null;
+        if (this.options.modelStore) return this.options.modelStore;
+        return new FileModelStore(path.resolve(__dirname, this.options.modelDirectory));
+    }
+
+    /**
+     * Options for a new connection engine; each engine gets its own vector index
+     */
+    engineOptions() {
+        return {
+            store: this.modelStore,
+            vectorIndex: createVectorIndex(this.options.vectorIndexOptions),
+            exactSearchLimit: this.options.exactSearchLimit
+        };
+    }
+
+    /**
+     * Where feedback votes are logged: options.feedbackStore, or a file next to the saved model
+     */
+    createFeedbackStore() {
+        if (this.options.feedbackStore) return this.options.feedbackStore;
+        if (!this.options.persistModel) return new MemoryFeedbackStore();
+        return new FileFeedbackStore(path.resolve(__dirname, this.options.modelDirectory));
+    }
+
     /**
      * Start the API server
      */
@@ -103,7 +148,10 @@ class BinaryRingNeuralSystem {
                 {
                     port: this.options.apiPort,
                     corsOrigins: this.options.corsOrigins,
-                    apiKey: this.options.apiKey
+                    apiKey: this.options.apiKey,
+                    sessions: this.options.sessions,
+                    connectionEngine: this.connectionEngine,
+                    feedback: this.feedback
                 }
             );
 
@@ -132,43 +180,79 @@ class BinaryRingNeuralSystem {
     }
 
     /**
-     * Update connections and retrain if needed
+     * Apply catalog changes and feedback. Added, edited and removed projects are ingested
+     * incrementally; the model is retrained from scratch only when it was never trained or
+     * more than retrainRatio of the catalog changed. Returns the change set (see
+     * BinaryRingConnectionEngine.applyCatalogChanges), or null when the catalog is unchanged.
      */
     async updateConnections() {
         try {
             // Reload catalog data
             const catalogData = await this.loadCatalogData();
 
-            // Check if projects have been added
-            const newProjectCount = catalogData.experiences?.length || 0;
-            const currentProjectCount = this.connectionEngine.projects.length;
+            // Fold in feedback again, with today's decay
+            await this.feedback.fold(this.connectionEngine);
+
+            // Check if projects have been added, removed or edited
+            const changes = this.connectionEngine.diffCatalog(catalogData);
+            const changedCount = changes.added.length + changes.edited.length + changes.removed.length;
+            if (changedCount === 0) {
+                console.log('🔄 Connection matrix updated');
+                return null;
+            }
 
-            if (newProjectCount > currentProjectCount) {
-                console.log(`📈 Found ${newProjectCount - currentProjectCount} new projects, retraining...`);
+            const projectCount = BinaryRingConnectionEngine.projectsOf(catalogData).length;
+            const retrain = (!this.connectionEngine.isModelTrained && projectCount >= 5) ||
+                changedCount > projectCount * this.options.retrainRatio;
+            let changeSet;
 
-                // Reinitialize with new data
-                this.connectionEngine = new BinaryRingConnectionEngine(catalogData);
-                await this.connectionEngine.initialize();
+            if (retrain) {
+                console.log(`📈 ${changedCount} projects changed, retraining...`);
 
-                // Retrain if enough data
-                if (this.connectionEngine.projects.length >= 5) {
-                    await this.connectionEngine.trainNeuralNetwork();
-                }
+                // Reinitialize with new data; retrains if enough data and saves the new state
+                const previous = this.connectionEngine;
+                const engine = new BinaryRingConnectionEngine(catalogData, this.engineOptions());
+                await engine.trainIfNeeded();
+                await this.feedback.fold(engine);
 
-                console.log('🔄 System updated with new projects');
+                this.connectionEngine = engine;
+                if (this.api) {
+                    this.api.connectionEngine = engine;
+                }
+                changeSet = {
+                    ...changes,
+                    connections: BinaryRingConnectionEngine.diffConnections(previous.connectionWeights, engine.connectionWeights)
+                };
+                this.disposeEngine(previous);
             } else {
-                // Just recalculate connections with any feedback updates
-                await this.connectionEngine.calculateSimilarityMatrix();
-                await this.connectionEngine.generateInitialConnections();
-                console.log('🔄 Connection matrix updated');
+                changeSet = await this.connectionEngine.applyCatalogChanges(catalogData);
+                if (this.connectionEngine.store) {
+                    await this.connectionEngine.saveState();
+                }
             }
 
+            const { gained, lost } = changeSet.connections;
+            console.log(`🔄 Catalog updated: ${changeSet.added.length} added, ${changeSet.edited.length} edited, ` +
+                `${changeSet.removed.length} removed; ${gained.length} connections gained, ${lost.length} lost`);
+
+            if (this.options.onCatalogChange) {
+                this.options.onCatalogChange(changeSet);
+            }
+            return changeSet;
+
         } catch (error) {
             console.error('❌ Failed to update connections:', error);
             throw error;
         }
     }
 
+    /**
+     * Projects similar to a feature vector or to analysis parameters
+     */
+    findSimilar(query, limit = 5) {
+        return this.connectionEngine.findSimilarToVector(query, limit);
+    }
+
     /**
      * Get project recommendations
      */
@@ -198,10 +282,12 @@ class BinaryRingNeuralSystem {
     }
 
     /**
-     * Add user feedback for connection learning
+     * Log a user's vote on a connection (like, dislike or irrelevant) and apply it
      */
-    addFeedback(projectId1, projectId2, feedback) {
-        this.connectionEngine.updateConnection(projectId1, projectId2, feedback);
+    async addFeedback(projectId1, projectId2, vote, userId = 'local') {
+        const result = await this.feedback.record(projectId1, projectId2, vote, userId);
+        await this.feedback.fold(this.connectionEngine);
+        return result;
     }
 
     /**
@@ -226,6 +312,20 @@ class BinaryRingNeuralSystem {
         console.log('========================\n');
     }
 
+    /**
+     * Free an engine's model and feature vector tensors
+     */
+    disposeEngine(engine) {
+        if (engine.featureExtractor) {
+            engine.featureExtractor.dispose();
+        }
+
+        // Clear feature vectors
+        for (const tensor of engine.featureVectors.values()) {
+            tensor.dispose();
+        }
+    }
+
     /**
      * Shutdown the system gracefully
      */
@@ -244,16 +344,18 @@ class BinaryRingNeuralSystem {
                 await this.api.stop();
             }
 
-            // Dispose TensorFlow resources
-            if (this.connectionEngine?.featureExtractor) {
-                this.connectionEngine.featureExtractor.dispose();
+            // Save the model state if it changed since the last save
+            if (this.connectionEngine?.store && !this.connectionEngine.persisted) {
+                try {
+                    await this.connectionEngine.saveState();
+                } catch (error) {
+                    console.warn('⚠️ Could not save model state:', error.message);
+                }
             }
 
-            // Clear feature vectors
-            if (this.connectionEngine?.featureVectors) {
-                for (const tensor of this.connectionEngine.featureVectors.values()) {
-                    tensor.dispose();
-                }
+            // Dispose TensorFlow resources
+            if (this.connectionEngine) {
+                this.disposeEngine(this.connectionEngine);
             }
 
             console.log('✅ Neural Connection System shut down successfully');
@@ -405,7 +507,8 @@ Examples:
 
 Environment Variables:
   PORT                    - API server port (default: 3001)
-  BINARY_RING_API_KEY     - API key for protected endpoints
+  BINARY_RING_API_KEY     - API key for training and collection generation (disabled without it)
+  CREDITS_SESSION_SECRET  - Secret of the credits sessions that identify voters
 `);
 }
 
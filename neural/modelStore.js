@@ -0,0 +1,182 @@
+/**
+ * Binary Ring Neural Model Store
+ *
+ * Persists what BinaryRingConnectionEngine computes on start: the trained autoencoder, the
+ * feature vectors, the similarity matrix and the connection weights. A restart with the same
+ * catalog reloads them instead of retraining. Snapshots carry a format version and the
+ * fingerprint of the projects and engine config they were computed from:
+ *
+ *   {
+ *       version: 1,
+ *       fingerprint: 'sha256 of the projects and config',
+ *       savedAt: '2026-10-19T12:00:00.000Z',
+ *       lastTrainingTime: '...' | null,
+ *       isModelTrained: true,
+ *       model: { modelTopology, weightSpecs, weightData } | null,   // TF.js model artifacts
+ *       featureVectors: { [projectId]: number[] },
+ *       similarityMatrix: { 'id1|id2': number },
+ *       connectionWeights: { [projectId]: [{ id, strength }] },
+ *       feedbackAdjustments: { 'id1|id2': number }                // see feedback.js
+ *   }
+ *
+ * @author Binary Ring Collective
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const MODEL_SNAPSHOT_VERSION = 1;
+
+/**
+ * JSON with sorted keys, so the same data always hashes the same
+ */
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Fingerprint of the projects (in any order) and the engine config they are analyzed with
+ */
+export function catalogFingerprint(projects, config = {}) {
+    const sorted = [...projects].sort((a, b) => String(a.id).localeCompare(String(b.id)));
+    return crypto.createHash('sha256').update(canonicalJSON({ projects: sorted, config })).digest('hex');
+}
+
+/**
+ * Fingerprint of one project, to tell which projects an updated catalog edited
+ */
+export function projectFingerprint(project) {
+    return crypto.createHash('sha256').update(canonicalJSON(project)).digest('hex');
+}
+
+/**
+ * Snapshot -> JSON-safe record (model weights as base64)
+ */
+function encodeSnapshot(snapshot) {
+    if (!snapshot.model) return snapshot;
+    return {
+        ...snapshot,
+        model: { ...snapshot.model, weightData: Buffer.from(snapshot.model.weightData).toString('base64') }
+    };
+}
+
+/**
+ * JSON-safe record -> snapshot (model weights as an ArrayBuffer)
+ */
+function decodeSnapshot(record) {
+    if (!record || !record.model) return record;
+    const bytes = Buffer.from(record.model.weightData, 'base64');
+    return {
+        ...record,
+        model: { ...record.model, weightData: bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) }
+    };
+}
+
+// ===============================
+// STORES
+// ===============================
+
+/**
+ * In-memory store, used for development and tests
+ */
+export class MemoryModelStore {
+    constructor(snapshot = null) {
+        this.snapshot = snapshot;
+    }
+
+    async load() {
+        return this.snapshot;
+    }
+
+    async save(snapshot) {
+        this.snapshot = snapshot;
+    }
+
+    async clear() {
+        this.snapshot = null;
+    }
+}
+
+/**
+ * File store: one JSON file in a directory (neural/.model by default, see index.js)
+ */
+export class FileModelStore {
+    constructor(directory, { file = 'connection-model.json' } = {}) {
+        this.file = path.join(directory, file);
+    }
+
+    async load() {
+        try {
+            return decodeSnapshot(JSON.parse(await fs.readFile(this.file, 'utf8')));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw new Error(`Could not read ${this.file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write to a temporary file first, so a crash mid-save leaves the previous snapshot
+     */
+    async save(snapshot) {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        const temporary = `${this.file}.${process.pid}.tmp`;
+        await fs.writeFile(temporary, JSON.stringify(encodeSnapshot(snapshot)));
+        await fs.rename(temporary, this.file);
+    }
+
+    async clear() {
+        await fs.rm(this.file, { force: true });
+    }
+}
+
+/**
+ * Supabase store backed by the neural_model_snapshots table (see migrations/011_neural_model_snapshots.sql)
+ */
+export class SupabaseModelStore {
+    constructor(supabase, { key = 'connection-engine' } = {}) {
+        this.supabase = supabase;
+        this.key = key;
+    }
+
+    async load() {
+        const { data, error } = await this.supabase
+            .from('neural_model_snapshots')
+            .select('snapshot')
+            .eq('key', this.key)
+            .limit(1);
+
+        if (error) throw new Error(error.message);
+        return data.length > 0 ? decodeSnapshot(data[0].snapshot) : null;
+    }
+
+    async save(snapshot) {
+        const { error } = await this.supabase
+            .from('neural_model_snapshots')
+            .upsert({
+                key: this.key,
+                version: snapshot.version,
+                fingerprint: snapshot.fingerprint,
+                snapshot: encodeSnapshot(snapshot),
+                saved_at: snapshot.savedAt
+            }, { onConflict: 'key' });
+
+        if (error) throw new Error(error.message);
+    }
+
+    async clear() {
+        const { error } = await this.supabase
+            .from('neural_model_snapshots')
+            .delete()
+            .eq('key', this.key);
+
+        if (error) throw new Error(error.message);
+    }
+}
@@ -0,0 +1,86 @@
+/**
+ * Who may vote and train through the API (api.js)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+import NeuralConnectionAPI from '../api.js';
+import { FeedbackLearner, MemoryFeedbackStore } from '../feedback.js';
+
+const { SessionAuth } = createRequire(import.meta.url)('../../credits/sessions.js');
+
+const sessions = new SessionAuth({ secret: 'neural-api-test-secret-0123456789abcdef' });
+
+let log;
+before(() => {
+    log = console.log;
+    console.log = () => {};
+});
+after(() => {
+    console.log = log;
+});
+
+function engine() {
+    return {
+        projects: [{ id: 'buddhabrot' }, { id: 'deep.lorenz' }],
+        trainIfNeeded: async () => {},
+        setFeedbackAdjustments: async () => {},
+        getSimilarity: () => 0.5
+    };
+}
+
+async function serve(options) {
+    const feedback = new FeedbackLearner(new MemoryFeedbackStore());
+    const api = new NeuralConnectionAPI({}, { connectionEngine: engine(), feedback, sessions, ...options });
+    const server = await new Promise(resolve => {
+        const listening = api.app.listen(0, () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const post = (path, body, headers = {}) => fetch(base + path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+    return { feedback, post, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('votes are recorded for the session user, never for a user named in the body', async () => {
+    const { feedback, post, close } = await serve();
+    try {
+        const anonymous = await post('/api/connections/buddhabrot/deep.lorenz/feedback', { vote: 'like', userId: 'user-42' });
+        assert.equal(anonymous.status, 401);
+
+        const forged = await post('/api/connections/buddhabrot/deep.lorenz/feedback', { vote: 'like' }, {
+            Authorization: 'Bearer not.a-token'
+        });
+        assert.equal(forged.status, 401);
+
+        const { userId, token } = sessions.issue();
+        const voted = await post('/api/connections/buddhabrot/deep.lorenz/feedback', { vote: 'relevant', userId: 'user-42' }, {
+            Authorization: `Bearer ${token}`
+        });
+        assert.equal(voted.status, 200);
+        assert.equal((await voted.json()).connection.vote, 'like');
+        assert.deepEqual([...feedback.votes.values()].map(vote => vote.userId), [userId]);
+    } finally {
+        await close();
+    }
+});
+
+test('API key routes are disabled until a key is configured', async () => {
+    const previous = process.env.BINARY_RING_API_KEY;
+    delete process.env.BINARY_RING_API_KEY;
+    const open = await serve();
+    const keyed = await serve({ apiKey: 'train-key' });
+    try {
+        assert.equal((await open.post('/api/collections/generate', {})).status, 503);
+        assert.equal((await keyed.post('/api/collections/generate', {})).status, 401);
+        assert.equal((await keyed.post('/api/collections/generate', {}, { 'x-api-key': 'wrong-key' })).status, 401);
+    } finally {
+        await open.close();
+        await keyed.close();
+        if (previous !== undefined) process.env.BINARY_RING_API_KEY = previous;
+    }
+});
@@ -0,0 +1,91 @@
+/**
+ * Incremental catalog ingest on a trained engine (applyCatalogChanges)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+
+import BinaryRingConnectionEngine from '../connectionEngine.js';
+
+const catalog = JSON.parse(await fs.readFile(new URL('../../catalog/artist-catalog.json', import.meta.url), 'utf8'));
+
+let log;
+before(() => {
+    log = console.log;
+    console.log = () => {};
+});
+after(() => {
+    console.log = log;
+});
+
+function entries(connectionWeights) {
+    return new Set([...connectionWeights].flatMap(([projectId, list]) => list.map(({ id }) => `${projectId}->${id}`)));
+}
+
+function names(list) {
+    return new Set(list.map(({ projectId, id }) => `${projectId}->${id}`));
+}
+
+test('adding, editing and removing projects after training reports the connections gained and lost', async () => {
+    const engine = new BinaryRingConnectionEngine(catalog, { config: { epochs: 2 } });
+    await engine.trainIfNeeded();
+    assert.equal(engine.isModelTrained, true);
+
+    const next = structuredClone(catalog);
+    const [removed] = next.experiences.splice(2, 1);
+    next.experiences[0].description += ' with strange attractors and particle swarms';
+    next.experiences.push({ ...structuredClone(next.experiences[1]), id: 'brand.new', title: 'Brand New' });
+
+    const before = new Map(engine.connectionWeights);
+    const changes = await engine.applyCatalogChanges(next);
+
+    assert.deepEqual(changes.added, ['brand.new']);
+    assert.deepEqual(changes.edited, [next.experiences[0].id]);
+    assert.deepEqual(changes.removed, [removed.id]);
+
+    // The change set is exactly the difference between the connection lists
+    const previous = entries(before);
+    const current = entries(engine.connectionWeights);
+    assert.deepEqual(names(changes.connections.gained), new Set([...current].filter(entry => !previous.has(entry))));
+    assert.deepEqual(names(changes.connections.lost), new Set([...previous].filter(entry => !current.has(entry))));
+
+    // The removed project's connections are lost, the copy of node.garden gains some
+    assert.ok(changes.connections.lost.some(({ projectId, id }) => projectId === removed.id || id === removed.id));
+    assert.ok(![...current].some(entry => entry.split('->').includes(removed.id)));
+    assert.ok(changes.connections.gained.some(({ projectId, id }) => projectId === 'brand.new' || id === 'brand.new'));
+
+    // New projects are encoded by the trained model, like the rest
+    assert.equal(engine.featureVectors.get('brand.new').shape[0], engine.featureVectors.get('buddhabrot').shape[0]);
+    assert.equal(engine.featureVectors.has(removed.id), false);
+
+    // Same result as recomputing every pair
+    const similarities = new Map(engine.similarityMatrix);
+    const connections = new Map(engine.connectionWeights);
+    await engine.calculateSimilarityMatrix();
+    await engine.generateInitialConnections();
+    assert.deepEqual(engine.similarityMatrix, similarities);
+    assert.deepEqual(entries(engine.connectionWeights), entries(connections));
+
+    // Applying the same catalog again changes nothing
+    const unchanged = await engine.applyCatalogChanges(next);
+    assert.deepEqual(unchanged, { added: [], edited: [], removed: [], connections: { gained: [], lost: [] } });
+});
+
+test('a failed update leaves the engine unchanged', async () => {
+    const engine = new BinaryRingConnectionEngine(catalog, { config: { epochs: 2 } });
+    await engine.trainIfNeeded();
+
+    const next = structuredClone(catalog);
+    next.experiences.push({ ...structuredClone(next.experiences[1]), id: 'brand.new' });
+    const projects = engine.projects;
+    const similarities = new Map(engine.similarityMatrix);
+    engine.encodeFeatures = () => {
+        throw new Error('encoder unavailable');
+    };
+
+    await assert.rejects(engine.applyCatalogChanges(next), /encoder unavailable/);
+    assert.equal(engine.projects, projects);
+    assert.deepEqual(engine.similarityMatrix, similarities);
+    assert.equal(engine.featureVectors.has('brand.new'), false);
+});
@@ -0,0 +1,79 @@
+/**
+ * Similarity breakdowns (connectionEngine.js explainSimilarity) and the similarity route that serves them
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+
+import BinaryRingConnectionEngine from '../connectionEngine.js';
+import NeuralConnectionAPI from '../api.js';
+import { FeedbackLearner, MemoryFeedbackStore } from '../feedback.js';
+
+const catalog = JSON.parse(await fs.readFile(new URL('../../catalog/artist-catalog.json', import.meta.url), 'utf8'));
+
+let log;
+before(() => {
+    log = console.log;
+    console.log = () => {};
+});
+after(() => {
+    console.log = log;
+});
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+test('group contributions add up to the computed similarity of an untrained engine', async () => {
+    const engine = new BinaryRingConnectionEngine(catalog);
+    await engine.initialize();
+    assert.equal(engine.isModelTrained, false);
+
+    const explanation = engine.explainSimilarity('buddhabrot', 'deep.lorenz', { topFeatures: 2 });
+
+    assert.equal(explanation.computed, engine.calculateProjectSimilarity('buddhabrot', 'deep.lorenz'));
+    assert.equal(explanation.learned, null);
+    assert.ok(Math.abs(sum(explanation.groups.map(group => group.contribution)) - explanation.computed) < 1e-9);
+    assert.ok(Math.abs(sum(explanation.groups.map(group => group.share)) - 1) < 1e-9);
+    assert.deepEqual(explanation.groups.map(group => group.group), ['mathematical', 'visual', 'technical', 'interaction']);
+    assert.ok(explanation.groups.every(group => group.features.length <= 2));
+    assert.equal(explanation.topFeatures.length, 5);
+    assert.ok(explanation.topFeatures.every((feature, i, all) => i === 0 || all[i - 1].contribution >= feature.contribution));
+    assert.equal(typeof explanation.summary, 'string');
+
+    assert.equal(engine.explainSimilarity('buddhabrot', 'no-such-project'), null);
+    assert.equal(engine.explainConnection('buddhabrot', 'no-such-project'), 'Unknown connection');
+});
+
+test('a trained engine explains the learned part and feedback, directly and over the API', async () => {
+    const engine = new BinaryRingConnectionEngine(catalog, { config: { epochs: 2 } });
+    await engine.trainIfNeeded();
+    const feedback = new FeedbackLearner(new MemoryFeedbackStore());
+    await feedback.record('orbitals', 'buddhabrot', 'irrelevant', 'user-1');
+    const api = new NeuralConnectionAPI(catalog, { connectionEngine: engine, feedback });
+    await api.initializeEngine();
+
+    const explanation = engine.explainSimilarity('orbitals', 'buddhabrot');
+    const contributions = sum(explanation.groups.map(group => group.contribution)) + explanation.learned.contribution;
+
+    assert.ok(Math.abs(contributions - explanation.computed) < 1e-6);
+    assert.ok(Math.abs(explanation.feedback - 0.3 * Math.tanh(-1 / 3)) < 1e-9);
+    assert.equal(explanation.adjusted, Math.max(0, explanation.computed + explanation.feedback));
+    assert.equal(engine.getSimilarity('orbitals', 'buddhabrot'), explanation.adjusted);
+
+    const server = api.app.listen(0);
+    try {
+        await new Promise(resolve => server.once('listening', resolve));
+        const base = `http://127.0.0.1:${server.address().port}/api/similarity`;
+
+        const response = await fetch(`${base}/orbitals/buddhabrot?features=1`);
+        assert.equal(response.status, 200);
+        const { similarity, breakdown } = await response.json();
+        assert.equal(similarity, explanation.computed);
+        assert.equal(breakdown.feedback, explanation.feedback);
+        assert.ok(breakdown.groups.every(group => group.features.length === 1));
+
+        assert.equal((await fetch(`${base}/orbitals/no-such-project`)).status, 404);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
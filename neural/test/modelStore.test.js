@@ -0,0 +1,79 @@
+/**
+ * Saving and restoring the trained connection engine (modelStore.js)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import BinaryRingConnectionEngine from '../connectionEngine.js';
+import { FileModelStore, MemoryModelStore, MODEL_SNAPSHOT_VERSION } from '../modelStore.js';
+
+const catalog = JSON.parse(await fs.readFile(new URL('../../catalog/artist-catalog.json', import.meta.url), 'utf8'));
+const config = { epochs: 2 };
+
+let log;
+before(() => {
+    log = console.log;
+    console.log = () => {};
+});
+after(() => {
+    console.log = log;
+});
+
+function vectorsOf(engine) {
+    return Object.fromEntries([...engine.featureVectors].map(([id, vector]) => [id, Array.from(vector.dataSync())]));
+}
+
+test('a trained engine saves a snapshot and a restart with the same catalog reloads it', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'neural-model-'));
+    try {
+        const trained = new BinaryRingConnectionEngine(catalog, { store: new FileModelStore(directory), config });
+        await trained.trainIfNeeded();
+
+        assert.equal(trained.isModelTrained, true);
+        assert.equal(trained.persisted, true);
+
+        const snapshot = await new FileModelStore(directory).load();
+        assert.equal(snapshot.version, MODEL_SNAPSHOT_VERSION);
+        assert.equal(snapshot.fingerprint, trained.getCatalogFingerprint());
+        assert.ok(snapshot.model.weightData.byteLength > 0);
+
+        const restarted = new BinaryRingConnectionEngine(catalog, { store: new FileModelStore(directory), config });
+        restarted.trainNeuralNetwork = () => assert.fail('a matching snapshot must not be retrained');
+        await restarted.trainIfNeeded();
+
+        assert.equal(restarted.persisted, true);
+        assert.equal(restarted.isModelTrained, true);
+        assert.deepEqual(vectorsOf(restarted), vectorsOf(trained));
+        assert.deepEqual(restarted.similarityMatrix, trained.similarityMatrix);
+        assert.deepEqual(restarted.connectionWeights, trained.connectionWeights);
+
+        // The restored model still encodes and can be saved again
+        const query = restarted.findSimilarToVector({ mathematical: { chaosLevel: 0.9 } }, 1);
+        assert.equal(query.length, 1);
+        await restarted.saveState();
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+});
+
+test('a changed catalog misses the fingerprint and retrains', async () => {
+    const store = new MemoryModelStore();
+    await new BinaryRingConnectionEngine(catalog, { store, config }).trainIfNeeded();
+    const saved = store.snapshot.fingerprint;
+
+    const edited = structuredClone(catalog);
+    edited.experiences[0].title += ' (remastered)';
+    const engine = new BinaryRingConnectionEngine(edited, { store, config });
+    await engine.initialize();
+    assert.equal(engine.persisted, false);
+    assert.equal(engine.isModelTrained, false);
+
+    await engine.trainIfNeeded();
+    assert.equal(engine.isModelTrained, true);
+    assert.notEqual(store.snapshot.fingerprint, saved);
+    assert.equal(store.snapshot.fingerprint, engine.getCatalogFingerprint());
+});
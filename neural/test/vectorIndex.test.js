@@ -0,0 +1,126 @@
+/**
+ * Nearest neighbor search (vectorIndex.js) and query-by-vector on a trained engine
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+
+import BinaryRingConnectionEngine from '../connectionEngine.js';
+import NeuralConnectionAPI from '../api.js';
+import { BruteForceIndex, LSHIndex, cosineSimilarity, createVectorIndex } from '../vectorIndex.js';
+
+const catalog = JSON.parse(await fs.readFile(new URL('../../catalog/artist-catalog.json', import.meta.url), 'utf8'));
+
+let log;
+before(() => {
+    log = console.log;
+    console.log = () => {};
+});
+after(() => {
+    console.log = log;
+});
+
+/**
+ * Vectors around a few centers, like feature vectors of related projects
+ */
+function clusteredVectors(count, dimensions, clusters) {
+    let seed = 7;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const centers = Array.from({ length: clusters }, () => Array.from({ length: dimensions }, () => random() * 2 - 1));
+    return Array.from({ length: count }, (_, i) => centers[i % clusters].map(value => value + (random() - 0.5) * 0.4));
+}
+
+test('LSH finds nearly the same top 10 as brute force', () => {
+    const vectors = clusteredVectors(2000, 32, 40);
+    const lsh = new LSHIndex();
+    const exact = new BruteForceIndex();
+    vectors.forEach((vector, i) => {
+        lsh.add(`p${i}`, vector);
+        exact.add(`p${i}`, vector);
+    });
+
+    let recall = 0;
+    const queries = 100;
+    for (let q = 0; q < queries; q++) {
+        const id = `p${q * 13}`;
+        const expected = new Set(exact.search(vectors[q * 13], 10, { exclude: [id] }).map(result => result.id));
+        const found = lsh.search(vectors[q * 13], 10, { exclude: [id] });
+
+        assert.equal(found.length, 10);
+        assert.ok(!found.some(result => result.id === id), 'excluded ids are never returned');
+        recall += found.filter(result => expected.has(result.id)).length / 10;
+    }
+    assert.ok(recall / queries >= 0.95, `recall@10 ${recall / queries}`);
+});
+
+test('LSH scores every vector when its buckets hold fewer than k', () => {
+    const vectors = clusteredVectors(50, 8, 50);
+    const lsh = new LSHIndex({ tables: 1, bits: 20 });
+    const exact = new BruteForceIndex();
+    vectors.forEach((vector, i) => {
+        lsh.add(`p${i}`, vector);
+        exact.add(`p${i}`, vector);
+    });
+
+    // 20-bit buckets are nearly empty, so k = 20 needs the fallback
+    const query = vectors[0].map(value => -value);
+    assert.deepEqual(lsh.search(query, 20), exact.search(query, 20));
+    assert.deepEqual(lsh.search(query, 100, { exclude: ['p1'] }), exact.search(query, 100, { exclude: ['p1'] }));
+});
+
+test('indexes replace, remove and check dimensions', () => {
+    for (const index of [createVectorIndex(), createVectorIndex({ type: 'brute' })]) {
+        index.add('a', [1, 0]);
+        index.add('b', [0, 1]);
+        index.add('a', [0.9, 0.1]);
+        assert.equal(index.size, 2);
+        assert.equal(index.search([1, 0], 1)[0].id, 'a');
+
+        assert.throws(() => index.add('c', [1, 0, 0]), /dimensions/);
+        index.remove('a');
+        assert.deepEqual(index.search([1, 0], 5).map(result => result.id), ['b']);
+    }
+    assert.ok(Math.abs(cosineSimilarity([1, 0], [1, 1]) - Math.SQRT1_2) < 1e-6);
+    assert.throws(() => createVectorIndex({ type: 'annoy' }), /Unknown vector index type/);
+});
+
+test('a trained engine answers queries by parameters and by vector, directly and over the API', async () => {
+    const engine = new BinaryRingConnectionEngine(catalog, { config: { epochs: 2 } });
+    await engine.trainIfNeeded();
+    assert.equal(engine.isModelTrained, true);
+
+    const byParameters = engine.findSimilarToVector({ mathematical: { chaosLevel: 0.9, hasAttractors: true } }, 3);
+    assert.equal(byParameters.length, 3);
+    assert.ok(byParameters.every(result => result.similarity <= 1 + 1e-6 && result.project));
+
+    // A project's own raw features encode to its own feature vector
+    const raw = engine.createFeatureVector(engine.preprocessedById.get('orbitals'));
+    const [nearest] = engine.findSimilarToVector(Array.from(raw.dataSync()), 1);
+    raw.dispose();
+    assert.equal(nearest.id, 'orbitals');
+    assert.ok(nearest.similarity > 0.999);
+
+    // Index and exhaustive search agree
+    const query = { visual: { organicScore: 0.9 } };
+    const exhaustive = engine.findSimilarToVector(query, 3).map(result => result.id);
+    engine.exactSearchLimit = 0;
+    assert.deepEqual(engine.findSimilarToVector(query, 3).map(result => result.id), exhaustive);
+
+    const api = new NeuralConnectionAPI(catalog, { connectionEngine: engine });
+    const server = api.app.listen(0);
+    try {
+        await new Promise(resolve => server.once('listening', resolve));
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/api/projects/similar`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ parameters: { mathematical: { chaosLevel: 0.9 } }, limit: 2, exclude: ['orbitals'] })
+        });
+        assert.equal(response.status, 200);
+        const { results } = await response.json();
+        assert.equal(results.length, 2);
+        assert.ok(!results.some(result => result.id === 'orbitals'));
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,232 @@
+/**
+ * Binary Ring Vector Index
+ *
+ * Top-k cosine similarity search over project feature vectors. Any object with the same
+ * methods can be passed to BinaryRingConnectionEngine as options.vectorIndex:
+ *
+ *   add(id, vector)              add or replace a vector
+ *   remove(id)
+ *   clear()
+ *   size                         number of vectors
+ *   search(vector, k, { exclude }) -> [{ id, score }], best first (score is the cosine similarity)
+ *
+ * BruteForceIndex scans every vector and is exact. LSHIndex hashes vectors with random
+ * hyperplanes (signs of dot products), so similar vectors tend to share buckets, and scores
+ * only the vectors in the query's buckets and their one-bit neighbours.
+ *
+ * @author Binary Ring Collective
+ * @version 1.0.0
+ */
+
+/**
+ * Unit-length copy of a vector (zero vectors stay zero)
+ */
+function normalize(vector) {
+    const unit = Float32Array.from(vector);
+    let norm = 0;
+    for (let i = 0; i < unit.length; i++) norm += unit[i] * unit[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (let i = 0; i < unit.length; i++) unit[i] /= norm;
+    }
+    return unit;
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+export function cosineSimilarity(a, b) {
+    if (a.length !== b.length) {
+        throw new Error(`Vector length ${b.length} does not match ${a.length}`);
+    }
+    return dot(normalize(a), normalize(b));
+}
+
+/**
+ * Seeded random numbers (mulberry32), so an index hashes the same way on every start
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Keep the k best of scored entries
+ */
+function topK(scored, k) {
+    return scored.sort((a, b) => b.score - a.score).slice(0, k);
+}
+
+// ===============================
+// INDEXES
+// ===============================
+
+/**
+ * Exact search: scores every vector
+ */
+export class BruteForceIndex {
+    constructor() {
+        this.vectors = new Map();
+        this.dimensions = null;
+    }
+
+    get size() {
+        return this.vectors.size;
+    }
+
+    add(id, vector) {
+        if (this.dimensions !== null && vector.length !== this.dimensions) {
+            throw new Error(`Vector for ${id} has ${vector.length} dimensions, the index has ${this.dimensions}`);
+        }
+        this.dimensions = vector.length;
+        this.vectors.set(id, normalize(vector));
+    }
+
+    remove(id) {
+        this.vectors.delete(id);
+    }
+
+    clear() {
+        this.vectors.clear();
+        this.dimensions = null;
+    }
+
+    search(vector, k, { exclude = [] } = {}) {
+        return this.score(normalize(vector), this.vectors.keys(), k, new Set(exclude));
+    }
+
+    /**
+     * Score the given ids against a unit query vector
+     */
+    score(unit, ids, k, excluded) {
+        if (this.dimensions !== null && unit.length !== this.dimensions) {
+            throw new Error(`Query has ${unit.length} dimensions, the index has ${this.dimensions}`);
+        }
+        const scored = [];
+        for (const id of ids) {
+            if (excluded.has(id)) continue;
+            scored.push({ id, score: dot(unit, this.vectors.get(id)) });
+        }
+        return topK(scored, k);
+    }
+}
+
+/**
+ * Approximate search with random-hyperplane locality-sensitive hashing. Each of `tables` hash
+ * tables signs `bits` hyperplanes; a query reads its bucket and the buckets one bit away in
+ * every table. When that yields fewer than k vectors it scores all of them instead.
+ */
+export class LSHIndex {
+    constructor({ tables = 8, bits = 12, seed = 42 } = {}) {
+        if (bits > 30) {
+            throw new Error('LSHIndex supports at most 30 bits per table');
+        }
+        this.tables = tables;
+        this.bits = bits;
+        this.seed = seed;
+        this.store = new BruteForceIndex();
+        this.clear();
+    }
+
+    get size() {
+        return this.store.size;
+    }
+
+    clear() {
+        this.store.clear();
+        this.planes = null;
+        this.buckets = Array.from({ length: this.tables }, () => new Map());
+        this.keys = new Map();
+    }
+
+    /**
+     * Hyperplanes with Gaussian components, made for the first vector's dimensions
+     */
+    createPlanes(dimensions) {
+        const random = seededRandom(this.seed);
+        const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+        this.planes = Array.from({ length: this.tables }, () =>
+            Array.from({ length: this.bits }, () => Float32Array.from({ length: dimensions }, gaussian))
+        );
+    }
+
+    hash(unit) {
+        return this.planes.map(planes => planes.reduce((key, plane, bit) => (dot(unit, plane) >= 0 ? key | (1 << bit) : key), 0));
+    }
+
+    add(id, vector) {
+        if (this.keys.has(id)) {
+            this.remove(id);
+        }
+        this.store.add(id, vector);
+        if (!this.planes) {
+            this.createPlanes(vector.length);
+        }
+
+        const keys = this.hash(this.store.vectors.get(id));
+        keys.forEach((key, table) => {
+            if (!this.buckets[table].has(key)) this.buckets[table].set(key, new Set());
+            this.buckets[table].get(key).add(id);
+        });
+        this.keys.set(id, keys);
+    }
+
+    remove(id) {
+        const keys = this.keys.get(id);
+        if (!keys) return;
+        keys.forEach((key, table) => {
+            const bucket = this.buckets[table].get(key);
+            bucket.delete(id);
+            if (bucket.size === 0) this.buckets[table].delete(key);
+        });
+        this.keys.delete(id);
+        this.store.remove(id);
+        if (this.store.size === 0) {
+            this.clear();
+        }
+    }
+
+    search(vector, k, { exclude = [] } = {}) {
+        if (this.store.size === 0) return [];
+        const unit = normalize(vector);
+        const excluded = new Set(exclude);
+
+        const candidates = new Set();
+        this.hash(unit).forEach((key, table) => {
+            for (let bit = -1; bit < this.bits; bit++) {
+                const bucket = this.buckets[table].get(bit < 0 ? key : key ^ (1 << bit));
+                if (bucket) bucket.forEach(id => candidates.add(id));
+            }
+        });
+
+        const found = [...candidates].filter(id => !excluded.has(id)).length;
+        const available = this.store.size - [...excluded].filter(id => this.keys.has(id)).length;
+        const ids = found >= Math.min(k, available) ? candidates : this.store.vectors.keys();
+        return this.store.score(unit, ids, k, excluded);
+    }
+}
+
+/**
+ * 'lsh' (default) or 'brute'
+ */
+export function createVectorIndex({ type = 'lsh', ...options } = {}) {
+    switch (type) {
+        case 'lsh':
+            return new LSHIndex(options);
+        case 'brute':
+            return new BruteForceIndex();
+        default:
+            throw new Error(`Unknown vector index type: ${type}`);
+    }
+}
+
+export default LSHIndex;
@@ -0,0 +1,268 @@
+/**
+ * Binary Ring Page Sections
+ * Generated pages mark what they generate (head metadata, styles, each component, scripts) with
+ * comments:
+ *
+ *   <!-- br:section id="hero-section" component="Hero Section" hash="5d41402a" -->
+ *   ...generated markup...
+ *   <!-- /br:section id="hero-section" -->
+ *
+ * hash is the hash of the markup as it was generated, so a section whose content no longer
+ * matches has been edited by hand. merge() regenerates a page in place: it replaces the
+ * sections whose generated markup changed, adds and removes sections, and keeps everything
+ * outside the markers (and inside sections that did not change) as it is.
+ */
+
+const SECTION_START = /<!-- br:section id="([\w-]+)"(?: component="([^"]*)")? hash="([0-9a-f]{8})" -->/g;
+// Line diffs fall back to one replacement hunk above this many line pairs
+const MAX_DIFF_CELLS = 1000000;
+
+/**
+ * FNV-1a, 32 bits as 8 hex digits
+ */
+function hashMarkup(markup) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < markup.length; i++) {
+        hash ^= markup.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function unescapeAttribute(value) {
+    return value.replace(/&quot;/g, '"').replace(/&gt;/g, '>').replace(/&lt;/g, '<').replace(/&amp;/g, '&');
+}
+
+function slug(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'section';
+}
+
+function isBlank(text) {
+    return /^\s*$/.test(text);
+}
+
+class PageSections {
+    /**
+     * Wrap generated markup in section markers
+     */
+    static mark(id, content, component = null) {
+        const name = component ? ` component="${escapeAttribute(component)}"` : '';
+        return `<!-- br:section id="${id}"${name} hash="${hashMarkup(content)}" -->${content}<!-- /br:section id="${id}" -->`;
+    }
+
+    /**
+     * Stable section ids for context items: item.id or the component name, numbered when repeated
+     */
+    static ids(components) {
+        const seen = {};
+        return components.map(comp => {
+            const base = slug(comp.id || comp.name);
+            seen[base] = (seen[base] || 0) + 1;
+            return seen[base] === 1 ? base : `${base}-${seen[base]}`;
+        });
+    }
+
+    /**
+     * The marked sections of a page in page order: { id, component, hash, start, end, content, edited }
+     */
+    static parse(html) {
+        const sections = [];
+        const pattern = new RegExp(SECTION_START.source, 'g');
+        let match;
+
+        while ((match = pattern.exec(html))) {
+            const [marker, id, component, hash] = match;
+            const endMarker = `<!-- /br:section id="${id}" -->`;
+            const contentStart = match.index + marker.length;
+            const contentEnd = html.indexOf(endMarker, contentStart);
+            if (contentEnd === -1) throw new Error(`Section ${id} has no end marker`);
+            if (sections.some(section => section.id === id)) throw new Error(`Section ${id} appears twice`);
+
+            const content = html.slice(contentStart, contentEnd);
+            sections.push({
+                id,
+                component: component === undefined ? null : unescapeAttribute(component),
+                hash,
+                start: match.index,
+                end: contentEnd + endMarker.length,
+                content,
+                edited: hashMarkup(content) !== hash
+            });
+            pattern.lastIndex = contentEnd + endMarker.length;
+        }
+        return sections;
+    }
+
+    /**
+     * Regenerate a page in place from a newly generated version of it. Sections whose generated
+     * markup changed are replaced; hand edits inside them are lost unless preserveEdited is set,
+     * in which case those sections are kept and reported as 'kept'. Returns { html, diff }.
+     */
+    static merge(existing, generated, { preserveEdited = false } = {}) {
+        const before = PageSections.parse(existing);
+        const after = PageSections.parse(generated);
+        if (before.length === 0) {
+            throw new Error('The page has no section markers, so it can not be regenerated in place');
+        }
+        const beforeById = new Map(before.map(section => [section.id, section]));
+        const afterById = new Map(after.map(section => [section.id, section]));
+
+        // Sections in both pages fill the places they had, in their new order
+        const slots = before.filter(section => afterById.has(section.id));
+        const kept = after.filter(section => beforeById.has(section.id));
+        const entries = new Map();
+
+        const textOf = section => generated.slice(section.start, section.end);
+        const placed = kept.map((next, i) => {
+            const previous = beforeById.get(next.id);
+            const moved = slots[i].id !== next.id;
+            const entry = { id: next.id, component: next.component, status: 'unchanged', moved, edited: previous.edited, hunks: [] };
+            entries.set(next.id, entry);
+
+            if (next.hash === previous.hash) {
+                // The generator would write the same markup, so keep the section and any edits in it
+                if (moved) entry.status = 'moved';
+                return existing.slice(previous.start, previous.end);
+            }
+            if (previous.edited && preserveEdited) {
+                entry.status = 'kept';
+                return existing.slice(previous.start, previous.end);
+            }
+            entry.status = 'changed';
+            entry.hunks = PageSections.diffLines(previous.content, next.content);
+            return textOf(next);
+        });
+
+        // Runs of new sections go next to a kept neighbour they are separated from by whitespace only
+        const gapBefore = index => generated.slice(after[index - 1].end, after[index].start);
+        const insertions = { before: {}, after: {} };
+        for (let first = 0; first < after.length; first++) {
+            if (beforeById.has(after[first].id)) continue;
+            let last = first;
+            while (last + 1 < after.length && !beforeById.has(after[last + 1].id)) last += 1;
+
+            after.slice(first, last + 1).forEach(section => {
+                entries.set(section.id, { id: section.id, component: section.component, status: 'added', moved: false, edited: false, hunks: [] });
+            });
+            const run = generated.slice(after[first].start, after[last].end);
+            if (first > 0 && isBlank(gapBefore(first))) {
+                insertions.after[after[first - 1].id] = gapBefore(first) + run;
+            } else if (last < after.length - 1 && isBlank(gapBefore(last + 1))) {
+                insertions.before[after[last + 1].id] = run + gapBefore(last + 1);
+            } else {
+                throw new Error(`Can not find where to add section ${after[first].id}`);
+            }
+            first = last;
+        }
+
+        // Rebuild: the text between sections stays, removed sections go with a blank gap next to them
+        let html = '';
+        let cursor = 0;
+        let slot = 0;
+        before.forEach((section, index) => {
+            const gap = existing.slice(cursor, section.start);
+            html += gap;
+            cursor = section.end;
+            if (afterById.has(section.id)) {
+                const { id } = kept[slot];
+                html += (insertions.before[id] || '') + placed[slot] + (insertions.after[id] || '');
+                slot += 1;
+                return;
+            }
+            entries.set(section.id, { id: section.id, component: section.component, status: 'removed', moved: false, edited: section.edited, hunks: [] });
+            const following = before[index + 1];
+            if (following && isBlank(existing.slice(section.end, following.start))) {
+                cursor = following.start;
+            } else if (index > 0 && isBlank(gap)) {
+                html = html.slice(0, html.length - gap.length);
+            }
+        });
+        html += existing.slice(cursor);
+
+        const sections = [
+            ...after.map(section => entries.get(section.id)),
+            ...before.filter(section => !afterById.has(section.id)).map(section => entries.get(section.id))
+        ];
+        const summary = { added: 0, removed: 0, changed: 0, moved: 0, kept: 0, unchanged: 0 };
+        sections.forEach(entry => {
+            summary[entry.status] += 1;
+        });
+
+        return {
+            html,
+            diff: { changed: sections.some(entry => entry.status !== 'unchanged'), sections, summary }
+        };
+    }
+
+    /**
+     * Line diff of two texts as hunks: [{ line, removed: [lines], added: [lines] }], where line is
+     * the 1-based line of the first text the hunk starts at
+     */
+    static diffLines(beforeText, afterText) {
+        const a = beforeText.split('\n');
+        const b = afterText.split('\n');
+
+        // Only the middle that differs needs the table
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA -= 1;
+            endB -= 1;
+        }
+        const x = a.slice(start, endA);
+        const y = b.slice(start, endB);
+        if (x.length === 0 && y.length === 0) return [];
+        if ((x.length + 1) * (y.length + 1) > MAX_DIFF_CELLS) return [{ line: start + 1, removed: x, added: y }];
+
+        // Longest common subsequence lengths of the suffixes
+        const common = Array.from({ length: x.length + 1 }, () => new Array(y.length + 1).fill(0));
+        for (let i = x.length - 1; i >= 0; i--) {
+            for (let j = y.length - 1; j >= 0; j--) {
+                common[i][j] = x[i] === y[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+            }
+        }
+
+        const hunks = [];
+        let hunk = null;
+        let i = 0;
+        let j = 0;
+        while (i < x.length || j < y.length) {
+            if (i < x.length && j < y.length && x[i] === y[j]) {
+                hunk = null;
+                i += 1;
+                j += 1;
+                continue;
+            }
+            if (!hunk) {
+                hunk = { line: start + i + 1, removed: [], added: [] };
+                hunks.push(hunk);
+            }
+            if (j < y.length && (i === x.length || common[i][j + 1] >= common[i + 1][j])) {
+                hunk.added.push(y[j]);
+                j += 1;
+            } else {
+                hunk.removed.push(x[i]);
+                i += 1;
+            }
+        }
+        return hunks;
+    }
+}
+
+PageSections.hash = hashMarkup;
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.PageSections = PageSections;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PageSections;
+}
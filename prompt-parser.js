@@ -0,0 +1,396 @@
+/**
+ * Binary Ring Prompt Parser
+ * Turns a brief such as "dark cyberpunk portfolio with gallery, pricing and contact form" into
+ * context items for WebpageGenerator. The rule matcher knows the registered component and theme
+ * names, the aliases below and the theme variants. A provider (an LLM behind any API) can read
+ * the brief instead:
+ *
+ *   {
+ *       name: 'my-llm',
+ *       async complete(request) => { components, style, variant, keywords, apps, title }
+ *   }
+ *
+ * request is { prompt, components, themes, apps, instructions }. The answer is checked against
+ * the same names, so a provider can only choose what the generator has; when it fails, the
+ * rule matcher is used.
+ */
+
+const COMPONENT_ALIASES = {
+    'Header Navigation': ['header', 'navigation', 'nav', 'navbar', 'menu'],
+    'Hero Section': ['hero', 'banner', 'intro'],
+    'Product Grid': ['products', 'product grid', 'catalog', 'merch', 'merchandise'],
+    'Video Gallery': ['video', 'videos', 'video gallery'],
+    'Audio Player': ['audio', 'music', 'music player', 'podcast', 'player', 'tracks'],
+    'Photo Gallery': ['gallery', 'photos', 'photo gallery', 'images', 'pictures', 'photography'],
+    'Search Interface': ['search'],
+    'Footer': ['footer'],
+    'Contact Form': ['contact', 'contact form', 'get in touch'],
+    'Testimonials': ['testimonials', 'reviews', 'quotes'],
+    'Pricing Table': ['pricing', 'prices', 'plans', 'pricing table', 'subscriptions'],
+    'Stats Section': ['stats', 'statistics', 'numbers', 'metrics']
+};
+const THEME_ALIASES = {
+    'Dark Glassmorphism': ['glass', 'glassmorphism', 'frosted'],
+    'Minimalist Clean': ['minimal', 'minimalist', 'clean', 'simple'],
+    'Cyberpunk Neon': ['cyberpunk', 'neon', 'synthwave']
+};
+// Page types choose the components when a brief names none (the presets of generator-demo.html)
+const PAGE_TYPES = {
+    'e-commerce': {
+        aliases: ['e-commerce', 'ecommerce', 'store', 'shop', 'online store'],
+        components: ['Hero Section', 'Product Grid', 'Pricing Table']
+    },
+    media: {
+        aliases: ['media', 'media platform', 'streaming'],
+        components: ['Hero Section', 'Video Gallery', 'Audio Player']
+    },
+    portfolio: {
+        aliases: ['portfolio', 'creative portfolio'],
+        components: ['Hero Section', 'Photo Gallery', 'Testimonials', 'Contact Form']
+    },
+    landing: {
+        aliases: ['landing', 'landing page', 'launch', 'startup'],
+        components: ['Hero Section', 'Stats Section', 'Product Grid', 'Testimonials', 'Contact Form']
+    }
+};
+const DEFAULT_PAGE_TYPE = 'landing';
+// Components placed around the others unless the brief excludes them
+const FRAME = { first: 'Header Navigation', last: 'Footer' };
+const NEGATIONS = ['no', 'without', 'except', 'minus', 'skip'];
+const STOPWORDS = [
+    'a', 'an', 'the', 'and', 'or', 'but', 'with', 'for', 'of', 'to', 'in', 'on', 'at', 'by', 'from', 'as', 'is',
+    'it', 'be', 'me', 'my', 'our', 'your', 'we', 'i', 'us', 'some', 'few', 'that', 'this', 'plus', 'also', 'then',
+    'page', 'pages', 'site', 'website', 'web', 'section', 'sections', 'make', 'build', 'create', 'generate', 'want',
+    'need', 'please', 'using', 'use', 'has', 'have', 'like', 'about', 'theme', 'style', 'styled', 'mode', 'component',
+    'components', 'layout', 'design', 'featuring', 'including', 'look', 'feel'
+];
+// Words too common in component names to stand for one component on their own
+const GENERIC_WORDS = ['section', 'table', 'form', 'interface', 'grid', 'player', 'navigation', 'gallery', 'block', 'card', 'list'];
+
+const PROVIDER_INSTRUCTIONS = [
+    'Choose the components, style and keywords of a web page from the brief.',
+    'Answer with JSON only: { "components": [names in page order], "style": theme name or null,',
+    '"variant": variant name or null, "keywords": [words], "apps": [names], "title": page title }.',
+    'Use only the component, theme, variant and app names listed in the request.'
+].join(' ');
+
+function words(text) {
+    const pattern = /[a-z0-9]+(?:-[a-z0-9]+)*/g;
+    const found = [];
+    let match;
+    while ((match = pattern.exec(text.toLowerCase()))) found.push(match[0]);
+    return found;
+}
+
+function titleCase(text) {
+    return text.replace(/(^|[\s-])([a-z])/g, (match, space, letter) => space + letter.toUpperCase());
+}
+
+class PromptParser {
+    /**
+     * @param {Object} options
+     * @param {ComponentRegistry} options.components - components the brief can name
+     * @param {ThemeEngine} options.themes - themes and variants the brief can name
+     * @param {Array} options.apps - app names (or { name, description }) the brief can name
+     * @param {Object} options.aliases - more aliases, { 'Component or theme name': ['phrase'] }
+     * @param {Object} options.provider - reads the brief in interpret(); see the header
+     * @param {boolean} options.frame - add Header Navigation and Footer around the page (default true)
+     */
+    constructor({ components, themes, apps = [], aliases = {}, provider = null, frame = true } = {}) {
+        if (!components || !themes) throw new Error('PromptParser needs a component registry and a theme engine');
+        if (provider && typeof provider.complete !== 'function') {
+            throw new Error('Prompt providers need a complete(request) function');
+        }
+        this.components = components;
+        this.themes = themes;
+        this.apps = apps.map(app => (typeof app === 'string' ? { name: app } : app));
+        this.aliases = aliases;
+        this.provider = provider;
+        this.frame = frame;
+    }
+
+    /**
+     * Match the brief with the rules. Returns { contextItems, title, matches, warnings, source: 'rules' }.
+     */
+    parse(prompt) {
+        const tokens = words(String(prompt || ''));
+        const matches = this.match(tokens);
+        const warnings = [];
+
+        const named = type => matches.filter(match => match.type === type);
+        const excluded = matches.filter(match => match.negated).map(match => match.name);
+        const pageType = named('page').find(match => !match.negated);
+
+        // Components in the order the brief names them; a page type fills in when there are none
+        let components = [...new Set(named('component').filter(match => !match.negated).map(match => match.name))];
+        const presetType = components.length === 0 ? (pageType ? pageType.name : DEFAULT_PAGE_TYPE) : null;
+        if (presetType) {
+            components = PAGE_TYPES[presetType].components.filter(name => this.components.has(name) && !excluded.includes(name));
+        }
+        components = this.framed(components, excluded);
+
+        const { style, variant } = this.chooseTheme(named('theme').filter(match => !match.negated), named('variant'), warnings);
+        const apps = [...new Set(named('app').filter(match => !match.negated).map(match => match.name))];
+        const keywords = [
+            ...(pageType ? [pageType.name] : []),
+            ...tokens.filter((token, i) => !matches.some(match => i >= match.index && i < match.index + match.length))
+                .filter(token => token.length > 2 && !STOPWORDS.includes(token) && !NEGATIONS.includes(token) && !/^\d+$/.test(token))
+        ];
+
+        const describe = name => {
+            // A theme chosen for "dark" or "light" is described by that word
+            const match = matches.find(m => m.name === name && !m.negated) || (name === style && named('variant')[0]);
+            if (match) return `From the brief: "${match.phrase}"`;
+            return presetType && PAGE_TYPES[presetType].components.includes(name)
+                ? `From the ${presetType} page type`
+                : 'Added to complete the page';
+        };
+        return {
+            contextItems: this.contextItems({ components, style, variant, keywords, apps }, describe),
+            title: this.titleFor(prompt),
+            matches,
+            warnings,
+            source: 'rules'
+        };
+    }
+
+    /**
+     * Read the brief with the provider when there is one, falling back to parse()
+     */
+    async interpret(prompt) {
+        if (!this.provider) return this.parse(prompt);
+
+        const label = this.provider.name || 'provider';
+        let answer;
+        try {
+            answer = await this.provider.complete(this.providerRequest(prompt));
+            if (typeof answer === 'string') answer = JSON.parse(answer);
+        } catch (error) {
+            return this.fallback(prompt, `Prompt provider ${label} failed (${error.message}), so the brief was matched with rules`);
+        }
+
+        const result = this.fromProvider(prompt, answer || {});
+        if (!result.matches.some(match => match.type === 'component')) {
+            return this.fallback(prompt, `Prompt provider ${label} chose no known components, so the brief was matched with rules`, result.warnings);
+        }
+        return result;
+    }
+
+    /**
+     * What a provider is asked: the brief, the names it can choose from and the answer format
+     */
+    providerRequest(prompt) {
+        return {
+            prompt: String(prompt || ''),
+            components: this.components.list().map(plugin => plugin.name),
+            themes: this.themes.list().map(name => {
+                const theme = this.themes.resolve(name);
+                return { name, mode: theme.mode || null, variants: Object.keys(theme.variants) };
+            }),
+            apps: this.apps.map(app => app.name),
+            instructions: PROVIDER_INSTRUCTIONS
+        };
+    }
+
+    /**
+     * Check a provider's answer against the registered names
+     */
+    fromProvider(prompt, answer) {
+        const warnings = [];
+        const matches = [];
+        const lookup = (type, name) => {
+            const match = this.match(words(String(name))).find(m => m.type === type && !m.negated);
+            if (!match) warnings.push(`Unknown ${type} from the prompt provider: ${name}`);
+            if (match) matches.push({ type, name: match.name, phrase: String(name) });
+            return match ? match.name : null;
+        };
+        const list = value => (Array.isArray(value) ? value : []);
+
+        const components = this.framed(
+            [...new Set(list(answer.components).map(name => lookup('component', name)).filter(Boolean))],
+            []
+        );
+        const style = answer.style ? lookup('theme', answer.style) : null;
+        let variant = answer.variant ? String(answer.variant) : null;
+        if (variant && (!style || !this.themes.variants(style).includes(variant))) {
+            warnings.push(`Theme ${style || 'Default'} has no "${variant}" variant`);
+            variant = null;
+        }
+        const apps = list(answer.apps).map(name => lookup('app', name)).filter(Boolean);
+        const keywords = list(answer.keywords).map(keyword => String(keyword).trim()).filter(Boolean);
+
+        const fromProvider = () => `Chosen by ${this.provider.name || 'the prompt provider'}`;
+        return {
+            contextItems: this.contextItems({ components, style, variant, keywords, apps }, fromProvider),
+            title: answer.title ? String(answer.title) : this.titleFor(prompt),
+            matches,
+            warnings,
+            source: 'provider'
+        };
+    }
+
+    fallback(prompt, warning, warnings = []) {
+        const result = this.parse(prompt);
+        return { ...result, warnings: [...warnings, warning, ...result.warnings] };
+    }
+
+    /**
+     * Find the longest phrase of every known name at each position. Returns
+     * [{ type, name, phrase, index, length, negated }] in brief order.
+     */
+    match(tokens) {
+        const phrases = this.vocabulary();
+        const matches = [];
+
+        for (let i = 0; i < tokens.length;) {
+            const found = phrases.find(({ phrase }) => phrase.every((word, j) => tokens[i + j] === word));
+            if (!found) {
+                i += 1;
+                continue;
+            }
+            const before = tokens.slice(Math.max(0, i - 2), i);
+            matches.push({
+                type: found.type,
+                name: found.name,
+                phrase: found.phrase.join(' '),
+                index: i,
+                length: found.phrase.length,
+                negated: before.some(word => NEGATIONS.includes(word))
+            });
+            i += found.phrase.length;
+        }
+        return matches;
+    }
+
+    /**
+     * Every phrase the matcher knows, longest first: [{ type, name, phrase: [words] }]
+     */
+    vocabulary() {
+        const entries = [];
+        const add = (type, name, phrase) => {
+            const tokens = words(phrase);
+            if (tokens.length > 0) entries.push({ type, name, phrase: tokens });
+        };
+
+        const componentNames = this.components.list().map(plugin => plugin.name);
+        componentNames.forEach(name => {
+            add('component', name, name);
+            [...(COMPONENT_ALIASES[name] || []), ...(this.aliases[name] || [])].forEach(alias => add('component', name, alias));
+        });
+        // Plugins without aliases are also found by the words that only their name has
+        componentNames.filter(name => !COMPONENT_ALIASES[name]).forEach(name => {
+            words(name)
+                .filter(word => word.length > 2 && !GENERIC_WORDS.includes(word))
+                .filter(word => componentNames.filter(other => words(other).includes(word)).length === 1)
+                .forEach(word => add('component', name, word));
+        });
+
+        this.themes.list().forEach(name => {
+            add('theme', name, name);
+            [...(THEME_ALIASES[name] || []), ...(this.aliases[name] || [])].forEach(alias => add('theme', name, alias));
+        });
+        const variantNames = new Set(this.themes.list().flatMap(name => this.themes.variants(name)));
+        ['light', 'dark', ...variantNames].forEach(variant => add('variant', variant, variant));
+
+        this.apps.forEach(app => add('app', app.name, app.name));
+        Object.entries(PAGE_TYPES).forEach(([type, { aliases }]) => aliases.forEach(alias => add('page', type, alias)));
+
+        // Longest phrases first; at equal length, earlier entries (components, then themes) win
+        return entries
+            .map((entry, order) => ({ ...entry, order }))
+            .sort((a, b) => b.phrase.length - a.phrase.length || a.order - b.order);
+    }
+
+    /**
+     * Header Navigation first and Footer last, unless the brief excludes them
+     */
+    framed(components, excluded) {
+        if (!this.frame) return components;
+        const middle = components.filter(name => name !== FRAME.first && name !== FRAME.last);
+        return [
+            ...(this.components.has(FRAME.first) && !excluded.includes(FRAME.first) ? [FRAME.first] : []),
+            ...middle,
+            ...(this.components.has(FRAME.last) && !excluded.includes(FRAME.last) ? [FRAME.last] : [])
+        ];
+    }
+
+    /**
+     * The named theme, with a named variant it has. Without a theme, "dark" or "light" picks
+     * a theme of that mode.
+     */
+    chooseTheme(themeMatches, variantMatches, warnings) {
+        const style = themeMatches.length > 0 ? themeMatches[0].name : null;
+        if (themeMatches.length > 1 && themeMatches.some(match => match.name !== style)) {
+            warnings.push(`The brief names several themes; using ${style}`);
+        }
+        const requested = variantMatches.length > 0 ? variantMatches[0].name : null;
+        if (!requested) return { style, variant: null };
+
+        if (style) {
+            const theme = this.themes.resolve(style);
+            if (Object.keys(theme.variants).includes(requested)) return { style, variant: requested };
+            if (theme.mode !== requested) warnings.push(`Theme ${style} has no "${requested}" variant`);
+            return { style, variant: null };
+        }
+
+        const names = this.themes.list();
+        const byMode = names.find(name => this.themes.resolve(name).mode === requested);
+        if (byMode) return { style: byMode, variant: null };
+        const byVariant = names.find(name => this.themes.variants(name).includes(requested));
+        if (byVariant) return { style: byVariant, variant: requested };
+        warnings.push(`No theme has a "${requested}" variant`);
+        return { style: null, variant: null };
+    }
+
+    contextItems({ components, style, variant, keywords, apps }, describe) {
+        return [
+            ...components.map(name => ({ name, type: 'component', description: describe(name) })),
+            ...(style ? [{ name: style, type: 'style', description: describe(style), ...(variant ? { variant } : {}) }] : []),
+            ...[...new Set(keywords)].map(name => ({ name, type: 'keyword', description: 'Keyword from the brief' })),
+            ...apps.map(name => {
+                const app = this.apps.find(known => known.name === name);
+                return { name, type: 'app', description: (app && app.description) || describe(name) };
+            })
+        ];
+    }
+
+    /**
+     * The part of the brief before "with" or a comma, e.g. "Dark Cyberpunk Portfolio"
+     */
+    titleFor(prompt) {
+        const head = String(prompt || '').split(/\s+with\s+|,|\.|;/i)[0].trim();
+        return head ? titleCase(head.slice(0, 60)) : '';
+    }
+
+    /**
+     * A provider that POSTs the request as JSON and reads the answer from the JSON response
+     */
+    static httpProvider({ url, name = 'http', headers = {}, fetchImpl } = {}) {
+        if (!url) throw new Error('httpProvider needs a url');
+        const request = fetchImpl || ((...args) => fetch(...args));
+        return {
+            name,
+            async complete(body) {
+                const response = await request(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', ...headers },
+                    body: JSON.stringify(body)
+                });
+                if (!response.ok) throw new Error(`${url} answered ${response.status}`);
+                return response.json();
+            }
+        };
+    }
+}
+
+PromptParser.PAGE_TYPES = PAGE_TYPES;
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.PromptParser = PromptParser;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptParser;
+}
@@ -0,0 +1,157 @@
+/**
+ * Binary Ring Safe HTML
+ * Contextual escaping for generated markup. Templates are written with the html tag:
+ *
+ *   SafeHTML.html`<a href="${url}" title="${label}">${label}</a>`
+ *
+ * Every value is escaped for the place it lands in: HTML text, a quoted attribute, a URL
+ * attribute (javascript: and other unsafe schemes become "#"), a style attribute or <style>
+ * element (CSS), or an on* attribute or <script> element (a JavaScript literal). Values between
+ * attributes or in unquoted attributes throw. Results of html`` and SafeHTML.raw() are trusted
+ * and inserted as they are; arrays are joined; null, undefined and false render nothing.
+ */
+
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'cite', 'background', 'xlink:href'];
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+class SafeHTML {
+    constructor(markup) {
+        this.markup = String(markup);
+    }
+
+    toString() {
+        return this.markup;
+    }
+
+    /**
+     * Tagged template that escapes each value for its context
+     */
+    static html(strings, ...values) {
+        let markup = strings[0];
+        values.forEach((value, i) => {
+            markup += SafeHTML.escapeFor(SafeHTML.contextAt(markup), value) + strings[i + 1];
+        });
+        return new SafeHTML(markup);
+    }
+
+    /**
+     * Trusted markup, inserted without escaping
+     */
+    static raw(markup) {
+        return markup instanceof SafeHTML ? markup : new SafeHTML(markup === undefined || markup === null ? '' : markup);
+    }
+
+    static isSafe(value) {
+        return value instanceof SafeHTML;
+    }
+
+    /**
+     * Escape for HTML text and quoted attribute values
+     */
+    static text(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    static attribute(value) {
+        return SafeHTML.text(value);
+    }
+
+    /**
+     * A URL with an unsafe scheme (javascript:, data:, vbscript:, ...) becomes "#"
+     */
+    static url(value) {
+        const url = String(value).trim();
+        // Browsers ignore control characters and whitespace inside a scheme ("java\tscript:")
+        const scheme = url.replace(/[\u0000-\u0020\u007f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+        return scheme && !SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase()) ? '#' : url;
+    }
+
+    /**
+     * Escape a CSS value: anything but letters, digits, spaces and # . , % ( ) + - / becomes a CSS escape
+     */
+    static css(value) {
+        return String(value).replace(/[^\w #.,%()+\-/]/g, char => `\\${char.codePointAt(0).toString(16)} `);
+    }
+
+    /**
+     * A JavaScript literal: numbers and booleans as they are, anything else as a string that can
+     * not end a <script> element
+     */
+    static jsString(value) {
+        if ((typeof value === 'number' && Number.isFinite(value)) || typeof value === 'boolean') return String(value);
+        return JSON.stringify(String(value))
+            .replace(/</g, '\\u003c')
+            .replace(/>/g, '\\u003e')
+            .replace(/&/g, '\\u0026')
+            .replace(/\u2028/g, '\\u2028')
+            .replace(/\u2029/g, '\\u2029');
+    }
+
+    /**
+     * Where the end of a piece of markup is: 'text', 'attribute', 'url', 'css', 'js', 'css-attribute',
+     * 'js-attribute', 'tag' (between attributes) or 'unquoted'
+     */
+    static contextAt(markup) {
+        const lower = markup.toLowerCase();
+        for (const [element, type] of [['script', 'js'], ['style', 'css']]) {
+            const start = lower.lastIndexOf(`<${element}`);
+            if (start > lower.lastIndexOf(`</${element}`) && lower.indexOf('>', start) !== -1) return { type };
+        }
+
+        const tag = markup.match(/<[a-zA-Z][^<>]*$/);
+        if (!tag) return { type: 'text' };
+
+        const attribute = tag[0].match(/([^\s"'<>/=]+)\s*=\s*(["'])((?:(?!\2)[^])*)$/);
+        if (!attribute) {
+            const unquoted = tag[0].match(/([^\s"'<>/=]+)\s*=\s*[^\s"'<>]*$/);
+            return unquoted ? { type: 'unquoted', name: unquoted[1] } : { type: 'tag' };
+        }
+
+        const name = attribute[1].toLowerCase();
+        if (name.startsWith('on')) return { type: 'js-attribute' };
+        if (name === 'style') return { type: 'css-attribute' };
+        if (URL_ATTRIBUTES.includes(name)) return { type: attribute[3].trim() === '' ? 'url' : 'attribute' };
+        return { type: 'attribute' };
+    }
+
+    static escapeFor(context, value) {
+        if (value === undefined || value === null || value === false || value === '') return '';
+        if (value instanceof SafeHTML) return value.markup;
+        if (Array.isArray(value)) return value.map(item => SafeHTML.escapeFor(context, item)).join('');
+
+        switch (context.type) {
+            case 'text':
+            case 'attribute':
+                return SafeHTML.text(value);
+            case 'url':
+                return SafeHTML.attribute(SafeHTML.url(value));
+            case 'css':
+                return SafeHTML.css(value);
+            case 'css-attribute':
+                return SafeHTML.attribute(SafeHTML.css(value));
+            case 'js':
+                return SafeHTML.jsString(value);
+            case 'js-attribute':
+                return SafeHTML.attribute(SafeHTML.jsString(value));
+            case 'unquoted':
+                throw new Error(`Quote the ${context.name} attribute before putting a value in it`);
+            default:
+                throw new Error('Values between attributes must be SafeHTML.raw() or html`` markup');
+        }
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.SafeHTML = SafeHTML;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SafeHTML;
+}
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Binary Ring CLI
+ * Generates a site from a YAML or JSON spec (see site-spec.js and site-generator.js) into a
+ * TemplateDeployment project, optionally rebuilding on spec changes and serving the result
+ * through scripts/dev-server.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const WebpageGenerator = require('../webpage-generator');
+const SiteGenerator = require('../site-generator');
+const SiteSpec = require('../site-spec');
+
+const DEFAULT_OUT = 'dist';
+const DEFAULT_PORT = 3000;
+// Polling interval for --watch; fs.watch loses files that editors replace on save
+const WATCH_INTERVAL = 300;
+
+const USAGE = `
+🔮 Binary Ring CLI
+
+Usage:
+  binary-ring generate [spec.yaml|spec.json] [options]
+
+Options:
+  --out <directory>        Where to write the site (default: ${DEFAULT_OUT})
+  --theme <name>           Use this theme instead of the spec's
+  --components <a,b,...>   Put these components on the home page (a one-page site without a spec)
+  --watch                  Rebuild when the spec changes
+  --serve                  Serve the site with scripts/dev-server.js
+  --port <number>          Port for --serve (default: ${DEFAULT_PORT})
+  --dev                    Add the project's build script and README
+
+Examples:
+  binary-ring generate site.yaml --out dist/acme
+  binary-ring generate site.yaml --theme "Cyberpunk Neon" --watch --serve
+  binary-ring generate --components "Header Navigation, Hero Section, Pricing Table, Footer"
+`;
+
+const FLAGS = {
+    '--out': 'value',
+    '--theme': 'value',
+    '--components': 'value',
+    '--port': 'value',
+    '--watch': 'boolean',
+    '--serve': 'boolean',
+    '--dev': 'boolean'
+};
+
+/**
+ * argv (without node and the script) -> { command, spec, out, theme, components, watch, serve, port, dev }
+ */
+function parseArgs(args) {
+    const options = { command: args[0], spec: null, out: DEFAULT_OUT, components: [], port: DEFAULT_PORT };
+
+    for (let i = 1; i < args.length; i++) {
+        const [flag, inline] = args[i].split(/=(.*)/s);
+        if (!flag.startsWith('--')) {
+            if (options.spec) throw new Error(`Unexpected argument: ${args[i]}`);
+            options.spec = args[i];
+            continue;
+        }
+        if (!FLAGS[flag]) throw new Error(`Unknown option: ${flag}`);
+
+        const key = flag.slice(2);
+        if (FLAGS[flag] === 'boolean') {
+            options[key] = true;
+            continue;
+        }
+        const value = inline !== undefined ? inline : args[++i];
+        if (value === undefined || value.startsWith('--')) throw new Error(`${flag} needs a value`);
+        options[key] = value;
+    }
+
+    if (typeof options.components === 'string') {
+        options.components = options.components.split(',').map(name => name.trim()).filter(Boolean);
+    }
+    options.port = Number(options.port);
+    if (!Number.isInteger(options.port) || options.port <= 0) throw new Error('--port must be a port number');
+    if (!options.spec && options.components.length === 0) {
+        throw new Error('Pass a site spec, or --components for a one-page site');
+    }
+    return options;
+}
+
+/**
+ * Names must be registered, so a typo fails the build instead of leaving a gap on the page
+ */
+function checkOverrides(generator, { theme, components }) {
+    if (theme && !generator.themes.has(theme)) {
+        throw new Error(`Unknown theme "${theme}". Available: ${generator.themes.list().join(', ')}`);
+    }
+    const unknown = components.filter(name => !generator.isPageComponent(name));
+    if (unknown.length > 0) {
+        const available = generator.components.list().map(plugin => plugin.name);
+        throw new Error(`Unknown component(s) ${unknown.join(', ')}. Available: ${available.join(', ')}`);
+    }
+}
+
+/**
+ * Generate the site once. Files written by the previous build of this run that the site no
+ * longer has (a removed page, say) are deleted; anything else in the directory is left alone.
+ */
+async function build(options, sites, previous = new Set()) {
+    const spec = SiteSpec.withOverrides(options.spec ? SiteSpec.load(options.spec) : null, {
+        theme: options.theme,
+        components: options.components,
+        url: `http://localhost:${options.port}`
+    });
+    const site = await sites.writeSite(spec, options.out, { setupDev: options.dev, port: options.port });
+
+    const written = new Set(Object.keys(site.files));
+    for (const file of previous) {
+        if (written.has(file)) continue;
+        await fs.promises.rm(path.join(site.directory, file), { force: true });
+        // A removed page's directory goes too, once it is empty
+        const pageDir = path.dirname(path.join(site.directory, file));
+        if (pageDir !== site.directory && fs.readdirSync(pageDir).length === 0) await fs.promises.rmdir(pageDir);
+    }
+    return { site, written };
+}
+
+/**
+ * Start scripts/dev-server.js on the output directory; returns the child process
+ */
+function serve(directory, port) {
+    const server = spawn(process.execPath, [path.join(__dirname, 'dev-server.js'), '--root', directory], {
+        env: { ...process.env, PORT: String(port) },
+        stdio: 'inherit'
+    });
+    server.on('exit', code => {
+        if (code) console.error(`❌ Dev server exited with code ${code}`);
+    });
+    return server;
+}
+
+async function generate(options) {
+    const generator = new WebpageGenerator();
+    const sites = new SiteGenerator({ generator });
+    checkOverrides(generator, options);
+
+    let { site, written } = await build(options, sites);
+    const relative = path.relative(process.cwd(), site.directory);
+    console.log(`✅ ${site.pages.length} page(s) written to ${relative.startsWith('..') ? site.directory : relative || '.'}`);
+    site.pages.forEach(page => console.log(`   ${page.path} → ${page.file}`));
+
+    const server = options.serve ? serve(site.directory, options.port) : null;
+    if (!options.watch || !options.spec) {
+        if (options.watch) console.warn('⚠️  --watch needs a spec file, nothing to watch');
+        return { site, server };
+    }
+
+    console.log(`👀 Watching ${options.spec} for changes (Ctrl+C to stop)`);
+    let building = Promise.resolve();
+    fs.watchFile(options.spec, { interval: WATCH_INTERVAL }, (current, before) => {
+        if (current.mtimeMs === before.mtimeMs) return;
+        // One rebuild at a time; a failed rebuild keeps the last good site
+        building = building.then(async () => {
+            try {
+                ({ site, written } = await build(options, sites, written));
+                console.log(`🔁 Rebuilt ${site.pages.length} page(s) at ${new Date().toLocaleTimeString()}`);
+            } catch (error) {
+                console.error(`❌ Rebuild failed: ${error.message}`);
+            }
+        });
+    });
+
+    process.on('SIGINT', () => {
+        fs.unwatchFile(options.spec);
+        if (server) server.kill('SIGINT');
+        process.exit(0);
+    });
+    return { site, server };
+}
+
+async function main(args = process.argv.slice(2)) {
+    if (args.length === 0 || ['help', '--help', '-h'].includes(args[0])) {
+        console.log(USAGE);
+        return null;
+    }
+    if (args[0] !== 'generate') throw new Error(`Unknown command: ${args[0]}`);
+    return generate(parseArgs(args));
+}
+
+module.exports = { main, parseArgs, build };
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
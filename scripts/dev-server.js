@@ -8,21 +8,67 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { exec } = require('child_process');
+const { CreditsLedger, MemoryLedgerStore, SupabaseLedgerStore } = require('../credits/ledger');
+const { AbuseGuard, MemoryAbuseFlagStore, SupabaseAbuseFlagStore } = require('../credits/abuse-guard');
+const { Leaderboards, MemoryLeaderboardArchive, SupabaseLeaderboardArchive } = require('../credits/leaderboards');
+const { DailyStreakService, MemoryStreakStore, SupabaseStreakStore } = require('../credits/daily-streak');
+const { createCreditsRouter, createLeaderboardRouter } = require('../credits/api');
+const { SessionAuth } = require('../credits/sessions');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const projectRoot = path.join(__dirname, '..');
+// `--root <directory>` serves that directory (such as a generated site) instead of the project
+const rootFlag = process.argv.indexOf('--root');
+const staticRoot = rootFlag !== -1 && process.argv[rootFlag + 1] ? path.resolve(process.argv[rootFlag + 1]) : projectRoot;
 
 // Middleware for CORS
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Moderator-Key');
     next();
 });
 
 // Serve static files
-app.use(express.static(projectRoot));
+app.use(express.static(staticRoot));
+
+// Credits ledger and leaderboards (Supabase when configured, in-memory otherwise)
+function createSupabaseClient() {
+    if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY) {
+        const { createClient } = require('@supabase/supabase-js');
+        return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+    }
+    return null;
+}
+
+const supabase = createSupabaseClient();
+const abuseGuard = new AbuseGuard(require('../credits/abuse-guard.json'), {
+    flags: supabase ? new SupabaseAbuseFlagStore(supabase) : new MemoryAbuseFlagStore()
+});
+abuseGuard.on('flag', flag => console.warn(`⚠️  Abuse flag for ${flag.userId}: ${flag.kind}`));
+const creditsLedger = new CreditsLedger(supabase ? new SupabaseLedgerStore(supabase) : new MemoryLedgerStore(), { guard: abuseGuard });
+const leaderboards = new Leaderboards({
+    ledger: creditsLedger,
+    archive: supabase ? new SupabaseLeaderboardArchive(supabase) : new MemoryLeaderboardArchive()
+});
+const streaks = new DailyStreakService(require('../credits/daily-streak.json'), {
+    ledger: creditsLedger,
+    store: supabase ? new SupabaseStreakStore(supabase) : new MemoryStreakStore()
+});
+// Sessions signed with a per-process secret end when the server restarts
+if (!process.env.CREDITS_SESSION_SECRET) {
+    console.warn('⚠️  CREDITS_SESSION_SECRET is not set; credits sessions will not survive a restart');
+}
+const sessions = new SessionAuth({ secret: process.env.CREDITS_SESSION_SECRET || crypto.randomBytes(32).toString('hex') });
+app.use('/api/credits', createCreditsRouter({
+    ledger: creditsLedger,
+    sessions,
+    streaks,
+    moderatorKey: process.env.CREDITS_MODERATOR_KEY || null
+}));
+app.use('/api/leaderboards', createLeaderboardRouter({ leaderboards }));
 
 // API endpoints
 app.get('/api/projects', (req, res) => {
@@ -55,9 +101,13 @@ app.get('/api/keywords', (req, res) => {
     }
 });
 
-// Catch-all handler for SPA routing
+// Catch-all handler for SPA routing; generated sites have their own 404 page
 app.get('*', (req, res) => {
-    const indexPath = path.join(projectRoot, 'index.html');
+    const notFoundPath = path.join(staticRoot, '404.html');
+    if (staticRoot !== projectRoot && fs.existsSync(notFoundPath)) {
+        return res.status(404).sendFile(notFoundPath);
+    }
+    const indexPath = path.join(staticRoot, 'index.html');
     if (fs.existsSync(indexPath)) {
         res.sendFile(indexPath);
     } else {
@@ -112,7 +162,7 @@ app.get('*', (req, res) => {
 // Start server
 app.listen(PORT, () => {
     console.log(`🚀 Binary Ring Dev Server running at http://localhost:${PORT}`);
-    console.log(`📁 Serving from: ${projectRoot}`);
+    console.log(`📁 Serving from: ${staticRoot}`);
     console.log(`🔧 Environment: development`);
     console.log(`\n🎯 Quick Links:`);
     console.log(`   Apps: http://localhost:${PORT}/apps/`);
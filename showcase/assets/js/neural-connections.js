@@ -4,11 +4,16 @@
  */
 
 class NeuralConnectionsViz {
-    constructor(canvas, projects) {
+    constructor(canvas, projects, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.projects = projects || [];
 
+        // Neural API that explains similarities (GET /api/similarity/:id1/:id2); without it the
+        // tooltip explains the local similarity below
+        this.apiBase = options.apiBase || window.BINARY_RING_NEURAL_API || null;
+        this.explanations = new Map();
+
         // Visualization state
         this.nodes = [];
         this.connections = [];
@@ -81,26 +86,89 @@ class NeuralConnectionsViz {
     }
 
     computeSimilarity(proj1, proj2) {
+        const parts = this.similarityParts(proj1, proj2);
         let score = 0;
 
         // Category similarity
-        if (proj1.category === proj2.category) {
-            score += 0.4;
-        }
+        score += parts.category * 0.4;
 
         // Tag overlap
+        score += parts.tags * 0.3;
+
+        // Feature similarity
+        score += parts.features * 0.3;
+
+        return Math.min(1, score);
+    }
+
+    /**
+     * The category, tag and feature similarities computeSimilarity weighs, each 0-1
+     */
+    similarityParts(proj1, proj2) {
         const tagOverlap = proj1.tags.filter(tag => proj2.tags.includes(tag)).length;
         const maxTags = Math.max(proj1.tags.length, proj2.tags.length);
-        score += (tagOverlap / maxTags) * 0.3;
 
-        // Feature similarity
         const features = ['isInteractive', 'isAudioReactive', 'is3D', 'isRealtime'];
         const featureScore = features.reduce((acc, feature) => {
             return acc + (proj1[feature] === proj2[feature] ? 0.25 : 0);
         }, 0);
-        score += featureScore * 0.3;
 
-        return Math.min(1, score);
+        return {
+            category: proj1.category === proj2.category ? 1 : 0,
+            tags: tagOverlap / maxTags,
+            features: featureScore
+        };
+    }
+
+    /**
+     * computeSimilarity broken down the way the neural API breaks down its similarity
+     */
+    explainLocally(proj1, proj2) {
+        const parts = this.similarityParts(proj1, proj2);
+        const sharedTags = proj1.tags.filter(tag => proj2.tags.includes(tag));
+        const featureLabels = {
+            isInteractive: 'interactivity',
+            isAudioReactive: 'audio reactivity',
+            is3D: '3D rendering',
+            isRealtime: 'realtime rendering'
+        };
+        const sharedFeatures = Object.keys(featureLabels).filter(feature => proj1[feature] && proj2[feature]);
+
+        const groups = [
+            {
+                label: 'Category',
+                weight: 0.4,
+                similarity: parts.category,
+                features: parts.category ? [`Both belong to ${proj1.category} category`] : []
+            },
+            {
+                label: 'Tags',
+                weight: 0.3,
+                similarity: parts.tags,
+                features: sharedTags.slice(0, 3).map(tag => `Both tagged ${tag}`)
+            },
+            {
+                label: 'Features',
+                weight: 0.3,
+                similarity: parts.features,
+                features: sharedFeatures.map(feature => `Both have ${featureLabels[feature]}`)
+            }
+        ].map(group => ({
+            label: group.label,
+            weight: group.weight,
+            similarity: group.similarity,
+            contribution: group.weight * group.similarity,
+            features: group.features.map(description => ({ description }))
+        }));
+
+        const reasons = groups.flatMap(group => group.features.map(feature => feature.description));
+
+        return {
+            computed: this.computeSimilarity(proj1, proj2),
+            groups,
+            learned: null,
+            summary: reasons.length > 0 ? reasons.slice(0, 3).join('; ') : 'Algorithmic similarity detected'
+        };
     }
 
     identifyProjectClusters() {
@@ -283,6 +351,11 @@ class NeuralConnectionsViz {
         if (this.selectedNode) {
             this.drawInfoPanel();
         }
+
+        // Explain the connection between the selected and the hovered node
+        if (this.selectedNode && this.hoveredNode && this.hoveredNode !== this.selectedNode) {
+            this.drawExplanationTooltip(this.selectedNode, this.hoveredNode);
+        }
     }
 
     drawConnections() {
@@ -437,6 +510,102 @@ class NeuralConnectionsViz {
         );
     }
 
+    /**
+     * Similarity breakdown for two nodes: cached, fetched from the neural API when one is
+     * configured, otherwise (or if the request fails or has no breakdown) explained locally.
+     * Returns null while loading.
+     */
+    getExplanation(node1, node2) {
+        const key = node1.id < node2.id ? `${node1.id}|${node2.id}` : `${node2.id}|${node1.id}`;
+        if (this.explanations.has(key)) {
+            return this.explanations.get(key);
+        }
+
+        const local = () => this.explainLocally(node1.project, node2.project);
+        if (!this.apiBase) {
+            this.explanations.set(key, local());
+            return this.explanations.get(key);
+        }
+
+        this.explanations.set(key, null);
+        fetch(`${this.apiBase}/api/similarity/${encodeURIComponent(node1.id)}/${encodeURIComponent(node2.id)}`)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(data => {
+                // Older API versions answer without a breakdown
+                if (!data || !data.breakdown || !Array.isArray(data.breakdown.groups)) {
+                    throw new Error('response has no similarity breakdown');
+                }
+                this.explanations.set(key, data.breakdown);
+            })
+            .catch(error => {
+                console.warn('Neural similarity explanation unavailable, explaining locally:', error.message);
+                this.explanations.set(key, local());
+            });
+
+        return null;
+    }
+
+    drawExplanationTooltip(node1, node2) {
+        const explanation = this.getExplanation(node1, node2);
+        const ctx = this.ctx;
+        const width = 260;
+        const lineHeight = 14;
+
+        const groups = explanation ? [...explanation.groups] : [];
+        if (explanation && explanation.learned) {
+            groups.push(explanation.learned);
+        }
+        const features = explanation ?
+            (explanation.topFeatures || groups.flatMap(group => group.features)).slice(0, 3) : [];
+        const height = explanation ? 50 + groups.length * lineHeight + features.length * lineHeight : 50;
+
+        // Keep the tooltip on the canvas
+        const x = Math.min(this.mousePos.x + 15, this.canvas.width - width - 10);
+        const y = Math.min(this.mousePos.y + 15, this.canvas.height - height - 10);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeStyle = this.colors.connectionActive;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, width, height);
+
+        ctx.textAlign = 'left';
+        ctx.fillStyle = this.colors.text;
+        ctx.font = 'bold 12px Inter, sans-serif';
+        ctx.fillText(`${node1.project.title} ↔ ${node2.project.title}`, x + 10, y + 18, width - 20);
+
+        ctx.font = '10px Inter, sans-serif';
+        if (!explanation) {
+            ctx.fillStyle = this.colors.textMuted;
+            ctx.fillText('Analyzing…', x + 10, y + 36);
+            return;
+        }
+
+        ctx.fillStyle = this.colors.textMuted;
+        ctx.fillText(`Similarity ${Math.round(explanation.computed * 100)}%`, x + 10, y + 34);
+
+        // One bar per group, filled to the group's similarity
+        const barX = x + 120;
+        const barWidth = width - 130;
+        groups.forEach((group, index) => {
+            const rowY = y + 50 + index * lineHeight;
+            ctx.fillStyle = this.colors.text;
+            ctx.fillText(group.label, x + 10, rowY);
+            ctx.fillStyle = 'rgba(0, 255, 255, 0.2)';
+            ctx.fillRect(barX, rowY - 8, barWidth, 8);
+            ctx.fillStyle = this.colors.connection;
+            ctx.fillRect(barX, rowY - 8, barWidth * Math.max(0, Math.min(1, group.similarity)), 8);
+        });
+
+        ctx.fillStyle = this.colors.textMuted;
+        features.forEach((feature, index) => {
+            ctx.fillText(feature.description, x + 10, y + 50 + (groups.length + index) * lineHeight, width - 20);
+        });
+    }
+
     // Event handling
     bindEvents() {
         this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
@@ -0,0 +1,302 @@
+/**
+ * Binary Ring Site Generator
+ * Builds a multi-page site from WebpageGenerator components. A site spec is:
+ *
+ *   {
+ *       name: 'Acme Studio',                     // brand in the shared layout and page titles
+ *       url: 'https://acme.example',             // used for the absolute URLs in sitemap.xml
+ *       basePath: '/',                           // where the site is served from
+ *       theme: 'Minimalist Clean',               // one theme for the whole site
+ *       themeVariant: 'dark',
+ *       layout: { header: [...], footer: [...] },// context items shared by every page
+ *       pages: [
+ *           { path: '/', title: 'Home', description: '...', context: [...] },
+ *           { path: '/about', title: 'About', context: [...], nav: false }
+ *       ],
+ *       notFound: { title: 'Page not found', context: [...] }
+ *   }
+ *
+ * Every page shares one stylesheet (styles/main.css) and one script (scripts/main.js).
+ * Layout components with a "links" prop, such as Header Navigation and Footer, get
+ * navigation links built from the pages. Paths become directories ('/about' is written to
+ * about/index.html), and the site also gets a sitemap.xml and a 404.html page. Data bindings
+ * in page context are resolved by writeSite (or bindData), not hydrated in the browser.
+ */
+
+const SiteWebpageGenerator = typeof require === 'function'
+    ? require('./webpage-generator')
+    : window.WebpageGenerator;
+const SiteSafeHTML = typeof require === 'function'
+    ? require('./safe-html')
+    : window.SafeHTML;
+
+const DEFAULT_LAYOUT = {
+    header: [{ name: 'Header Navigation', type: 'component' }],
+    footer: [{ name: 'Footer', type: 'component' }]
+};
+
+const DEFAULT_NOT_FOUND = {
+    title: 'Page not found',
+    description: 'The page you are looking for does not exist.',
+    context: [{
+        name: 'Hero Section',
+        type: 'component',
+        props: { title: 'Page not found', subtitle: 'The page you are looking for does not exist.' }
+    }]
+};
+
+const PAGE_PATH = /^\/([a-z0-9._-]+\/)*[a-z0-9._-]*$/i;
+
+/**
+ * Escape text for sitemap.xml
+ */
+function escapeMarkup(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * '/about/' -> '/about'; the root stays '/'
+ */
+function normalizePath(pagePath) {
+    if (typeof pagePath !== 'string' || !PAGE_PATH.test(pagePath)) {
+        throw new Error(`Page paths must start with "/" and use letters, digits, ".", "_" or "-": ${pagePath}`);
+    }
+    if (pagePath.split('/').some(segment => segment === '.' || segment === '..')) {
+        throw new Error(`Page paths can not contain "." or ".." segments: ${pagePath}`);
+    }
+    return pagePath.length > 1 ? pagePath.replace(/\/$/, '') : pagePath;
+}
+
+class SiteGenerator {
+    /**
+     * @param {Object} options
+     * @param {WebpageGenerator} options.generator - renders components, themes and scripts
+     * @param {TemplateDeployment} options.deployment - creates the project structure in writeSite (Node)
+     * @param {Function} options.now - clock for sitemap lastmod dates
+     */
+    constructor(options = {}) {
+        this.generator = options.generator || new SiteWebpageGenerator();
+        this.deployment = options.deployment || null;
+        this.now = options.now || (() => new Date());
+    }
+
+    /**
+     * Generate every file of a site: { files: { 'about/index.html': '...' }, pages: [...] }
+     */
+    generateSite(spec) {
+        this.validate(spec);
+
+        const basePath = (spec.basePath || '/').replace(/^\/+|\/+$/g, '');
+        const site = {
+            name: spec.name || 'Binary Ring',
+            url: spec.url.replace(/\/$/, ''),
+            basePath: basePath ? `/${basePath}/` : '/',
+            layout: { ...DEFAULT_LAYOUT, ...spec.layout }
+        };
+        const pages = spec.pages.map(page => {
+            const pagePath = normalizePath(page.path);
+            return {
+                ...page,
+                path: pagePath,
+                file: pagePath === '/' ? 'index.html' : `${pagePath.slice(1)}/index.html`,
+                href: pagePath === '/' ? site.basePath : `${site.basePath}${pagePath.slice(1)}/`
+            };
+        });
+        pages.forEach((page, index) => {
+            if (pages.findIndex(other => other.path === page.path) !== index) {
+                throw new Error(`Duplicate page path: ${page.path}`);
+            }
+        });
+
+        // The theme is chosen once, so locked themes fall back to Default for the whole site
+        const { styleTheme, themeVariant } = this.generator.resolvePageConfig([
+            { name: spec.theme || 'Default', type: 'style', variant: spec.themeVariant }
+        ]);
+
+        const navigation = pages.filter(page => page.nav !== false);
+        const notFound = { ...DEFAULT_NOT_FOUND, ...spec.notFound, file: '404.html' };
+        const rendered = [...pages, notFound].map(page => this.renderPage(site, page, navigation, themeVariant));
+        const components = this.uniqueComponents(rendered.flatMap(page => page.components));
+
+        const files = {};
+        rendered.forEach(page => {
+            files[page.file] = page.html;
+        });
+        files['styles/main.css'] = this.generator.generateStyles(components, styleTheme, themeVariant);
+        // Hydration matches bound components by their position on a page, which a shared script can not do
+        files['scripts/main.js'] = this.generator.generateJavaScript(components.map(({ data, ...comp }) => comp));
+        files['sitemap.xml'] = this.generateSitemap(site, pages);
+
+        return {
+            files,
+            pages: pages.map(({ path: pagePath, file, href, title }) => ({ path: pagePath, file, href, title }))
+        };
+    }
+
+    /**
+     * HTML for one page; the layout wraps the page's own context items
+     */
+    renderPage(site, page, navigation, themeVariant) {
+        const links = navigation.map(navPage => ({
+            label: navPage.navLabel || navPage.title,
+            href: navPage.href,
+            current: navPage.path === page.path
+        }));
+        const contextItems = [
+            ...this.withNavigation(site.layout.header, site, links),
+            ...(page.context || []).filter(item => item.type !== 'style'),
+            ...this.withNavigation(site.layout.footer, site, links)
+        ];
+
+        const { components, keywords, apps } = this.generator.resolvePageConfig(contextItems);
+        const metaKeywords = keywords.map(k => k.name).join(', ');
+
+        const html = SiteSafeHTML.html`<!DOCTYPE html>
+<html lang="en"${this.generator.variantAttribute(themeVariant)}>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="description" content="${page.description || 'Generated by Binary Ring AI Frontend Generator'}">
+    <meta name="keywords" content="${metaKeywords}">
+    <title>${page.title} | ${site.name}</title>
+    <link rel="stylesheet" href="${site.basePath}styles/main.css">
+</head>
+<body>
+    ${SiteSafeHTML.raw(this.generator.renderComponents(components, keywords))}
+
+    <!-- Generated with Binary Ring -->
+    <div class="binary-ring-footer">
+        <p>Generated by Binary Ring AI Frontend Generator</p>
+        ${apps.length > 0 && SiteSafeHTML.html`<p>Integrated Apps: ${apps.map(a => a.name).join(', ')}</p>`}
+    </div>
+
+    <script src="${site.basePath}scripts/main.js"></script>
+</body>
+</html>`;
+
+        return { file: page.file, html: html.toString(), components };
+    }
+
+    /**
+     * Give layout components that take "links" (and "brand") the site's navigation, unless set explicitly
+     */
+    withNavigation(items, site, links) {
+        return items.map(item => {
+            const plugin = this.generator.components.get(item.name);
+            const schema = plugin ? plugin.props : {};
+            const props = { ...item.props };
+
+            if (schema.links && schema.links.type === 'array' && props.links === undefined) props.links = links;
+            if (schema.brand && schema.brand.type === 'string' && props.brand === undefined) props.brand = site.name;
+            return { type: 'component', ...item, props };
+        });
+    }
+
+    uniqueComponents(components) {
+        const seen = new Set();
+        return components.filter(comp => {
+            if (seen.has(comp.name)) return false;
+            seen.add(comp.name);
+            return true;
+        });
+    }
+
+    generateSitemap(site, pages) {
+        const today = this.now().toISOString().slice(0, 10);
+        const urls = pages
+            .filter(page => page.sitemap !== false)
+            .map(page => `    <url>
+        <loc>${escapeMarkup(site.url + page.href)}</loc>
+        <lastmod>${escapeMarkup(page.lastModified || today)}</lastmod>
+    </url>`);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+    }
+
+    validate(spec) {
+        if (!spec || !Array.isArray(spec.pages) || spec.pages.length === 0) {
+            throw new Error('Sites need at least one page');
+        }
+        if (typeof spec.url !== 'string' || !/^https?:\/\/[^/]+/.test(spec.url)) {
+            throw new Error('Sites need an absolute http(s) url for sitemap.xml');
+        }
+        spec.pages.forEach(page => {
+            if (!page || typeof page.title !== 'string' || !page.title.trim()) {
+                throw new Error(`Page ${page && page.path}: title is required`);
+            }
+            if (page.context !== undefined && !Array.isArray(page.context)) {
+                throw new Error(`Page ${page.path}: context must be a list of context items`);
+            }
+        });
+        Object.entries(spec.layout || {}).forEach(([region, items]) => {
+            if (!['header', 'footer'].includes(region)) throw new Error(`Unknown layout region: ${region}`);
+            if (!Array.isArray(items)) throw new Error(`Layout ${region} must be a list of context items`);
+        });
+    }
+
+    /**
+     * A spec with the data bindings of every page resolved (see data-sources.js)
+     */
+    async bindData(spec) {
+        const pages = await Promise.all(spec.pages.map(async page => (
+            page.context ? { ...page, context: await this.generator.bindData(page.context) } : page
+        )));
+        return { ...spec, pages };
+    }
+
+    /**
+     * Generate a site and write it into a TemplateDeployment project (Node only).
+     * Existing files with the same names are overwritten; other files are left alone.
+     * Nothing is written unless every file resolves inside the project directory.
+     */
+    async writeSite(spec, directory, options = {}) {
+        const fs = require('fs').promises;
+        const path = require('path');
+        const TemplateDeployment = require('./templates/deployment');
+
+        const site = this.generateSite(await this.bindData(spec));
+        const projectDir = path.resolve(directory);
+        const deployment = this.deployment || new TemplateDeployment();
+
+        const targets = Object.keys(site.files).map(file => {
+            const target = path.resolve(projectDir, file);
+            const relative = path.relative(projectDir, target);
+            if (!relative || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+                throw new Error(`Site file is outside the project directory: ${file}`);
+            }
+            return [target, site.files[file]];
+        });
+
+        await deployment.createProjectStructure(projectDir);
+        await deployment.generateConfig(projectDir, spec.name || path.basename(projectDir), { ...options, theme: spec.theme });
+        if (options.setupDev) {
+            await deployment.setupDevelopment(projectDir);
+        }
+
+        for (const [target, content] of targets) {
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.writeFile(target, content);
+        }
+
+        return { directory: projectDir, ...site };
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.SiteGenerator = SiteGenerator;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SiteGenerator;
+}
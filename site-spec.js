@@ -0,0 +1,78 @@
+/**
+ * Binary Ring Site Specs
+ * Reads the site specs SiteGenerator builds (see site-generator.js) from JSON or YAML. YAML is
+ * parsed by js-yaml with the core schema, so dates and other tagged values stay plain strings.
+ * In the browser, load js-yaml's dist build first (window.jsyaml).
+ */
+
+const SpecYAML = typeof require === 'function'
+    ? require('js-yaml')
+    : window.jsyaml;
+
+const YAML_EXTENSIONS = ['.yaml', '.yml'];
+
+class SiteSpec {
+    /**
+     * Parse a spec from text; format is 'json' or 'yaml'
+     */
+    static parse(text, format = 'yaml') {
+        const spec = format === 'json' ? JSON.parse(text) : SiteSpec.parseYAML(text);
+        if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+            throw new Error('A site spec must be a map with name, url and pages');
+        }
+        return spec;
+    }
+
+    /**
+     * Read a .json, .yaml or .yml spec file (Node only)
+     */
+    static load(file) {
+        const fs = require('fs');
+        const path = require('path');
+        const format = YAML_EXTENSIONS.includes(path.extname(file).toLowerCase()) ? 'yaml' : 'json';
+        try {
+            return SiteSpec.parse(fs.readFileSync(file, 'utf8'), format);
+        } catch (error) {
+            error.message = `${file}: ${error.message}`;
+            throw error;
+        }
+    }
+
+    static parseYAML(text) {
+        try {
+            return SpecYAML.load(String(text), { schema: SpecYAML.CORE_SCHEMA }) ?? null;
+        } catch (error) {
+            if (!error.mark) throw error;
+            throw new Error(`Site spec line ${error.mark.line + 1}: ${error.reason}`);
+        }
+    }
+
+    /**
+     * Apply command line overrides: theme replaces the site theme, components replaces what is on
+     * the home page. Without a spec, components make a one-page site.
+     */
+    static withOverrides(spec, { theme, components, url = 'http://localhost:3000' } = {}) {
+        const site = spec ? { ...spec } : { name: 'Binary Ring', url, pages: [] };
+        if (theme) site.theme = theme;
+        if (components && components.length > 0) {
+            const context = components.map(name => ({ name, type: 'component' }));
+            const pages = Array.isArray(site.pages) ? site.pages : [];
+            site.pages = pages.some(page => page && page.path === '/')
+                ? pages.map(page => (page.path === '/' ? { ...page, context } : page))
+                : [{ path: '/', title: 'Home', context }, ...pages];
+        }
+        return site;
+    }
+}
+
+SiteSpec.YAML_EXTENSIONS = YAML_EXTENSIONS;
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.SiteSpec = SiteSpec;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SiteSpec;
+}
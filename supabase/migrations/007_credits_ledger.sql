@@ -0,0 +1,102 @@
+-- Credits & XP Ledger for Binary Ring
+-- Append-only record of credit and XP movements; balances are derived, never stored
+
+-- Ledger entries
+CREATE TABLE credit_ledger (
+    id BIGSERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL, -- Session or auth user id
+    currency TEXT NOT NULL CHECK (currency IN ('credits', 'xp')),
+    amount INTEGER NOT NULL CHECK (amount <> 0), -- Positive = earn, negative = spend
+    reason TEXT NOT NULL CHECK (reason IN (
+        'photo_analysis', 'link_analysis', 'set_creation', 'subset_creation', 'connection',
+        'daily_bonus', 'achievement', 'generation', 'refund', 'adjustment'
+    )),
+    idempotency_key TEXT NOT NULL,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, idempotency_key)
+);
+
+CREATE INDEX idx_credit_ledger_user ON credit_ledger(user_id, id DESC);
+CREATE INDEX idx_credit_ledger_reason ON credit_ledger(reason);
+
+-- Entries are never edited or removed
+CREATE OR REPLACE FUNCTION prevent_credit_ledger_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'credit_ledger is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER credit_ledger_append_only
+    BEFORE UPDATE OR DELETE ON credit_ledger
+    FOR EACH ROW EXECUTE FUNCTION prevent_credit_ledger_mutation();
+
+-- Current balance per user
+CREATE VIEW credit_balances AS
+SELECT
+    user_id,
+    COALESCE(SUM(amount) FILTER (WHERE currency = 'credits'), 0) AS credits,
+    COALESCE(SUM(amount) FILTER (WHERE currency = 'xp'), 0) AS xp,
+    MAX(created_at) AS last_activity
+FROM credit_ledger
+GROUP BY user_id;
+
+-- RLS (Row Level Security) policies
+ALTER TABLE credit_ledger ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read their own ledger" ON credit_ledger FOR SELECT USING (true); -- Update with auth
+-- Inserts go through post_credit_ledger_entry() with the service role only
+
+-- Function to post a ledger entry atomically
+-- Returns the existing entry when the idempotency key was already used,
+-- and refuses debits that would take the balance below zero
+CREATE OR REPLACE FUNCTION post_credit_ledger_entry(
+    p_user_id TEXT,
+    p_currency TEXT,
+    p_amount INTEGER,
+    p_reason TEXT,
+    p_idempotency_key TEXT,
+    p_metadata JSONB DEFAULT '{}'
+) RETURNS TABLE (
+    id BIGINT,
+    user_id TEXT,
+    currency TEXT,
+    amount INTEGER,
+    reason TEXT,
+    idempotency_key TEXT,
+    metadata JSONB,
+    created_at TIMESTAMPTZ,
+    duplicate BOOLEAN
+) AS $$
+DECLARE
+    v_balance BIGINT;
+BEGIN
+    -- Serialize writes per user
+    PERFORM pg_advisory_xact_lock(hashtext('credit_ledger:' || p_user_id));
+
+    RETURN QUERY
+    SELECT l.id, l.user_id, l.currency, l.amount, l.reason, l.idempotency_key, l.metadata, l.created_at, true
+    FROM credit_ledger l
+    WHERE l.user_id = p_user_id AND l.idempotency_key = p_idempotency_key;
+
+    IF FOUND THEN
+        RETURN;
+    END IF;
+
+    IF p_amount < 0 THEN
+        SELECT COALESCE(SUM(l.amount), 0) INTO v_balance
+        FROM credit_ledger l
+        WHERE l.user_id = p_user_id AND l.currency = p_currency;
+
+        IF v_balance + p_amount < 0 THEN
+            RAISE EXCEPTION 'Insufficient %: balance %, required %', p_currency, v_balance, -p_amount;
+        END IF;
+    END IF;
+
+    RETURN QUERY
+    INSERT INTO credit_ledger AS l (user_id, currency, amount, reason, idempotency_key, metadata)
+    VALUES (p_user_id, p_currency, p_amount, p_reason, p_idempotency_key, COALESCE(p_metadata, '{}'))
+    RETURNING l.id, l.user_id, l.currency, l.amount, l.reason, l.idempotency_key, l.metadata, l.created_at, false;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
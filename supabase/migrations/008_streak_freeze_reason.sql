@@ -0,0 +1,8 @@
+-- Streak freezes are bought with credits (see credits/daily-streak.js)
+
+ALTER TABLE credit_ledger DROP CONSTRAINT credit_ledger_reason_check;
+
+ALTER TABLE credit_ledger ADD CONSTRAINT credit_ledger_reason_check CHECK (reason IN (
+    'photo_analysis', 'link_analysis', 'set_creation', 'subset_creation', 'connection',
+    'daily_bonus', 'achievement', 'generation', 'refund', 'adjustment', 'streak_freeze'
+));
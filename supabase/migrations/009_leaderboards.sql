@@ -0,0 +1,30 @@
+-- Archived leaderboard seasons (see credits/leaderboards.js)
+-- Live boards are computed from credit_ledger; a season is copied here once it ends and is never recomputed
+
+CREATE TABLE leaderboard_seasons (
+    id TEXT PRIMARY KEY, -- e.g. '2026-S3'
+    name TEXT NOT NULL,
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    archived_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE leaderboard_archive (
+    season_id TEXT NOT NULL,
+    metric TEXT NOT NULL CHECK (metric IN ('credits', 'xp', 'achievements')),
+    rank INTEGER NOT NULL CHECK (rank > 0),
+    user_id TEXT NOT NULL,
+    score INTEGER NOT NULL,
+    reached_at TIMESTAMPTZ,
+    PRIMARY KEY (season_id, metric, user_id)
+);
+
+CREATE INDEX idx_leaderboard_archive_rank ON leaderboard_archive(season_id, metric, rank);
+
+-- RLS (Row Level Security) policies
+ALTER TABLE leaderboard_seasons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE leaderboard_archive ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can read archived seasons" ON leaderboard_seasons FOR SELECT USING (true);
+CREATE POLICY "Anyone can read archived standings" ON leaderboard_archive FOR SELECT USING (true);
+-- Archives are written by the server with the service role only
@@ -0,0 +1,23 @@
+-- Moderation flags raised by the abuse guard (see credits/abuse-guard.js)
+-- Cooldowns, duplicate detection and daily caps are derived from credit_ledger; only flags are stored
+
+CREATE TABLE abuse_flags (
+    id BIGSERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('burst', 'large_grant', 'blocked_attempts')),
+    details JSONB DEFAULT '{}',
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    resolved_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_abuse_flags_open ON abuse_flags(status, id DESC);
+CREATE INDEX idx_abuse_flags_user ON abuse_flags(user_id, kind) WHERE status = 'open';
+
+-- Duplicate checks look up earlier grants by content hash
+CREATE INDEX idx_credit_ledger_content_hash ON credit_ledger(user_id, reason, (metadata->>'contentHash'));
+
+-- RLS (Row Level Security) policies
+ALTER TABLE abuse_flags ENABLE ROW LEVEL SECURITY;
+-- Flags are read and written by the server with the service role only
@@ -0,0 +1,14 @@
+-- Saved state of the neural connection engine (see neural/modelStore.js)
+-- One row per key; the snapshot is reused while the catalog fingerprint matches
+
+CREATE TABLE neural_model_snapshots (
+    key TEXT PRIMARY KEY, -- e.g. 'connection-engine'
+    version INTEGER NOT NULL,
+    fingerprint TEXT NOT NULL, -- sha256 of the catalog projects and engine config
+    snapshot JSONB NOT NULL, -- model artifacts (weights as base64), feature vectors, connections
+    saved_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- RLS (Row Level Security) policies
+ALTER TABLE neural_model_snapshots ENABLE ROW LEVEL SECURITY;
+-- Snapshots are read and written by the server with the service role only
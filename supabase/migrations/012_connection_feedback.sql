@@ -0,0 +1,18 @@
+-- Votes on neural connections (see neural/feedback.js)
+-- One row per user and project pair; a new vote replaces the user's earlier one
+
+CREATE TABLE connection_feedback (
+    user_id TEXT NOT NULL,
+    project_1 TEXT NOT NULL, -- project_1 < project_2, the engine's pair order
+    project_2 TEXT NOT NULL,
+    vote TEXT NOT NULL CHECK (vote IN ('like', 'dislike', 'irrelevant')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, project_1, project_2),
+    CHECK (project_1 < project_2)
+);
+
+CREATE INDEX idx_connection_feedback_pair ON connection_feedback(project_1, project_2);
+
+-- RLS (Row Level Security) policies
+ALTER TABLE connection_feedback ENABLE ROW LEVEL SECURITY;
+-- Votes are written through the neural API with the service role only
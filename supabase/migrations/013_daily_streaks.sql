@@ -0,0 +1,12 @@
+-- Daily bonus streaks (see credits/daily-streak.js)
+-- One row per user; the bonuses and freezes themselves are credit_ledger entries
+
+CREATE TABLE daily_streaks (
+    user_id TEXT PRIMARY KEY,
+    state JSONB NOT NULL, -- timeZone, current, longest, lastDay, freezes, freezesBought, history
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- RLS (Row Level Security) policies
+ALTER TABLE daily_streaks ENABLE ROW LEVEL SECURITY;
+-- Streaks are read and written by the server with the service role only
@@ -266,6 +266,8 @@ Edit \`config.json\` to customize your application settings.
     }
 }
 
+module.exports = TemplateDeployment;
+
 // CLI Interface
 if (require.main === module) {
     const deployment = new TemplateDeployment();
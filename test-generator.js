@@ -7,6 +7,12 @@ const WebpageGenerator = require('./webpage-generator.js');
 const fs = require('fs');
 const path = require('path');
 
+// Print a result line; any ✗ line fails the run
+const report = line => {
+    if (line.trimStart().startsWith('✗')) process.exitCode = 1;
+    console.log(line);
+};
+
 console.log('🔮 Binary Ring Webpage Generator - Test Suite\n');
 
 // Initialize generator
@@ -31,7 +37,7 @@ if (ecommercePage && ecommercePage.includes('<!DOCTYPE html>')) {
     fs.writeFileSync(path.join(__dirname, 'test-output-ecommerce.html'), ecommercePage);
     console.log('✓ Saved to test-output-ecommerce.html');
 } else {
-    console.log('✗ Failed to generate e-commerce page');
+    report('✗ Failed to generate e-commerce page');
 }
 
 // Test 2: Generate Media Platform
@@ -49,7 +55,7 @@ if (mediaPage && mediaPage.includes('<!DOCTYPE html>')) {
     fs.writeFileSync(path.join(__dirname, 'test-output-media.html'), mediaPage);
     console.log('✓ Saved to test-output-media.html');
 } else {
-    console.log('✗ Failed to generate media platform page');
+    report('✗ Failed to generate media platform page');
 }
 
 // Test 3: Generate Portfolio
@@ -68,7 +74,7 @@ if (portfolioPage && portfolioPage.includes('<!DOCTYPE html>')) {
     fs.writeFileSync(path.join(__dirname, 'test-output-portfolio.html'), portfolioPage);
     console.log('✓ Saved to test-output-portfolio.html');
 } else {
-    console.log('✗ Failed to generate portfolio page');
+    report('✗ Failed to generate portfolio page');
 }
 
 // Test 4: Test all themes
@@ -83,13 +89,646 @@ themes.forEach(theme => {
     if (page && page.includes('<!DOCTYPE html>')) {
         console.log(`✓ ${theme} theme working`);
     } else {
-        console.log(`✗ ${theme} theme failed`);
+        report(`✗ ${theme} theme failed`);
+    }
+});
+
+// Test 5: Hostile inputs
+console.log('\n🛡️  Test 5: Escaping Hostile Inputs...');
+const { payloads } = require('./test-hostile-inputs.json');
+
+generator.registerComponent({
+    name: 'Hostile Card',
+    template: '<a class="card" href="{{url}}" title="{{label}}" style="color: {{color}}">{{label}}</a><p>{{description}}</p>'
+});
+
+const hostileContext = value => {
+    const link = { label: value, href: value };
+    const props = { title: value, subtitle: value, brand: value, links: [link], url: value, label: value, color: value };
+    const item = { title: value, description: value, price: value, image: value, url: value, quote: value, author: value, role: value };
+    return [
+        ...['Header Navigation', 'Hero Section', 'Product Grid', 'Photo Gallery', 'Testimonials', 'Search Interface', 'Hostile Card', 'Footer']
+            .map(name => ({ name, type: 'component', description: value, props: { ...props, items: [item] } })),
+        { name: value, type: 'keyword', description: value },
+        { name: value, type: 'app', description: value }
+    ];
+};
+
+// Tags with their attribute values blanked: a payload that escapes its context adds a tag or attribute
+const tagSignature = html => (html.match(/<[a-zA-Z!/][^>]*>/g) || []).map(tag => tag.replace(/"[^"]*"|'[^']*'/g, '""'));
+const expected = tagSignature(generator.generatePage(hostileContext('benign'), 'benign')).join('\n');
+const unsafeURL = /\b(?:href|src|action)\s*=\s*["']?\s*(?:javascript|vbscript|data):/i;
+
+const failures = payloads.filter(payload => {
+    const page = generator.generatePage(hostileContext(payload), payload);
+    return tagSignature(page).join('\n') !== expected || unsafeURL.test(page);
+});
+if (failures.length === 0) {
+    console.log(`✓ ${payloads.length} hostile inputs escaped in text, attributes, URLs, CSS and scripts`);
+} else {
+    failures.forEach(payload => report(`✗ Not escaped: ${JSON.stringify(payload)}`));
+}
+
+try {
+    generator.themes.register({
+        name: 'Hostile Theme',
+        extends: 'Minimalist Clean',
+        colors: { primary: 'red; } body { background: url(javascript:alert(1))' }
+    });
+    report('✗ Theme token with CSS injection was accepted');
+} catch (error) {
+    report(error.message.includes('can not contain')
+        ? '✓ Theme token with CSS injection rejected'
+        : `✗ Theme registration failed: ${error.message}`);
+}
+
+// Test 6: Accessibility audit
+console.log('\n♿ Test 6: Auditing Accessibility...');
+// A new generator, so only the built-in components are audited (Test 5 registered one)
+const auditedGenerator = new WebpageGenerator();
+const everyComponent = auditedGenerator.components.list().map(plugin => ({ name: plugin.name, type: 'component' }));
+['Dark Glassmorphism', 'Minimalist Clean', 'Cyberpunk Neon'].forEach(theme => {
+    const { report, fixed } = auditedGenerator.generateAccessiblePage([...everyComponent, { name: theme, type: 'style' }], 'Accessibility Test');
+    const markupErrors = report.issues.filter(issue => issue.severity === 'error' && issue.rule !== 'color-contrast');
+    if (markupErrors.length === 0) {
+        console.log(`✓ ${theme}: every component passes after ${fixed.length} automatic fix(es)`);
+    } else {
+        markupErrors.forEach(issue => report(`✗ ${theme}: ${issue.message} (line ${issue.line}: ${issue.element})`));
+    }
+    report.issues
+        .filter(issue => issue.rule === 'color-contrast')
+        .forEach(issue => console.log(`  ⚠ ${issue.message}`));
+});
+
+// Test 7: Prompt parser
+console.log('\n💬 Test 7: Parsing Page Briefs...');
+const PromptParser = require('./prompt-parser.js');
+const briefs = [
+    ['dark cyberpunk portfolio with gallery, pricing and contact form',
+        ['Header Navigation', 'Photo Gallery', 'Pricing Table', 'Contact Form', 'Footer', 'Cyberpunk Neon', 'portfolio']],
+    ['minimal online store without footer',
+        ['Header Navigation', 'Hero Section', 'Product Grid', 'Pricing Table', 'Minimalist Clean', 'e-commerce']]
+];
+briefs.forEach(([brief, expectedNames]) => {
+    const names = auditedGenerator.promptParser.parse(brief).contextItems.map(item => item.name);
+    if (JSON.stringify(names) === JSON.stringify(expectedNames)) {
+        console.log(`✓ "${brief}"`);
+    } else {
+        report(`✗ "${brief}" gave ${names.join(', ')}`);
     }
 });
 
-console.log('\n✨ Test suite completed!\n');
-console.log('Generated test files:');
-console.log('  - test-output-ecommerce.html');
-console.log('  - test-output-media.html');
-console.log('  - test-output-portfolio.html');
-console.log('\nYou can open these files in your browser to see the results.');
+// True when fn throws an error whose message matches pattern
+const throwsMatching = (fn, pattern) => {
+    try {
+        fn();
+        return false;
+    } catch (error) {
+        return pattern.test(error.message);
+    }
+};
+
+// Report each [label, fn, pattern] row: fn must throw or reject with a message matching pattern
+const expectRejections = async rows => {
+    for (const [label, fn, pattern] of rows) {
+        const rejected = await Promise.resolve().then(fn).then(() => false, error => pattern.test(error.message));
+        report(rejected ? `✓ Rejected: ${label}` : `✗ Not rejected: ${label}`);
+    }
+};
+
+(async () => {
+    const stubbed = new PromptParser({
+        components: auditedGenerator.components,
+        themes: auditedGenerator.themes,
+        provider: {
+            name: 'stub',
+            complete: async request => ({ components: ['Stats Section', 'Made Up'], style: request.themes[0].name })
+        }
+    });
+    const answer = await stubbed.interpret('anything');
+    const chosen = answer.contextItems.map(item => item.name);
+    if (answer.source === 'provider' && chosen.includes('Stats Section') && !chosen.includes('Made Up') && answer.warnings.length === 1) {
+        console.log('✓ Provider answer checked against the registered names');
+    } else {
+        report(`✗ Provider answer: ${JSON.stringify(answer)}`);
+    }
+
+    stubbed.provider = { name: 'failing', complete: async () => { throw new Error('offline'); } };
+    const fallback = await stubbed.interpret('neon gallery');
+    report(fallback.source === 'rules' && fallback.contextItems.some(item => item.name === 'Photo Gallery')
+        ? '✓ Failing provider falls back to the rule matcher'
+        : '✗ Failing provider did not fall back');
+})().then(() => {
+    // Test 8: Incremental regeneration
+    console.log('\n🔁 Test 8: Regenerating Pages In Place...');
+    const section = (name, title) => ({ type: 'component', name, props: title ? { title } : undefined });
+    const original = auditedGenerator.generatePage([section('Header Navigation'), section('Hero Section', 'Before'), section('Footer')], 'Regenerated');
+    const edited = original
+        .replace('<body>', '<body>\n    <div class="user-banner">Kept</div>')
+        .replace('Binary Ring. All rights reserved.', 'Our own footer text.');
+    const { html, diff } = auditedGenerator.regeneratePage(
+        edited,
+        [section('Header Navigation'), section('Hero Section', 'After'), section('Stats Section'), section('Footer')],
+        'Regenerated'
+    );
+    const statuses = diff.sections.map(entry => `${entry.id}:${entry.status}`).join(' ');
+
+    if (html.includes('>After<') && !html.includes('>Before<') && html.includes('stats-section')) {
+        console.log(`✓ Changed and added sections regenerated (${statuses})`);
+    } else {
+        report(`✗ Regenerated sections: ${statuses}`);
+    }
+    report(html.includes('class="user-banner"') && html.includes('Our own footer text.')
+        ? '✓ Edits outside the markers and in unchanged sections kept'
+        : '✗ User edits were lost');
+
+    const unchanged = auditedGenerator.regeneratePage(original, [section('Header Navigation'), section('Hero Section', 'Before'), section('Footer')], 'Regenerated');
+    report(unchanged.html === original && !unchanged.diff.changed
+        ? '✓ Regenerating with the same context changes nothing'
+        : '✗ Regenerating with the same context changed the page');
+}).then(async () => {
+    // Test 9: Command line
+    console.log('\n⌨️  Test 9: Generating a Site From the Command Line...');
+    const os = require('os');
+    const path = require('path');
+    const { parseArgs, build } = require('./scripts/binary-ring.js');
+    const SiteSpec = require('./site-spec.js');
+    const SiteGenerator = require('./site-generator.js');
+
+    const spec = SiteSpec.load('site-spec.example.yaml');
+    const fromJSON = SiteSpec.parse(JSON.stringify(spec), 'json');
+    report(spec.pages.length === 4 && JSON.stringify(fromJSON) === JSON.stringify(spec)
+        ? '✓ YAML site spec read'
+        : `✗ YAML site spec read as ${JSON.stringify(spec)}`);
+    try {
+        SiteSpec.parse('name: Acme\nname: Again\n');
+        report('✗ Duplicate YAML key was accepted');
+    } catch (error) {
+        report(error.message.startsWith('Site spec line 2:')
+            ? '✓ YAML errors report their line'
+            : `✗ YAML error: ${error.message}`);
+    }
+
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'binary-ring-cli-'));
+    try {
+        const options = parseArgs(['generate', 'site-spec.example.yaml', '--out', out, '--theme', 'Cyberpunk Neon']);
+        const { site } = await build(options, new SiteGenerator({ generator: auditedGenerator }));
+        const expected = ['index.html', 'work/index.html', 'pricing/index.html', 'legal/index.html', '404.html', 'styles/main.css', 'sitemap.xml'];
+        const missing = expected.filter(file => !fs.existsSync(path.join(out, file)));
+        if (missing.length === 0 && site.pages.length === 4) {
+            console.log(`✓ ${site.pages.length} pages and their assets written`);
+        } else {
+            report(`✗ Missing files: ${missing.join(', ')}`);
+        }
+    } finally {
+        fs.rmSync(out, { recursive: true, force: true });
+    }
+}).then(async () => {
+    // Test 10: Page paths
+    console.log('\n📁 Test 10: Keeping Site Files Inside the Output Directory...');
+    const os = require('os');
+    const SiteGenerator = require('./site-generator.js');
+    const sites = new SiteGenerator({ generator: auditedGenerator });
+    const siteWith = pagePath => ({
+        name: 'Paths',
+        url: 'https://paths.example',
+        pages: [{ path: '/', title: 'Home', context: [] }, { path: pagePath, title: 'Escape', context: [] }]
+    });
+
+    ['/..', '/../escape', '/docs/../../escape', '/./about'].forEach(pagePath => {
+        try {
+            sites.generateSite(siteWith(pagePath));
+            report(`✗ Page path ${pagePath} was accepted`);
+        } catch (error) {
+            report(error.message.includes('segments')
+                ? `✓ Page path ${pagePath} rejected`
+                : `✗ Page path ${pagePath} failed with: ${error.message}`);
+        }
+    });
+
+    const parent = fs.mkdtempSync(path.join(os.tmpdir(), 'binary-ring-paths-'));
+    const out = path.join(parent, 'site');
+    const escaping = new SiteGenerator({ generator: auditedGenerator });
+    escaping.generateSite = () => ({ pages: [], files: { 'index.html': 'home', '../escaped.html': 'outside' } });
+    try {
+        await escaping.writeSite(siteWith('/about'), out);
+        report('✗ writeSite wrote a file outside the output directory');
+    } catch (error) {
+        report(error.message.includes('outside the project directory') && !fs.existsSync(path.join(parent, 'escaped.html'))
+            ? '✓ writeSite refuses files that resolve outside the output directory'
+            : `✗ writeSite failed with: ${error.message}`);
+    } finally {
+        fs.rmSync(parent, { recursive: true, force: true });
+    }
+}).then(async () => {
+    // Test 11: Component plugins
+    console.log('\n🧩 Test 11: Registering Component Plugins...');
+    const os = require('os');
+    const ComponentRegistry = require('./component-registry.js');
+
+    const registry = new ComponentRegistry();
+    registry.register({ name: 'Base', css: '.base {}', script: '// base' });
+    registry.register({ name: 'Middle', dependencies: ['Base'], script: '// middle' });
+    registry.register({
+        name: 'Card',
+        dependencies: ['Middle', 'Base'],
+        template: '<a href="{{url}}">{{label}}</a>',
+        props: {
+            label: { type: 'string', default: 'Card' },
+            url: { type: 'string', required: true },
+            size: { type: 'string', default: 'small', enum: ['small', 'large'] },
+            columns: { type: 'number', default: 3, min: 1, max: 4 }
+        }
+    });
+    const order = registry.resolve(['Card', 'Unknown', 'Base']).map(plugin => plugin.name).join(', ');
+    report(order === 'Base, Middle, Card' && registry.collectAssets(['Card']).scripts.join(' ') === '// base // middle'
+        ? '✓ Dependencies resolved first, each once, and unknown page components skipped'
+        : `✗ Dependency order: ${order}`);
+    report(registry.list().map(plugin => plugin.name).join(', ') === 'Card'
+        ? '✓ Plugins without a template are not listed as page components'
+        : '✗ Template-less plugins listed as page components');
+
+    const card = registry.render('Card', { props: { url: 'javascript:alert(1)', label: '<b>hi</b>' } });
+    report(card.includes('&lt;b&gt;hi&lt;/b&gt;') && !card.includes('javascript:')
+        ? '✓ String template values escaped for their context'
+        : `✗ String template rendered ${card}`);
+    const resolved = registry.resolveProps('Card', { url: '/shop' });
+    report(resolved.label === 'Card' && resolved.size === 'small' && resolved.columns === 3
+        ? '✓ Prop defaults applied'
+        : `✗ Props resolved to ${JSON.stringify(resolved)}`);
+
+    await expectRejections([
+        ['missing required prop', () => registry.resolveProps('Card', {}), /"url" is required/],
+        ['prop of the wrong type', () => registry.resolveProps('Card', { url: '/', label: 4 }), /"label" must be string, got number/],
+        ['prop outside its enum', () => registry.resolveProps('Card', { url: '/', size: 'huge' }), /must be one of small, large/],
+        ['number prop out of range', () => registry.resolveProps('Card', { url: '/', columns: 9 }), /must be between 1 and 4/],
+        ['duplicate name', () => registry.register({ name: 'Base' }), /already registered/],
+        ['unknown prop type', () => registry.register({ name: 'Odd', props: { when: { type: 'date' } } }), /unknown type date/],
+        ['unknown dependency', () => {
+            registry.register({ name: 'Orphan', dependencies: ['Missing'] });
+            registry.resolve(['Orphan']);
+        }, /Unknown component dependency: Missing \(required by Orphan\)/],
+        ['circular dependency', () => {
+            registry.register({ name: 'Loop A', dependencies: ['Loop B'] });
+            registry.register({ name: 'Loop B', dependencies: ['Loop A'] });
+            registry.resolve(['Loop A']);
+        }, /Circular component dependency: Loop A -> Loop B -> Loop A/]
+    ]);
+    registry.register({ name: 'Base', css: '.base { color: red; }' }, { override: true });
+    report(registry.collectAssets(['Base']).css[0] === '.base { color: red; }'
+        ? '✓ { override: true } replaces a plugin'
+        : '✗ Plugin was not replaced');
+
+    const packed = new WebpageGenerator();
+    const loaded = packed.loadComponentPack(path.join(__dirname, 'components/packs/binary-ring-extras'));
+    const packPage = packed.generatePage([
+        { name: 'FAQ Accordion', type: 'component' },
+        { name: 'Newsletter Signup', type: 'component', props: { layout: 'stacked' } }
+    ], 'Pack');
+    const packScripts = packPage.split('// Accordion toggles').length - 1;
+    if (loaded.map(plugin => plugin.name).join(', ') === 'Accordion Behavior, FAQ Accordion, Newsletter Signup' &&
+        loaded.every(plugin => plugin.pack === 'binary-ring-extras') &&
+        packPage.includes('class="accordion-question"') && packPage.includes('.accordion-answer {') &&
+        packPage.includes('newsletter-stacked') && packScripts === 1) {
+        console.log(`✓ Component pack loaded (${loaded.length} plugins) with its CSS and scripts`);
+    } else {
+        report(`✗ Component pack: ${loaded.map(plugin => plugin.name).join(', ')}, accordion script ${packScripts}x`);
+    }
+    const builtInScripts = ['Video Gallery', 'Audio Player', 'Photo Gallery', 'Search Interface', 'Header Navigation', 'Contact Form']
+        .every(name => packed.generateJavaScript([{ name }]) === packed.components.get(name).script);
+    report(builtInScripts && packed.generateJavaScript([{ name: 'Hero Section' }]) === ''
+        ? '✓ Page scripts come from the registered plugins'
+        : '✗ Page scripts do not match the plugins');
+
+    const brokenPack = fs.mkdtempSync(path.join(os.tmpdir(), 'binary-ring-pack-'));
+    try {
+        fs.writeFileSync(path.join(brokenPack, 'a-valid.js'), "module.exports = { name: 'Valid Card', template: '<p>{{description}}</p>' };");
+        fs.writeFileSync(path.join(brokenPack, 'b-broken.js'), "module.exports = { name: 'Broken Card', props: { at: { type: 'date' } } };");
+        const failed = throwsMatching(() => packed.loadComponentPack(brokenPack), /unknown type date/);
+        report(failed && !packed.components.has('Valid Card')
+            ? '✓ A pack with a broken plugin registers nothing'
+            : '✗ A broken pack registered some of its plugins');
+    } finally {
+        fs.rmSync(brokenPack, { recursive: true, force: true });
+    }
+}).then(async () => {
+    // Test 12: Design token themes
+    console.log('\n🎨 Test 12: Compiling Design Token Themes...');
+    const os = require('os');
+    const ThemeEngine = require('./theme-engine.js');
+
+    const { themes: themeFiles } = require('./themes/index.json');
+    const builtIn = new WebpageGenerator().themes;
+    const fileThemes = themeFiles.map(file => JSON.parse(fs.readFileSync(path.join(__dirname, 'themes', file), 'utf8')).name);
+    report(JSON.stringify(builtIn.list().sort()) === JSON.stringify([...fileThemes].sort())
+        ? `✓ ${fileThemes.length} token files in themes/ registered`
+        : `✗ Registered themes: ${builtIn.list().join(', ')}`);
+
+    const minimal = builtIn.compile('Minimalist Clean');
+    report(minimal.includes(':root {\n    color-scheme: light;') && minimal.includes('--color-background: #ffffff;') &&
+        minimal.includes('--color-card-hover-border: var(--color-border);') && minimal.includes(':root[data-theme-variant="dark"]')
+        ? '✓ Tokens compiled to CSS variables, references to var() and variants to their own rule'
+        : '✗ Minimalist Clean compiled unexpectedly');
+    const auto = builtIn.compile('Minimalist Clean', { variant: 'auto' });
+    report(auto.includes('@media (prefers-color-scheme: dark) {\n:root:not([data-theme-variant])')
+        ? '✓ Variant "auto" follows prefers-color-scheme'
+        : '✗ Variant "auto" has no prefers-color-scheme rule');
+
+    const engine = new ThemeEngine([
+        { name: 'Base', mode: 'light', colors: { text: '#111111', link: '{colors.text}' }, spacing: { gap: '8px' }, variants: { dark: { mode: 'dark', colors: { text: '#eeeeee' } } } }
+    ]);
+    engine.derive('Brand', 'Base', { colors: { text: '#220044' }, radii: { card: 12 } });
+    engine.derive('Brand Wide', 'Brand', { spacing: { gap: '24px' }, variants: { dark: { colors: { link: '#ff00ff' } } } });
+    const wide = engine.tokens('Brand Wide');
+    const wideDark = engine.tokens('Brand Wide', { variant: 'dark' });
+    if (wide['--color-text'] === '#220044' && wide['--color-link'] === 'var(--color-text)' && wide['--space-gap'] === '24px' &&
+        wide['--radius-card'] === '12' && wideDark['--color-text'] === '#eeeeee' && wideDark['--color-link'] === '#ff00ff' &&
+        engine.compile('Brand Wide', { variant: 'dark' }).includes(':root[data-theme-variant="dark"] {\n    color-scheme: dark;')) {
+        console.log('✓ Derived themes merge tokens and variants over their base');
+    } else {
+        report(`✗ Derived tokens: ${JSON.stringify(wideDark)}`);
+    }
+
+    await expectRejections([
+        ['unknown theme key', () => engine.register({ name: 'Typo', color: {} }), /unknown key "color"/],
+        ['unknown mode', () => engine.register({ name: 'Dim', mode: 'dim' }), /mode must be one of light, dark/],
+        ['non-scalar token', () => engine.register({ name: 'Nested', colors: { text: { value: '#000' } } }), /colors.text must be a string or a number/],
+        ['bad variant name', () => engine.register({ name: 'Spaced', variants: { 'high contrast': {} } }), /variant names use/],
+        ['duplicate theme', () => engine.register({ name: 'Base' }), /already registered/],
+        ['deriving from an unknown theme', () => engine.derive('Orphan', 'Missing'), /Unknown theme: Missing/],
+        ['unknown base theme', () => {
+            engine.register({ name: 'Dangling', extends: 'Missing' });
+            engine.compile('Dangling');
+        }, /Unknown base theme: Missing \(extended by Dangling\)/],
+        ['circular inheritance', () => {
+            engine.register({ name: 'Loop A', extends: 'Loop B' });
+            engine.register({ name: 'Loop B', extends: 'Loop A' });
+            engine.compile('Loop A');
+        }, /Circular theme inheritance: Loop A -> Loop B -> Loop A/],
+        ['unknown token reference', () => {
+            engine.register({ name: 'Broken Link', colors: { link: '{colors.missing}' } });
+            engine.compile('Broken Link');
+        }, /unknown token reference \{colors.missing\}/],
+        ['unknown variant', () => engine.tokens('Base', { variant: 'sepia' }), /has no "sepia" variant \(available: dark\)/]
+    ]);
+
+    const themed = new WebpageGenerator();
+    themed.deriveTheme('Ocean Clean', 'Minimalist Clean', { colors: { primary: '#006994' } });
+    const oceanPage = themed.generatePage([
+        { name: 'Hero Section', type: 'component' },
+        { name: 'Ocean Clean', type: 'style', variant: 'dark' }
+    ], 'Ocean');
+    const defaultPage = themed.generatePage([{ name: 'Hero Section', type: 'component' }], 'Default');
+    if (oceanPage.includes('<html lang="en" data-theme-variant="dark">') && oceanPage.includes('--color-primary: #006994;') &&
+        defaultPage.includes(builtIn.compile('Dark Glassmorphism'))) {
+        console.log('✓ Pages use derived themes and variants, and Default falls back to Dark Glassmorphism');
+    } else {
+        report('✗ Page theme not applied');
+    }
+
+    const fetched = new ThemeEngine();
+    const fetchImpl = async url => ({
+        ok: true,
+        json: async () => JSON.parse(fs.readFileSync(path.join(__dirname, url), 'utf8'))
+    });
+    const loadedThemes = await fetched.load('themes/', { fetchImpl });
+    report(loadedThemes.map(theme => theme.name).join(', ') === fileThemes.join(', ')
+        ? '✓ Browser loader registers the themes listed in index.json'
+        : `✗ Browser loader registered ${loadedThemes.map(theme => theme.name).join(', ')}`);
+
+    const brokenThemes = fs.mkdtempSync(path.join(os.tmpdir(), 'binary-ring-themes-'));
+    try {
+        fs.writeFileSync(path.join(brokenThemes, 'a-valid.json'), JSON.stringify({ name: 'Valid', colors: { text: '#000' } }));
+        fs.writeFileSync(path.join(brokenThemes, 'b-broken.json'), JSON.stringify({ name: 'Broken', colors: { text: 'red; }' } }));
+        const failed = throwsMatching(() => themed.loadThemeDirectory(brokenThemes), /can not contain/);
+        report(failed && !themed.themes.has('Valid')
+            ? '✓ A theme directory with a broken file registers nothing'
+            : '✗ A broken theme directory registered some of its themes');
+    } finally {
+        fs.rmSync(brokenThemes, { recursive: true, force: true });
+    }
+}).then(async () => {
+    // Test 13: Framework export
+    console.log('\n⚛️  Test 13: Exporting React, Vue and Svelte Projects...');
+    const os = require('os');
+    const FrameworkExporter = require('./framework-exporter.js');
+    const exportGenerator = new WebpageGenerator();
+    const exporter = new FrameworkExporter({ generator: exportGenerator });
+    const builtInComponents = exportGenerator.components.list().map(plugin => ({ name: plugin.name, type: 'component' }));
+
+    // What each dialect writes for the audio player's play button (bound through its behavior)
+    const idioms = {
+        react: ['jsx', 'useState', 'onClick={togglePlay}', /\sclass=/],
+        vue: ['vue', 'ref(false)', '@click="togglePlay"', /\sclassName=/],
+        svelte: ['svelte', 'let isPlaying = false;', 'on:click={togglePlay}', /\sclassName=/]
+    };
+    FrameworkExporter.FRAMEWORKS.forEach(framework => {
+        const [extension, state, click, wrongClass] = idioms[framework];
+        const project = exporter.exportPage([...builtInComponents, { name: 'Minimalist Clean', type: 'style', variant: 'dark' }], { framework, title: 'Full Export' });
+        const componentFiles = Object.keys(project.files).filter(file => file.startsWith('src/components/'));
+        const audio = project.files[`src/components/AudioPlayer.${extension}`] || '';
+        const inlineHandlers = componentFiles.filter(file => /\son[a-z]+="/.test(project.files[file]) || wrongClass.test(project.files[file]));
+        const packageJSON = JSON.parse(project.files['package.json']);
+
+        if (project.warnings.length === 0 && componentFiles.length === builtInComponents.length &&
+            project.components.length === builtInComponents.length && audio.includes(state) && audio.includes(click) &&
+            inlineHandlers.length === 0 && packageJSON.name === 'full-export' && packageJSON.devDependencies.vite &&
+            project.files[`src/App.${extension}`] && project.files['src/styles.css'].includes(':root[data-theme-variant="dark"]') &&
+            project.files['index.html'].includes('<html lang="en" data-theme-variant="dark">') &&
+            !project.files['src/page-scripts.js']) {
+            console.log(`✓ ${framework}: ${componentFiles.length} component files with their state bound`);
+        } else {
+            report(`✗ ${framework}: warnings ${JSON.stringify(project.warnings)}, markup left in ${inlineHandlers.join(', ')}`);
+        }
+    });
+
+    const hero = (title, framework) => exporter.exportPage([
+        { name: 'Hero Section', type: 'component' },
+        { name: 'Hero Section', type: 'component', props: { title } },
+        { name: 'Hero Section', type: 'component' }
+    ], { framework });
+    const heroes = hero('Second', 'react');
+    report(heroes.components.join(', ') === 'HeroSection, HeroSection2, HeroSection' && heroes.files['src/components/HeroSection2.jsx']
+        ? '✓ The same component with other props gets a numbered file'
+        : `✗ Hero components: ${heroes.components.join(', ')}`);
+    const braces = FrameworkExporter.FRAMEWORKS.every(framework => {
+        const file = Object.entries(hero('{window.pwned} {{ secret }}', framework).files).find(([name]) => name.startsWith('src/components/HeroSection2'))[1];
+        return !file.includes('{window.pwned}') && !file.includes('{{ secret }}') && file.includes('&#123;window.pwned&#125;');
+    });
+    report(braces
+        ? '✓ Braces in text can not become framework expressions'
+        : '✗ Braces in text reached the framework markup');
+
+    exportGenerator.registerComponent({
+        name: 'Like Button',
+        template: '<button class="like" onclick="like()">Like</button>',
+        script: 'function like() { document.querySelector(".like").textContent = "Liked"; }'
+    });
+    const scripted = exporter.exportPage([{ name: 'Like Button', type: 'component' }], { framework: 'vue' });
+    if (scripted.warnings.length === 1 && scripted.warnings[0].includes('dropped inline handler onclick="like()"') &&
+        scripted.files['src/page-scripts.js'].includes('function like()') && scripted.files['src/App.vue'].includes('onMounted(runPageScripts)') &&
+        !scripted.files['src/components/LikeButton.vue'].includes('onclick')) {
+        console.log('✓ Components without a behavior keep their script and warn about inline handlers');
+    } else {
+        report(`✗ Script-only component: ${JSON.stringify(scripted.warnings)}`);
+    }
+    report(throwsMatching(() => exporter.exportPage([], { framework: 'angular' }), /Unknown framework: angular \(expected react, vue, svelte\)/)
+        ? '✓ Unknown frameworks rejected'
+        : '✗ Unknown framework accepted');
+
+    const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'binary-ring-export-'));
+    try {
+        const written = await exporter.writeProject([{ name: 'Audio Player', type: 'component' }], projectDir, { framework: 'svelte' });
+        const missing = Object.keys(written.files).filter(file => !fs.existsSync(path.join(projectDir, file)));
+        report(missing.length === 0 && fs.readFileSync(path.join(projectDir, 'src/App.svelte'), 'utf8') === written.files['src/App.svelte']
+            ? `✓ ${Object.keys(written.files).length} project files written`
+            : `✗ Project files not written: ${missing.join(', ')}`);
+    } finally {
+        fs.rmSync(projectDir, { recursive: true, force: true });
+    }
+}).then(async () => {
+    // Test 14: Data binding
+    console.log('\n🔗 Test 14: Binding Components to Data Sources...');
+    const vm = require('vm');
+    const DataSources = require('./data-sources.js');
+    const bound = new WebpageGenerator();
+
+    const catalog = JSON.parse(fs.readFileSync(path.join(__dirname, 'point4brand/catalog.json'), 'utf8'));
+    const expectedProducts = Object.values(catalog.collections)
+        .flatMap(collection => collection.items)
+        .filter(product => product.category === 'apparel')
+        .sort((a, b) => b.price - a.price)
+        .slice(0, 2);
+    const [shop] = await bound.bindData([{
+        name: 'Product Grid',
+        type: 'component',
+        props: { title: 'Apparel' },
+        data: { source: 'point4brand-products', query: { where: { category: 'apparel' }, sort: '-price', limit: 2 } }
+    }]);
+    const firstProduct = expectedProducts[0];
+    if (expectedProducts.length === 2 && shop.props.title === 'Apparel' &&
+        JSON.stringify(shop.props.items.map(item => item.title)) === JSON.stringify(expectedProducts.map(product => product.name)) &&
+        shop.props.items[0].price === `$${firstProduct.price}` && shop.props.items[0].image === `/point4brand/${firstProduct.assets.primary}`) {
+        console.log('✓ Query filtered, sorted and limited the records, and the source mapped their fields');
+    } else {
+        report(`✗ Bound items: ${JSON.stringify(shop.props.items)}`);
+    }
+
+    const apps = JSON.parse(fs.readFileSync(path.join(__dirname, 'apps/catalog.json'), 'utf8')).apps;
+    const appsPage = await bound.generateBoundPage([
+        { name: 'Photo Gallery', type: 'component', data: { source: 'apps-catalog', query: { limit: 3 } } },
+        { name: 'Testimonials', type: 'component', data: { source: 'artist-catalog', query: { limit: 1 }, fields: { quote: 'title', author: 'id', role: 'missing.path' } } }
+    ], 'Apps');
+    const galleryItems = (appsPage.match(/class="photo-item"/g) || []).length;
+    if (galleryItems === 3 && appsPage.includes(`src="/apps/${apps[0].id}/preview.png"`) && !appsPage.includes('Photo 1') &&
+        !appsPage.includes('Client 1') && appsPage.includes('<span></span>')) {
+        console.log('✓ Bound components render real catalog items, and unmapped fields stay empty');
+    } else {
+        report(`✗ Bound page rendered ${galleryItems} gallery items`);
+    }
+
+    bound.registerDataSource({
+        name: 'hostile',
+        load: async () => [{ name: '<img src=x onerror=alert(1)>', link: 'javascript:alert(1)', picture: ' data:text/html,x' }],
+        fields: { 'Product Grid': { title: 'name', url: 'link', image: 'picture' } }
+    });
+    const hostilePage = await bound.generateBoundPage([{ name: 'Product Grid', type: 'component', data: { source: 'hostile' } }], 'Hostile');
+    report(!hostilePage.includes('<img src=x') && hostilePage.includes('href="#"') && hostilePage.includes('src="#"') &&
+        hostilePage.includes('&lt;img src=x onerror=alert(1)&gt;')
+        ? '✓ Bound values escaped and unsafe URLs replaced with #'
+        : '✗ Bound values were not escaped');
+
+    let requests = 0;
+    const fetchedSources = new DataSources([{ name: 'team', url: 'data/team.json', path: 'members' }], {
+        baseUrl: 'https://example.com/site',
+        fetchImpl: async url => {
+            requests++;
+            if (requests === 2) return { ok: false, status: 503 };
+            return { ok: true, json: async () => ({ members: [{ name: url }, { name: 'B' }] }) };
+        }
+    });
+    const first = await fetchedSources.query('team', { limit: 1 });
+    await fetchedSources.query('team', { offset: 1 });
+    fetchedSources.clearCache('team');
+    const unavailable = await fetchedSources.query('team').then(() => false, error => error.message.includes('(503)'));
+    await fetchedSources.query('team');
+    report(first[0].name === 'https://example.com/site/data/team.json' && unavailable && requests === 3
+        ? '✓ Source JSON fetched from the base URL once, refetched after clearCache or a failed load'
+        : `✗ Source fetched ${requests} times for ${JSON.stringify(first)}`);
+
+    const contentCalls = [];
+    const contentAPI = {
+        searchContent: async (text, options) => {
+            contentCalls.push(['search', text, options.limit]);
+            return [{ personaName: 'Ada', content: 'Fractals' }, { personaName: 'Lin', content: 'Orbits' }];
+        },
+        getAllContent: async options => {
+            contentCalls.push(['all', options.offset, options.limit]);
+            return [{ personaName: 'Ada', content: 'Fractals', tool: 'Canvas' }];
+        }
+    };
+    bound.registerDataSource(DataSources.contentAPISource('community-posts', contentAPI));
+    const [searched, all] = await bound.bindData([
+        { name: 'Product Grid', type: 'component', data: { source: 'community-posts', query: { search: 'fractal', offset: 1, limit: 1 } } },
+        { name: 'Testimonials', type: 'component', data: { source: 'community-posts', query: { limit: 5 } } }
+    ]);
+    if (JSON.stringify(contentCalls) === JSON.stringify([['search', 'fractal', 2], ['all', 0, 5]]) &&
+        searched.props.items[0].title === 'Lin' && all.props.items[0].role === 'Canvas') {
+        console.log('✓ ContentAPI sources search or page through the content');
+    } else {
+        report(`✗ ContentAPI calls: ${JSON.stringify(contentCalls)}`);
+    }
+
+    await expectRejections([
+        ['unknown source', () => bound.bindData([{ name: 'Product Grid', type: 'component', data: { source: 'nowhere' } }]), /Unknown data source: nowhere/],
+        ['source with a url and a loader', () => bound.registerDataSource({ name: 'both', url: 'a.json', load: async () => [] }), /either a url or a load function/],
+        ['field mapping that is not a path', () => bound.registerDataSource({ name: 'odd', url: 'a.json', fields: { 'Product Grid': { title: 3 } } }), /must map item fields to record paths/],
+        ['loader that does not return a list', () => {
+            bound.registerDataSource({ name: 'single', load: async () => ({ name: 'one' }) });
+            return bound.bindData([{ name: 'Product Grid', type: 'component', data: { source: 'single' } }]);
+        }, /must resolve to a list of records/],
+        ['hydrating a loader source', () => bound.generatePage([{ name: 'Product Grid', type: 'component', data: { source: 'hostile', hydrate: true } }]), /has no url/]
+    ]);
+
+    const hydrated = bound.generatePage([
+        { name: 'Hero Section', type: 'component' },
+        { name: 'Photo Gallery', type: 'component', data: { source: 'apps-catalog', query: { limit: 2 }, hydrate: true } }
+    ], 'Hydrated');
+    const script = hydrated.match(/<script>([\s\S]*)<\/script>/)[1];
+    // Run the hydration script against one server response; the container starts with the generated items
+    const hydrate = async response => {
+        const run = { container: { innerHTML: 'generated' }, fetchedUrl: null, errors: [] };
+        vm.runInNewContext(script, {
+            document: {
+                querySelectorAll: selector => (selector === '[data-bind-items]' ? [run.container] : []),
+                getElementById: () => null,
+                addEventListener: () => {}
+            },
+            fetch: async url => {
+                run.fetchedUrl = url;
+                return response;
+            },
+            console: { ...console, error: message => run.errors.push(message) }
+        });
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return run;
+    };
+
+    const { container, fetchedUrl } = await hydrate({ ok: true, status: 200, json: async () => ({ apps }) });
+    const hydratedItems = (container.innerHTML.match(/class="photo-item"/g) || []).length;
+    report(fetchedUrl === '/apps/catalog.json' && hydratedItems === 2 && container.innerHTML.includes(`alt="${apps[1].name}"`)
+        ? '✓ Hydration script fetches the source in the browser and re-renders the items'
+        : `✗ Hydration fetched ${fetchedUrl} and rendered ${hydratedItems} items`);
+
+    const missing = await hydrate({ ok: false, status: 404, json: async () => ({ error: 'Not found' }) });
+    report(missing.container.innerHTML === 'generated' && missing.errors.join() === 'Could not load /apps/catalog.json'
+        ? '✓ Hydration keeps the generated items when the source answers 404'
+        : `✗ After a 404 the items became ${JSON.stringify(missing.container.innerHTML)} (${missing.errors.join()})`);
+}).then(() => {
+    console.log('\n✨ Test suite completed!\n');
+    console.log('Generated test files:');
+    console.log('  - test-output-ecommerce.html');
+    console.log('  - test-output-media.html');
+    console.log('  - test-output-portfolio.html');
+    console.log('\nYou can open these files in your browser to see the results.');
+});
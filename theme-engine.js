@@ -0,0 +1,342 @@
+/**
+ * Binary Ring Theme Engine
+ * Compiles design token themes into CSS custom properties. A theme is a JSON file:
+ *
+ *   {
+ *       name: 'Dark Glassmorphism',
+ *       extends: 'Some Base Theme',                 // optional, tokens are merged over the base
+ *       mode: 'dark',                               // 'light' or 'dark', sets color-scheme
+ *       colors: { background: '#0a0a0a', link: '{colors.text}' },
+ *       typography: { family: 'Inter, sans-serif' },
+ *       spacing: {}, radii: {}, shadows: {}, borders: {}, effects: {},
+ *       variants: { light: { mode: 'light', colors: { background: '#ffffff' } } }
+ *   }
+ *
+ * Every token becomes a variable named after its category and key (colors.textMuted ->
+ * --color-text-muted). "{category.key}" inside a value refers to another token. Variants
+ * override tokens under :root[data-theme-variant="<name>"], so a page can switch between
+ * them at runtime.
+ */
+
+const TOKEN_CATEGORIES = {
+    colors: 'color',
+    typography: 'font',
+    spacing: 'space',
+    radii: 'radius',
+    shadows: 'shadow',
+    borders: 'border',
+    effects: 'effect'
+};
+
+const THEME_MODES = ['light', 'dark'];
+const THEME_KEYS = ['name', 'description', 'extends', 'mode', 'variants', ...Object.keys(TOKEN_CATEGORIES)];
+const VARIANT_KEYS = ['mode', ...Object.keys(TOKEN_CATEGORIES)];
+const TOKEN_REFERENCE = /\{(\w+)\.(\w+)\}/g;
+// Characters that would end a declaration, a rule or the <style> element the CSS is inlined in
+const UNSAFE_TOKEN_VALUE = /[;{}<>\\]/;
+const VARIANT_NAME = /^[\w-]+$/;
+
+function kebabCase(key) {
+    return key.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+function variableName(category, key) {
+    return `--${TOKEN_CATEGORIES[category]}-${kebabCase(key)}`;
+}
+
+/**
+ * Merge token categories: later layers override earlier ones key by key
+ */
+function mergeTokens(...layers) {
+    const merged = {};
+    Object.keys(TOKEN_CATEGORIES).forEach(category => {
+        merged[category] = Object.assign({}, ...layers.map(layer => layer[category] || {}));
+    });
+    return merged;
+}
+
+class ThemeEngine {
+    constructor(themes = []) {
+        this.themes = new Map();
+        themes.forEach(theme => this.register(theme));
+    }
+
+    /**
+     * Add a theme. Names are unique unless { override: true } is passed.
+     */
+    register(theme, { override = false } = {}) {
+        this.validate(theme);
+        if (this.themes.has(theme.name) && !override) {
+            throw new Error(`Theme already registered: ${theme.name}`);
+        }
+
+        this.themes.set(theme.name, theme);
+        this.emit('register', theme);
+        return theme;
+    }
+
+    /**
+     * Register a theme that extends another one with a set of token overrides
+     */
+    derive(name, baseName, overrides = {}, options) {
+        this.requireTheme(baseName);
+        return this.register({ ...overrides, name, extends: baseName }, options);
+    }
+
+    unregister(name) {
+        const removed = this.themes.delete(name);
+        if (removed) this.emit('unregister', { name });
+        return removed;
+    }
+
+    has(name) {
+        return this.themes.has(name);
+    }
+
+    get(name) {
+        return this.themes.get(name) || null;
+    }
+
+    list() {
+        return [...this.themes.keys()];
+    }
+
+    validate(theme) {
+        if (!theme || typeof theme.name !== 'string' || !theme.name.trim()) {
+            throw new Error('Themes need a name');
+        }
+        const { name } = theme;
+
+        Object.keys(theme).forEach(key => {
+            if (!THEME_KEYS.includes(key)) throw new Error(`Theme ${name}: unknown key "${key}"`);
+        });
+        if (theme.extends !== undefined && typeof theme.extends !== 'string') {
+            throw new Error(`Theme ${name}: extends must be a theme name`);
+        }
+        this.validateLayer(name, theme);
+
+        Object.entries(theme.variants || {}).forEach(([variant, layer]) => {
+            if (!VARIANT_NAME.test(variant)) {
+                throw new Error(`Theme ${name}: variant names use letters, digits, "_" and "-" (got "${variant}")`);
+            }
+            if (!layer || typeof layer !== 'object') {
+                throw new Error(`Theme ${name}: variant "${variant}" must be an object`);
+            }
+            Object.keys(layer).forEach(key => {
+                if (!VARIANT_KEYS.includes(key)) throw new Error(`Theme ${name}: variant "${variant}" has unknown key "${key}"`);
+            });
+            this.validateLayer(`${name} (${variant})`, layer);
+        });
+    }
+
+    validateLayer(label, layer) {
+        if (layer.mode !== undefined && !THEME_MODES.includes(layer.mode)) {
+            throw new Error(`Theme ${label}: mode must be one of ${THEME_MODES.join(', ')}`);
+        }
+        Object.keys(TOKEN_CATEGORIES).forEach(category => {
+            const tokens = layer[category];
+            if (tokens === undefined) return;
+            if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) {
+                throw new Error(`Theme ${label}: ${category} must be an object of tokens`);
+            }
+            Object.entries(tokens).forEach(([key, value]) => {
+                if (typeof value !== 'string' && typeof value !== 'number') {
+                    throw new Error(`Theme ${label}: ${category}.${key} must be a string or a number`);
+                }
+                if (UNSAFE_TOKEN_VALUE.test(String(value).replace(TOKEN_REFERENCE, ''))) {
+                    throw new Error(`Theme ${label}: ${category}.${key} can not contain ; { } < > or \\`);
+                }
+            });
+        });
+    }
+
+    /**
+     * A theme with its base themes merged in: { name, mode, tokens, variants }
+     */
+    resolve(name, chain = []) {
+        if (chain.includes(name)) {
+            throw new Error(`Circular theme inheritance: ${[...chain, name].join(' -> ')}`);
+        }
+        const theme = this.get(name);
+        if (!theme) {
+            throw new Error(chain.length > 0
+                ? `Unknown base theme: ${name} (extended by ${chain[chain.length - 1]})`
+                : `Unknown theme: ${name}`);
+        }
+
+        const base = theme.extends
+            ? this.resolve(theme.extends, [...chain, name])
+            : { mode: 'light', tokens: mergeTokens(), variants: {} };
+
+        const variants = { ...base.variants };
+        Object.entries(theme.variants || {}).forEach(([variant, layer]) => {
+            const inherited = base.variants[variant] || {};
+            variants[variant] = { mode: layer.mode || inherited.mode, ...mergeTokens(inherited, layer) };
+        });
+
+        return {
+            name,
+            mode: theme.mode || base.mode,
+            tokens: mergeTokens(base.tokens, theme),
+            variants
+        };
+    }
+
+    /**
+     * Variant names a theme can be switched to
+     */
+    variants(name) {
+        return Object.keys(this.resolve(name).variants);
+    }
+
+    /**
+     * Flat map of CSS variable -> value for a theme, with a variant applied
+     */
+    tokens(name, { variant } = {}) {
+        const theme = this.resolve(name);
+        const layers = [theme.tokens];
+        if (variant) layers.push(this.requireVariant(theme, variant));
+
+        const declarations = {};
+        layers.forEach(layer => Object.assign(declarations, this.declarations(theme, layer)));
+        return declarations;
+    }
+
+    /**
+     * CSS for a theme: the tokens on :root and one rule per variant. With variant 'auto',
+     * variants whose mode differs from the theme follow prefers-color-scheme until a
+     * data-theme-variant attribute is set.
+     */
+    compile(name, { variant } = {}) {
+        const theme = this.resolve(name);
+        if (variant && variant !== 'auto') this.requireVariant(theme, variant);
+
+        const rules = [this.rule(':root', theme.mode, this.declarations(theme, theme.tokens))];
+        Object.entries(theme.variants).forEach(([variantName, layer]) => {
+            rules.push(this.rule(`:root[data-theme-variant="${variantName}"]`, layer.mode, this.declarations(theme, layer)));
+        });
+
+        if (variant === 'auto') {
+            Object.values(theme.variants)
+                .filter(layer => layer.mode && layer.mode !== theme.mode)
+                .forEach(layer => {
+                    const rule = this.rule(':root:not([data-theme-variant])', layer.mode, this.declarations(theme, layer));
+                    rules.push(`@media (prefers-color-scheme: ${layer.mode}) {\n${rule}\n}`);
+                });
+        }
+
+        return rules.join('\n\n');
+    }
+
+    declarations(theme, layer) {
+        const declarations = {};
+        Object.keys(TOKEN_CATEGORIES).forEach(category => {
+            Object.entries(layer[category] || {}).forEach(([key, value]) => {
+                declarations[variableName(category, key)] = this.expandReferences(theme, String(value));
+            });
+        });
+        return declarations;
+    }
+
+    /**
+     * Turn "{colors.primary}" into var(--color-primary), checking the token exists
+     */
+    expandReferences(theme, value) {
+        return value.replace(TOKEN_REFERENCE, (match, category, key) => {
+            const known = TOKEN_CATEGORIES[category] && (theme.tokens[category][key] !== undefined
+                || Object.values(theme.variants).some(layer => layer[category][key] !== undefined));
+            if (!known) throw new Error(`Theme ${theme.name}: unknown token reference ${match}`);
+            return `var(${variableName(category, key)})`;
+        });
+    }
+
+    rule(selector, mode, declarations) {
+        const lines = Object.entries(declarations).map(([property, value]) => `    ${property}: ${value};`);
+        if (mode) lines.unshift(`    color-scheme: ${mode};`);
+        return `${selector} {\n${lines.join('\n')}\n}`;
+    }
+
+    requireVariant(theme, variant) {
+        const layer = theme.variants[variant];
+        if (!layer) {
+            const available = Object.keys(theme.variants);
+            throw new Error(`Theme ${theme.name} has no "${variant}" variant${available.length > 0 ? ` (available: ${available.join(', ')})` : ''}`);
+        }
+        return layer;
+    }
+
+    requireTheme(name) {
+        const theme = this.get(name);
+        if (!theme) throw new Error(`Unknown theme: ${name}`);
+        return theme;
+    }
+
+    /**
+     * Register every .json theme file in a directory except index.json (Node only)
+     */
+    loadDirectory(directory, { override = false } = {}) {
+        const fs = require('fs');
+        const path = require('path');
+
+        const themes = fs.readdirSync(directory)
+            .filter(file => file.endsWith('.json') && file !== 'index.json')
+            .sort()
+            .map(file => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+        return this.registerAll(themes, { override });
+    }
+
+    /**
+     * Fetch the theme files listed in <baseUrl>/index.json ({ "themes": ["file.json"] }) and register them
+     */
+    async load(baseUrl, { override = false, fetchImpl } = {}) {
+        const request = fetchImpl || ((...args) => fetch(...args));
+        const fetchJSON = async url => {
+            const response = await request(url);
+            if (!response.ok) throw new Error(`Could not load ${url} (${response.status})`);
+            return response.json();
+        };
+
+        const root = baseUrl.replace(/\/$/, '');
+        const manifest = await fetchJSON(`${root}/index.json`);
+        const themes = await Promise.all(manifest.themes.map(file => fetchJSON(`${root}/${file}`)));
+        return this.registerAll(themes, { override });
+    }
+
+    // Validate every theme first, so a broken directory registers nothing
+    registerAll(themes, { override }) {
+        themes.forEach(theme => {
+            this.validate(theme);
+            if (this.has(theme.name) && !override) throw new Error(`Theme already registered: ${theme.name}`);
+        });
+        return themes.map(theme => this.register(theme, { override }));
+    }
+
+    // Event System
+    on(event, callback) {
+        if (!this.events) this.events = {};
+        if (!this.events[event]) this.events[event] = [];
+        this.events[event].push(callback);
+    }
+
+    emit(event, data) {
+        if (!this.events || !this.events[event]) return;
+        this.events[event].forEach(callback => callback(data));
+    }
+
+    off(event, callback) {
+        if (!this.events || !this.events[event]) return;
+        this.events[event] = this.events[event].filter(cb => cb !== callback);
+    }
+}
+
+ThemeEngine.TOKEN_CATEGORIES = TOKEN_CATEGORIES;
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.ThemeEngine = ThemeEngine;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeEngine;
+}
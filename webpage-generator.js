@@ -3,165 +3,505 @@
  * Generates complete HTML pages based on context window items
  */
 
+const GeneratorSafeHTML = typeof require === 'function'
+    ? require('./safe-html')
+    : window.SafeHTML;
+const GeneratorComponentRegistry = typeof require === 'function'
+    ? require('./component-registry')
+    : window.ComponentRegistry;
+const GeneratorThemeEngine = typeof require === 'function'
+    ? require('./theme-engine')
+    : window.ThemeEngine;
+const GeneratorDataSources = typeof require === 'function'
+    ? require('./data-sources')
+    : window.DataSources;
+const GeneratorAccessibilityAudit = typeof require === 'function'
+    ? require('./accessibility-audit')
+    : window.AccessibilityAudit;
+const GeneratorPromptParser = typeof require === 'function'
+    ? require('./prompt-parser')
+    : window.PromptParser;
+const GeneratorPageSections = typeof require === 'function'
+    ? require('./page-sections')
+    : window.PageSections;
+
+// Theme used for 'Default' and for style names that are not registered
+const DEFAULT_THEME = 'Dark Glassmorphism';
+
+// Navigation of a standalone page; SiteGenerator passes links built from the site's pages
+const DEFAULT_NAV_LINKS = [
+    { label: 'Home', href: '#home' },
+    { label: 'About', href: '#about' },
+    { label: 'Services', href: '#services' },
+    { label: 'Contact', href: '#contact' }
+];
+const DEFAULT_FOOTER_LINKS = DEFAULT_NAV_LINKS.map(link => ({ ...link, href: '#' }));
+
+// Item templates of the components that render lists; data sources fill their "items" prop
+const PRODUCT_CARD = `
+                <div class="product-card">
+                    <div class="product-image">
+                        {{#image}}<img src="{{image}}" alt="{{title}}" loading="lazy">{{/image}}{{^image}}<div class="placeholder-image">{{title}}</div>{{/image}}
+                    </div>
+                    <div class="product-info">
+                        <h3 class="product-title">{{title}}</h3>
+                        <p class="product-description">{{description}}</p>
+                        <div class="product-meta">
+                            {{#price}}<span class="product-price">{{price}}</span>{{/price}}
+                            {{#url}}<a class="btn btn-add-cart" href="{{url}}">View</a>{{/url}}{{^url}}<button class="btn btn-add-cart">Add to Cart</button>{{/url}}
+                        </div>
+                    </div>
+                </div>
+                `;
+const PHOTO_ITEM = `
+                <div class="photo-item" role="button" tabindex="0" onclick="openLightbox({{index}})">
+                    {{#image}}<img src="{{image}}" alt="{{title}}" loading="lazy">{{/image}}{{^image}}<div class="photo-placeholder">{{title}}</div>{{/image}}
+                </div>
+                `;
+const TESTIMONIAL_CARD = `
+                <div class="testimonial-card">
+                    <div class="testimonial-avatar"></div>
+                    <p class="testimonial-text">"{{quote}}"</p>
+                    <div class="testimonial-author">
+                        <strong>{{author}}</strong>
+                        <span>{{role}}</span>
+                    </div>
+                </div>
+                `;
+
+const DEFAULT_PRODUCTS = [1, 2, 3, 4, 5, 6].map(i => ({
+    title: `Product ${i}`,
+    description: 'High-quality product with amazing features',
+    price: '$99.99'
+}));
+const DEFAULT_PHOTOS = [1, 2, 3, 4, 5, 6, 7, 8].map(i => ({ title: `Photo ${i}` }));
+const DEFAULT_TESTIMONIALS = [1, 2, 3].map(i => ({
+    quote: 'Amazing service! Highly recommended for anyone looking for quality and innovation.',
+    author: `Client ${i}`,
+    role: `CEO, Company ${i}`
+}));
+
+/**
+ * <li> items for a list of { label, href, current } links
+ */
+function navLinkItems(links, indent) {
+    const current = GeneratorSafeHTML.raw(' aria-current="page"');
+    return GeneratorSafeHTML.raw(links
+        .map(link => GeneratorSafeHTML.html`<li><a href="${link.href}"${link.current && current}>${link.label}</a></li>`)
+        .join(`\n${indent}`));
+}
+
 class WebpageGenerator {
-    constructor() {
-        this.templates = this.initializeTemplates();
-        this.styleThemes = this.initializeStyleThemes();
+    /**
+     * @param {Object} options
+     * @param {Function} options.isThemeUnlocked - theme name => boolean, used for level-gated themes
+     * @param {CreditMeter} options.meter - prices and charges generateMeteredPage (see credits/metering.js)
+     * @param {ComponentRegistry} options.components - component plugins; defaults to the built-in components
+     * @param {ThemeEngine} options.themes - design token themes; defaults to the themes/ directory in Node
+     * @param {string} options.themeVariant - variant used when a style item does not name one ('auto' follows the OS)
+     * @param {DataSources} options.dataSources - sources context items can bind to; defaults to the catalogs in this repo
+     * @param {AccessibilityAudit} options.accessibility - rules generateAccessiblePage checks; defaults to the built-in rules
+     * @param {Object} options.promptProvider - LLM provider generateFromPrompt asks before its rule matcher (see prompt-parser.js)
+     * @param {PromptParser} options.promptParser - replaces the parser built from this generator's components and themes
+     */
+    constructor(options = {}) {
+        this.components = options.components || this.initializeComponents();
+        this.themes = options.themes || this.initializeStyleThemes();
+        this.themeVariant = options.themeVariant || null;
+        this.dataSources = options.dataSources || new GeneratorDataSources(GeneratorDataSources.BUILT_IN);
+        this.accessibility = options.accessibility || new GeneratorAccessibilityAudit({ themes: this.themes });
+        this.promptParser = options.promptParser || new GeneratorPromptParser({
+            components: this.components,
+            themes: this.themes,
+            provider: options.promptProvider
+        });
+        this.isThemeUnlocked = options.isThemeUnlocked || (() => true);
+        this.meter = options.meter || null;
     }
 
     /**
-     * Initialize component templates
+     * Register the built-in components as plugins (their CSS lives in baseStyles)
      */
-    initializeTemplates() {
-        return {
-            'Header Navigation': this.headerNavigationTemplate,
-            'Hero Section': this.heroSectionTemplate,
-            'Product Grid': this.productGridTemplate,
-            'Video Gallery': this.videoGalleryTemplate,
-            'Audio Player': this.audioPlayerTemplate,
-            'Photo Gallery': this.photoGalleryTemplate,
-            'Search Interface': this.searchInterfaceTemplate,
-            'Footer': this.footerTemplate,
-            'Contact Form': this.contactFormTemplate,
-            'Testimonials': this.testimonialsTemplate,
-            'Pricing Table': this.pricingTableTemplate,
-            'Stats Section': this.statsSectionTemplate
-        };
+    initializeComponents() {
+        return new GeneratorComponentRegistry([
+            {
+                name: 'Header Navigation',
+                template: this.headerNavigationTemplate,
+                script: this.mobileMenuScript(),
+                behavior: this.mobileMenuBehavior(),
+                props: { brand: { type: 'string', default: 'Binary Ring' }, links: { type: 'array', default: DEFAULT_NAV_LINKS } }
+            },
+            {
+                name: 'Hero Section',
+                template: this.heroSectionTemplate,
+                props: {
+                    title: { type: 'string', default: 'Welcome to the Future' },
+                    subtitle: { type: 'string', default: 'Experience innovation with cutting-edge design and technology' }
+                }
+            },
+            {
+                name: 'Product Grid',
+                template: this.productGridTemplate,
+                itemTemplate: PRODUCT_CARD,
+                props: { title: { type: 'string', default: 'Our Products' }, items: { type: 'array', default: DEFAULT_PRODUCTS } }
+            },
+            {
+                name: 'Video Gallery',
+                template: this.videoGalleryTemplate,
+                script: this.videoGalleryScript(),
+                behavior: this.videoGalleryBehavior()
+            },
+            {
+                name: 'Audio Player',
+                template: this.audioPlayerTemplate,
+                script: this.audioPlayerScript(),
+                behavior: this.audioPlayerBehavior()
+            },
+            {
+                name: 'Photo Gallery',
+                template: this.photoGalleryTemplate,
+                itemTemplate: PHOTO_ITEM,
+                props: { title: { type: 'string', default: 'Photo Gallery' }, items: { type: 'array', default: DEFAULT_PHOTOS } },
+                script: this.photoGalleryScript(),
+                behavior: this.photoGalleryBehavior()
+            },
+            {
+                name: 'Search Interface',
+                template: this.searchInterfaceTemplate,
+                script: this.searchInterfaceScript(),
+                behavior: this.searchInterfaceBehavior()
+            },
+            {
+                name: 'Footer',
+                template: this.footerTemplate,
+                props: { brand: { type: 'string', default: 'Binary Ring' }, links: { type: 'array', default: DEFAULT_FOOTER_LINKS } }
+            },
+            {
+                name: 'Contact Form',
+                template: this.contactFormTemplate,
+                script: this.contactFormScript(),
+                behavior: this.contactFormBehavior()
+            },
+            {
+                name: 'Testimonials',
+                template: this.testimonialsTemplate,
+                itemTemplate: TESTIMONIAL_CARD,
+                props: { title: { type: 'string', default: 'What Our Clients Say' }, items: { type: 'array', default: DEFAULT_TESTIMONIALS } }
+            },
+            { name: 'Pricing Table', template: this.pricingTableTemplate },
+            { name: 'Stats Section', template: this.statsSectionTemplate }
+        ]);
     }
 
     /**
-     * Initialize style themes
+     * Add a component plugin (see component-registry.js for the plugin shape)
+     */
+    registerComponent(plugin, options) {
+        return this.components.register(plugin, options);
+    }
+
+    /**
+     * Load a directory of component plugins (Node only)
+     */
+    loadComponentPack(directory, options) {
+        return this.components.loadPack(directory, options);
+    }
+
+    /**
+     * Initialize style themes. Node reads the token files in themes/ right away;
+     * browser pages call loadThemes() before generating.
      */
     initializeStyleThemes() {
-        return {
-            'Dark Glassmorphism': this.darkGlassmorphismStyles,
-            'Minimalist Clean': this.minimalistCleanStyles,
-            'Cyberpunk Neon': this.cyberpunkNeonStyles,
-            'Default': this.defaultStyles
-        };
+        const themes = new GeneratorThemeEngine();
+        if (typeof require === 'function' && typeof __dirname !== 'undefined') {
+            themes.loadDirectory(require('path').join(__dirname, 'themes'));
+        }
+        return themes;
+    }
+
+    /**
+     * Fetch the themes listed in <baseUrl>/index.json (browser)
+     */
+    async loadThemes(baseUrl = 'themes', options) {
+        return this.themes.load(baseUrl, options);
+    }
+
+    /**
+     * Load a directory of theme token files (Node only)
+     */
+    loadThemeDirectory(directory, options) {
+        return this.themes.loadDirectory(directory, options);
+    }
+
+    /**
+     * Add a theme (see theme-engine.js for the token format)
+     */
+    registerTheme(theme, options) {
+        return this.themes.register(theme, options);
+    }
+
+    /**
+     * Add a theme that extends a registered one with token overrides
+     */
+    deriveTheme(name, baseName, overrides, options) {
+        return this.themes.derive(name, baseName, overrides, options);
     }
 
     /**
      * Generate complete webpage from context items
      */
     generatePage(contextItems, additionalPrompt = '') {
+        const config = this.resolvePageConfig(contextItems, additionalPrompt);
+
+        // Generate HTML structure
+        const html = this.buildHTMLStructure(config);
+
+        return html;
+    }
+
+    /**
+     * Regenerate a page generated earlier (and maybe edited since) for new context items.
+     * Only the sections whose generated markup changed are replaced; edits outside the
+     * section markers stay, and edits inside changed sections stay with { preserveEdited: true }.
+     * Returns { html, diff } (see page-sections.js for the diff).
+     */
+    regeneratePage(existingHTML, contextItems, additionalPrompt = '', { preserveEdited = false } = {}) {
+        const config = this.resolvePageConfig(contextItems, additionalPrompt);
+        const generated = this.buildHTMLStructure(config);
+        const { html, diff } = GeneratorPageSections.merge(existingHTML, generated, { preserveEdited });
+
+        // The theme variant lives on <html>, outside the sections
+        const wanted = String(this.variantAttribute(config.themeVariant));
+        const current = (html.match(/<html\b[^>]*>/i) || [''])[0];
+        const [currentVariant = '', from = 'auto'] = current.match(/\sdata-theme-variant="([^"]*)"/) || [];
+        if (current && currentVariant !== wanted) {
+            const tag = current.replace(currentVariant, '').replace(/>$/, `${wanted}>`);
+            diff.variant = { from, to: wanted ? config.themeVariant : 'auto' };
+            diff.changed = true;
+            return { html: html.replace(current, tag), diff };
+        }
+        return { html, diff };
+    }
+
+    /**
+     * Generate a page from a brief such as "dark cyberpunk portfolio with gallery and pricing".
+     * Returns { html, contextItems, title, warnings, source } ('rules' or 'provider').
+     */
+    async generateFromPrompt(prompt) {
+        const { contextItems, title, warnings, source } = await this.promptParser.interpret(prompt);
+        return { html: this.generatePage(contextItems, title), contextItems, title, warnings, source };
+    }
+
+    /**
+     * Add a data source (see data-sources.js for the source shape)
+     */
+    registerDataSource(source, options) {
+        return this.dataSources.register(source, options);
+    }
+
+    /**
+     * Resolve the data bindings of context items into component props
+     */
+    async bindData(contextItems) {
+        return this.dataSources.bind(contextItems);
+    }
+
+    /**
+     * Generate a page with its bound components filled from their data sources
+     */
+    async generateBoundPage(contextItems, additionalPrompt = '') {
+        return this.generatePage(await this.bindData(contextItems), additionalPrompt);
+    }
+
+    /**
+     * Generate a page and audit it for accessibility, applying the automatic fixes unless
+     * { fix: false } is passed. Returns { html, report, fixed }.
+     */
+    generateAccessiblePage(contextItems, additionalPrompt = '', { fix = true } = {}) {
+        const config = this.resolvePageConfig(contextItems, additionalPrompt);
+        const html = this.buildHTMLStructure(config);
+        const options = {
+            theme: this.themes.has(config.styleTheme) ? config.styleTheme : DEFAULT_THEME,
+            variant: config.themeVariant
+        };
+
+        if (!fix) return { html, report: this.accessibility.audit(html, options), fixed: [] };
+        return this.accessibility.fix(html, options);
+    }
+
+    /**
+     * Price a page before generating it (requires options.meter)
+     */
+    quotePage(contextItems) {
+        const { components, styleTheme, apps } = this.resolvePageConfig(contextItems);
+        return this.requireMeter().quoteGeneratorPage({
+            components: components.filter(comp => this.isPageComponent(comp.name)).map(comp => comp.name),
+            theme: styleTheme,
+            apps: apps.length
+        });
+    }
+
+    /**
+     * Charge the page's quote, generate it and refund the charge if generation throws
+     */
+    async generateMeteredPage(contextItems, additionalPrompt = '', { idempotencyKey } = {}) {
+        const quote = this.quotePage(contextItems);
+        const html = await this.requireMeter().run(
+            quote,
+            () => this.generatePage(contextItems, additionalPrompt),
+            { idempotencyKey, metadata: { prompt: additionalPrompt } }
+        );
+        return { html, quote };
+    }
+
+    isPageComponent(name) {
+        const plugin = this.components.get(name);
+        return Boolean(plugin && plugin.template);
+    }
+
+    requireMeter() {
+        if (!this.meter) throw new Error('WebpageGenerator was created without a credit meter');
+        return this.meter;
+    }
+
+    /**
+     * Split context items into the page configuration
+     */
+    resolvePageConfig(contextItems, additionalPrompt = '') {
         const components = contextItems.filter(item => item.type === 'component');
         const styles = contextItems.filter(item => item.type === 'style');
         const keywords = contextItems.filter(item => item.type === 'keyword');
         const apps = contextItems.filter(item => item.type === 'app');
 
-        // Determine the style theme
-        const styleTheme = styles.length > 0 ? styles[0].name : 'Default';
+        // Determine the style theme, falling back to Default when it is still locked
+        const requestedTheme = styles.length > 0 ? styles[0].name : 'Default';
+        const styleTheme = this.isThemeUnlocked(requestedTheme) ? requestedTheme : 'Default';
+        const themeVariant = (styles.length > 0 && styles[0].variant) || this.themeVariant;
 
-        // Generate HTML structure
-        const html = this.buildHTMLStructure({
-            components,
-            styleTheme,
-            keywords,
-            apps,
-            additionalPrompt
-        });
-
-        return html;
+        return { components, styleTheme, themeVariant, keywords, apps, additionalPrompt };
     }
 
     /**
      * Build complete HTML structure
      */
     buildHTMLStructure(config) {
-        const { components, styleTheme, keywords, apps, additionalPrompt } = config;
-
-        // Get styles for the selected theme
-        let themeStyles;
-        if (styleTheme === 'Dark Glassmorphism') {
-            themeStyles = this.darkGlassmorphismStyles();
-        } else if (styleTheme === 'Minimalist Clean') {
-            themeStyles = this.minimalistCleanStyles();
-        } else if (styleTheme === 'Cyberpunk Neon') {
-            themeStyles = this.cyberpunkNeonStyles();
-        } else {
-            // Default to dark glassmorphism
-            themeStyles = this.darkGlassmorphismStyles();
-        }
+        const { components, styleTheme, themeVariant, keywords, apps, additionalPrompt } = config;
+        const { html, raw } = GeneratorSafeHTML;
 
-        // Build component HTML
-        const componentsHTML = components.map(comp => {
-            const template = this.templates[comp.name];
-            return template ? template(comp.description, keywords) : '';
-        }).join('\n');
+        const styles = this.generateStyles(components, styleTheme, themeVariant);
+        const componentsHTML = this.renderComponents(components, keywords, { sections: true });
 
         // Generate metadata from keywords
         const metaKeywords = keywords.map(k => k.name).join(', ');
         const pageTitle = additionalPrompt || 'Binary Ring Generated Page';
-
-        return `<!DOCTYPE html>
-<html lang="en">
+        const attribution = String(this.markSection('attribution', html`<!-- Generated with Binary Ring -->
+    <div class="binary-ring-footer">
+        <p>Generated by Binary Ring AI Frontend Generator</p>
+        ${apps.length > 0 && html`<p>Integrated Apps: ${apps.map(a => a.name).join(', ')}</p>`}
+    </div>`));
+
+        // Styles, component markup and scripts are trusted output of themes and plugins; the
+        // prompt, keywords and app names are escaped for where they appear. Each generated part
+        // is a marked section, so regeneratePage can replace it in place.
+        return html`<!DOCTYPE html>
+<html lang="en"${this.variantAttribute(themeVariant)}>
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <meta name="description" content="Generated by Binary Ring AI Frontend Generator">
-    <meta name="keywords" content="${metaKeywords}">
-    <title>${pageTitle}</title>
-    <style>
-        ${themeStyles}
-    </style>
+    ${this.markSection('head', html`<meta name="keywords" content="${metaKeywords}">
+    <title>${pageTitle}</title>`)}
+    ${this.markSection('styles', html`<style>
+        ${raw(styles)}
+    </style>`)}
 </head>
 <body>
-    ${componentsHTML}
+    ${raw([componentsHTML, attribution].filter(Boolean).join('\n\n    '))}
 
-    <!-- Generated with Binary Ring -->
-    <div class="binary-ring-footer">
-        <p>Generated by Binary Ring AI Frontend Generator</p>
-        ${apps.length > 0 ? `<p>Integrated Apps: ${apps.map(a => a.name).join(', ')}</p>` : ''}
-    </div>
-
-    <script>
-        ${this.generateJavaScript(components)}
-    </script>
+    ${this.markSection('scripts', html`<script>
+        ${raw(this.generateJavaScript(components))}
+    </script>`)}
 </body>
-</html>`;
+</html>`.toString();
     }
 
     /**
-     * Generate JavaScript for interactive components
+     * Build component HTML; context items may carry props for the component's schema.
+     * With { sections: true } each component is a marked section (see page-sections.js).
      */
-    generateJavaScript(components) {
-        const scripts = [];
+    renderComponents(components, keywords, { sections = false } = {}) {
+        const ids = GeneratorPageSections.ids(components);
+        return components
+            .map((comp, i) => {
+                const markup = this.components.render(comp.name, {
+                    description: comp.description,
+                    keywords,
+                    props: comp.props
+                });
+                if (!sections || !markup) return markup;
+                return String(this.markSection(ids[i], markup, comp.name));
+            })
+            .filter(markup => !sections || markup)
+            .join(sections ? '\n    ' : '\n');
+    }
 
-        components.forEach(comp => {
-            if (comp.name === 'Video Gallery') {
-                scripts.push(this.videoGalleryScript());
-            }
-            if (comp.name === 'Audio Player') {
-                scripts.push(this.audioPlayerScript());
-            }
-            if (comp.name === 'Photo Gallery') {
-                scripts.push(this.photoGalleryScript());
-            }
-            if (comp.name === 'Search Interface') {
-                scripts.push(this.searchInterfaceScript());
-            }
-        });
+    /**
+     * Generated markup between section markers, trimmed and indented the same way everywhere
+     */
+    markSection(id, markup, component = null) {
+        const content = `\n    ${String(markup).trim()}\n    `;
+        return GeneratorSafeHTML.raw(GeneratorPageSections.mark(id, content, component));
+    }
+
+    /**
+     * Theme tokens, the shared layout that reads them as CSS variables, and component CSS
+     */
+    generateStyles(components, styleTheme, themeVariant) {
+        const themeName = this.themes.has(styleTheme) ? styleTheme : DEFAULT_THEME;
+        return [
+            this.themes.compile(themeName, { variant: themeVariant }),
+            this.baseStyles(),
+            this.generateComponentCSS(components, styleTheme)
+        ].join('\n');
+    }
+
+    /**
+     * <html> attribute that selects a theme variant ('auto' leaves it to prefers-color-scheme)
+     */
+    variantAttribute(themeVariant) {
+        return themeVariant && themeVariant !== 'auto' ? GeneratorSafeHTML.html` data-theme-variant="${themeVariant}"` : '';
+    }
 
-        return scripts.join('\n\n');
+    /**
+     * Generate JavaScript for interactive components from their plugins, dependencies first,
+     * plus the hydration of components bound with { hydrate: true }
+     */
+    generateJavaScript(components) {
+        const { scripts } = this.components.collectAssets(components.map(comp => comp.name));
+        return [...scripts, this.dataSources.hydrationScript(components, this.components)].filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * CSS shipped by component plugins, added after the theme styles (it can use the theme's variables)
+     */
+    generateComponentCSS(components, styleTheme) {
+        return this.components.collectAssets(components.map(comp => comp.name), styleTheme).css.join('\n');
     }
 
     // ===============================
     // COMPONENT TEMPLATES
     // ===============================
 
-    headerNavigationTemplate(description, keywords) {
-        return `
+    headerNavigationTemplate(description, keywords, props = {}) {
+        const { brand = 'Binary Ring', links = DEFAULT_NAV_LINKS } = props;
+        return GeneratorSafeHTML.html`
     <header class="site-header">
         <nav class="nav-container">
-            <div class="logo">Binary Ring</div>
+            <div class="logo">${brand}</div>
             <ul class="nav-menu">
-                <li><a href="#home">Home</a></li>
-                <li><a href="#about">About</a></li>
-                <li><a href="#services">Services</a></li>
-                <li><a href="#contact">Contact</a></li>
+                ${navLinkItems(links, ' '.repeat(16))}
             </ul>
-            <button class="mobile-menu-toggle" onclick="toggleMobileMenu()">
+            <button class="mobile-menu-toggle" aria-label="Toggle menu" aria-expanded="false" onclick="toggleMobileMenu()">
                 <span></span>
                 <span></span>
                 <span></span>
@@ -170,12 +510,16 @@ class WebpageGenerator {
     </header>`;
     }
 
-    heroSectionTemplate(description, keywords) {
-        return `
+    heroSectionTemplate(description, keywords, props = {}) {
+        const {
+            title = 'Welcome to the Future',
+            subtitle = 'Experience innovation with cutting-edge design and technology'
+        } = props;
+        return GeneratorSafeHTML.html`
     <section class="hero-section">
         <div class="hero-content">
-            <h1 class="hero-title">Welcome to the Future</h1>
-            <p class="hero-subtitle">Experience innovation with cutting-edge design and technology</p>
+            <h1 class="hero-title">${title}</h1>
+            <p class="hero-subtitle">${subtitle}</p>
             <div class="hero-actions">
                 <button class="btn btn-primary">Get Started</button>
                 <button class="btn btn-secondary">Learn More</button>
@@ -187,39 +531,26 @@ class WebpageGenerator {
     </section>`;
     }
 
-    productGridTemplate(description, keywords) {
-        return `
+    productGridTemplate(description, keywords, props = {}) {
+        const { title = 'Our Products', items = DEFAULT_PRODUCTS } = props;
+        return GeneratorSafeHTML.html`
     <section class="product-grid-section">
         <div class="container">
-            <h2 class="section-title">Our Products</h2>
-            <div class="product-grid">
-                ${[1, 2, 3, 4, 5, 6].map(i => `
-                <div class="product-card">
-                    <div class="product-image">
-                        <div class="placeholder-image">Product ${i}</div>
-                    </div>
-                    <div class="product-info">
-                        <h3 class="product-title">Product ${i}</h3>
-                        <p class="product-description">High-quality product with amazing features</p>
-                        <div class="product-meta">
-                            <span class="product-price">$99.99</span>
-                            <button class="btn btn-add-cart">Add to Cart</button>
-                        </div>
-                    </div>
-                </div>
-                `).join('')}
+            <h2 class="section-title">${title}</h2>
+            <div class="product-grid" data-bind-items>
+                ${GeneratorSafeHTML.raw(GeneratorDataSources.renderItems(PRODUCT_CARD, items))}
             </div>
         </div>
     </section>`;
     }
 
     videoGalleryTemplate(description, keywords) {
-        return `
+        return GeneratorSafeHTML.html`
     <section class="video-gallery-section">
         <div class="container">
             <h2 class="section-title">Video Gallery</h2>
             <div class="video-grid">
-                ${[1, 2, 3].map(i => `
+                ${[1, 2, 3].map(i => GeneratorSafeHTML.html`
                 <div class="video-item">
                     <div class="video-player">
                         <video controls>
@@ -232,14 +563,14 @@ class WebpageGenerator {
                         <p>Amazing video content showcasing our work</p>
                     </div>
                 </div>
-                `).join('')}
+                `)}
             </div>
         </div>
     </section>`;
     }
 
     audioPlayerTemplate(description, keywords) {
-        return `
+        return GeneratorSafeHTML.html`
     <section class="audio-player-section">
         <div class="container">
             <h2 class="section-title">Audio Player</h2>
@@ -252,9 +583,9 @@ class WebpageGenerator {
                     </div>
                 </div>
                 <div class="player-controls">
-                    <button class="control-btn" id="prevBtn">⏮</button>
-                    <button class="control-btn control-btn-play" id="playBtn">▶</button>
-                    <button class="control-btn" id="nextBtn">⏭</button>
+                    <button class="control-btn" aria-label="Previous track" id="prevBtn">⏮</button>
+                    <button class="control-btn control-btn-play" aria-label="Play" id="playBtn">▶</button>
+                    <button class="control-btn" aria-label="Next track" id="nextBtn">⏭</button>
                 </div>
                 <div class="progress-container">
                     <div class="progress-bar" id="progressBar"></div>
@@ -268,30 +599,27 @@ class WebpageGenerator {
     </section>`;
     }
 
-    photoGalleryTemplate(description, keywords) {
-        return `
+    photoGalleryTemplate(description, keywords, props = {}) {
+        const { title = 'Photo Gallery', items = DEFAULT_PHOTOS } = props;
+        return GeneratorSafeHTML.html`
     <section class="photo-gallery-section">
         <div class="container">
-            <h2 class="section-title">Photo Gallery</h2>
-            <div class="photo-grid">
-                ${[1, 2, 3, 4, 5, 6, 7, 8].map(i => `
-                <div class="photo-item" onclick="openLightbox(${i})">
-                    <div class="photo-placeholder">Photo ${i}</div>
-                </div>
-                `).join('')}
+            <h2 class="section-title">${title}</h2>
+            <div class="photo-grid" data-bind-items>
+                ${GeneratorSafeHTML.raw(GeneratorDataSources.renderItems(PHOTO_ITEM, items))}
             </div>
         </div>
-        <div class="lightbox" id="lightbox" onclick="closeLightbox()">
+        <div class="lightbox" role="dialog" aria-modal="true" aria-label="Photo viewer" hidden id="lightbox" onclick="closeLightbox()">
             <div class="lightbox-content">
                 <img id="lightboxImage" src="" alt="Lightbox">
-                <button class="lightbox-close">×</button>
+                <button class="lightbox-close" aria-label="Close">×</button>
             </div>
         </div>
     </section>`;
     }
 
     searchInterfaceTemplate(description, keywords) {
-        return `
+        return GeneratorSafeHTML.html`
     <section class="search-section">
         <div class="container">
             <div class="search-interface">
@@ -300,22 +628,23 @@ class WebpageGenerator {
                     <p>Find what you're looking for</p>
                 </div>
                 <div class="search-box">
-                    <input type="text" class="search-input" placeholder="Search..." id="searchInput" oninput="handleSearch()">
-                    <button class="search-btn">🔍</button>
+                    <input type="text" class="search-input" placeholder="Search..." aria-label="Search" id="searchInput" oninput="handleSearch()">
+                    <button class="search-btn" aria-label="Search">🔍</button>
                 </div>
                 <div class="search-filters">
-                    ${keywords.map(k => `
+                    ${keywords.map(k => GeneratorSafeHTML.html`
                     <button class="filter-tag">${k.name}</button>
-                    `).join('')}
+                    `)}
                 </div>
-                <div class="search-results" id="searchResults"></div>
+                <div class="search-results" aria-live="polite" id="searchResults"></div>
             </div>
         </div>
     </section>`;
     }
 
-    footerTemplate(description, keywords) {
-        return `
+    footerTemplate(description, keywords, props = {}) {
+        const { brand = 'Binary Ring', links = DEFAULT_FOOTER_LINKS } = props;
+        return GeneratorSafeHTML.html`
     <footer class="site-footer">
         <div class="container">
             <div class="footer-grid">
@@ -326,10 +655,7 @@ class WebpageGenerator {
                 <div class="footer-section">
                     <h3>Quick Links</h3>
                     <ul>
-                        <li><a href="#">Home</a></li>
-                        <li><a href="#">About</a></li>
-                        <li><a href="#">Services</a></li>
-                        <li><a href="#">Contact</a></li>
+                        ${navLinkItems(links, ' '.repeat(24))}
                     </ul>
                 </div>
                 <div class="footer-section">
@@ -342,14 +668,14 @@ class WebpageGenerator {
                 </div>
             </div>
             <div class="footer-bottom">
-                <p>&copy; 2024 Binary Ring. All rights reserved.</p>
+                <p>&copy; 2024 ${brand}. All rights reserved.</p>
             </div>
         </div>
     </footer>`;
     }
 
     contactFormTemplate(description, keywords) {
-        return `
+        return GeneratorSafeHTML.html`
     <section class="contact-section">
         <div class="container">
             <h2 class="section-title">Contact Us</h2>
@@ -372,65 +698,63 @@ class WebpageGenerator {
     </section>`;
     }
 
-    testimonialsTemplate(description, keywords) {
-        return `
+    testimonialsTemplate(description, keywords, props = {}) {
+        const { title = 'What Our Clients Say', items = DEFAULT_TESTIMONIALS } = props;
+        return GeneratorSafeHTML.html`
     <section class="testimonials-section">
         <div class="container">
-            <h2 class="section-title">What Our Clients Say</h2>
-            <div class="testimonials-grid">
-                ${[1, 2, 3].map(i => `
-                <div class="testimonial-card">
-                    <div class="testimonial-avatar"></div>
-                    <p class="testimonial-text">"Amazing service! Highly recommended for anyone looking for quality and innovation."</p>
-                    <div class="testimonial-author">
-                        <strong>Client ${i}</strong>
-                        <span>CEO, Company ${i}</span>
-                    </div>
-                </div>
-                `).join('')}
+            <h2 class="section-title">${title}</h2>
+            <div class="testimonials-grid" data-bind-items>
+                ${GeneratorSafeHTML.raw(GeneratorDataSources.renderItems(TESTIMONIAL_CARD, items))}
             </div>
         </div>
     </section>`;
     }
 
     pricingTableTemplate(description, keywords) {
-        return `
+        return GeneratorSafeHTML.html`
     <section class="pricing-section">
         <div class="container">
-            <h2 class="section-title">Choose Your Plan</h2>
-            <div class="pricing-grid">
-                <div class="pricing-card">
-                    <h3>Basic</h3>
-                    <div class="price">$9<span>/mo</span></div>
-                    <ul class="features">
-                        <li>✓ Feature 1</li>
-                        <li>✓ Feature 2</li>
-                        <li>✓ Feature 3</li>
-                    </ul>
-                    <button class="btn btn-primary">Get Started</button>
+            <h2 class="section-title" id="pricing-title">Choose Your Plan</h2>
+            <div class="pricing-grid" role="table" aria-labelledby="pricing-title">
+                <div class="pricing-card" role="row">
+                    <h3 role="rowheader">Basic</h3>
+                    <div class="price" role="cell">$9<span>/mo</span></div>
+                    <div role="cell">
+                        <ul class="features">
+                            <li>✓ Feature 1</li>
+                            <li>✓ Feature 2</li>
+                            <li>✓ Feature 3</li>
+                        </ul>
+                    </div>
+                    <div role="cell"><button class="btn btn-primary">Get Started</button></div>
                 </div>
-                <div class="pricing-card pricing-card-featured">
-                    <div class="badge">Popular</div>
-                    <h3>Pro</h3>
-                    <div class="price">$29<span>/mo</span></div>
-                    <ul class="features">
-                        <li>✓ All Basic features</li>
-                        <li>✓ Advanced Analytics</li>
-                        <li>✓ Priority Support</li>
-                        <li>✓ Custom Integrations</li>
-                    </ul>
-                    <button class="btn btn-primary">Get Started</button>
+                <div class="pricing-card pricing-card-featured" role="row">
+                    <div class="badge" aria-hidden="true">Popular</div>
+                    <h3 role="rowheader" aria-label="Pro (most popular)">Pro</h3>
+                    <div class="price" role="cell">$29<span>/mo</span></div>
+                    <div role="cell">
+                        <ul class="features">
+                            <li>✓ All Basic features</li>
+                            <li>✓ Advanced Analytics</li>
+                            <li>✓ Priority Support</li>
+                            <li>✓ Custom Integrations</li>
+                        </ul>
+                    </div>
+                    <div role="cell"><button class="btn btn-primary">Get Started</button></div>
                 </div>
-                <div class="pricing-card">
-                    <h3>Enterprise</h3>
-                    <div class="price">$99<span>/mo</span></div>
-                    <ul class="features">
-                        <li>✓ All Pro features</li>
-                        <li>✓ Dedicated Support</li>
-                        <li>✓ Custom Solutions</li>
-                        <li>✓ SLA Guarantee</li>
-                    </ul>
-                    <button class="btn btn-primary">Contact Sales</button>
+                <div class="pricing-card" role="row">
+                    <h3 role="rowheader">Enterprise</h3>
+                    <div class="price" role="cell">$99<span>/mo</span></div>
+                    <div role="cell">
+                        <ul class="features">
+                            <li>✓ All Pro features</li>
+                            <li>✓ Dedicated Support</li>
+                            <li>✓ Custom Solutions</li>
+                            <li>✓ SLA Guarantee</li>
+                        </ul>
+                    </div>
+                    <div role="cell"><button class="btn btn-primary">Contact Sales</button></div>
                 </div>
             </div>
         </div>
@@ -438,7 +762,7 @@ class WebpageGenerator {
     }
 
     statsSectionTemplate(description, keywords) {
-        return `
+        return GeneratorSafeHTML.html`
     <section class="stats-section">
         <div class="container">
             <div class="stats-grid">
@@ -467,7 +791,10 @@ class WebpageGenerator {
     // STYLE THEMES
     // ===============================
 
-    darkGlassmorphismStyles() {
+    /**
+     * Layout shared by every theme; colors, type and sizes come from the theme's tokens
+     */
+    baseStyles() {
         return `
         * {
             margin: 0;
@@ -476,105 +803,145 @@ class WebpageGenerator {
         }
 
         body {
-            font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-            background: linear-gradient(135deg, #0a0a0a 0%, #1a1a2e 50%, #16213e 100%);
-            color: #ffffff;
+            font-family: var(--font-family);
+            line-height: var(--font-line-height);
+            background: var(--color-background);
+            color: var(--color-text);
             min-height: 100vh;
+            position: relative;
+        }
+
+        body::before {
+            content: '';
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            background: var(--effect-overlay);
+            pointer-events: none;
+            z-index: 1;
         }
 
         .container {
-            max-width: 1200px;
+            max-width: var(--space-container-width);
             margin: 0 auto;
-            padding: 0 20px;
+            padding: 0 var(--space-gutter);
+            position: relative;
+            z-index: 2;
         }
 
         .site-header {
-            background: rgba(255, 255, 255, 0.05);
-            backdrop-filter: blur(10px);
-            border-bottom: 1px solid rgba(255, 255, 255, 0.1);
-            padding: 20px 0;
+            background: var(--color-header-background);
+            backdrop-filter: var(--effect-backdrop);
+            border-bottom: var(--border-header);
+            padding: var(--space-header-padding) 0;
+            box-shadow: var(--shadow-header);
         }
 
         .nav-container {
-            max-width: 1200px;
+            max-width: var(--space-container-width);
             margin: 0 auto;
-            padding: 0 20px;
+            padding: 0 var(--space-gutter);
             display: flex;
             justify-content: space-between;
             align-items: center;
         }
 
         .logo {
-            font-size: 24px;
-            font-weight: bold;
-            background: linear-gradient(45deg, #00d4ff, #ff6b6b, #4ecdc4);
+            font-size: var(--font-logo-size);
+            font-weight: var(--font-logo-weight);
+            letter-spacing: var(--font-logo-letter-spacing);
+            color: var(--color-logo);
+            background: var(--color-logo-fill);
             -webkit-background-clip: text;
-            -webkit-text-fill-color: transparent;
+            background-clip: text;
+            -webkit-text-fill-color: var(--effect-gradient-text-fill);
+            text-shadow: var(--shadow-logo);
         }
 
         .nav-menu {
             display: flex;
             list-style: none;
-            gap: 30px;
+            gap: var(--space-nav-gap);
         }
 
         .nav-menu a {
-            color: #ffffff;
+            color: var(--color-link);
             text-decoration: none;
-            transition: color 0.3s;
+            font-weight: var(--font-weight-light);
+            text-transform: var(--font-nav-transform);
+            letter-spacing: var(--font-nav-letter-spacing);
+            transition: all 0.3s;
         }
 
         .nav-menu a:hover {
-            color: #00d4ff;
+            color: var(--color-link-hover);
+            text-shadow: var(--shadow-link-hover);
         }
 
         .section-title {
-            font-size: 36px;
+            font-size: var(--font-section-title-size);
+            font-weight: var(--font-heading-weight);
+            text-transform: var(--font-heading-transform);
+            letter-spacing: var(--font-heading-letter-spacing);
             text-align: center;
-            margin-bottom: 50px;
-            background: linear-gradient(45deg, #00d4ff, #4ecdc4);
+            margin-bottom: var(--space-section-title-gap);
+            color: var(--color-heading);
+            background: var(--color-heading-fill);
             -webkit-background-clip: text;
-            -webkit-text-fill-color: transparent;
+            background-clip: text;
+            -webkit-text-fill-color: var(--effect-gradient-text-fill);
+            text-shadow: var(--shadow-heading);
         }
 
         .btn {
-            padding: 12px 24px;
-            border: none;
-            border-radius: 8px;
-            font-weight: 600;
+            padding: var(--space-button-padding);
+            border: var(--border-secondary-button);
+            border-radius: var(--radius-button);
+            background: var(--color-secondary);
+            color: var(--color-on-secondary);
+            font-size: var(--font-button-size);
+            font-weight: var(--font-button-weight);
+            text-transform: var(--font-button-transform);
+            letter-spacing: var(--font-button-letter-spacing);
             cursor: pointer;
             transition: all 0.3s;
         }
 
         .btn-primary {
-            background: linear-gradient(45deg, #00d4ff, #0099cc);
-            color: white;
+            background: var(--color-primary);
+            color: var(--color-on-primary);
+            border: var(--border-button);
+            box-shadow: var(--shadow-button);
         }
 
         .btn-primary:hover {
-            transform: translateY(-2px);
-            box-shadow: 0 8px 25px rgba(0, 212, 255, 0.3);
-        }
-
-        .btn-secondary {
-            background: rgba(255, 255, 255, 0.1);
-            color: white;
-            border: 1px solid rgba(255, 255, 255, 0.2);
+            background: var(--color-primary-hover);
+            color: var(--color-on-primary-hover);
+            border-color: var(--color-primary-hover-border);
+            transform: var(--effect-button-hover-transform);
+            box-shadow: var(--shadow-button-hover);
         }
 
         .hero-section {
-            padding: 100px 20px;
+            padding: var(--space-hero-padding) var(--space-gutter);
             text-align: center;
+            background: var(--color-hero-background);
         }
 
         .hero-title {
-            font-size: 60px;
-            margin-bottom: 20px;
+            font-size: var(--font-hero-title-size);
+            font-weight: var(--font-heading-weight);
+            margin-bottom: var(--space-hero-title-gap);
+            color: var(--color-hero-title);
+            text-shadow: var(--shadow-hero-title);
         }
 
         .hero-subtitle {
-            font-size: 24px;
-            color: rgba(255, 255, 255, 0.7);
+            font-size: var(--font-hero-subtitle-size);
+            font-weight: var(--font-weight-light);
+            color: var(--color-text-muted);
             margin-bottom: 40px;
         }
 
@@ -586,45 +953,57 @@ class WebpageGenerator {
 
         .product-grid, .video-grid, .photo-grid, .testimonials-grid, .pricing-grid {
             display: grid;
-            gap: 30px;
-            margin: 50px 0;
+            gap: var(--space-grid-gap);
+            margin: var(--space-grid-margin) 0;
         }
 
         .product-grid {
-            grid-template-columns: repeat(auto-fill, minmax(300px, 1fr));
+            grid-template-columns: repeat(auto-fill, minmax(var(--space-card-min-width), 1fr));
         }
 
         .product-card, .video-item, .testimonial-card, .pricing-card {
-            background: rgba(255, 255, 255, 0.05);
-            backdrop-filter: blur(10px);
-            border: 1px solid rgba(255, 255, 255, 0.1);
-            border-radius: 20px;
-            padding: 20px;
-            transition: transform 0.3s, box-shadow 0.3s;
+            background: var(--color-surface);
+            backdrop-filter: var(--effect-backdrop);
+            border: var(--border-card);
+            border-radius: var(--radius-card);
+            padding: var(--space-card-padding);
+            box-shadow: var(--shadow-card);
+            transition: all 0.3s;
         }
 
         .product-card:hover, .video-item:hover, .testimonial-card:hover {
-            transform: translateY(-5px);
-            box-shadow: 0 10px 30px rgba(0, 212, 255, 0.2);
+            transform: var(--effect-card-hover-transform);
+            border-color: var(--color-card-hover-border);
+            box-shadow: var(--shadow-card-hover);
+        }
+
+        .product-image img, .photo-item img {
+            display: block;
+            width: 100%;
+            aspect-ratio: var(--space-placeholder-aspect-ratio);
+            object-fit: cover;
+            border-radius: var(--radius-image);
+            margin-bottom: var(--space-placeholder-gap);
         }
 
         .placeholder-image, .photo-placeholder {
-            background: linear-gradient(135deg, rgba(0, 212, 255, 0.2), rgba(78, 205, 196, 0.2));
-            border-radius: 12px;
-            aspect-ratio: 16/9;
+            background: var(--color-placeholder);
+            border: var(--border-placeholder);
+            border-radius: var(--radius-image);
+            aspect-ratio: var(--space-placeholder-aspect-ratio);
             display: flex;
             align-items: center;
             justify-content: center;
-            margin-bottom: 15px;
-            color: rgba(255, 255, 255, 0.5);
+            margin-bottom: var(--space-placeholder-gap);
+            color: var(--color-text-subtle);
         }
 
         .site-footer {
-            background: rgba(0, 0, 0, 0.5);
-            backdrop-filter: blur(10px);
-            padding: 60px 0 20px;
-            margin-top: 100px;
-            border-top: 1px solid rgba(255, 255, 255, 0.1);
+            background: var(--color-footer-background);
+            backdrop-filter: var(--effect-backdrop);
+            padding: var(--space-footer-padding);
+            margin-top: var(--space-footer-gap);
+            border-top: var(--border-footer);
         }
 
         .footer-grid {
@@ -637,8 +1016,8 @@ class WebpageGenerator {
         .footer-bottom {
             text-align: center;
             padding-top: 20px;
-            border-top: 1px solid rgba(255, 255, 255, 0.1);
-            color: rgba(255, 255, 255, 0.5);
+            border-top: var(--border-footer);
+            color: var(--color-text-subtle);
         }
 
         @media (max-width: 768px) {
@@ -646,7 +1025,7 @@ class WebpageGenerator {
                 display: none;
             }
             .hero-title {
-                font-size: 36px;
+                font-size: calc(var(--font-hero-title-size) * 0.6);
             }
             .product-grid {
                 grid-template-columns: 1fr;
@@ -654,291 +1033,6 @@ class WebpageGenerator {
         }`;
     }
 
-    minimalistCleanStyles() {
-        return `
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-
-        body {
-            font-family: 'Helvetica Neue', Arial, sans-serif;
-            background: #ffffff;
-            color: #333333;
-            line-height: 1.6;
-        }
-
-        .container {
-            max-width: 1100px;
-            margin: 0 auto;
-            padding: 0 40px;
-        }
-
-        .site-header {
-            background: #ffffff;
-            border-bottom: 1px solid #e0e0e0;
-            padding: 30px 0;
-        }
-
-        .nav-container {
-            max-width: 1100px;
-            margin: 0 auto;
-            padding: 0 40px;
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-        }
-
-        .logo {
-            font-size: 24px;
-            font-weight: 300;
-            color: #333;
-            letter-spacing: 2px;
-        }
-
-        .nav-menu {
-            display: flex;
-            list-style: none;
-            gap: 40px;
-        }
-
-        .nav-menu a {
-            color: #666;
-            text-decoration: none;
-            font-weight: 300;
-            transition: color 0.3s;
-        }
-
-        .nav-menu a:hover {
-            color: #000;
-        }
-
-        .section-title {
-            font-size: 42px;
-            text-align: center;
-            margin-bottom: 60px;
-            font-weight: 300;
-            color: #000;
-        }
-
-        .btn {
-            padding: 14px 32px;
-            border: 2px solid #000;
-            background: transparent;
-            font-weight: 400;
-            cursor: pointer;
-            transition: all 0.3s;
-            font-size: 14px;
-            letter-spacing: 1px;
-        }
-
-        .btn-primary {
-            background: #000;
-            color: #fff;
-        }
-
-        .btn-primary:hover {
-            background: #333;
-            border-color: #333;
-        }
-
-        .hero-section {
-            padding: 120px 40px;
-            text-align: center;
-        }
-
-        .hero-title {
-            font-size: 56px;
-            margin-bottom: 24px;
-            font-weight: 300;
-        }
-
-        .hero-subtitle {
-            font-size: 20px;
-            color: #666;
-            margin-bottom: 40px;
-            font-weight: 300;
-        }
-
-        .product-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fill, minmax(280px, 1fr));
-            gap: 40px;
-            margin: 60px 0;
-        }
-
-        .product-card {
-            border: 1px solid #e0e0e0;
-            background: #fff;
-            transition: box-shadow 0.3s;
-        }
-
-        .product-card:hover {
-            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
-        }
-
-        .placeholder-image {
-            background: #f5f5f5;
-            aspect-ratio: 1;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            color: #999;
-        }
-
-        .site-footer {
-            background: #f9f9f9;
-            padding: 80px 0 40px;
-            margin-top: 120px;
-            border-top: 1px solid #e0e0e0;
-        }`;
-    }
-
-    cyberpunkNeonStyles() {
-        return `
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-
-        body {
-            font-family: 'Courier New', monospace;
-            background: #0a0e27;
-            color: #00ff9f;
-            min-height: 100vh;
-            position: relative;
-        }
-
-        body::before {
-            content: '';
-            position: fixed;
-            top: 0;
-            left: 0;
-            right: 0;
-            bottom: 0;
-            background: repeating-linear-gradient(
-                0deg,
-                rgba(255, 0, 255, 0.03) 0px,
-                transparent 1px,
-                transparent 2px,
-                rgba(255, 0, 255, 0.03) 3px
-            );
-            pointer-events: none;
-            z-index: 1;
-        }
-
-        .container {
-            max-width: 1200px;
-            margin: 0 auto;
-            padding: 0 20px;
-            position: relative;
-            z-index: 2;
-        }
-
-        .site-header {
-            background: rgba(10, 14, 39, 0.9);
-            border-bottom: 2px solid #ff00ff;
-            padding: 20px 0;
-            box-shadow: 0 0 20px rgba(255, 0, 255, 0.5);
-        }
-
-        .logo {
-            font-size: 24px;
-            font-weight: bold;
-            color: #00ff9f;
-            text-shadow: 0 0 10px #00ff9f, 0 0 20px #00ff9f;
-        }
-
-        .nav-menu {
-            display: flex;
-            list-style: none;
-            gap: 30px;
-        }
-
-        .nav-menu a {
-            color: #00ff9f;
-            text-decoration: none;
-            text-transform: uppercase;
-            letter-spacing: 2px;
-            transition: all 0.3s;
-        }
-
-        .nav-menu a:hover {
-            color: #ff00ff;
-            text-shadow: 0 0 10px #ff00ff;
-        }
-
-        .section-title {
-            font-size: 48px;
-            text-align: center;
-            margin-bottom: 50px;
-            color: #ff00ff;
-            text-shadow: 0 0 20px #ff00ff, 0 0 40px #ff00ff;
-            text-transform: uppercase;
-            letter-spacing: 4px;
-        }
-
-        .btn {
-            padding: 15px 30px;
-            border: 2px solid #00ff9f;
-            background: transparent;
-            color: #00ff9f;
-            font-weight: bold;
-            cursor: pointer;
-            transition: all 0.3s;
-            text-transform: uppercase;
-            letter-spacing: 2px;
-        }
-
-        .btn-primary {
-            box-shadow: 0 0 20px rgba(0, 255, 159, 0.5);
-        }
-
-        .btn-primary:hover {
-            background: #00ff9f;
-            color: #0a0e27;
-            box-shadow: 0 0 30px rgba(0, 255, 159, 0.8);
-        }
-
-        .hero-section {
-            padding: 100px 20px;
-            text-align: center;
-            background: radial-gradient(circle, rgba(255, 0, 255, 0.1) 0%, transparent 70%);
-        }
-
-        .hero-title {
-            font-size: 64px;
-            margin-bottom: 20px;
-            color: #ff00ff;
-            text-shadow: 0 0 30px #ff00ff, 0 0 60px #ff00ff;
-        }
-
-        .product-card, .pricing-card {
-            background: rgba(10, 14, 39, 0.8);
-            border: 2px solid #00ff9f;
-            box-shadow: 0 0 20px rgba(0, 255, 159, 0.3);
-            transition: all 0.3s;
-        }
-
-        .product-card:hover {
-            border-color: #ff00ff;
-            box-shadow: 0 0 30px rgba(255, 0, 255, 0.5);
-            transform: translateY(-5px);
-        }
-
-        .placeholder-image {
-            background: linear-gradient(135deg, rgba(255, 0, 255, 0.2), rgba(0, 255, 159, 0.2));
-            border: 1px solid #00ff9f;
-        }`;
-    }
-
-    defaultStyles() {
-        // Return the dark glassmorphism styles as default
-        return this.darkGlassmorphismStyles.call(this);
-    }
-
     // ===============================
     // JAVASCRIPT FOR COMPONENTS
     // ===============================
@@ -967,6 +1061,7 @@ class WebpageGenerator {
             playBtn.addEventListener('click', function() {
                 isPlaying = !isPlaying;
                 this.textContent = isPlaying ? '⏸' : '▶';
+                this.setAttribute('aria-label', isPlaying ? 'Pause' : 'Play');
                 // Add actual audio playback logic here
             });
         }`;
@@ -975,10 +1070,15 @@ class WebpageGenerator {
     photoGalleryScript() {
         return `
         // Photo Gallery Lightbox
+        let lightboxOpener = null;
+
         function openLightbox(index) {
             const lightbox = document.getElementById('lightbox');
             if (lightbox) {
+                lightboxOpener = document.activeElement;
+                lightbox.hidden = false;
                 lightbox.style.display = 'flex';
+                lightbox.querySelector('.lightbox-close').focus();
                 // Add actual image loading logic here
             }
         }
@@ -987,8 +1087,39 @@ class WebpageGenerator {
             const lightbox = document.getElementById('lightbox');
             if (lightbox) {
                 lightbox.style.display = 'none';
+                lightbox.hidden = true;
+                if (lightboxOpener) lightboxOpener.focus();
+                lightboxOpener = null;
             }
-        }`;
+        }
+
+        // Enter and Space open a photo; in the open lightbox, Escape closes it and Tab stays inside
+        document.addEventListener('keydown', function(event) {
+            const lightbox = document.getElementById('lightbox');
+            if (!lightbox || lightbox.hidden) {
+                const photo = event.target.closest && event.target.closest('.photo-item');
+                if (photo && (event.key === 'Enter' || event.key === ' ')) {
+                    event.preventDefault();
+                    photo.click();
+                }
+                return;
+            }
+
+            if (event.key === 'Escape') {
+                closeLightbox();
+            } else if (event.key === 'Tab') {
+                const focusable = [...lightbox.querySelectorAll('button, [href], [tabindex]:not([tabindex="-1"])')];
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+                if (event.shiftKey ? document.activeElement === first : document.activeElement === last) {
+                    event.preventDefault();
+                    (event.shiftKey ? last : first).focus();
+                } else if (!lightbox.contains(document.activeElement)) {
+                    event.preventDefault();
+                    first.focus();
+                }
+            }
+        });`;
     }
 
     searchInterfaceScript() {
@@ -1001,22 +1132,33 @@ class WebpageGenerator {
             if (searchInput && searchResults) {
                 const query = searchInput.value.toLowerCase();
                 if (query.length > 2) {
-                    searchResults.innerHTML = '<p>Searching for: ' + query + '</p>';
+                    // textContent, so typed markup is shown rather than run
+                    const message = document.createElement('p');
+                    message.textContent = 'Searching for: ' + query;
+                    searchResults.replaceChildren(message);
                     // Add actual search logic here
                 } else {
                     searchResults.innerHTML = '';
                 }
             }
-        }
+        }`;
+    }
 
+    mobileMenuScript() {
+        return `
         // Mobile menu toggle
         function toggleMobileMenu() {
             const menu = document.querySelector('.nav-menu');
             if (menu) {
                 menu.style.display = menu.style.display === 'none' ? 'flex' : 'none';
+                const toggle = document.querySelector('.mobile-menu-toggle');
+                if (toggle) toggle.setAttribute('aria-expanded', String(menu.style.display === 'flex'));
             }
-        }
+        }`;
+    }
 
+    contactFormScript() {
+        return `
         // Contact form handler
         function handleContactSubmit(event) {
             event.preventDefault();
@@ -1024,6 +1166,102 @@ class WebpageGenerator {
             return false;
         }`;
     }
+
+    // ===============================
+    // FRAMEWORK BEHAVIORS
+    // ===============================
+    // The scripts above as component state, used by framework-exporter.js.
+    // Bindings rewrite the template's HTML through a dialect (d) for React, Vue or Svelte.
+
+    videoGalleryBehavior() {
+        return {
+            state: { playingVideo: null },
+            handlers: {
+                playVideo: {
+                    params: ['event'],
+                    body: [
+                        'if (playingVideo && playingVideo !== event.target) playingVideo.pause()',
+                        'playingVideo = event.target'
+                    ]
+                }
+            },
+            bindings: [
+                [/<video controls>/g, d => `<video controls ${d.on('play', 'playVideo')}>`]
+            ]
+        };
+    }
+
+    audioPlayerBehavior() {
+        return {
+            state: { isPlaying: false },
+            handlers: { togglePlay: ['isPlaying = !isPlaying'] },
+            bindings: [
+                ['aria-label="Play"', d => d.attr('aria-label', "isPlaying ? 'Pause' : 'Play'")],
+                ['id="playBtn">▶</button>', d => `id="playBtn" ${d.on('click', 'togglePlay')}>${d.expr("isPlaying ? '⏸' : '▶'")}</button>`]
+            ]
+        };
+    }
+
+    photoGalleryBehavior() {
+        return {
+            state: { lightboxPhoto: null },
+            handlers: {
+                openLightbox: { params: ['index'], body: ['lightboxPhoto = index'] },
+                closeLightbox: ['lightboxPhoto = null']
+            },
+            bindings: [
+                [/onclick="openLightbox\((\d+)\)"/g, (d, index) => d.on('click', 'openLightbox', [index])],
+                [
+                    'hidden id="lightbox" onclick="closeLightbox()"',
+                    d => `${d.attr('hidden', 'lightboxPhoto === null')} id="lightbox" ${d.style('display', "lightboxPhoto === null ? undefined : 'flex'")} ${d.on('click', 'closeLightbox')}`
+                ],
+                ['alt="Lightbox"', d => d.attr('alt', "'Photo ' + lightboxPhoto")]
+            ]
+        };
+    }
+
+    searchInterfaceBehavior() {
+        return {
+            state: { query: '' },
+            handlers: {},
+            bindings: [
+                ['oninput="handleSearch()"', d => d.model('query')],
+                [
+                    '<div class="search-results" aria-live="polite" id="searchResults"></div>',
+                    d => `<div class="search-results" aria-live="polite" id="searchResults">${d.when('query.length > 2', `<p>Searching for: ${d.expr('query')}</p>`)}</div>`
+                ]
+            ]
+        };
+    }
+
+    mobileMenuBehavior() {
+        return {
+            state: { menuOpen: false },
+            handlers: { toggleMenu: ['menuOpen = !menuOpen'] },
+            bindings: [
+                ['<ul class="nav-menu">', d => `<ul class="nav-menu" ${d.style('display', "menuOpen ? 'flex' : undefined")}>`],
+                ['aria-expanded="false"', d => d.attr('aria-expanded', 'menuOpen')],
+                ['onclick="toggleMobileMenu()"', d => d.on('click', 'toggleMenu')]
+            ]
+        };
+    }
+
+    contactFormBehavior() {
+        return {
+            state: { submitted: false },
+            handlers: {
+                handleSubmit: { params: ['event'], body: ['event.preventDefault()', 'submitted = true'] }
+            },
+            bindings: [
+                ['onsubmit="handleContactSubmit(event)"', d => d.on('submit', 'handleSubmit')],
+                [
+                    'Send Message</button>',
+                    d => `Send Message</button>
+                ${d.when('submitted', '<p class="form-status" role="status">Thanks! Your message was sent.</p>')}`
+                ]
+            ]
+        };
+    }
 }
 
 // Export for use in browser